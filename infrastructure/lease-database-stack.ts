@@ -12,6 +12,8 @@ import * as apigatewayv2Authorizers from 'aws-cdk-lib/aws-apigatewayv2-authorize
 import * as cloudwatch from 'aws-cdk-lib/aws-cloudwatch';
 import * as cloudwatch_actions from 'aws-cdk-lib/aws-cloudwatch-actions';
 import * as sns from 'aws-cdk-lib/aws-sns';
+import * as events from 'aws-cdk-lib/aws-events';
+import * as eventsTargets from 'aws-cdk-lib/aws-events-targets';
 import { Construct } from 'constructs';
 
 export class LeaseDatabaseStack extends cdk.Stack {
@@ -510,6 +512,68 @@ export class LeaseDatabaseStack extends cdk.Stack {
       logRetention: logs.RetentionDays.ONE_MONTH,
     });
 
+    // Lambda function for the audit log
+    const auditFunction = new lambda.Function(this, 'AuditFunction', {
+      runtime: lambda.Runtime.NODEJS_18_X,
+      handler: 'audit.handler',
+      code: lambda.Code.fromAsset('lambda/api'),
+      functionName: 'office-lease-api-audit',
+      description: 'Read access to the audit trail of entity changes',
+      timeout: cdk.Duration.seconds(30),
+      memorySize: 512,
+      environment: commonEnv,
+      vpc: this.vpc,
+      vpcSubnets: { subnetType: ec2.SubnetType.PRIVATE_WITH_EGRESS },
+      securityGroups: [this.lambdaSecurityGroup],
+      role: this.leaseAppRwRole,
+      logRetention: logs.RetentionDays.ONE_MONTH,
+    });
+
+    // Lambda function for cross-entity search
+    const searchFunction = new lambda.Function(this, 'SearchFunction', {
+      runtime: lambda.Runtime.NODEJS_18_X,
+      handler: 'search.handler',
+      code: lambda.Code.fromAsset('lambda/api'),
+      functionName: 'office-lease-api-search',
+      description: 'Full-text and fuzzy search across parties, properties, suites, leases and documents',
+      timeout: cdk.Duration.seconds(30),
+      memorySize: 512,
+      environment: commonEnv,
+      vpc: this.vpc,
+      vpcSubnets: { subnetType: ec2.SubnetType.PRIVATE_WITH_EGRESS },
+      securityGroups: [this.lambdaSecurityGroup],
+      role: this.leaseAppRwRole,
+      logRetention: logs.RetentionDays.ONE_MONTH,
+    });
+
+    // Lambda function for entity JSON Schemas (no database access, so no VPC)
+    const schemasFunction = new lambda.Function(this, 'SchemasFunction', {
+      runtime: lambda.Runtime.NODEJS_18_X,
+      handler: 'schemas.handler',
+      code: lambda.Code.fromAsset('lambda/api'),
+      functionName: 'office-lease-api-schemas',
+      description: 'JSON Schemas used to validate entity request bodies',
+      timeout: cdk.Duration.seconds(10),
+      memorySize: 256,
+      environment: commonEnv,
+      role: this.leaseAppRwRole,
+      logRetention: logs.RetentionDays.ONE_MONTH,
+    });
+
+    // Lambda function for the OpenAPI document (no database access, so no VPC)
+    const openApiFunction = new lambda.Function(this, 'OpenApiFunction', {
+      runtime: lambda.Runtime.NODEJS_18_X,
+      handler: 'openapi.handler',
+      code: lambda.Code.fromAsset('lambda/api'),
+      functionName: 'office-lease-api-openapi',
+      description: 'OpenAPI 3.1 document describing the lease API',
+      timeout: cdk.Duration.seconds(10),
+      memorySize: 256,
+      environment: commonEnv,
+      role: this.leaseAppRwRole,
+      logRetention: logs.RetentionDays.ONE_MONTH,
+    });
+
     // Lambda function for reports
     const reportsFunction = new lambda.Function(this, 'ReportsFunction', {
       runtime: lambda.Runtime.NODEJS_18_X,
@@ -544,6 +608,77 @@ export class LeaseDatabaseStack extends cdk.Stack {
       logRetention: logs.RetentionDays.ONE_MONTH,
     });
 
+    // Lambda functions for asynchronous batch jobs: the API submits jobs and
+    // the worker processes them in chunks
+    const batchJobsWorkerFunctionName = 'office-lease-batch-jobs-worker';
+
+    const batchJobsFunction = new lambda.Function(this, 'BatchJobsFunction', {
+      runtime: lambda.Runtime.NODEJS_18_X,
+      handler: 'batch-jobs.handler',
+      code: lambda.Code.fromAsset('lambda/api'),
+      functionName: 'office-lease-api-batch-jobs',
+      description: 'Submit, poll and resume asynchronous batch jobs',
+      timeout: cdk.Duration.seconds(30),
+      memorySize: 1024,
+      environment: {
+        ...commonEnv,
+        BATCH_JOBS_WORKER_FUNCTION: batchJobsWorkerFunctionName,
+      },
+      vpc: this.vpc,
+      vpcSubnets: { subnetType: ec2.SubnetType.PRIVATE_WITH_EGRESS },
+      securityGroups: [this.lambdaSecurityGroup],
+      role: this.leaseAppRwRole,
+      logRetention: logs.RetentionDays.ONE_MONTH,
+    });
+
+    const batchJobsWorkerFunction = new lambda.Function(this, 'BatchJobsWorkerFunction', {
+      runtime: lambda.Runtime.NODEJS_18_X,
+      handler: 'batch-jobs.worker',
+      code: lambda.Code.fromAsset('lambda/api'),
+      functionName: batchJobsWorkerFunctionName,
+      description: 'Chunked processing of asynchronous batch jobs',
+      timeout: cdk.Duration.minutes(15),
+      memorySize: 1024,
+      environment: {
+        ...commonEnv,
+        BATCH_JOBS_WORKER_FUNCTION: batchJobsWorkerFunctionName,
+      },
+      vpc: this.vpc,
+      vpcSubnets: { subnetType: ec2.SubnetType.PRIVATE_WITH_EGRESS },
+      securityGroups: [this.lambdaSecurityGroup],
+      role: this.leaseAppRwRole,
+      logRetention: logs.RetentionDays.ONE_MONTH,
+    });
+
+    // Both functions share leaseAppRwRole, so this also lets the worker hand a
+    // job over to a new run of itself before it times out
+    batchJobsWorkerFunction.grantInvoke(batchJobsFunction);
+
+    // Sweep for queued jobs and jobs whose run stopped responding
+    new events.Rule(this, 'BatchJobsSweepSchedule', {
+      ruleName: 'office-lease-batch-jobs-sweep',
+      description: 'Resume queued and stalled batch jobs',
+      schedule: events.Schedule.rate(cdk.Duration.minutes(5)),
+      targets: [new eventsTargets.LambdaFunction(batchJobsWorkerFunction)],
+    });
+
+    // Lambda function for CSV imports
+    const importsFunction = new lambda.Function(this, 'ImportsFunction', {
+      runtime: lambda.Runtime.NODEJS_18_X,
+      handler: 'imports.handler',
+      code: lambda.Code.fromAsset('lambda/api'),
+      functionName: 'office-lease-api-imports',
+      description: 'CSV lease import with validation report and dry run',
+      timeout: cdk.Duration.seconds(60),
+      memorySize: 1024,
+      environment: commonEnv,
+      vpc: this.vpc,
+      vpcSubnets: { subnetType: ec2.SubnetType.PRIVATE_WITH_EGRESS },
+      securityGroups: [this.lambdaSecurityGroup],
+      role: this.leaseAppRwRole,
+      logRetention: logs.RetentionDays.ONE_MONTH,
+    });
+
     // Lambda function for natural language queries
     const nlqFunction = new lambda.Function(this, 'NlqFunction', {
       runtime: lambda.Runtime.NODEJS_18_X,
@@ -573,6 +708,56 @@ export class LeaseDatabaseStack extends cdk.Stack {
       })
     );
 
+    // SNS Topic for lease reminder notifications
+    const notificationTopic = new sns.Topic(this, 'NotificationTopic', {
+      topicName: 'office-lease-notifications',
+      displayName: 'Office Lease Reminders',
+    });
+
+    // Lambda function for scheduled critical date and option reminders
+    const notificationsFunction = new lambda.Function(this, 'NotificationsFunction', {
+      runtime: lambda.Runtime.NODEJS_18_X,
+      handler: 'notifications.handler',
+      code: lambda.Code.fromAsset('lambda/api'),
+      functionName: 'office-lease-notifications',
+      description: 'Scheduled reminders for critical dates and option notice windows',
+      timeout: cdk.Duration.minutes(5),
+      memorySize: 256,
+      environment: {
+        ...commonEnv,
+        NOTIFICATION_TRANSPORT: process.env.NOTIFICATION_TRANSPORT || 'sns',
+        NOTIFICATION_TOPIC_ARN: notificationTopic.topicArn,
+        NOTIFICATION_FROM_EMAIL: process.env.NOTIFICATION_FROM_EMAIL || '',
+        NOTIFICATION_TO_EMAIL: process.env.NOTIFICATION_TO_EMAIL || '',
+      },
+      vpc: this.vpc,
+      vpcSubnets: { subnetType: ec2.SubnetType.PRIVATE_WITH_EGRESS },
+      securityGroups: [this.lambdaSecurityGroup],
+      role: this.leaseAppRwRole,
+      logRetention: logs.RetentionDays.ONE_MONTH,
+    });
+
+    notificationTopic.grantPublish(notificationsFunction);
+
+    // Grant SES send access when email delivery is configured
+    if (process.env.NOTIFICATION_FROM_EMAIL) {
+      notificationsFunction.addToRolePolicy(
+        new iam.PolicyStatement({
+          effect: iam.Effect.ALLOW,
+          actions: ['ses:SendEmail'],
+          resources: ['*'],
+        })
+      );
+    }
+
+    // Run the reminder job daily at 13:00 UTC
+    new events.Rule(this, 'NotificationsSchedule', {
+      ruleName: 'office-lease-notifications-daily',
+      description: 'Daily run of lease reminder notifications',
+      schedule: events.Schedule.cron({ minute: '0', hour: '13' }),
+      targets: [new eventsTargets.LambdaFunction(notificationsFunction)],
+    });
+
     // ========================================
     // API Gateway HTTP API
     // ========================================
@@ -601,7 +786,8 @@ export class LeaseDatabaseStack extends cdk.Stack {
           apigatewayv2.CorsHttpMethod.DELETE,
           apigatewayv2.CorsHttpMethod.OPTIONS,
         ],
-        allowHeaders: ['Content-Type', 'Authorization', 'X-Amz-Date', 'X-Api-Key', 'X-Amz-Security-Token'],
+        allowHeaders: ['Content-Type', 'Authorization', 'X-Amz-Date', 'X-Api-Key', 'X-Amz-Security-Token', 'If-Match'],
+        exposeHeaders: ['ETag'],
         maxAge: cdk.Duration.hours(1),
       },
       defaultAuthorizer: lambdaAuthorizer,
@@ -654,6 +840,18 @@ export class LeaseDatabaseStack extends cdk.Stack {
       integration: propertiesIntegration,
       authorizer: lambdaAuthorizer,
     });
+    this.httpApi.addRoutes({
+      path: '/properties/{id}/opex-actuals',
+      methods: [apigatewayv2.HttpMethod.GET],
+      integration: propertiesIntegration,
+      authorizer: lambdaAuthorizer,
+    });
+    this.httpApi.addRoutes({
+      path: '/properties/{id}/opex-actuals/{year}',
+      methods: [apigatewayv2.HttpMethod.GET, apigatewayv2.HttpMethod.PUT],
+      integration: propertiesIntegration,
+      authorizer: lambdaAuthorizer,
+    });
 
     // Suites endpoints
     const suitesIntegration = new apigatewayv2Integrations.HttpLambdaIntegration(
@@ -710,10 +908,34 @@ export class LeaseDatabaseStack extends cdk.Stack {
     });
     this.httpApi.addRoutes({
       path: '/leases/{id}/versions',
+      methods: [apigatewayv2.HttpMethod.GET, apigatewayv2.HttpMethod.POST],
+      integration: leasesIntegration,
+      authorizer: lambdaAuthorizer,
+    });
+    this.httpApi.addRoutes({
+      path: '/leases/{id}/versions/diff',
+      methods: [apigatewayv2.HttpMethod.GET],
+      integration: leasesIntegration,
+      authorizer: lambdaAuthorizer,
+    });
+    this.httpApi.addRoutes({
+      path: '/leases/{id}/liability',
+      methods: [apigatewayv2.HttpMethod.GET],
+      integration: leasesIntegration,
+      authorizer: lambdaAuthorizer,
+    });
+    this.httpApi.addRoutes({
+      path: '/leases/abstract',
       methods: [apigatewayv2.HttpMethod.POST],
       integration: leasesIntegration,
       authorizer: lambdaAuthorizer,
     });
+    this.httpApi.addRoutes({
+      path: '/leases/{id}/abstract',
+      methods: [apigatewayv2.HttpMethod.GET],
+      integration: leasesIntegration,
+      authorizer: lambdaAuthorizer,
+    });
 
     // Rent schedules endpoints
     const rentSchedulesIntegration = new apigatewayv2Integrations.HttpLambdaIntegration(
@@ -726,6 +948,18 @@ export class LeaseDatabaseStack extends cdk.Stack {
       integration: rentSchedulesIntegration,
       authorizer: lambdaAuthorizer,
     });
+    this.httpApi.addRoutes({
+      path: '/rent-schedules/generate',
+      methods: [apigatewayv2.HttpMethod.POST],
+      integration: rentSchedulesIntegration,
+      authorizer: lambdaAuthorizer,
+    });
+    this.httpApi.addRoutes({
+      path: '/rent-schedules/cpi-resets',
+      methods: [apigatewayv2.HttpMethod.GET, apigatewayv2.HttpMethod.POST],
+      integration: rentSchedulesIntegration,
+      authorizer: lambdaAuthorizer,
+    });
     this.httpApi.addRoutes({
       path: '/rent-schedules/{id}',
       methods: [apigatewayv2.HttpMethod.GET, apigatewayv2.HttpMethod.PUT, apigatewayv2.HttpMethod.DELETE],
@@ -750,6 +984,18 @@ export class LeaseDatabaseStack extends cdk.Stack {
       integration: opexIntegration,
       authorizer: lambdaAuthorizer,
     });
+    this.httpApi.addRoutes({
+      path: '/opex-pass-throughs/{id}/estimates',
+      methods: [apigatewayv2.HttpMethod.GET],
+      integration: opexIntegration,
+      authorizer: lambdaAuthorizer,
+    });
+    this.httpApi.addRoutes({
+      path: '/opex-pass-throughs/{id}/estimates/{year}',
+      methods: [apigatewayv2.HttpMethod.GET, apigatewayv2.HttpMethod.PUT],
+      integration: opexIntegration,
+      authorizer: lambdaAuthorizer,
+    });
 
     // Options endpoints
     const optionsIntegration = new apigatewayv2Integrations.HttpLambdaIntegration(
@@ -840,6 +1086,24 @@ export class LeaseDatabaseStack extends cdk.Stack {
       integration: reportsIntegration,
       authorizer: lambdaAuthorizer,
     });
+    this.httpApi.addRoutes({
+      path: '/reports/expiration-waterfall',
+      methods: [apigatewayv2.HttpMethod.GET],
+      integration: reportsIntegration,
+      authorizer: lambdaAuthorizer,
+    });
+    this.httpApi.addRoutes({
+      path: '/reports/occupancy',
+      methods: [apigatewayv2.HttpMethod.GET],
+      integration: reportsIntegration,
+      authorizer: lambdaAuthorizer,
+    });
+    this.httpApi.addRoutes({
+      path: '/reports/cash-forecast',
+      methods: [apigatewayv2.HttpMethod.GET],
+      integration: reportsIntegration,
+      authorizer: lambdaAuthorizer,
+    });
     this.httpApi.addRoutes({
       path: '/reports/rent-roll',
       methods: [apigatewayv2.HttpMethod.GET],
@@ -882,6 +1146,78 @@ export class LeaseDatabaseStack extends cdk.Stack {
       integration: reportsIntegration,
       authorizer: lambdaAuthorizer,
     });
+    this.httpApi.addRoutes({
+      path: '/reports/opex-reconciliation',
+      methods: [apigatewayv2.HttpMethod.GET],
+      integration: reportsIntegration,
+      authorizer: lambdaAuthorizer,
+    });
+    this.httpApi.addRoutes({
+      path: '/reports/straight-line',
+      methods: [apigatewayv2.HttpMethod.GET],
+      integration: reportsIntegration,
+      authorizer: lambdaAuthorizer,
+    });
+    this.httpApi.addRoutes({
+      path: '/reports/cpi-resets',
+      methods: [apigatewayv2.HttpMethod.GET],
+      integration: reportsIntegration,
+      authorizer: lambdaAuthorizer,
+    });
+
+    // Audit log endpoint
+    const auditIntegration = new apigatewayv2Integrations.HttpLambdaIntegration(
+      'AuditIntegration',
+      auditFunction
+    );
+    this.httpApi.addRoutes({
+      path: '/audit',
+      methods: [apigatewayv2.HttpMethod.GET],
+      integration: auditIntegration,
+      authorizer: lambdaAuthorizer,
+    });
+
+    // Search endpoint
+    const searchIntegration = new apigatewayv2Integrations.HttpLambdaIntegration(
+      'SearchIntegration',
+      searchFunction
+    );
+    this.httpApi.addRoutes({
+      path: '/search',
+      methods: [apigatewayv2.HttpMethod.GET],
+      integration: searchIntegration,
+      authorizer: lambdaAuthorizer,
+    });
+
+    // Entity schema endpoints
+    const schemasIntegration = new apigatewayv2Integrations.HttpLambdaIntegration(
+      'SchemasIntegration',
+      schemasFunction
+    );
+    this.httpApi.addRoutes({
+      path: '/schemas',
+      methods: [apigatewayv2.HttpMethod.GET],
+      integration: schemasIntegration,
+      authorizer: lambdaAuthorizer,
+    });
+    this.httpApi.addRoutes({
+      path: '/schemas/{entity}',
+      methods: [apigatewayv2.HttpMethod.GET],
+      integration: schemasIntegration,
+      authorizer: lambdaAuthorizer,
+    });
+
+    // OpenAPI document endpoint
+    const openApiIntegration = new apigatewayv2Integrations.HttpLambdaIntegration(
+      'OpenApiIntegration',
+      openApiFunction
+    );
+    this.httpApi.addRoutes({
+      path: '/openapi.json',
+      methods: [apigatewayv2.HttpMethod.GET],
+      integration: openApiIntegration,
+      authorizer: lambdaAuthorizer,
+    });
 
     // Batch operations endpoints
     const batchIntegration = new apigatewayv2Integrations.HttpLambdaIntegration(
@@ -906,6 +1242,78 @@ export class LeaseDatabaseStack extends cdk.Stack {
       integration: batchIntegration,
       authorizer: lambdaAuthorizer,
     });
+    this.httpApi.addRoutes({
+      path: '/batch/rent-schedules',
+      methods: [apigatewayv2.HttpMethod.POST],
+      integration: batchIntegration,
+      authorizer: lambdaAuthorizer,
+    });
+    this.httpApi.addRoutes({
+      path: '/batch/options',
+      methods: [apigatewayv2.HttpMethod.POST],
+      integration: batchIntegration,
+      authorizer: lambdaAuthorizer,
+    });
+    this.httpApi.addRoutes({
+      path: '/batch/concessions',
+      methods: [apigatewayv2.HttpMethod.POST],
+      integration: batchIntegration,
+      authorizer: lambdaAuthorizer,
+    });
+    this.httpApi.addRoutes({
+      path: '/batch/opex-pass-throughs',
+      methods: [apigatewayv2.HttpMethod.POST],
+      integration: batchIntegration,
+      authorizer: lambdaAuthorizer,
+    });
+    this.httpApi.addRoutes({
+      path: '/batch/critical-dates',
+      methods: [apigatewayv2.HttpMethod.POST],
+      integration: batchIntegration,
+      authorizer: lambdaAuthorizer,
+    });
+    this.httpApi.addRoutes({
+      path: '/batch/doc-links',
+      methods: [apigatewayv2.HttpMethod.POST],
+      integration: batchIntegration,
+      authorizer: lambdaAuthorizer,
+    });
+
+    // Asynchronous batch job endpoints
+    const batchJobsIntegration = new apigatewayv2Integrations.HttpLambdaIntegration(
+      'BatchJobsIntegration',
+      batchJobsFunction
+    );
+    this.httpApi.addRoutes({
+      path: '/batch/jobs',
+      methods: [apigatewayv2.HttpMethod.POST],
+      integration: batchJobsIntegration,
+      authorizer: lambdaAuthorizer,
+    });
+    this.httpApi.addRoutes({
+      path: '/batch/jobs/{id}',
+      methods: [apigatewayv2.HttpMethod.GET],
+      integration: batchJobsIntegration,
+      authorizer: lambdaAuthorizer,
+    });
+    this.httpApi.addRoutes({
+      path: '/batch/jobs/{id}/resume',
+      methods: [apigatewayv2.HttpMethod.POST],
+      integration: batchJobsIntegration,
+      authorizer: lambdaAuthorizer,
+    });
+
+    // CSV import endpoint
+    const importsIntegration = new apigatewayv2Integrations.HttpLambdaIntegration(
+      'ImportsIntegration',
+      importsFunction
+    );
+    this.httpApi.addRoutes({
+      path: '/imports',
+      methods: [apigatewayv2.HttpMethod.POST],
+      integration: importsIntegration,
+      authorizer: lambdaAuthorizer,
+    });
 
     // Natural language query endpoint
     const nlqIntegration = new apigatewayv2Integrations.HttpLambdaIntegration(
@@ -0,0 +1,175 @@
+/**
+ * Lease Abstract Document
+ * Validates and assembles the composite lease abstract used by
+ * POST /leases/abstract and GET /leases/{id}/abstract (leases.js).
+ *
+ * An abstract is one lease with its current version and all child records:
+ * { lease, version: { ...terms, rent_schedules, options, concessions, opex_pass_throughs },
+ *   critical_dates, doc_links }
+ * Pure functions only; leases.js runs the inserts inside one transaction.
+ */
+
+// Maximum records per child collection
+const MAX_SECTION_SIZE = 1000;
+
+const LEASE_FIELDS = ['property_id', 'landlord_id', 'tenant_id', 'master_lease_num', 'execution_date'];
+
+const VERSION_FIELDS = [
+  'effective_daterange',
+  'suite_id',
+  'premises_rsf',
+  'term_months',
+  'base_year',
+  'escalation_method',
+  'currency_code',
+  'discount_rate',
+  'cpi_series_id',
+  'cpi_base_month',
+  'cpi_floor_pct',
+  'cpi_cap_pct',
+  'cpi_lag_months',
+  'notes'
+];
+
+// Child collections: document key, whether they belong to the version or the
+// lease, and the batch child entity (batch.js CHILD_ENTITIES) that creates them
+const ABSTRACT_SECTIONS = [
+  { section: 'rent_schedules', level: 'version', entity: 'rent-schedules' },
+  { section: 'options', level: 'version', entity: 'options' },
+  { section: 'concessions', level: 'version', entity: 'concessions' },
+  { section: 'opex_pass_throughs', level: 'version', entity: 'opex-pass-throughs' },
+  { section: 'critical_dates', level: 'lease', entity: 'critical-dates' },
+  { section: 'doc_links', level: 'lease', entity: 'doc-links' }
+];
+
+function isObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+function pick(source, fields) {
+  const result = {};
+  fields.forEach(field => {
+    if (source[field] !== undefined) {
+      result[field] = source[field];
+    }
+  });
+  return result;
+}
+
+function sectionPath(section) {
+  return section.level === 'version' ? `version.${section.section}` : section.section;
+}
+
+/**
+ * Prefix validator errors with their position in the document
+ */
+function prefixErrors(errors, prefix) {
+  return errors.map(error => ({
+    ...error,
+    field: error.field ? `${prefix}.${error.field}` : prefix
+  }));
+}
+
+/**
+ * Validate an abstract and extract the records to create
+ * Generated IDs, names and timestamps (as returned by GET) are ignored, as are
+ * the parent IDs of child records, which are assigned on create.
+ * @param {Object} document - Request body
+ * @param {Object} validators - { lease, version, children: { [entity]: { validate, parentKey, columns } } }
+ * @returns {Object} { errors, abstract: { lease, version, children: { [section]: Array<Object> } } }
+ */
+function parseAbstract(document, validators) {
+  const errors = [];
+
+  if (!isObject(document)) {
+    return { errors: [{ field: 'body', message: 'Abstract must be a JSON object' }], abstract: null };
+  }
+
+  if (!isObject(document.lease)) {
+    errors.push({ field: 'lease', message: 'Lease is required' });
+  }
+  if (!isObject(document.version)) {
+    errors.push({ field: 'version', message: 'Version is required' });
+  }
+  if (errors.length > 0) {
+    return { errors, abstract: null };
+  }
+
+  const lease = pick(document.lease, LEASE_FIELDS);
+  const version = pick(document.version, VERSION_FIELDS);
+  errors.push(...prefixErrors(validators.lease(lease), 'lease'));
+  errors.push(...prefixErrors(validators.version(version), 'version'));
+
+  const children = {};
+  ABSTRACT_SECTIONS.forEach(section => {
+    const path = sectionPath(section);
+    const owner = section.level === 'version' ? document.version : document;
+    const records = owner[section.section];
+    children[section.section] = [];
+
+    if (records === undefined || records === null) {
+      return;
+    }
+    if (!Array.isArray(records)) {
+      errors.push({ field: path, message: `${path} must be an array` });
+      return;
+    }
+    if (records.length > MAX_SECTION_SIZE) {
+      errors.push({
+        field: path,
+        message: `${path} exceeds maximum of ${MAX_SECTION_SIZE} records`,
+        provided: records.length,
+        maximum: MAX_SECTION_SIZE
+      });
+      return;
+    }
+
+    const child = validators.children[section.entity];
+    records.forEach((record, index) => {
+      const recordPath = `${path}[${index}]`;
+      if (!isObject(record)) {
+        errors.push({ field: recordPath, message: 'Record must be an object' });
+        return;
+      }
+
+      const data = pick(record, child.columns.filter(column => column !== child.parentKey));
+      const recordErrors = child.validate(data, false).filter(error => error.field !== child.parentKey);
+      errors.push(...prefixErrors(recordErrors, recordPath));
+      children[section.section].push(data);
+    });
+  });
+
+  return { errors, abstract: errors.length > 0 ? null : { lease, version, children } };
+}
+
+/**
+ * Assemble the abstract returned by GET /leases/{id}/abstract
+ * @param {Object} lease - Lease row with property, landlord and tenant names
+ * @param {Object|null} version - Current lease_version row
+ * @param {Object} children - Child rows keyed by section name
+ * @returns {Object} Abstract document
+ */
+function buildAbstract(lease, version, children) {
+  const rows = section => children[section.section] || [];
+  const document = { lease };
+
+  document.version = version ? { ...version } : null;
+  ABSTRACT_SECTIONS.forEach(section => {
+    if (section.level === 'lease') {
+      document[section.section] = rows(section);
+    } else if (document.version) {
+      document.version[section.section] = rows(section);
+    }
+  });
+
+  return document;
+}
+
+module.exports = {
+  MAX_SECTION_SIZE,
+  LEASE_FIELDS,
+  VERSION_FIELDS,
+  ABSTRACT_SECTIONS,
+  parseAbstract,
+  buildAbstract
+};
@@ -0,0 +1,265 @@
+/**
+ * Audit Log API Lambda Function
+ * Read-only access to the audit trail written by the entity handlers
+ */
+
+const db = require('./db');
+
+const VALID_ACTIONS = db.audit.AUDIT_ACTIONS;
+const VALID_ENTITIES = Object.keys(db.audit.AUDITED_ENTITIES);
+const DATE_REGEX = /^\d{4}-\d{2}-\d{2}$/;
+const MAX_LIMIT = 500;
+
+/**
+ * Lambda handler for audit log endpoints
+ */
+exports.handler = async (event) => {
+  const correlationId = db.logger.generateCorrelationId();
+  const startTime = Date.now();
+  
+  db.logger.logRequest(event, correlationId);
+  
+  try {
+    // Authorize request based on role and HTTP method
+    const authResult = db.authorization.authorizeRequest(event);
+    
+    const { httpMethod, queryStringParameters } = event;
+    
+    if (httpMethod !== 'GET') {
+      return createResponse(405, {
+        error: {
+          code: 'METHOD_NOT_ALLOWED',
+          message: `Method ${httpMethod} not allowed`
+        }
+      }, correlationId);
+    }
+    
+    const result = await listAuditLog(queryStringParameters || {});
+    
+    const duration = Date.now() - startTime;
+    db.logger.logResponse(result.statusCode, correlationId, duration);
+    
+    return createResponse(result.statusCode, result.body, correlationId);
+    
+  } catch (error) {
+    db.logger.error('Audit API error', error);
+    
+    // Handle authorization errors specially
+    if (error.code === 'FORBIDDEN') {
+      const duration = Date.now() - startTime;
+      db.logger.logResponse(403, correlationId, duration);
+      return db.authorization.createForbiddenResponse(error.details?.reason || 'Access denied', correlationId);
+    }
+    
+    const errorResponse = db.createErrorResponse(error, correlationId);
+    
+    const duration = Date.now() - startTime;
+    db.logger.logResponse(errorResponse.statusCode, correlationId, duration);
+    
+    return createResponse(errorResponse.statusCode, errorResponse.body, correlationId);
+  }
+};
+
+/**
+ * List audit log entries with filtering and pagination
+ * Date filters apply to created_at; `to` is inclusive of the whole day.
+ */
+async function listAuditLog(params) {
+  const {
+    entity,
+    entity_id,
+    lease_id,
+    principal,
+    action,
+    from,
+    to
+  } = params;
+  
+  const page = db.pagination.parsePageParams(params, {
+    sortFields: ['created_at'],
+    defaultSort: 'created_at',
+    defaultOrder: 'DESC',
+    key: 'audit_id',
+    maxLimit: MAX_LIMIT
+  });
+  // limit and offset are also checked by validateAuditParams
+  const errors = validateAuditParams(params);
+  errors.push(...page.errors.filter(error => !errors.some(existing => existing.field === error.field)));
+  if (errors.length > 0) {
+    return {
+      statusCode: 400,
+      body: {
+        error: {
+          code: 'VALIDATION_ERROR',
+          message: 'Invalid audit log query parameters',
+          details: errors
+        }
+      }
+    };
+  }
+  
+  // Build WHERE clause
+  const conditions = [];
+  const values = [];
+  let paramCount = 1;
+  
+  if (entity) {
+    conditions.push(`a.entity = $${paramCount}`);
+    values.push(entity.toLowerCase());
+    paramCount++;
+  }
+  
+  if (entity_id) {
+    conditions.push(`a.entity_id = $${paramCount}`);
+    values.push(String(entity_id));
+    paramCount++;
+  }
+  
+  if (lease_id) {
+    conditions.push(`a.lease_id = $${paramCount}`);
+    values.push(parseInt(lease_id, 10));
+    paramCount++;
+  }
+  
+  if (principal) {
+    conditions.push(`a.principal = $${paramCount}`);
+    values.push(principal);
+    paramCount++;
+  }
+  
+  if (action) {
+    conditions.push(`a.action = $${paramCount}`);
+    values.push(action.toUpperCase());
+    paramCount++;
+  }
+  
+  if (from) {
+    conditions.push(`a.created_at >= $${paramCount}::date`);
+    values.push(from);
+    paramCount++;
+  }
+  
+  if (to) {
+    conditions.push(`a.created_at < $${paramCount}::date + 1`);
+    values.push(to);
+    paramCount++;
+  }
+  
+  // Get paginated results; created_at ties are ordered by audit_id
+  const entries = await db.pagination.fetchPage({
+    page,
+    select: `
+      a.audit_id,
+      a.principal,
+      a.role,
+      a.entity,
+      a.entity_id,
+      a.lease_id,
+      a.action,
+      a.before_data,
+      a.after_data,
+      a.correlation_id,
+      a.created_at`,
+    from: 'audit_log a',
+    alias: 'a',
+    conditions,
+    values
+  });
+  
+  return {
+    statusCode: 200,
+    body: entries
+  };
+}
+
+/**
+ * Validate audit log query parameters
+ */
+function validateAuditParams(params) {
+  const errors = [];
+  
+  if (params.entity && !VALID_ENTITIES.includes(params.entity.toLowerCase())) {
+    errors.push({
+      field: 'entity',
+      message: `Entity must be one of: ${VALID_ENTITIES.join(', ')}`
+    });
+  }
+  
+  if (params.action && !VALID_ACTIONS.includes(params.action.toUpperCase())) {
+    errors.push({
+      field: 'action',
+      message: `Action must be one of: ${VALID_ACTIONS.join(', ')}`
+    });
+  }
+  
+  if (params.lease_id !== undefined) {
+    const leaseId = parseInt(params.lease_id, 10);
+    if (isNaN(leaseId) || leaseId <= 0) {
+      errors.push({
+        field: 'lease_id',
+        message: 'Lease ID must be a positive integer'
+      });
+    }
+  }
+  
+  ['from', 'to'].forEach(field => {
+    if (params[field] !== undefined && (!DATE_REGEX.test(params[field]) || isNaN(Date.parse(params[field])))) {
+      errors.push({
+        field,
+        message: `${field} must be a valid date in YYYY-MM-DD format`
+      });
+    }
+  });
+  
+  if (params.from && params.to && DATE_REGEX.test(params.from) && DATE_REGEX.test(params.to) && params.from > params.to) {
+    errors.push({
+      field: 'to',
+      message: 'to must be on or after from'
+    });
+  }
+  
+  const limit = parseInt(params.limit || '50', 10);
+  if (isNaN(limit) || limit <= 0) {
+    errors.push({
+      field: 'limit',
+      message: `Limit must be a positive integer (maximum ${MAX_LIMIT})`
+    });
+  }
+  
+  const offset = parseInt(params.offset || '0', 10);
+  if (isNaN(offset) || offset < 0) {
+    errors.push({
+      field: 'offset',
+      message: 'Offset must be a non-negative integer'
+    });
+  }
+  
+  return errors;
+}
+
+/**
+ * Create API Gateway response
+ */
+function createResponse(statusCode, body, correlationId = null) {
+  const response = {
+    statusCode,
+    headers: {
+      'Content-Type': 'application/json',
+      'Access-Control-Allow-Origin': '*',
+      'Access-Control-Allow-Methods': 'GET, OPTIONS',
+      'Access-Control-Allow-Headers': 'Content-Type, Authorization'
+    },
+    body: JSON.stringify(body)
+  };
+  
+  if (correlationId) {
+    response.headers['X-Correlation-ID'] = correlationId;
+  }
+  
+  return response;
+}
+
+module.exports = {
+  handler: exports.handler,
+  validateAuditParams
+};
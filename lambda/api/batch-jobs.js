@@ -0,0 +1,651 @@
+/**
+ * Batch Jobs Lambda Functions
+ * Asynchronous batch jobs for loads larger than the synchronous batch limit.
+ *
+ * - handler: API for submitting jobs, polling their progress and resuming failed jobs
+ * - worker: processes jobs in chunks, each chunk in its own transaction. Invoked
+ *   asynchronously per job and on a schedule to pick up queued and stalled jobs.
+ */
+
+const db = require('./db');
+const { MAX_BATCH_SIZE, BATCH_TYPES } = require('./batch/entities');
+const {
+  ITEM_STATUSES,
+  validateJobRequest,
+  toItemError,
+  summarizeJob,
+  createJobDispatcher
+} = require('./batch/jobs');
+
+// A RUNNING job without a heartbeat for this long is assumed to be from a failed run
+// (longer than the worker timeout so live runs are never taken over)
+const STALE_JOB_MINUTES = 20;
+
+// Failed runs allowed before a job is marked FAILED
+const MAX_JOB_ATTEMPTS = 3;
+
+// Time left for the worker to hand a job over before its Lambda times out
+const HANDOVER_MARGIN_MS = 60000;
+
+// Jobs picked up by one scheduled sweep
+const MAX_JOBS_PER_SWEEP = 5;
+
+const MAX_RESULTS_LIMIT = 1000;
+
+// Job columns returned to clients (records are never returned)
+const JOB_COLUMNS = `
+  job_id,
+  batch_type,
+  status,
+  on_error,
+  chunk_size,
+  total_items,
+  next_index,
+  principal,
+  attempts,
+  last_error,
+  created_at,
+  started_at,
+  completed_at,
+  updated_at
+`;
+
+const dispatcher = createJobDispatcher({
+  functionName: process.env.BATCH_JOBS_WORKER_FUNCTION,
+  region: process.env.AWS_REGION
+});
+
+/**
+ * Lambda handler for batch job endpoints
+ */
+exports.handler = async (event) => {
+  const correlationId = db.logger.generateCorrelationId();
+  const startTime = Date.now();
+  
+  db.logger.logRequest(event, correlationId);
+  
+  try {
+    // Authorize request based on role and HTTP method
+    // Submitting and resuming jobs require write access
+    const authResult = db.authorization.authorizeRequest(event);
+    const audit = db.audit.createAuditContext(authResult, correlationId);
+    
+    const { httpMethod, pathParameters, queryStringParameters, body, path } = event;
+    const jobId = pathParameters?.id;
+    
+    let result;
+    
+    if (jobId !== undefined) {
+      const id = parseInt(jobId, 10);
+      if (isNaN(id) || id <= 0 || String(id) !== String(jobId)) {
+        return createResponse(400, {
+          error: {
+            code: 'VALIDATION_ERROR',
+            message: 'Job ID must be a positive integer',
+            details: [{ field: 'id', value: jobId }]
+          }
+        }, correlationId);
+      }
+      
+      if (path.endsWith('/resume') && httpMethod === 'POST') {
+        result = await resumeJob(id, correlationId);
+      } else if (!path.endsWith('/resume') && httpMethod === 'GET') {
+        result = await getJob(id, queryStringParameters || {});
+      } else {
+        return createResponse(405, {
+          error: {
+            code: 'METHOD_NOT_ALLOWED',
+            message: `Method ${httpMethod} not allowed`
+          }
+        }, correlationId);
+      }
+    } else if (path.includes('/batch/jobs')) {
+      if (httpMethod !== 'POST') {
+        return createResponse(405, {
+          error: {
+            code: 'METHOD_NOT_ALLOWED',
+            message: `Method ${httpMethod} not allowed`
+          }
+        }, correlationId);
+      }
+      result = await submitJob(JSON.parse(body || '{}'), audit);
+    } else {
+      return createResponse(404, {
+        error: {
+          code: 'NOT_FOUND',
+          message: 'Endpoint not found'
+        }
+      }, correlationId);
+    }
+    
+    const duration = Date.now() - startTime;
+    db.logger.logResponse(result.statusCode, correlationId, duration);
+    
+    return createResponse(result.statusCode, result.body, correlationId);
+    
+  } catch (error) {
+    db.logger.error('Batch Jobs API error', error);
+    
+    // Handle authorization errors specially
+    if (error.code === 'FORBIDDEN') {
+      const duration = Date.now() - startTime;
+      db.logger.logResponse(403, correlationId, duration);
+      return db.authorization.createForbiddenResponse(error.details?.reason || 'Access denied', correlationId);
+    }
+    
+    const errorResponse = db.createErrorResponse(error, correlationId);
+    
+    const duration = Date.now() - startTime;
+    db.logger.logResponse(errorResponse.statusCode, correlationId, duration);
+    
+    return createResponse(errorResponse.statusCode, errorResponse.body, correlationId);
+  }
+};
+
+/**
+ * Lambda handler for the job worker
+ * Event: { job_id } to run one job (async invocation), or a scheduled event to
+ * sweep queued jobs and jobs whose run stopped responding
+ */
+exports.worker = async (event = {}, context = {}) => {
+  const correlationId = db.logger.generateCorrelationId();
+  const startTime = Date.now();
+  const deadline = typeof context.getRemainingTimeInMillis === 'function'
+    ? startTime + context.getRemainingTimeInMillis() - HANDOVER_MARGIN_MS
+    : Infinity;
+  
+  try {
+    const jobIds = event.job_id ? [event.job_id] : await findRunnableJobs();
+    const runs = [];
+    
+    for (const jobId of jobIds) {
+      if (Date.now() >= deadline) {
+        break;
+      }
+      
+      const job = await claimJob(jobId);
+      if (!job) {
+        continue;
+      }
+      
+      runs.push(await runJob(job, deadline, correlationId));
+    }
+    
+    db.logger.info('Batch job worker completed', {
+      correlationId,
+      duration: Date.now() - startTime,
+      jobs: runs.length
+    });
+    
+    return { jobs: runs };
+    
+  } catch (error) {
+    db.logger.error('Batch job worker error', error);
+    throw error;
+  }
+};
+
+/**
+ * Submit a batch job
+ * The records are stored with the job and processed by the worker.
+ */
+async function submitJob(data, audit) {
+  const errors = validateJobRequest(data, MAX_BATCH_SIZE);
+  if (errors.length > 0) {
+    return {
+      statusCode: 400,
+      body: {
+        error: {
+          code: 'VALIDATION_ERROR',
+          message: 'Invalid batch job request',
+          details: errors
+        }
+      }
+    };
+  }
+  
+  const job = await db.queryOne(`
+    INSERT INTO batch_job (
+      batch_type,
+      on_error,
+      chunk_size,
+      total_items,
+      records,
+      principal,
+      role,
+      correlation_id
+    ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
+    RETURNING ${JOB_COLUMNS}
+  `, [
+    data.type,
+    data.on_error || 'continue',
+    data.chunk_size || MAX_BATCH_SIZE,
+    data.records.length,
+    JSON.stringify(data.records),
+    audit.principal,
+    audit.role,
+    audit.correlationId
+  ]);
+  
+  await startWorker(job.job_id, audit.correlationId);
+  
+  return {
+    statusCode: 202,
+    body: summarizeJob(job)
+  };
+}
+
+/**
+ * Get job progress with a page of per-record results
+ * Query: status (SUCCEEDED, FAILED), limit, offset
+ */
+async function getJob(jobId, params) {
+  const { status, limit = '100', offset = '0' } = params;
+  const errors = [];
+  
+  if (status && !ITEM_STATUSES.includes(status.toUpperCase())) {
+    errors.push({
+      field: 'status',
+      message: `Status must be one of: ${ITEM_STATUSES.join(', ')}`
+    });
+  }
+  
+  const limitValue = parseInt(limit, 10);
+  if (isNaN(limitValue) || limitValue <= 0) {
+    errors.push({
+      field: 'limit',
+      message: `Limit must be a positive integer (maximum ${MAX_RESULTS_LIMIT})`
+    });
+  }
+  
+  const offsetValue = parseInt(offset, 10);
+  if (isNaN(offsetValue) || offsetValue < 0) {
+    errors.push({
+      field: 'offset',
+      message: 'Offset must be a non-negative integer'
+    });
+  }
+  
+  if (errors.length > 0) {
+    return {
+      statusCode: 400,
+      body: {
+        error: {
+          code: 'VALIDATION_ERROR',
+          message: 'Invalid query parameters',
+          details: errors
+        }
+      }
+    };
+  }
+  
+  const job = await db.queryOne(`SELECT ${JOB_COLUMNS} FROM batch_job WHERE job_id = $1`, [jobId]);
+  if (!job) {
+    return jobNotFound(jobId);
+  }
+  
+  const counts = await countItems(jobId);
+  
+  const conditions = ['job_id = $1'];
+  const values = [jobId];
+  if (status) {
+    conditions.push('status = $2');
+    values.push(status.toUpperCase());
+  }
+  
+  const pageLimit = Math.min(limitValue, MAX_RESULTS_LIMIT);
+  const results = await db.queryRows(`
+    SELECT
+      item_index AS index,
+      status,
+      result AS data,
+      error
+    FROM batch_job_item
+    WHERE ${conditions.join(' AND ')}
+    ORDER BY item_index
+    LIMIT $${values.length + 1} OFFSET $${values.length + 2}
+  `, [...values, pageLimit, offsetValue]);
+  
+  const total = status
+    ? counts[status.toUpperCase()] || 0
+    : Object.values(counts).reduce((sum, count) => sum + count, 0);
+  
+  return {
+    statusCode: 200,
+    body: {
+      ...summarizeJob(job, counts),
+      results,
+      pagination: {
+        total,
+        limit: pageLimit,
+        offset: offsetValue,
+        count: results.length
+      }
+    }
+  };
+}
+
+/**
+ * Resume a FAILED job from its cursor
+ */
+async function resumeJob(jobId, correlationId) {
+  const job = await db.queryOne(`
+    UPDATE batch_job
+    SET status = 'QUEUED',
+        attempts = 0,
+        last_error = NULL,
+        completed_at = NULL,
+        updated_at = CURRENT_TIMESTAMP
+    WHERE job_id = $1 AND status = 'FAILED'
+    RETURNING ${JOB_COLUMNS}
+  `, [jobId]);
+  
+  if (!job) {
+    const existing = await db.queryOne('SELECT job_id, status FROM batch_job WHERE job_id = $1', [jobId]);
+    if (!existing) {
+      return jobNotFound(jobId);
+    }
+    return {
+      statusCode: 409,
+      body: {
+        error: {
+          code: 'CONFLICT',
+          message: `Only FAILED jobs can be resumed; job ${jobId} is ${existing.status}`,
+          details: [{ field: 'status', value: existing.status }]
+        }
+      }
+    };
+  }
+  
+  await startWorker(jobId, correlationId);
+  
+  return {
+    statusCode: 202,
+    body: summarizeJob(job, await countItems(jobId))
+  };
+}
+
+/**
+ * Start a worker run for a job
+ * A failed dispatch leaves the job QUEUED for the scheduled sweep.
+ */
+async function startWorker(jobId, correlationId) {
+  try {
+    await dispatcher.dispatch(jobId);
+  } catch (error) {
+    db.logger.warn('Batch job dispatch failed; job left for the scheduled sweep', {
+      correlationId,
+      job_id: jobId,
+      error: error.message
+    });
+  }
+}
+
+/**
+ * Find queued jobs and running jobs that stopped responding, oldest first
+ */
+async function findRunnableJobs() {
+  const rows = await db.queryRows(`
+    SELECT job_id
+    FROM batch_job
+    WHERE status = 'QUEUED'
+       OR (status = 'RUNNING'
+           AND heartbeat_at < CURRENT_TIMESTAMP - make_interval(mins => $1))
+    ORDER BY created_at, job_id
+    LIMIT $2
+  `, [STALE_JOB_MINUTES, MAX_JOBS_PER_SWEEP]);
+  
+  return rows.map(row => row.job_id);
+}
+
+/**
+ * Claim a job for this run
+ * Only QUEUED jobs and stale RUNNING jobs can be claimed, so concurrent workers
+ * never run the same job. Taking over a stale run counts as a failed attempt.
+ * @returns {Promise<Object|null>} Job row with records, or null if not claimable
+ */
+async function claimJob(jobId) {
+  return db.queryOne(`
+    UPDATE batch_job
+    SET attempts = attempts + CASE WHEN status = 'RUNNING' THEN 1 ELSE 0 END,
+        status = 'RUNNING',
+        started_at = COALESCE(started_at, CURRENT_TIMESTAMP),
+        heartbeat_at = CURRENT_TIMESTAMP,
+        updated_at = CURRENT_TIMESTAMP
+    WHERE job_id = $1
+      AND (status = 'QUEUED'
+           OR (status = 'RUNNING'
+               AND heartbeat_at < CURRENT_TIMESTAMP - make_interval(mins => $2)))
+    RETURNING *
+  `, [jobId, STALE_JOB_MINUTES]);
+}
+
+/**
+ * Process a claimed job from its cursor until it completes, stops on a failed
+ * record, or the run nears its deadline and hands the job to a new run
+ */
+async function runJob(job, deadline, correlationId) {
+  const processRecord = BATCH_TYPES[job.batch_type];
+  const audit = db.audit.createAuditContext(
+    { principal: job.principal, role: job.role },
+    job.correlation_id || correlationId
+  );
+  let index = job.next_index;
+  
+  if (job.attempts >= MAX_JOB_ATTEMPTS) {
+    await db.query(`
+      UPDATE batch_job
+      SET status = 'FAILED',
+          last_error = $2,
+          completed_at = CURRENT_TIMESTAMP,
+          updated_at = CURRENT_TIMESTAMP
+      WHERE job_id = $1
+    `, [job.job_id, `Job stopped responding after ${job.attempts} attempts; last error: ${job.last_error || 'none'}`]);
+    return { job_id: job.job_id, status: 'FAILED', next_index: index };
+  }
+  
+  try {
+    while (index < job.total_items) {
+      if (Date.now() >= deadline) {
+        await db.query(`
+          UPDATE batch_job
+          SET status = 'QUEUED', updated_at = CURRENT_TIMESTAMP
+          WHERE job_id = $1
+        `, [job.job_id]);
+        await startWorker(job.job_id, correlationId);
+        return { job_id: job.job_id, status: 'QUEUED', next_index: index };
+      }
+      
+      const chunk = job.records.slice(index, index + job.chunk_size);
+      const { failed, nextIndex } = await runChunk(job, index, chunk, processRecord, audit);
+      
+      if (failed && job.on_error === 'stop') {
+        return { job_id: job.job_id, status: 'FAILED', next_index: nextIndex };
+      }
+      
+      index = nextIndex;
+    }
+    
+    const completed = await db.queryOne(`
+      UPDATE batch_job j
+      SET status = CASE
+            WHEN EXISTS (
+              SELECT 1 FROM batch_job_item i
+              WHERE i.job_id = j.job_id AND i.status <> 'SUCCEEDED'
+            ) THEN 'COMPLETED_WITH_ERRORS'
+            ELSE 'SUCCEEDED'
+          END,
+          completed_at = CURRENT_TIMESTAMP,
+          heartbeat_at = CURRENT_TIMESTAMP,
+          updated_at = CURRENT_TIMESTAMP
+      WHERE j.job_id = $1
+      RETURNING status
+    `, [job.job_id]);
+    
+    return { job_id: job.job_id, status: completed.status, next_index: index };
+    
+  } catch (error) {
+    // Job-level failure (lost connection, timeout, ...): retry from the cursor on a later run
+    db.logger.error('Batch job run failed', error);
+    
+    const retry = await db.queryOne(`
+      UPDATE batch_job
+      SET attempts = attempts + 1,
+          status = CASE WHEN attempts + 1 >= $2 THEN 'FAILED' ELSE 'QUEUED' END,
+          last_error = $3,
+          completed_at = CASE WHEN attempts + 1 >= $2 THEN CURRENT_TIMESTAMP ELSE NULL END,
+          updated_at = CURRENT_TIMESTAMP
+      WHERE job_id = $1
+      RETURNING status
+    `, [job.job_id, MAX_JOB_ATTEMPTS, error.message]);
+    
+    return { job_id: job.job_id, status: retry.status, next_index: index, error: error.message };
+  }
+}
+
+/**
+ * Process one chunk in a transaction that also records its results and advances
+ * the job cursor
+ * Each record runs in its own savepoint, so a failed record is rolled back alone
+ * and reported as FAILED while the rest of the chunk is committed. With on_error
+ * stop the job becomes FAILED with its cursor at the failed record, and the
+ * records after it are left for a resume.
+ * @returns {Promise<Object>} { failed, nextIndex }
+ */
+async function runChunk(job, start, chunk, processRecord, audit) {
+  return db.withTransaction(async (client) => {
+    const items = [];
+    
+    for (let i = 0; i < chunk.length; i++) {
+      await client.query('SAVEPOINT batch_job_record');
+      
+      try {
+        const result = await processRecord(client, chunk[i], audit);
+        await client.query('RELEASE SAVEPOINT batch_job_record');
+        items.push({ index: start + i, status: 'SUCCEEDED', result, error: null });
+      } catch (error) {
+        // Job-level failures roll back the whole chunk and are retried from the cursor
+        const itemError = toItemError(error, db.mapDatabaseError);
+        if (!itemError) {
+          throw error;
+        }
+        
+        await client.query('ROLLBACK TO SAVEPOINT batch_job_record');
+        items.push({ index: start + i, status: 'FAILED', result: null, error: itemError });
+        
+        if (job.on_error === 'stop') {
+          await saveItems(client, job.job_id, items);
+          await client.query(`
+            UPDATE batch_job
+            SET status = 'FAILED',
+                next_index = $2,
+                last_error = $3,
+                completed_at = CURRENT_TIMESTAMP,
+                heartbeat_at = CURRENT_TIMESTAMP,
+                updated_at = CURRENT_TIMESTAMP
+            WHERE job_id = $1
+          `, [job.job_id, start + i, `Record ${start + i} failed: ${itemError.message}`]);
+          return { failed: true, nextIndex: start + i };
+        }
+      }
+    }
+    
+    await saveItems(client, job.job_id, items);
+    await advanceJob(client, job.job_id, start + chunk.length);
+    return { failed: items.some(item => item.status === 'FAILED'), nextIndex: start + chunk.length };
+  });
+}
+
+/**
+ * Record per-record results; a retried chunk overwrites its earlier results
+ */
+async function saveItems(client, jobId, items) {
+  await client.query(`
+    INSERT INTO batch_job_item (job_id, item_index, status, result, error)
+    SELECT $1, item.item_index, item.status, item.result, item.error
+    FROM unnest($2::integer[], $3::varchar[], $4::jsonb[], $5::jsonb[])
+      AS item(item_index, status, result, error)
+    ON CONFLICT (job_id, item_index) DO UPDATE
+      SET status = EXCLUDED.status,
+          result = EXCLUDED.result,
+          error = EXCLUDED.error,
+          updated_at = CURRENT_TIMESTAMP
+  `, [
+    jobId,
+    items.map(item => item.index),
+    items.map(item => item.status),
+    items.map(item => (item.result === null ? null : JSON.stringify(item.result))),
+    items.map(item => (item.error === null ? null : JSON.stringify(item.error)))
+  ]);
+}
+
+/**
+ * Move the job cursor past a processed chunk
+ */
+async function advanceJob(client, jobId, nextIndex) {
+  await client.query(`
+    UPDATE batch_job
+    SET next_index = $2,
+        heartbeat_at = CURRENT_TIMESTAMP,
+        updated_at = CURRENT_TIMESTAMP
+    WHERE job_id = $1
+  `, [jobId, nextIndex]);
+}
+
+/**
+ * Count a job's recorded results by status
+ */
+async function countItems(jobId) {
+  const rows = await db.queryRows(`
+    SELECT status, COUNT(*)::integer AS count
+    FROM batch_job_item
+    WHERE job_id = $1
+    GROUP BY status
+  `, [jobId]);
+  
+  const counts = {};
+  rows.forEach(row => {
+    counts[row.status] = row.count;
+  });
+  return counts;
+}
+
+function jobNotFound(jobId) {
+  return {
+    statusCode: 404,
+    body: {
+      error: {
+        code: 'NOT_FOUND',
+        message: 'Batch job not found',
+        details: [{ field: 'id', value: jobId }]
+      }
+    }
+  };
+}
+
+/**
+ * Create HTTP response
+ */
+function createResponse(statusCode, body, correlationId = null) {
+  const response = {
+    statusCode,
+    headers: {
+      'Content-Type': 'application/json',
+      'Access-Control-Allow-Origin': '*',
+      'Access-Control-Allow-Methods': 'GET, POST, OPTIONS',
+      'Access-Control-Allow-Headers': 'Content-Type, Authorization'
+    },
+    body: JSON.stringify(body)
+  };
+  
+  if (correlationId) {
+    response.headers['X-Correlation-ID'] = correlationId;
+  }
+  
+  return response;
+}
+
+module.exports = {
+  handler: exports.handler,
+  worker: exports.worker
+};
@@ -0,0 +1,907 @@
+/**
+ * Batch Entity Helpers
+ * Per-record processors, lease child entity definitions, transactional
+ * create/update helpers and validators shared by the batch endpoints
+ * (batch.js), batch jobs (batch-jobs.js), CSV imports (imports.js) and lease
+ * abstracts (leases.js)
+ */
+
+const db = require('../db');
+const { validateEntity } = require('../schemas/registry');
+
+// Maximum records per synchronous batch request, and per batch job chunk
+const MAX_BATCH_SIZE = 100;
+
+/**
+ * Validate and create or update one property record within a transaction
+ * Invalid records throw { code, message, details }.
+ */
+async function processPropertyRecord(client, record, audit) {
+  const errors = validatePropertyData(record);
+  if (errors.length > 0) {
+    throw {
+      code: 'VALIDATION_ERROR',
+      message: 'Invalid property data',
+      details: errors
+    };
+  }
+  
+  // Determine if create or update
+  if (record.property_id) {
+    return updatePropertyInTransaction(client, record.property_id, record, audit);
+  }
+  return createPropertyInTransaction(client, record, audit);
+}
+
+/**
+ * Validate and create or update one party record within a transaction
+ * Invalid records throw { code, message, details }.
+ */
+async function processPartyRecord(client, record, audit) {
+  const errors = validatePartyData(record);
+  if (errors.length > 0) {
+    throw {
+      code: 'VALIDATION_ERROR',
+      message: 'Invalid party data',
+      details: errors
+    };
+  }
+  
+  // Determine if create or update
+  if (record.party_id) {
+    return updatePartyInTransaction(client, record.party_id, record, audit);
+  }
+  return createPartyInTransaction(client, record, audit);
+}
+
+/**
+ * Validate and create or update one lease record (with its initial version)
+ * within a transaction
+ * Invalid records and missing references throw { code, message, details }.
+ */
+async function processLeaseRecord(client, record, audit) {
+  const leaseErrors = validateLeaseData(record);
+  if (leaseErrors.length > 0) {
+    throw {
+      code: 'VALIDATION_ERROR',
+      message: 'Invalid lease data',
+      details: leaseErrors
+    };
+  }
+  
+  // Validate initial version data if provided
+  if (record.initial_version) {
+    const versionErrors = validateLeaseVersionData(record.initial_version);
+    if (versionErrors.length > 0) {
+      throw {
+        code: 'VALIDATION_ERROR',
+        message: 'Invalid lease version data',
+        details: versionErrors
+      };
+    }
+  }
+  
+  // Validate foreign key references
+  const refErrors = await validateLeaseReferencesInTransaction(client, record);
+  if (refErrors.length > 0) {
+    throw {
+      code: 'INVALID_REFERENCE',
+      message: 'Referenced resources do not exist',
+      details: refErrors
+    };
+  }
+  
+  // Determine if create or update
+  if (record.lease_id) {
+    return updateLeaseInTransaction(client, record.lease_id, record, audit);
+  }
+  return createLeaseWithVersionInTransaction(client, record, audit);
+}
+
+/**
+ * Build the validator for a lease child entity
+ * Updates are validated as partial records.
+ */
+function childValidator(entity) {
+  return (data, isUpdate = false) => validateEntity(entity, data, { partial: isUpdate });
+}
+
+// Lease child entities: table, parent, insert columns (with defaults), updatable
+// fields, enum fields stored upper case and the entity schema validator
+const CHILD_ENTITIES = {
+  'rent-schedules': {
+    entity: 'rent_schedule',
+    key: 'rent_id',
+    label: 'rent schedule',
+    parent: { table: 'lease_version', key: 'lease_version_id', label: 'Lease version' },
+    columns: ['lease_version_id', 'period_daterange', 'amount', 'basis'],
+    updateFields: ['period_daterange', 'amount', 'basis'],
+    upperCase: ['basis'],
+    validate: childValidator('rent_schedule')
+  },
+  'options': {
+    entity: 'option',
+    key: 'option_id',
+    label: 'option',
+    parent: { table: 'lease_version', key: 'lease_version_id', label: 'Lease version' },
+    columns: ['lease_version_id', 'option_type', 'window_daterange', 'terms', 'exercised', 'exercised_date'],
+    defaults: { exercised: false },
+    updateFields: ['option_type', 'window_daterange', 'terms', 'exercised', 'exercised_date'],
+    upperCase: ['option_type'],
+    validate: childValidator('option')
+  },
+  'concessions': {
+    entity: 'concession',
+    key: 'concession_id',
+    label: 'concession',
+    parent: { table: 'lease_version', key: 'lease_version_id', label: 'Lease version' },
+    columns: ['lease_version_id', 'kind', 'value_amount', 'value_basis', 'applies_daterange', 'notes'],
+    updateFields: ['kind', 'value_amount', 'value_basis', 'applies_daterange', 'notes'],
+    upperCase: ['kind', 'value_basis'],
+    validate: childValidator('concession')
+  },
+  'opex-pass-throughs': {
+    entity: 'opex_pass_through',
+    key: 'opex_id',
+    label: 'OpEx pass-through',
+    parent: { table: 'lease_version', key: 'lease_version_id', label: 'Lease version' },
+    columns: ['lease_version_id', 'method', 'stop_amount', 'gross_up_pct', 'notes'],
+    updateFields: ['method', 'stop_amount', 'gross_up_pct', 'notes'],
+    upperCase: ['method'],
+    validate: childValidator('opex_pass_through')
+  },
+  'critical-dates': {
+    entity: 'critical_date',
+    key: 'crit_id',
+    label: 'critical date',
+    parent: { table: 'lease', key: 'lease_id', label: 'Lease' },
+    columns: ['lease_id', 'kind', 'date_value', 'notes'],
+    updateFields: ['kind', 'date_value', 'notes'],
+    upperCase: ['kind'],
+    validate: childValidator('critical_date')
+  },
+  'doc-links': {
+    entity: 'doc_link',
+    key: 'doc_id',
+    label: 'document link',
+    parent: { table: 'lease', key: 'lease_id', label: 'Lease' },
+    columns: ['lease_id', 'label', 'external_ref'],
+    updateFields: ['label', 'external_ref'],
+    upperCase: [],
+    validate: childValidator('doc_link')
+  }
+};
+
+/**
+ * Build the per-record processor for a lease child entity
+ * Records with the entity's ID are updated, others are created under their
+ * lease version or lease. Invalid records throw { code, message, details }.
+ */
+function childRecordProcessor(config) {
+  return async (client, record, audit) => {
+    const id = record[config.key];
+    
+    const errors = config.validate(record, Boolean(id));
+    if (errors.length > 0) {
+      throw {
+        code: 'VALIDATION_ERROR',
+        message: `Invalid ${config.label} data`,
+        details: errors
+      };
+    }
+    
+    if (id) {
+      return updateChildInTransaction(client, config, id, record, audit);
+    }
+    
+    const parent = await client.query(
+      `SELECT ${config.parent.key} FROM ${config.parent.table} WHERE ${config.parent.key} = $1`,
+      [record[config.parent.key]]
+    );
+    if (parent.rows.length === 0) {
+      throw {
+        code: 'INVALID_REFERENCE',
+        message: `${config.parent.label} not found`,
+        details: [{ field: config.parent.key, value: record[config.parent.key] }]
+      };
+    }
+    
+    return createChildInTransaction(client, config, record, audit);
+  };
+}
+
+// Per-record processors by batch type (the /batch/{type} route), shared by the
+// synchronous endpoints and batch jobs
+const BATCH_TYPES = {
+  properties: processPropertyRecord,
+  parties: processPartyRecord,
+  leases: processLeaseRecord
+};
+
+Object.keys(CHILD_ENTITIES).forEach(type => {
+  BATCH_TYPES[type] = childRecordProcessor(CHILD_ENTITIES[type]);
+});
+
+/**
+ * Create property within transaction
+ */
+async function createPropertyInTransaction(client, data, audit) {
+  const query = `
+    INSERT INTO property (
+      name,
+      address,
+      state,
+      postal_code,
+      country,
+      total_rsf,
+      active
+    ) VALUES ($1, $2, $3, $4, $5, $6, $7)
+    RETURNING 
+      property_id,
+      name,
+      address,
+      state,
+      postal_code,
+      country,
+      total_rsf,
+      active,
+      created_at,
+      updated_at
+  `;
+  
+  const values = [
+    data.name,
+    data.address || null,
+    data.state || null,
+    data.postal_code || null,
+    data.country || 'USA',
+    data.total_rsf || null,
+    data.active !== undefined ? data.active : true
+  ];
+  
+  const result = await client.query(query, values);
+  await db.audit.recordAudit(client, audit, { entity: 'property', entityId: result.rows[0].property_id, action: 'CREATE' });
+  return result.rows[0];
+}
+
+/**
+ * Update property within transaction
+ */
+async function updatePropertyInTransaction(client, propertyId, data, audit) {
+  // Check if property exists
+  const existingProperty = await client.query(
+    'SELECT property_id FROM property WHERE property_id = $1',
+    [propertyId]
+  );
+  
+  if (existingProperty.rows.length === 0) {
+    throw {
+      code: 'NOT_FOUND',
+      message: 'Property not found',
+      details: [{ field: 'property_id', value: propertyId }]
+    };
+  }
+  
+  // Build UPDATE query dynamically
+  const updates = [];
+  const values = [];
+  let paramCount = 1;
+  
+  const allowedFields = ['name', 'address', 'state', 'postal_code', 'country', 'total_rsf', 'active'];
+  
+  allowedFields.forEach(field => {
+    if (data[field] !== undefined) {
+      updates.push(`${field} = $${paramCount}`);
+      values.push(data[field]);
+      paramCount++;
+    }
+  });
+  
+  if (updates.length === 0) {
+    throw {
+      code: 'VALIDATION_ERROR',
+      message: 'No valid fields to update',
+      details: []
+    };
+  }
+  
+  // Add updated_at
+  updates.push(`updated_at = CURRENT_TIMESTAMP`);
+  
+  // Add property_id for WHERE clause
+  values.push(propertyId);
+  
+  const query = `
+    UPDATE property
+    SET ${updates.join(', ')}
+    WHERE property_id = $${paramCount}
+    RETURNING 
+      property_id,
+      name,
+      address,
+      state,
+      postal_code,
+      country,
+      total_rsf,
+      active,
+      created_at,
+      updated_at
+  `;
+  
+  const before = await db.audit.snapshot(client, 'property', propertyId);
+  const result = await client.query(query, values);
+  await db.audit.recordAudit(client, audit, { entity: 'property', entityId: propertyId, action: 'UPDATE', before });
+  return result.rows[0];
+}
+
+/**
+ * Create party within transaction
+ */
+async function createPartyInTransaction(client, data, audit) {
+  const query = `
+    INSERT INTO party (
+      legal_name,
+      party_type,
+      active
+    ) VALUES ($1, $2, $3)
+    RETURNING 
+      party_id,
+      legal_name,
+      party_type,
+      active,
+      created_at,
+      updated_at
+  `;
+  
+  const values = [
+    data.legal_name,
+    data.party_type.toUpperCase(),
+    data.active !== undefined ? data.active : true
+  ];
+  
+  const result = await client.query(query, values);
+  await db.audit.recordAudit(client, audit, { entity: 'party', entityId: result.rows[0].party_id, action: 'CREATE' });
+  return result.rows[0];
+}
+
+/**
+ * Update party within transaction
+ */
+async function updatePartyInTransaction(client, partyId, data, audit) {
+  // Check if party exists
+  const existingParty = await client.query(
+    'SELECT party_id FROM party WHERE party_id = $1',
+    [partyId]
+  );
+  
+  if (existingParty.rows.length === 0) {
+    throw {
+      code: 'NOT_FOUND',
+      message: 'Party not found',
+      details: [{ field: 'party_id', value: partyId }]
+    };
+  }
+  
+  // Build UPDATE query dynamically
+  const updates = [];
+  const values = [];
+  let paramCount = 1;
+  
+  if (data.legal_name !== undefined) {
+    updates.push(`legal_name = $${paramCount}`);
+    values.push(data.legal_name);
+    paramCount++;
+  }
+  
+  if (data.party_type !== undefined) {
+    updates.push(`party_type = $${paramCount}`);
+    values.push(data.party_type.toUpperCase());
+    paramCount++;
+  }
+  
+  if (data.active !== undefined) {
+    updates.push(`active = $${paramCount}`);
+    values.push(data.active);
+    paramCount++;
+  }
+  
+  if (updates.length === 0) {
+    throw {
+      code: 'VALIDATION_ERROR',
+      message: 'No valid fields to update',
+      details: []
+    };
+  }
+  
+  // Add updated_at
+  updates.push(`updated_at = CURRENT_TIMESTAMP`);
+  
+  // Add party_id for WHERE clause
+  values.push(partyId);
+  
+  const query = `
+    UPDATE party
+    SET ${updates.join(', ')}
+    WHERE party_id = $${paramCount}
+    RETURNING 
+      party_id,
+      legal_name,
+      party_type,
+      active,
+      created_at,
+      updated_at
+  `;
+  
+  const before = await db.audit.snapshot(client, 'party', partyId);
+  const result = await client.query(query, values);
+  await db.audit.recordAudit(client, audit, { entity: 'party', entityId: partyId, action: 'UPDATE', before });
+  return result.rows[0];
+}
+
+/**
+ * Create lease with initial version within transaction
+ */
+async function createLeaseWithVersionInTransaction(client, data, audit) {
+  // Create lease
+  const leaseQuery = `
+    INSERT INTO lease (
+      property_id,
+      landlord_id,
+      tenant_id,
+      master_lease_num,
+      execution_date
+    ) VALUES ($1, $2, $3, $4, $5)
+    RETURNING 
+      lease_id,
+      property_id,
+      landlord_id,
+      tenant_id,
+      master_lease_num,
+      execution_date,
+      created_at,
+      updated_at
+  `;
+  
+  const leaseValues = [
+    data.property_id,
+    data.landlord_id,
+    data.tenant_id,
+    data.master_lease_num,
+    data.execution_date || null
+  ];
+  
+  const leaseResult = await client.query(leaseQuery, leaseValues);
+  const lease = leaseResult.rows[0];
+  await db.audit.recordAudit(client, audit, { entity: 'lease', entityId: lease.lease_id, action: 'CREATE' });
+  
+  // Create initial version if provided
+  let version = null;
+  if (data.initial_version) {
+    const versionData = data.initial_version;
+    
+    const versionQuery = `
+      INSERT INTO lease_version (
+        lease_id,
+        version_num,
+        effective_daterange,
+        suite_id,
+        premises_rsf,
+        term_months,
+        base_year,
+        escalation_method,
+        currency_code,
+        discount_rate,
+        cpi_series_id,
+        cpi_base_month,
+        cpi_floor_pct,
+        cpi_cap_pct,
+        cpi_lag_months,
+        is_current,
+        notes
+      ) VALUES ($1, 0, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, TRUE, $15)
+      RETURNING 
+        lease_version_id,
+        lease_id,
+        version_num,
+        effective_daterange,
+        suite_id,
+        premises_rsf,
+        term_months,
+        base_year,
+        escalation_method,
+        currency_code,
+        discount_rate,
+        cpi_series_id,
+        cpi_base_month,
+        cpi_floor_pct,
+        cpi_cap_pct,
+        cpi_lag_months,
+        is_current,
+        notes,
+        created_at,
+        updated_at
+    `;
+    
+    const versionValues = [
+      lease.lease_id,
+      versionData.effective_daterange,
+      versionData.suite_id || null,
+      versionData.premises_rsf || null,
+      versionData.term_months || null,
+      versionData.base_year || null,
+      versionData.escalation_method || null,
+      versionData.currency_code || 'USD',
+      versionData.discount_rate !== undefined ? versionData.discount_rate : null,
+      versionData.cpi_series_id || null,
+      versionData.cpi_base_month || null,
+      versionData.cpi_floor_pct !== undefined ? versionData.cpi_floor_pct : null,
+      versionData.cpi_cap_pct !== undefined ? versionData.cpi_cap_pct : null,
+      versionData.cpi_lag_months !== undefined ? versionData.cpi_lag_months : null,
+      versionData.notes || null
+    ];
+    
+    const versionResult = await client.query(versionQuery, versionValues);
+    version = versionResult.rows[0];
+    await db.audit.recordAudit(client, audit, {
+      entity: 'lease_version',
+      entityId: version.lease_version_id,
+      action: 'CREATE'
+    });
+  }
+  
+  return {
+    lease,
+    initial_version: version
+  };
+}
+
+/**
+ * Update lease within transaction
+ */
+async function updateLeaseInTransaction(client, leaseId, data, audit) {
+  // Check if lease exists
+  const existingLease = await client.query(
+    'SELECT lease_id FROM lease WHERE lease_id = $1',
+    [leaseId]
+  );
+  
+  if (existingLease.rows.length === 0) {
+    throw {
+      code: 'NOT_FOUND',
+      message: 'Lease not found',
+      details: [{ field: 'lease_id', value: leaseId }]
+    };
+  }
+  
+  // Build UPDATE query dynamically
+  const updates = [];
+  const values = [];
+  let paramCount = 1;
+  
+  const allowedFields = ['property_id', 'landlord_id', 'tenant_id', 'master_lease_num', 'execution_date'];
+  
+  allowedFields.forEach(field => {
+    if (data[field] !== undefined) {
+      updates.push(`${field} = $${paramCount}`);
+      values.push(data[field]);
+      paramCount++;
+    }
+  });
+  
+  if (updates.length === 0) {
+    throw {
+      code: 'VALIDATION_ERROR',
+      message: 'No valid fields to update',
+      details: []
+    };
+  }
+  
+  // Add updated_at
+  updates.push(`updated_at = CURRENT_TIMESTAMP`);
+  
+  // Add lease_id for WHERE clause
+  values.push(leaseId);
+  
+  const query = `
+    UPDATE lease
+    SET ${updates.join(', ')}
+    WHERE lease_id = $${paramCount}
+    RETURNING 
+      lease_id,
+      property_id,
+      landlord_id,
+      tenant_id,
+      master_lease_num,
+      execution_date,
+      created_at,
+      updated_at
+  `;
+  
+  const before = await db.audit.snapshot(client, 'lease', leaseId);
+  const result = await client.query(query, values);
+  await db.audit.recordAudit(client, audit, { entity: 'lease', entityId: leaseId, action: 'UPDATE', before });
+  return { lease: result.rows[0] };
+}
+
+/**
+ * Create suite within transaction
+ */
+async function createSuiteInTransaction(client, data, audit) {
+  const query = `
+    INSERT INTO suite (
+      property_id,
+      suite_code,
+      rsf
+    ) VALUES ($1, $2, $3)
+    RETURNING 
+      suite_id,
+      property_id,
+      suite_code,
+      rsf,
+      created_at,
+      updated_at
+  `;
+  
+  const values = [
+    data.property_id,
+    data.suite_code,
+    data.rsf || null
+  ];
+  
+  const result = await client.query(query, values);
+  await db.audit.recordAudit(client, audit, { entity: 'suite', entityId: result.rows[0].suite_id, action: 'CREATE' });
+  return result.rows[0];
+}
+
+/**
+ * Create rent schedule within transaction
+ * Overlapping periods fail on the rent_schedule exclusion constraint.
+ */
+async function createRentScheduleInTransaction(client, data, audit) {
+  return createChildInTransaction(client, CHILD_ENTITIES['rent-schedules'], data, audit);
+}
+
+/**
+ * Value of a child entity column as stored (enum fields upper case)
+ */
+function childColumnValue(config, field, value) {
+  if (value === undefined || value === null) {
+    return null;
+  }
+  return config.upperCase.includes(field) ? String(value).toUpperCase() : value;
+}
+
+/**
+ * Create lease child entity within transaction
+ */
+async function createChildInTransaction(client, config, data, audit) {
+  const { columns } = config;
+  const defaults = config.defaults || {};
+  
+  const query = `
+    INSERT INTO ${config.entity} (
+      ${columns.join(',\n      ')}
+    ) VALUES (${columns.map((column, i) => `$${i + 1}`).join(', ')})
+    RETURNING 
+      ${config.key},
+      ${columns.join(',\n      ')},
+      created_at,
+      updated_at
+  `;
+  
+  const values = columns.map(column => childColumnValue(
+    config,
+    column,
+    data[column] !== undefined ? data[column] : defaults[column]
+  ));
+  
+  const result = await client.query(query, values);
+  await db.audit.recordAudit(client, audit, { entity: config.entity, entityId: result.rows[0][config.key], action: 'CREATE' });
+  return result.rows[0];
+}
+
+/**
+ * Update lease child entity within transaction
+ */
+async function updateChildInTransaction(client, config, id, data, audit) {
+  // Check if the record exists
+  const existing = await client.query(
+    `SELECT ${config.key} FROM ${config.entity} WHERE ${config.key} = $1`,
+    [id]
+  );
+  
+  if (existing.rows.length === 0) {
+    const label = config.label.charAt(0).toUpperCase() + config.label.slice(1);
+    throw {
+      code: 'NOT_FOUND',
+      message: `${label} not found`,
+      details: [{ field: config.key, value: id }]
+    };
+  }
+  
+  // Build UPDATE query dynamically
+  const updates = [];
+  const values = [];
+  let paramCount = 1;
+  
+  config.updateFields.forEach(field => {
+    if (data[field] !== undefined) {
+      updates.push(`${field} = $${paramCount}`);
+      values.push(childColumnValue(config, field, data[field]));
+      paramCount++;
+    }
+  });
+  
+  if (updates.length === 0) {
+    throw {
+      code: 'VALIDATION_ERROR',
+      message: 'No valid fields to update',
+      details: []
+    };
+  }
+  
+  // Add updated_at
+  updates.push(`updated_at = CURRENT_TIMESTAMP`);
+  
+  // Add the ID for WHERE clause
+  values.push(id);
+  
+  const query = `
+    UPDATE ${config.entity}
+    SET ${updates.join(', ')}
+    WHERE ${config.key} = $${paramCount}
+    RETURNING 
+      ${config.key},
+      ${config.columns.join(',\n      ')},
+      created_at,
+      updated_at
+  `;
+  
+  const before = await db.audit.snapshot(client, config.entity, id);
+  const result = await client.query(query, values);
+  await db.audit.recordAudit(client, audit, { entity: config.entity, entityId: id, action: 'UPDATE', before });
+  return result.rows[0];
+}
+
+/**
+ * Validate property data
+ */
+function validatePropertyData(data) {
+  return validateEntity('property', data, { partial: Boolean(data.property_id) });
+}
+
+/**
+ * Validate party data
+ */
+function validatePartyData(data) {
+  return validateEntity('party', data, { partial: Boolean(data.party_id) });
+}
+
+/**
+ * Validate suite data
+ * Field checks only; property_id may be supplied by the caller, and property
+ * existence and suite code uniqueness are enforced by the caller or the
+ * database within the transaction.
+ */
+function validateSuiteData(data) {
+  return validateEntity('suite', data)
+    .filter(error => !(error.field === 'property_id' && error.rule === 'required'));
+}
+
+/**
+ * Validate lease data
+ */
+function validateLeaseData(data) {
+  return validateEntity('lease', data, { partial: Boolean(data.lease_id) });
+}
+
+/**
+ * Validate lease version data
+ */
+function validateLeaseVersionData(data) {
+  return validateEntity('lease_version', data);
+}
+
+/**
+ * Validate that referenced entities exist within transaction
+ */
+async function validateLeaseReferencesInTransaction(client, data) {
+  const errors = [];
+  
+  // Validate property exists
+  if (data.property_id) {
+    const property = await client.query(
+      'SELECT property_id FROM property WHERE property_id = $1',
+      [data.property_id]
+    );
+    if (property.rows.length === 0) {
+      errors.push({
+        field: 'property_id',
+        message: 'Property not found',
+        value: data.property_id
+      });
+    }
+  }
+  
+  // Validate landlord exists and is of type LANDLORD
+  if (data.landlord_id) {
+    const landlord = await client.query(
+      'SELECT party_id, party_type FROM party WHERE party_id = $1',
+      [data.landlord_id]
+    );
+    if (landlord.rows.length === 0) {
+      errors.push({
+        field: 'landlord_id',
+        message: 'Landlord not found',
+        value: data.landlord_id
+      });
+    } else if (landlord.rows[0].party_type !== 'LANDLORD' && landlord.rows[0].party_type !== 'SUBLANDLORD') {
+      errors.push({
+        field: 'landlord_id',
+        message: 'Party must be of type LANDLORD or SUBLANDLORD',
+        value: data.landlord_id,
+        actual_type: landlord.rows[0].party_type
+      });
+    }
+  }
+  
+  // Validate tenant exists and is of type TENANT
+  if (data.tenant_id) {
+    const tenant = await client.query(
+      'SELECT party_id, party_type FROM party WHERE party_id = $1',
+      [data.tenant_id]
+    );
+    if (tenant.rows.length === 0) {
+      errors.push({
+        field: 'tenant_id',
+        message: 'Tenant not found',
+        value: data.tenant_id
+      });
+    } else if (tenant.rows[0].party_type !== 'TENANT') {
+      errors.push({
+        field: 'tenant_id',
+        message: 'Party must be of type TENANT',
+        value: data.tenant_id,
+        actual_type: tenant.rows[0].party_type
+      });
+    }
+  }
+  
+  // Validate suite_id if provided in initial_version
+  if (data.initial_version && data.initial_version.suite_id) {
+    const suite = await client.query(
+      'SELECT suite_id FROM suite WHERE suite_id = $1',
+      [data.initial_version.suite_id]
+    );
+    if (suite.rows.length === 0) {
+      errors.push({
+        field: 'initial_version.suite_id',
+        message: 'Suite not found',
+        value: data.initial_version.suite_id
+      });
+    }
+  }
+  
+  return errors;
+}
+
+module.exports = {
+  MAX_BATCH_SIZE,
+  // Per-record processors by batch type
+  BATCH_TYPES,
+  CHILD_ENTITIES,
+  // Transactional helpers
+  createPropertyInTransaction,
+  createPartyInTransaction,
+  createSuiteInTransaction,
+  createLeaseWithVersionInTransaction,
+  createRentScheduleInTransaction,
+  createChildInTransaction,
+  // Validators
+  validatePropertyData,
+  validatePartyData,
+  validateSuiteData,
+  validateLeaseData,
+  validateLeaseVersionData,
+  validateLeaseReferencesInTransaction
+};
@@ -0,0 +1,167 @@
+/**
+ * Batch Job Helpers
+ * Request validation, item error classification, status reporting and worker
+ * dispatch for asynchronous batch jobs (batch-jobs.js)
+ *
+ * The AWS SDK Lambda client is loaded lazily so the helpers work without it installed.
+ */
+
+// Maximum records per job
+const MAX_JOB_SIZE = 10000;
+
+const JOB_TYPES = ['properties', 'parties', 'leases'];
+const ON_ERROR_MODES = ['continue', 'stop'];
+const JOB_STATUSES = ['QUEUED', 'RUNNING', 'SUCCEEDED', 'COMPLETED_WITH_ERRORS', 'FAILED'];
+const ITEM_STATUSES = ['SUCCEEDED', 'FAILED'];
+
+/**
+ * Validate a job submission
+ * @param {Object} data - Request body { type, records, chunk_size, on_error }
+ * @param {number} maxChunkSize - Largest allowed chunk (the synchronous batch limit)
+ * @returns {Array<Object>} Validation errors
+ */
+function validateJobRequest(data, maxChunkSize) {
+  const errors = [];
+
+  if (!JOB_TYPES.includes(data.type)) {
+    errors.push({
+      field: 'type',
+      message: `Type must be one of: ${JOB_TYPES.join(', ')}`
+    });
+  }
+
+  if (!Array.isArray(data.records)) {
+    errors.push({ field: 'records', message: 'Request body must contain a "records" array' });
+  } else if (data.records.length === 0) {
+    errors.push({ field: 'records', message: 'Records array cannot be empty' });
+  } else if (data.records.length > MAX_JOB_SIZE) {
+    errors.push({
+      field: 'records',
+      message: `Job size exceeds maximum of ${MAX_JOB_SIZE} records`,
+      provided: data.records.length,
+      maximum: MAX_JOB_SIZE
+    });
+  } else if (data.records.some(record => record === null || typeof record !== 'object' || Array.isArray(record))) {
+    errors.push({ field: 'records', message: 'Every record must be an object' });
+  }
+
+  if (data.chunk_size !== undefined &&
+      (!Number.isInteger(data.chunk_size) || data.chunk_size < 1 || data.chunk_size > maxChunkSize)) {
+    errors.push({
+      field: 'chunk_size',
+      message: `Chunk size must be an integer between 1 and ${maxChunkSize}`
+    });
+  }
+
+  if (data.on_error !== undefined && !ON_ERROR_MODES.includes(data.on_error)) {
+    errors.push({
+      field: 'on_error',
+      message: `on_error must be one of: ${ON_ERROR_MODES.join(', ')}`
+    });
+  }
+
+  return errors;
+}
+
+/**
+ * Classify an error thrown while processing one record
+ * Record errors ({ code, message, details } thrown by the batch processors, and
+ * PostgreSQL data (22xxx) and constraint (23xxx) errors) fail the record. Anything
+ * else is a job-level failure and returns null so the run can be retried.
+ * @param {Object} error - Thrown error
+ * @param {Function} mapDatabaseError - db.mapDatabaseError
+ * @returns {Object|null} { code, message, details } or null
+ */
+function toItemError(error, mapDatabaseError) {
+  const code = error && error.code ? String(error.code) : '';
+
+  if (code.startsWith('23')) {
+    const mapped = mapDatabaseError(error);
+    return { code: mapped.code, message: mapped.message, details: mapped.details || [] };
+  }
+
+  if (code.startsWith('22')) {
+    return { code: 'VALIDATION_ERROR', message: error.message, details: [] };
+  }
+
+  if (code && !(error instanceof Error)) {
+    return { code, message: error.message, details: error.details || [] };
+  }
+
+  return null;
+}
+
+/**
+ * Build the job status body
+ * @param {Object} job - batch_job row (without records)
+ * @param {Object} counts - Item counts by status
+ * @returns {Object} Job summary with progress
+ */
+function summarizeJob(job, counts = {}) {
+  const total = job.total_items;
+  const processed = job.next_index;
+
+  return {
+    job_id: job.job_id,
+    type: job.batch_type,
+    status: job.status,
+    on_error: job.on_error,
+    chunk_size: job.chunk_size,
+    total,
+    processed,
+    succeeded: counts.SUCCEEDED || 0,
+    failed: counts.FAILED || 0,
+    progress_pct: total > 0 ? Math.round(processed / total * 10000) / 100 : 0,
+    attempts: job.attempts,
+    last_error: job.last_error,
+    submitted_by: job.principal,
+    created_at: job.created_at,
+    started_at: job.started_at,
+    completed_at: job.completed_at,
+    updated_at: job.updated_at
+  };
+}
+
+/**
+ * Create the dispatcher that starts a worker run for a job
+ * Invokes the worker function asynchronously. Without a function name (local
+ * development) dispatch is skipped and the scheduled sweep picks the job up.
+ * @param {Object} config - { functionName, region }
+ * @returns {Object} Dispatcher with dispatch(jobId) -> Promise<boolean>
+ */
+function createJobDispatcher(config = {}) {
+  let client = null;
+  let InvokeCommand = null;
+
+  return {
+    async dispatch(jobId) {
+      if (!config.functionName) {
+        return false;
+      }
+
+      if (!client) {
+        const lambda = require('@aws-sdk/client-lambda');
+        InvokeCommand = lambda.InvokeCommand;
+        client = new lambda.LambdaClient({ region: config.region || 'us-east-1' });
+      }
+      await client.send(new InvokeCommand({
+        FunctionName: config.functionName,
+        InvocationType: 'Event',
+        Payload: Buffer.from(JSON.stringify({ job_id: jobId }))
+      }));
+      return true;
+    }
+  };
+}
+
+module.exports = {
+  MAX_JOB_SIZE,
+  JOB_TYPES,
+  ON_ERROR_MODES,
+  JOB_STATUSES,
+  ITEM_STATUSES,
+  validateJobRequest,
+  toItemError,
+  summarizeJob,
+  createJobDispatcher
+};
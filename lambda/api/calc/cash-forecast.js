@@ -0,0 +1,188 @@
+/**
+ * Cash Rent Forecast Calculator
+ * Projects monthly rent cash outflows by calendar month from rent_schedule periods,
+ * net of free rent, and sums them by property, tenant, lease or month
+ */
+
+const { parseDate, parseDaterange, formatDate, addMonths, roundCurrency } = require('./dates');
+const { monthlyRate, mergeRanges, rentForInterval } = require('./straight-line');
+
+const GROUP_BY_OPTIONS = ['property', 'tenant', 'lease', 'month'];
+
+// Fields identifying each group
+const GROUP_FIELDS = {
+  property: ['property_id', 'property_name'],
+  tenant: ['tenant_id', 'tenant_name'],
+  lease: ['lease_id', 'master_lease_num', 'property_name', 'tenant_name']
+};
+
+/**
+ * Calendar months from the month of `from` through the month of `to`
+ * @returns {Array<Object>} { label: 'YYYY-MM', start, end }
+ */
+function forecastMonths(from, to) {
+  const start = parseDate(from);
+  const end = parseDate(to);
+  if (!start || !end) {
+    throw new Error('from and to must be valid YYYY-MM-DD dates');
+  }
+
+  const months = [];
+  let month = new Date(Date.UTC(start.getUTCFullYear(), start.getUTCMonth(), 1));
+  while (month <= end) {
+    const next = addMonths(month, 1);
+    months.push({ label: formatDate(month).slice(0, 7), start: month, end: next });
+    month = next;
+  }
+  return months;
+}
+
+/**
+ * Monthly cash rent for one lease version over the forecast months
+ *
+ * Rent periods are converted to a monthly rate (YEAR / 12) and prorated by days
+ * within each calendar month. FREE_RENT concessions with a date range abate the
+ * rent in that range; those without one are netted in the month the version starts.
+ *
+ * @param {Object} version - lease_version row (effective_daterange, premises_rsf)
+ * @param {Array<Object>} rentSchedules - rent_schedule rows (period_daterange, amount, basis)
+ * @param {Array<Object>} concessions - concession rows (kind, value_amount, value_basis, applies_daterange)
+ * @param {Array<Object>} months - Result of forecastMonths
+ * @returns {Array<Object>} { month, contractual, free_rent, cash } per month
+ */
+function forecastVersion(version, rentSchedules, concessions, months) {
+  const rents = rentSchedules
+    .map(rent => ({ ...parseDaterange(rent.period_daterange), monthly: monthlyRate(rent) }))
+    .filter(rent => rent.start);
+
+  const freeRent = concessions.filter(c => c.kind === 'FREE_RENT');
+  const freeRentRanges = mergeRanges(
+    freeRent
+      .filter(c => c.applies_daterange)
+      .map(c => parseDaterange(c.applies_daterange))
+      .filter(Boolean)
+  );
+
+  const lumpSumFreeRent = freeRent
+    .filter(c => !c.applies_daterange && c.value_amount !== null && c.value_amount !== undefined)
+    .reduce((sum, c) => {
+      const amount = parseFloat(c.value_amount);
+      if (c.value_basis === 'PER_SF') {
+        return sum + amount * (parseInt(version.premises_rsf, 10) || 0);
+      }
+      return sum + amount;
+    }, 0);
+
+  const effective = parseDaterange(version.effective_daterange);
+  const versionStart = effective ? effective.start : null;
+
+  return months.map(month => {
+    const contractual = rentForInterval(rents, month);
+
+    let abated = 0;
+    for (const range of freeRentRanges) {
+      const windowStart = range.start > month.start ? range.start : month.start;
+      const windowEnd = range.end < month.end ? range.end : month.end;
+      if (windowStart < windowEnd) {
+        abated += rentForInterval(rents, month, { start: windowStart, end: windowEnd });
+      }
+    }
+
+    if (versionStart && versionStart >= month.start && versionStart < month.end) {
+      abated += lumpSumFreeRent;
+    }
+
+    return {
+      month: month.label,
+      contractual: roundCurrency(contractual),
+      free_rent: roundCurrency(abated),
+      cash: roundCurrency(contractual - abated)
+    };
+  });
+}
+
+function emptyAmounts() {
+  return { contractual: 0, free_rent: 0, cash: 0 };
+}
+
+function addAmounts(target, row) {
+  target.contractual = roundCurrency(target.contractual + row.contractual);
+  target.free_rent = roundCurrency(target.free_rent + row.free_rent);
+  target.cash = roundCurrency(target.cash + row.cash);
+}
+
+/**
+ * Build the cash rent forecast
+ * @param {Array<Object>} versions - Current lease_version rows with lease_id, master_lease_num,
+ *   property_id, property_name, tenant_id, tenant_name, effective_daterange, premises_rsf
+ * @param {Array<Object>} rentRows - rent_schedule rows with lease_version_id
+ * @param {Array<Object>} concessionRows - FREE_RENT concession rows with lease_version_id
+ * @param {Object} options - { from, to, groupBy }
+ * @returns {Object} { months, data, totals } where totals hold monthly and overall sums
+ */
+function buildCashForecast(versions, rentRows, concessionRows, { from, to, groupBy = 'property' }) {
+  if (!GROUP_BY_OPTIONS.includes(groupBy)) {
+    throw new Error(`Invalid group_by: ${groupBy}`);
+  }
+
+  const months = forecastMonths(from, to);
+  const totals = {
+    months: months.map(month => ({ month: month.label, ...emptyAmounts() })),
+    total: emptyAmounts()
+  };
+  const groups = new Map();
+
+  for (const version of versions) {
+    const rows = forecastVersion(
+      version,
+      rentRows.filter(r => r.lease_version_id === version.lease_version_id),
+      concessionRows.filter(c => c.lease_version_id === version.lease_version_id),
+      months
+    );
+
+    let group = null;
+    if (groupBy !== 'month') {
+      const fields = GROUP_FIELDS[groupBy];
+      const key = version[fields[0]];
+      if (!groups.has(key)) {
+        const identity = {};
+        fields.forEach(field => {
+          identity[field] = version[field] === undefined ? null : version[field];
+        });
+        groups.set(key, {
+          ...identity,
+          months: months.map(month => ({ month: month.label, ...emptyAmounts() })),
+          total: emptyAmounts()
+        });
+      }
+      group = groups.get(key);
+    }
+
+    rows.forEach((row, index) => {
+      addAmounts(totals.months[index], row);
+      addAmounts(totals.total, row);
+      if (group) {
+        addAmounts(group.months[index], row);
+        addAmounts(group.total, row);
+      }
+    });
+  }
+
+  const sortField = groupBy === 'month' ? null : GROUP_FIELDS[groupBy][1];
+  const data = groupBy === 'month'
+    ? totals.months
+    : [...groups.values()].sort((a, b) => String(a[sortField]).localeCompare(String(b[sortField])));
+
+  return {
+    months: months.map(month => month.label),
+    data,
+    totals
+  };
+}
+
+module.exports = {
+  GROUP_BY_OPTIONS,
+  forecastMonths,
+  forecastVersion,
+  buildCashForecast
+};
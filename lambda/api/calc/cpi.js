@@ -0,0 +1,240 @@
+/**
+ * CPI Rent Reset Calculator
+ * Applies a lease version's CPI rule (series, base month, floor, cap, lag) to
+ * produce the adjusted rent for each lease anniversary
+ */
+
+const { resolveTerm } = require('./straight-line');
+const {
+  parseDate,
+  parseDaterange,
+  formatDate,
+  formatDaterange,
+  addMonths,
+  roundCurrency
+} = require('./dates');
+
+const RESET_INTERVAL_MONTHS = 12;
+
+/**
+ * First day of the month containing a date
+ * @param {Date} date - UTC date
+ * @returns {Date} UTC date on day 1
+ */
+function monthStart(date) {
+  return new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), 1));
+}
+
+/**
+ * Build a month -> value lookup from cpi_index rows for one series
+ * @param {Array<Object>} indexRows - cpi_index rows (series_id, period, value)
+ * @param {string} seriesId - Series to select
+ * @returns {Map<string, number>} Values keyed by YYYY-MM-01
+ */
+function buildIndexLookup(indexRows, seriesId) {
+  const lookup = new Map();
+  for (const row of indexRows) {
+    if (row.series_id !== seriesId) {
+      continue;
+    }
+    const period = parseDate(row.period);
+    if (period) {
+      lookup.set(formatDate(monthStart(period)), parseFloat(row.value));
+    }
+  }
+  return lookup;
+}
+
+/**
+ * Anniversary reset dates within a lease term
+ * @param {Date} startDate - Lease start
+ * @param {Date} endDate - Lease end (exclusive)
+ * @returns {Array<Date>} Reset dates in order
+ */
+function resetDates(startDate, endDate) {
+  const dates = [];
+  for (let k = 1; ; k++) {
+    const date = addMonths(startDate, k * RESET_INTERVAL_MONTHS);
+    if (date >= endDate) {
+      break;
+    }
+    dates.push(date);
+  }
+  return dates;
+}
+
+/**
+ * Clamp a percentage change to the rule's floor and cap
+ * @param {number} change - Raw CPI change in percent
+ * @param {number|null} floor - Minimum change in percent
+ * @param {number|null} cap - Maximum change in percent
+ * @returns {number} Applied change in percent
+ */
+function applyFloorAndCap(change, floor, cap) {
+  let applied = change;
+  if (floor !== null && applied < floor) {
+    applied = floor;
+  }
+  if (cap !== null && applied > cap) {
+    applied = cap;
+  }
+  return applied;
+}
+
+function toNullableNumber(value) {
+  if (value === undefined || value === null || value === '') {
+    return null;
+  }
+  const number = parseFloat(value);
+  return isNaN(number) ? null : number;
+}
+
+/**
+ * Calculate CPI rent resets for a lease version
+ *
+ * Each anniversary compares the index for (reset date - lag) with the index used at
+ * the previous reset (the base month for the first reset), so increases compound
+ * year over year. The floor and cap bound each year's change. Once an index value
+ * is missing every later reset is reported as PENDING_INDEX.
+ *
+ * @param {Object} version - lease_version row with cpi_series_id, cpi_base_month,
+ *   cpi_floor_pct, cpi_cap_pct, cpi_lag_months, effective_daterange, term_months
+ * @param {Array<Object>} rentSchedules - rent_schedule rows (rent_id, period_daterange, amount, basis)
+ * @param {Array<Object>} indexRows - cpi_index rows (series_id, period, value)
+ * @param {Object} options - Calculation options
+ * @param {string} options.asOf - Optional YYYY-MM-DD date used to pick the next reset
+ * @returns {Object} Rule summary, per-anniversary resets and proposed rent periods
+ */
+function calculateCpiResets(version, rentSchedules = [], indexRows = [], options = {}) {
+  if (!version.cpi_series_id) {
+    throw new Error('Lease version has no CPI series configured');
+  }
+
+  const { startDate, endDate } = resolveTerm(version);
+  const lagMonths = version.cpi_lag_months ? parseInt(version.cpi_lag_months, 10) : 0;
+  const floor = toNullableNumber(version.cpi_floor_pct);
+  const cap = toNullableNumber(version.cpi_cap_pct);
+
+  const baseMonth = version.cpi_base_month
+    ? monthStart(parseDate(version.cpi_base_month))
+    : monthStart(addMonths(startDate, -lagMonths));
+
+  const rents = rentSchedules
+    .map(rent => ({ ...rent, range: parseDaterange(rent.period_daterange) }))
+    .filter(rent => rent.range && rent.range.start);
+
+  const baseRent = rents.find(rent =>
+    rent.range.start <= startDate && (!rent.range.end || rent.range.end > startDate)
+  );
+  if (!baseRent) {
+    throw new Error('No rent schedule period in effect at lease start');
+  }
+
+  const basis = baseRent.basis;
+  const baseAmount = roundCurrency(parseFloat(baseRent.amount));
+  const lookup = buildIndexLookup(indexRows, version.cpi_series_id);
+  const dates = resetDates(startDate, endDate);
+
+  let priorMonth = baseMonth;
+  let priorAmount = baseAmount;
+  let pending = false;
+
+  const resets = dates.map((resetDate, index) => {
+    const periodEnd = index + 1 < dates.length ? dates[index + 1] : endDate;
+    const indexMonth = monthStart(addMonths(resetDate, -lagMonths));
+    const indexValue = lookup.has(formatDate(indexMonth)) ? lookup.get(formatDate(indexMonth)) : null;
+    const priorValue = lookup.has(formatDate(priorMonth)) ? lookup.get(formatDate(priorMonth)) : null;
+    const periodDaterange = formatDaterange(resetDate, periodEnd);
+
+    const existing = rents.find(rent => rent.period_daterange === periodDaterange) || null;
+
+    const reset = {
+      reset_number: index + 1,
+      reset_date: formatDate(resetDate),
+      period_daterange: periodDaterange,
+      index_month: formatDate(indexMonth),
+      index_value: indexValue,
+      prior_index_month: formatDate(priorMonth),
+      prior_index_value: priorValue,
+      cpi_change_pct: null,
+      applied_change_pct: null,
+      prior_amount: pending ? null : priorAmount,
+      adjusted_amount: null,
+      basis,
+      status: 'PENDING_INDEX',
+      existing_rent_id: existing ? existing.rent_id : null,
+      existing_amount: existing ? parseFloat(existing.amount) : null
+    };
+
+    if (pending || indexValue === null || priorValue === null) {
+      pending = true;
+      return reset;
+    }
+
+    const change = (indexValue / priorValue - 1) * 100;
+    const applied = applyFloorAndCap(change, floor, cap);
+    const adjusted = roundCurrency(priorAmount * (1 + applied / 100));
+
+    reset.cpi_change_pct = Math.round(change * 10000) / 10000;
+    reset.applied_change_pct = Math.round(applied * 10000) / 10000;
+    reset.adjusted_amount = adjusted;
+    reset.status = existing && existing.basis === basis && reset.existing_amount === adjusted
+      ? 'APPLIED'
+      : 'CALCULATED';
+
+    priorMonth = indexMonth;
+    priorAmount = adjusted;
+    return reset;
+  });
+
+  // Proposed periods cover the base year plus every reset that could be calculated
+  const firstPeriodEnd = dates.length > 0 ? dates[0] : endDate;
+  const proposedPeriods = [{
+    period_daterange: formatDaterange(startDate, firstPeriodEnd),
+    amount: baseAmount,
+    basis
+  }].concat(
+    resets
+      .filter(reset => reset.adjusted_amount !== null)
+      .map(reset => ({
+        period_daterange: reset.period_daterange,
+        amount: reset.adjusted_amount,
+        basis
+      }))
+  );
+
+  const result = {
+    lease_version_id: version.lease_version_id,
+    cpi_series_id: version.cpi_series_id,
+    base_index_month: formatDate(baseMonth),
+    base_index_value: lookup.has(formatDate(baseMonth)) ? lookup.get(formatDate(baseMonth)) : null,
+    floor_pct: floor,
+    cap_pct: cap,
+    lag_months: lagMonths,
+    start_date: formatDate(startDate),
+    end_date: formatDate(endDate),
+    base_amount: baseAmount,
+    basis,
+    resets,
+    proposed_periods: proposedPeriods
+  };
+
+  if (options.asOf) {
+    const asOf = parseDate(options.asOf);
+    if (!asOf) {
+      throw new Error('asOf must be a valid YYYY-MM-DD date');
+    }
+    result.as_of = formatDate(asOf);
+    result.next_reset = resets.find(reset => parseDate(reset.reset_date) >= asOf) || null;
+  }
+
+  return result;
+}
+
+module.exports = {
+  RESET_INTERVAL_MONTHS,
+  buildIndexLookup,
+  resetDates,
+  applyFloorAndCap,
+  calculateCpiResets
+};
@@ -0,0 +1,214 @@
+/**
+ * Date Utilities for Lease Calculations
+ * Parses PostgreSQL daterange literals and performs calendar-month arithmetic in UTC
+ */
+
+const DATE_REGEX = /^\d{4}-\d{2}-\d{2}$/;
+const DATERANGE_REGEX = /^([\[\(])(\d{4}-\d{2}-\d{2})?,(\d{4}-\d{2}-\d{2})?([\]\)])$/;
+const MS_PER_DAY = 24 * 60 * 60 * 1000;
+
+/**
+ * Parse a YYYY-MM-DD string (or Date) into a UTC midnight Date
+ * @param {string|Date} value - Date string or Date object
+ * @returns {Date|null} UTC date or null if invalid
+ */
+function parseDate(value) {
+  if (value instanceof Date) {
+    if (isNaN(value.getTime())) {
+      return null;
+    }
+    // pg returns DATE columns as local-midnight Date objects
+    return new Date(Date.UTC(value.getFullYear(), value.getMonth(), value.getDate()));
+  }
+
+  if (typeof value !== 'string' || !DATE_REGEX.test(value)) {
+    return null;
+  }
+
+  const [year, month, day] = value.split('-').map(Number);
+  const date = new Date(Date.UTC(year, month - 1, day));
+
+  // Reject dates that rolled over (e.g., 2024-02-30)
+  if (date.getUTCMonth() !== month - 1 || date.getUTCDate() !== day) {
+    return null;
+  }
+
+  return date;
+}
+
+/**
+ * Format a UTC Date as YYYY-MM-DD
+ * @param {Date} date - UTC date
+ * @returns {string} Formatted date
+ */
+function formatDate(date) {
+  return date.toISOString().slice(0, 10);
+}
+
+/**
+ * Parse a PostgreSQL daterange literal into a half-open [start, end) interval
+ * Inclusive upper bounds and exclusive lower bounds are normalized
+ * @param {string} value - Daterange literal (e.g., "[2024-01-01,2025-01-01)")
+ * @returns {Object|null} { start, end } as UTC Dates (null for unbounded sides), or null if invalid
+ */
+function parseDaterange(value) {
+  if (typeof value !== 'string') {
+    return null;
+  }
+
+  if (value === 'empty') {
+    return null;
+  }
+
+  const match = value.replace(/\s|"/g, '').match(DATERANGE_REGEX);
+  if (!match) {
+    return null;
+  }
+
+  const [, lowerBound, lowerValue, upperValue, upperBound] = match;
+  let start = lowerValue ? parseDate(lowerValue) : null;
+  let end = upperValue ? parseDate(upperValue) : null;
+
+  if ((lowerValue && !start) || (upperValue && !end)) {
+    return null;
+  }
+
+  if (start && lowerBound === '(') {
+    start = addDays(start, 1);
+  }
+
+  if (end && upperBound === ']') {
+    end = addDays(end, 1);
+  }
+
+  return { start, end };
+}
+
+/**
+ * Format a half-open interval as a PostgreSQL daterange literal
+ * @param {Date} start - Inclusive start date
+ * @param {Date} end - Exclusive end date
+ * @returns {string} Daterange literal
+ */
+function formatDaterange(start, end) {
+  return `[${start ? formatDate(start) : ''},${end ? formatDate(end) : ''})`;
+}
+
+/**
+ * Add days to a date
+ * @param {Date} date - UTC date
+ * @param {number} days - Number of days (may be negative)
+ * @returns {Date} New UTC date
+ */
+function addDays(date, days) {
+  return new Date(date.getTime() + days * MS_PER_DAY);
+}
+
+/**
+ * Add calendar months to a date, clamping to the end of shorter months
+ * @param {Date} date - UTC date
+ * @param {number} months - Number of months (may be negative)
+ * @returns {Date} New UTC date
+ */
+function addMonths(date, months) {
+  const year = date.getUTCFullYear();
+  const month = date.getUTCMonth() + months;
+  const lastDay = new Date(Date.UTC(year, month + 1, 0)).getUTCDate();
+  return new Date(Date.UTC(year, month, Math.min(date.getUTCDate(), lastDay)));
+}
+
+/**
+ * Whole days between two dates (end - start)
+ * @param {Date} start - UTC date
+ * @param {Date} end - UTC date
+ * @returns {number} Number of days
+ */
+function daysBetween(start, end) {
+  return Math.round((end.getTime() - start.getTime()) / MS_PER_DAY);
+}
+
+/**
+ * Whole calendar months between two dates, rounded to the nearest month
+ * @param {Date} start - UTC date
+ * @param {Date} end - UTC date
+ * @returns {number} Number of months
+ */
+function monthsBetween(start, end) {
+  let months = (end.getUTCFullYear() - start.getUTCFullYear()) * 12 +
+    (end.getUTCMonth() - start.getUTCMonth());
+
+  // Round partial trailing months to the nearest whole month
+  const anchor = addMonths(start, months);
+  const remainder = daysBetween(anchor, end);
+  if (remainder !== 0) {
+    const next = addMonths(start, months + Math.sign(remainder));
+    const span = Math.abs(daysBetween(anchor, next));
+    if (Math.abs(remainder) * 2 >= span) {
+      months += Math.sign(remainder);
+    }
+  }
+
+  return months;
+}
+
+/**
+ * Number of days two half-open intervals share
+ * Null bounds are treated as unbounded
+ * @param {Date} startA - Start of first interval
+ * @param {Date} endA - End of first interval (exclusive)
+ * @param {Date} startB - Start of second interval
+ * @param {Date} endB - End of second interval (exclusive)
+ * @returns {number} Overlapping days (0 if disjoint)
+ */
+function overlapDays(startA, endA, startB, endB) {
+  const starts = [startA, startB].filter(Boolean).map(d => d.getTime());
+  const ends = [endA, endB].filter(Boolean).map(d => d.getTime());
+
+  if (starts.length === 0 || ends.length === 0) {
+    return 0;
+  }
+
+  const overlap = (Math.min(...ends) - Math.max(...starts)) / MS_PER_DAY;
+  return overlap > 0 ? Math.round(overlap) : 0;
+}
+
+/**
+ * Split a half-open interval into consecutive monthly periods anchored on the start day
+ * @param {Date} start - Inclusive start date
+ * @param {number} months - Number of monthly periods
+ * @returns {Array<Object>} Array of { start, end } periods
+ */
+function monthlyPeriods(start, months) {
+  const periods = [];
+  for (let i = 0; i < months; i++) {
+    periods.push({
+      start: addMonths(start, i),
+      end: addMonths(start, i + 1)
+    });
+  }
+  return periods;
+}
+
+/**
+ * Round a number to cents
+ * @param {number} value - Amount
+ * @returns {number} Rounded amount
+ */
+function roundCurrency(value) {
+  return Math.round((value + Number.EPSILON) * 100) / 100;
+}
+
+module.exports = {
+  DATE_REGEX,
+  parseDate,
+  formatDate,
+  parseDaterange,
+  formatDaterange,
+  addDays,
+  addMonths,
+  daysBetween,
+  monthsBetween,
+  overlapDays,
+  monthlyPeriods,
+  roundCurrency
+};
@@ -0,0 +1,104 @@
+/**
+ * Rent Escalation Generator
+ * Materializes consecutive, non-overlapping rent_schedule periods from a starting
+ * rent and a fixed annual step (percentage or $/RSF)
+ */
+
+const { parseDate, formatDate, formatDaterange, addMonths, roundCurrency } = require('./dates');
+
+const STEP_TYPES = ['PERCENT', 'PER_RSF'];
+const VALID_BASIS_VALUES = ['MONTH', 'YEAR'];
+
+/**
+ * Generate escalated rent periods
+ * @param {Object} params - Generation parameters
+ * @param {string|Date} params.startDate - First period start (inclusive)
+ * @param {string|Date} params.endDate - Schedule end (exclusive)
+ * @param {number} params.startingAmount - Rent for the first period, in the given basis
+ * @param {string} params.basis - MONTH or YEAR
+ * @param {string} params.stepType - PERCENT (compounding % per step) or PER_RSF ($/RSF per year per step)
+ * @param {number} params.stepValue - Step size
+ * @param {number} params.periodMonths - Months between escalations (default 12)
+ * @param {number} params.premisesRsf - Premises RSF, required for PER_RSF steps
+ * @returns {Array<Object>} Periods as { period_daterange, period_start, period_end, amount, basis }
+ */
+function generateEscalatedSchedule(params) {
+  const {
+    startingAmount,
+    basis,
+    stepType,
+    stepValue = 0,
+    periodMonths = 12,
+    premisesRsf
+  } = params;
+
+  const startDate = parseDate(params.startDate);
+  const endDate = parseDate(params.endDate);
+
+  if (!startDate || !endDate) {
+    throw new Error('Start and end dates must be valid YYYY-MM-DD dates');
+  }
+
+  if (endDate <= startDate) {
+    throw new Error('End date must be after start date');
+  }
+
+  if (!VALID_BASIS_VALUES.includes(basis)) {
+    throw new Error(`Basis must be one of: ${VALID_BASIS_VALUES.join(', ')}`);
+  }
+
+  if (!STEP_TYPES.includes(stepType)) {
+    throw new Error(`Step type must be one of: ${STEP_TYPES.join(', ')}`);
+  }
+
+  const months = parseInt(periodMonths, 10);
+  if (isNaN(months) || months <= 0) {
+    throw new Error('Period months must be a positive integer');
+  }
+
+  const rsf = parseInt(premisesRsf, 10);
+  if (stepType === 'PER_RSF' && (isNaN(rsf) || rsf <= 0)) {
+    throw new Error('Premises RSF is required for PER_RSF escalation');
+  }
+
+  // $/RSF steps are quoted per year; convert to the schedule basis
+  const perRsfStep = stepType === 'PER_RSF'
+    ? parseFloat(stepValue) * rsf / (basis === 'MONTH' ? 12 : 1)
+    : 0;
+
+  const periods = [];
+  let amount = parseFloat(startingAmount);
+  let index = 0;
+
+  while (true) {
+    const periodStart = addMonths(startDate, index * months);
+    if (periodStart >= endDate) {
+      break;
+    }
+
+    let periodEnd = addMonths(startDate, (index + 1) * months);
+    if (periodEnd > endDate) {
+      periodEnd = endDate;
+    }
+
+    periods.push({
+      period_daterange: formatDaterange(periodStart, periodEnd),
+      period_start: formatDate(periodStart),
+      period_end: formatDate(periodEnd),
+      amount: roundCurrency(amount),
+      basis
+    });
+
+    amount = stepType === 'PERCENT'
+      ? amount * (1 + parseFloat(stepValue) / 100)
+      : amount + perRsfStep;
+    index++;
+  }
+
+  return periods;
+}
+
+module.exports = {
+  STEP_TYPES,
+  generateEscalatedSchedule
+};
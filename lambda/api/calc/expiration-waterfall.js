@@ -0,0 +1,246 @@
+/**
+ * Lease Expiration Waterfall Calculator
+ * Buckets expiring RSF and annualized rent by year or quarter over a horizon,
+ * as a share of the in-force portfolio, with an options-adjusted variant that
+ * assumes unexercised renewal options are exercised
+ */
+
+const { parseDate, formatDate, addMonths, roundCurrency } = require('./dates');
+
+const PERIODS = ['year', 'quarter'];
+
+/**
+ * Annualized rent in place on a date
+ * Uses the rent period containing the date, or the first later period for leases
+ * whose rent has not started (e.g., during free rent at commencement).
+ * @param {Array<Object>} rentRows - rent_schedule rows with period_start / period_end (YYYY-MM-DD)
+ * @param {string} asOf - Date as YYYY-MM-DD
+ * @returns {number} Annualized rent
+ */
+function annualizedRent(rentRows, asOf) {
+  const date = parseDate(asOf);
+  const periods = rentRows
+    .map(row => ({ ...row, start: parseDate(row.period_start), end: parseDate(row.period_end) }))
+    .filter(row => row.start)
+    .sort((a, b) => a.start - b.start);
+
+  const current = periods.find(row => row.start <= date && (!row.end || date < row.end)) ||
+    periods.find(row => row.start > date);
+
+  if (!current) {
+    return 0;
+  }
+
+  const amount = parseFloat(current.amount);
+  return roundCurrency(current.basis === 'MONTH' ? amount * 12 : amount);
+}
+
+/**
+ * Expiration date assuming renewal options are exercised
+ * Each unexercised RENEWAL option whose notice window has not closed extends the
+ * term by renewalMonths, in window order.
+ * @param {string|null} expirationDate - Contractual expiration (YYYY-MM-DD)
+ * @param {Array<Object>} options - vw_options_status rows for the lease
+ * @param {string} asOf - Date as YYYY-MM-DD
+ * @param {number} renewalMonths - Assumed length of each renewal term
+ * @returns {Object} { expiration_date, renewals_assumed }
+ */
+function optionsAdjustedExpiration(expirationDate, options, asOf, renewalMonths) {
+  const expiration = parseDate(expirationDate);
+  if (!expiration) {
+    return { expiration_date: expirationDate || null, renewals_assumed: 0 };
+  }
+
+  const date = parseDate(asOf);
+  const renewals = options.filter(option => {
+    if (option.option_type !== 'RENEWAL' || option.exercised) {
+      return false;
+    }
+    const windowEnd = parseDate(option.window_end);
+    return !windowEnd || windowEnd > date;
+  });
+
+  return {
+    expiration_date: formatDate(addMonths(expiration, renewalMonths * renewals.length)),
+    renewals_assumed: renewals.length
+  };
+}
+
+/**
+ * Bucket label for a date
+ * @returns {string} e.g. '2027' or '2027-Q3'
+ */
+function periodLabel(date, period) {
+  const year = date.getUTCFullYear();
+  return period === 'quarter' ? `${year}-Q${Math.floor(date.getUTCMonth() / 3) + 1}` : String(year);
+}
+
+/**
+ * Bucket labels covering the horizon, starting with the as-of year or quarter
+ */
+function periodLabels(asOf, years, period) {
+  const start = parseDate(asOf);
+  const labels = [];
+
+  if (period === 'quarter') {
+    const first = new Date(Date.UTC(start.getUTCFullYear(), Math.floor(start.getUTCMonth() / 3) * 3, 1));
+    for (let i = 0; i < years * 4; i++) {
+      labels.push(periodLabel(addMonths(first, i * 3), period));
+    }
+  } else {
+    for (let i = 0; i < years; i++) {
+      labels.push(String(start.getUTCFullYear() + i));
+    }
+  }
+
+  return labels;
+}
+
+function percent(part, whole) {
+  return whole > 0 ? Math.round((part / whole) * 10000) / 100 : 0;
+}
+
+/**
+ * Sum leases into the horizon's buckets for one variant
+ * @returns {Object} { periods, beyond_horizon, no_expiration }
+ */
+function bucketLeases(leases, labels, period, expirationField, totals) {
+  const empty = () => ({ lease_count: 0, rsf: 0, annualized_rent: 0 });
+  const buckets = new Map(labels.map(label => [label, empty()]));
+  const beyond = empty();
+  const noExpiration = empty();
+
+  for (const lease of leases) {
+    const expiration = parseDate(lease[expirationField]);
+    let bucket;
+    if (!expiration) {
+      bucket = noExpiration;
+    } else {
+      bucket = buckets.get(periodLabel(expiration, period)) || beyond;
+    }
+    bucket.lease_count++;
+    bucket.rsf += lease.rsf;
+    bucket.annualized_rent += lease.annualized_rent;
+  }
+
+  const withShares = (bucket) => ({
+    lease_count: bucket.lease_count,
+    rsf: bucket.rsf,
+    annualized_rent: roundCurrency(bucket.annualized_rent),
+    pct_rsf: percent(bucket.rsf, totals.rsf),
+    pct_rent: percent(bucket.annualized_rent, totals.annualized_rent)
+  });
+
+  let cumulativeRsf = 0;
+  let cumulativeRent = 0;
+  const periods = labels.map(label => {
+    const bucket = buckets.get(label);
+    cumulativeRsf += bucket.rsf;
+    cumulativeRent += bucket.annualized_rent;
+    return {
+      period: label,
+      ...withShares(bucket),
+      cumulative_pct_rsf: percent(cumulativeRsf, totals.rsf),
+      cumulative_pct_rent: percent(cumulativeRent, totals.annualized_rent)
+    };
+  });
+
+  return {
+    periods,
+    beyond_horizon: withShares(beyond),
+    no_expiration: withShares(noExpiration)
+  };
+}
+
+function sumTotals(leases) {
+  return {
+    lease_count: leases.length,
+    rsf: leases.reduce((sum, lease) => sum + lease.rsf, 0),
+    annualized_rent: roundCurrency(leases.reduce((sum, lease) => sum + lease.annualized_rent, 0))
+  };
+}
+
+/**
+ * Build the base and options-adjusted waterfalls for a set of leases
+ * Bucket percentages are shares of the given totals.
+ */
+function buildVariants(leases, labels, period, totals) {
+  return {
+    base: bucketLeases(leases, labels, period, 'expiration_date', totals),
+    options_adjusted: bucketLeases(leases, labels, period, 'options_adjusted_expiration_date', totals)
+  };
+}
+
+/**
+ * Group leases by a key and build a waterfall per group
+ * Each group reports shares of the portfolio and of its own totals.
+ */
+function buildGroups(leases, labels, period, portfolio, keyOf, describe) {
+  const groups = new Map();
+  for (const lease of leases) {
+    const key = keyOf(lease);
+    if (!groups.has(key)) {
+      groups.set(key, []);
+    }
+    groups.get(key).push(lease);
+  }
+
+  return [...groups.values()].map(groupLeases => {
+    const totals = sumTotals(groupLeases);
+    return {
+      ...describe(groupLeases[0]),
+      totals: {
+        ...totals,
+        pct_of_portfolio_rsf: percent(totals.rsf, portfolio.rsf),
+        pct_of_portfolio_rent: percent(totals.annualized_rent, portfolio.annualized_rent)
+      },
+      ...buildVariants(groupLeases, labels, period, totals)
+    };
+  });
+}
+
+/**
+ * Build the expiration waterfall
+ * @param {Array<Object>} leases - In-force leases with lease_id, property_id, property_name, state,
+ *   rsf, annualized_rent, expiration_date and options_adjusted_expiration_date
+ * @param {Object} options - { asOf, years, period }
+ * @returns {Object} Portfolio waterfall with by_property and by_state breakdowns
+ */
+function buildExpirationWaterfall(leases, { asOf, years = 10, period = 'year' }) {
+  if (!parseDate(asOf)) {
+    throw new Error(`Invalid as_of date: ${asOf}`);
+  }
+  if (!PERIODS.includes(period)) {
+    throw new Error(`Invalid period: ${period}`);
+  }
+
+  const labels = periodLabels(asOf, years, period);
+  const portfolio = sumTotals(leases);
+
+  const byProperty = buildGroups(
+    leases, labels, period, portfolio,
+    lease => lease.property_id,
+    lease => ({ property_id: lease.property_id, property_name: lease.property_name, state: lease.state })
+  ).sort((a, b) => String(a.property_name).localeCompare(String(b.property_name)));
+
+  const byState = buildGroups(
+    leases, labels, period, portfolio,
+    lease => lease.state || null,
+    lease => ({ state: lease.state || null })
+  ).sort((a, b) => String(a.state).localeCompare(String(b.state)));
+
+  return {
+    portfolio,
+    ...buildVariants(leases, labels, period, portfolio),
+    by_property: byProperty,
+    by_state: byState
+  };
+}
+
+module.exports = {
+  PERIODS,
+  annualizedRent,
+  optionsAdjustedExpiration,
+  periodLabel,
+  buildExpirationWaterfall
+};
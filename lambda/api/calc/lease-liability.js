@@ -0,0 +1,152 @@
+/**
+ * Lease Liability Calculator
+ * Measures the lessee lease liability and right-of-use (ROU) asset per ASC 842 / IFRS 16
+ * and produces a monthly amortization table
+ */
+
+const { buildCashSchedule } = require('./straight-line');
+const { formatDate, roundCurrency } = require('./dates');
+
+const CLASSIFICATIONS = ['OPERATING', 'FINANCE'];
+const PAYMENT_TIMINGS = ['ADVANCE', 'ARREARS'];
+
+/**
+ * Present value of a series of monthly payments
+ * @param {Array<number>} payments - Payment per period
+ * @param {number} monthlyRate - Periodic discount rate
+ * @param {string} timing - ADVANCE (start of period) or ARREARS (end of period)
+ * @returns {number} Present value
+ */
+function presentValue(payments, monthlyRate, timing = 'ADVANCE') {
+  const offset = timing === 'ADVANCE' ? 0 : 1;
+  return payments.reduce(
+    (sum, payment, index) => sum + payment / Math.pow(1 + monthlyRate, index + offset),
+    0
+  );
+}
+
+/**
+ * Calculate the lease liability, ROU asset and amortization schedule for a lease version
+ *
+ * The monthly rate is the annual discount rate divided by 12. Operating leases
+ * (ASC 842) recognize a single straight-line lease cost with the ROU amortization
+ * as the plug; finance leases (ASC 842 finance / IFRS 16) amortize the ROU asset
+ * straight-line and recognize interest separately.
+ *
+ * @param {Object} version - lease_version row (effective_daterange, term_months, premises_rsf)
+ * @param {Array<Object>} rentSchedules - rent_schedule rows
+ * @param {Array<Object>} concessions - concession rows
+ * @param {Object} options - Calculation options
+ * @param {number} options.discountRate - Annual discount rate (IBR) as a percentage, e.g. 5.25
+ * @param {string} options.classification - OPERATING or FINANCE (default OPERATING)
+ * @param {string} options.paymentTiming - ADVANCE or ARREARS (default ADVANCE)
+ * @param {number} options.initialDirectCosts - Initial direct costs added to the ROU asset
+ * @param {number} options.leaseIncentives - Lease incentives received, deducted from the ROU asset
+ * @returns {Object} Liability summary and monthly amortization schedule
+ */
+function calculateLeaseLiability(version, rentSchedules = [], concessions = [], options = {}) {
+  const {
+    discountRate,
+    classification = 'OPERATING',
+    paymentTiming = 'ADVANCE',
+    initialDirectCosts = 0,
+    leaseIncentives = 0
+  } = options;
+
+  const annualRate = parseFloat(discountRate);
+  if (isNaN(annualRate) || annualRate < 0 || annualRate >= 100) {
+    throw new Error('Discount rate must be a percentage between 0 and 100');
+  }
+
+  if (!CLASSIFICATIONS.includes(classification)) {
+    throw new Error(`Classification must be one of: ${CLASSIFICATIONS.join(', ')}`);
+  }
+
+  if (!PAYMENT_TIMINGS.includes(paymentTiming)) {
+    throw new Error(`Payment timing must be one of: ${PAYMENT_TIMINGS.join(', ')}`);
+  }
+
+  const { startDate, endDate, termMonths, rows } = buildCashSchedule(version, rentSchedules, concessions);
+  const monthlyRate = annualRate / 100 / 12;
+  const payments = rows.map(row => row.cash);
+  const totalPayments = roundCurrency(payments.reduce((sum, p) => sum + p, 0));
+
+  const liability = roundCurrency(presentValue(payments, monthlyRate, paymentTiming));
+  const rouAsset = roundCurrency(liability + parseFloat(initialDirectCosts || 0) - parseFloat(leaseIncentives || 0));
+
+  // Operating lease cost is the total cost of the lease spread evenly over the term
+  const totalLeaseCost = roundCurrency(totalPayments + rouAsset - liability);
+  const straightLineCost = roundCurrency(totalLeaseCost / termMonths);
+  const straightLineAmortization = roundCurrency(rouAsset / termMonths);
+
+  let liabilityBalance = liability;
+  let rouBalance = rouAsset;
+
+  const schedule = rows.map((row, index) => {
+    const isLast = index === rows.length - 1;
+    const opening = liabilityBalance;
+    const payment = row.cash;
+
+    let interest = paymentTiming === 'ADVANCE'
+      ? roundCurrency((opening - payment) * monthlyRate)
+      : roundCurrency(opening * monthlyRate);
+
+    // Final period absorbs rounding so the liability closes at zero
+    if (isLast) {
+      interest = roundCurrency(payment - opening);
+    }
+
+    const principal = roundCurrency(payment - interest);
+    liabilityBalance = roundCurrency(opening - principal);
+
+    let rouAmortization;
+    if (isLast) {
+      rouAmortization = rouBalance;
+    } else if (classification === 'OPERATING') {
+      rouAmortization = roundCurrency(straightLineCost - interest);
+    } else {
+      rouAmortization = straightLineAmortization;
+    }
+
+    const rouOpening = rouBalance;
+    rouBalance = roundCurrency(rouBalance - rouAmortization);
+
+    return {
+      period: index + 1,
+      period_start: formatDate(row.month.start),
+      period_end: formatDate(row.month.end),
+      payment,
+      liability_opening: opening,
+      interest,
+      principal,
+      liability_closing: liabilityBalance,
+      rou_opening: rouOpening,
+      rou_amortization: rouAmortization,
+      rou_closing: rouBalance,
+      lease_cost: roundCurrency(interest + rouAmortization)
+    };
+  });
+
+  return {
+    lease_version_id: version.lease_version_id,
+    classification,
+    payment_timing: paymentTiming,
+    discount_rate: annualRate,
+    start_date: formatDate(startDate),
+    end_date: formatDate(endDate),
+    term_months: termMonths,
+    total_payments: totalPayments,
+    initial_lease_liability: liability,
+    initial_rou_asset: rouAsset,
+    total_interest: roundCurrency(schedule.reduce((sum, r) => sum + r.interest, 0)),
+    total_lease_cost: roundCurrency(schedule.reduce((sum, r) => sum + r.lease_cost, 0)),
+    schedule
+  };
+}
+
+module.exports = {
+  CLASSIFICATIONS,
+  PAYMENT_TIMINGS,
+  presentValue,
+  calculateLeaseLiability
+};
@@ -0,0 +1,226 @@
+/**
+ * Occupancy Calculator
+ * Leased vs vacant RSF per property and suite on a date, double-booked suites
+ * and monthly occupancy series. A lease occupies the suite of its version in
+ * effect on the date (see versions/history.js).
+ */
+
+const { parseDate, parseDaterange, formatDate, formatDaterange, addMonths } = require('./dates');
+const { resolveVersionAsOf } = require('../versions/history');
+
+function percent(part, whole) {
+  return whole > 0 ? Math.round((part / whole) * 10000) / 100 : null;
+}
+
+function groupBy(rows, key) {
+  const groups = new Map();
+  for (const row of rows) {
+    if (!groups.has(row[key])) {
+      groups.set(row[key], []);
+    }
+    groups.get(row[key]).push(row);
+  }
+  return groups;
+}
+
+/**
+ * Resolve the version in effect on a date for each lease
+ * @param {Array<Object>} versions - lease_version rows (any number of leases)
+ * @param {string} date - YYYY-MM-DD
+ * @returns {Array<Object>} One version per lease that is in effect on the date
+ */
+function versionsInEffect(versions, date) {
+  const inEffect = [];
+  for (const leaseVersions of groupBy(versions, 'lease_id').values()) {
+    const { version } = resolveVersionAsOf(leaseVersions, date);
+    if (version) {
+      inEffect.push(version);
+    }
+  }
+  return inEffect;
+}
+
+function leaseSummary(version) {
+  return {
+    lease_id: version.lease_id,
+    master_lease_num: version.master_lease_num,
+    tenant_name: version.tenant_name,
+    lease_version_id: version.lease_version_id,
+    version_num: version.version_num,
+    premises_rsf: version.premises_rsf,
+    effective_daterange: version.effective_daterange
+  };
+}
+
+/**
+ * Calculate occupancy on a date
+ *
+ * A suite is LEASED when one lease occupies it and DOUBLE_BOOKED when more than one
+ * does; its RSF counts once either way (suite.rsf, else the largest premises_rsf).
+ * Leases without a suite add their premises_rsf as unassigned leased RSF. Rentable
+ * RSF is property.total_rsf, else the sum of suite RSF.
+ *
+ * @param {Object} input - { properties, suites, versions }
+ * @param {string} date - YYYY-MM-DD
+ * @param {Object} options - { includeSuites } (default true)
+ * @returns {Object} { as_of, totals, properties }
+ */
+function calculateOccupancy({ properties, suites, versions }, date, { includeSuites = true } = {}) {
+  if (!parseDate(date)) {
+    throw new Error(`Invalid date: ${date}`);
+  }
+
+  const inEffect = versionsInEffect(versions, date);
+  const bySuite = groupBy(inEffect.filter(v => v.suite_id), 'suite_id');
+  const unassignedByProperty = groupBy(inEffect.filter(v => !v.suite_id), 'property_id');
+  const suitesByProperty = groupBy(suites, 'property_id');
+
+  const totals = { rentable_rsf: 0, leased_rsf: 0, vacant_rsf: 0, double_booked_suites: 0 };
+
+  const results = properties.map(property => {
+    const propertySuites = (suitesByProperty.get(property.property_id) || []).map(suite => {
+      const occupants = bySuite.get(suite.suite_id) || [];
+      const leaseIds = new Set(occupants.map(v => v.lease_id));
+      const status = leaseIds.size === 0 ? 'VACANT' : leaseIds.size > 1 ? 'DOUBLE_BOOKED' : 'LEASED';
+      const rsf = suite.rsf || Math.max(0, ...occupants.map(v => v.premises_rsf || 0));
+
+      return {
+        suite_id: suite.suite_id,
+        suite_code: suite.suite_code,
+        rsf,
+        status,
+        leased_rsf: status === 'VACANT' ? 0 : rsf,
+        leases: occupants.map(leaseSummary)
+      };
+    });
+
+    const unassigned = unassignedByProperty.get(property.property_id) || [];
+    const suiteRsf = propertySuites.reduce((sum, suite) => sum + (suite.rsf || 0), 0);
+    const unassignedRsf = unassigned.reduce((sum, v) => sum + (v.premises_rsf || 0), 0);
+    const leasedRsf = propertySuites.reduce((sum, suite) => sum + suite.leased_rsf, 0) + unassignedRsf;
+    const rentableRsf = property.total_rsf || suiteRsf;
+    const vacantRsf = Math.max(0, rentableRsf - leasedRsf);
+    const doubleBooked = propertySuites.filter(suite => suite.status === 'DOUBLE_BOOKED').length;
+
+    totals.rentable_rsf += rentableRsf;
+    totals.leased_rsf += leasedRsf;
+    totals.vacant_rsf += vacantRsf;
+    totals.double_booked_suites += doubleBooked;
+
+    const result = {
+      property_id: property.property_id,
+      property_name: property.name,
+      state: property.state,
+      rentable_rsf: rentableRsf,
+      leased_rsf: leasedRsf,
+      vacant_rsf: vacantRsf,
+      occupancy_pct: percent(leasedRsf, rentableRsf),
+      suite_count: propertySuites.length,
+      vacant_suites: propertySuites.filter(suite => suite.status === 'VACANT').length,
+      double_booked_suites: doubleBooked,
+      unassigned_leased_rsf: unassignedRsf
+    };
+
+    if (includeSuites) {
+      result.suites = propertySuites;
+      result.unassigned_leases = unassigned.map(leaseSummary);
+    }
+
+    return result;
+  });
+
+  return {
+    as_of: date,
+    totals: { ...totals, occupancy_pct: percent(totals.leased_rsf, totals.rentable_rsf) },
+    properties: results
+  };
+}
+
+/**
+ * Find current lease versions of different leases whose ranges overlap on the same suite
+ * @param {Array<Object>} versions - lease_version rows
+ * @returns {Array<Object>} { suite_id, suite_code, overlap_daterange, leases: [a, b] }
+ */
+function findSuiteOverlaps(versions) {
+  const current = versions.filter(v => v.is_current && v.suite_id);
+  const overlaps = [];
+
+  for (const suiteVersions of groupBy(current, 'suite_id').values()) {
+    for (let i = 0; i < suiteVersions.length; i++) {
+      for (let j = i + 1; j < suiteVersions.length; j++) {
+        const a = suiteVersions[i];
+        const b = suiteVersions[j];
+        if (a.lease_id === b.lease_id) {
+          continue;
+        }
+
+        const rangeA = parseDaterange(a.effective_daterange);
+        const rangeB = parseDaterange(b.effective_daterange);
+        if (!rangeA || !rangeB) {
+          continue;
+        }
+
+        const starts = [rangeA.start, rangeB.start].filter(Boolean);
+        const ends = [rangeA.end, rangeB.end].filter(Boolean);
+        const start = starts.length > 0 ? new Date(Math.max(...starts)) : null;
+        const end = ends.length > 0 ? new Date(Math.min(...ends)) : null;
+        if (start && end && start >= end) {
+          continue;
+        }
+
+        overlaps.push({
+          suite_id: a.suite_id,
+          suite_code: a.suite_code,
+          overlap_daterange: formatDaterange(start, end),
+          leases: [leaseSummary(a), leaseSummary(b)]
+        });
+      }
+    }
+  }
+
+  return overlaps;
+}
+
+/**
+ * Monthly occupancy series on the first of each month from `from` to `to`
+ * @returns {Object} { totals: [...], properties: [{ property_id, property_name, series }] }
+ */
+function occupancySeries(input, from, to) {
+  const start = parseDate(from);
+  const end = parseDate(to);
+  if (!start || !end) {
+    throw new Error('Invalid series range');
+  }
+
+  const points = [];
+  let month = new Date(Date.UTC(start.getUTCFullYear(), start.getUTCMonth(), 1));
+  while (month <= end) {
+    points.push(calculateOccupancy(input, formatDate(month), { includeSuites: false }));
+    month = addMonths(month, 1);
+  }
+
+  const point = (date, row) => ({
+    month: date.slice(0, 7),
+    rentable_rsf: row.rentable_rsf,
+    leased_rsf: row.leased_rsf,
+    vacant_rsf: row.vacant_rsf,
+    occupancy_pct: row.occupancy_pct,
+    double_booked_suites: row.double_booked_suites
+  });
+
+  return {
+    totals: points.map(p => point(p.as_of, p.totals)),
+    properties: input.properties.map((property, index) => ({
+      property_id: property.property_id,
+      property_name: property.name,
+      series: points.map(p => point(p.as_of, p.properties[index]))
+    }))
+  };
+}
+
+module.exports = {
+  versionsInEffect,
+  calculateOccupancy,
+  findSuiteOverlaps,
+  occupancySeries
+};
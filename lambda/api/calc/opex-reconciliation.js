@@ -0,0 +1,157 @@
+/**
+ * Operating Expense Reconciliation Calculator
+ * Reconciles a tenant's share of actual building operating expenses for a year
+ * under BASE_YEAR, EXPENSE_STOP and NNN pass-through methods
+ */
+
+const { parseDaterange, daysBetween, overlapDays, roundCurrency } = require('./dates');
+
+const RECONCILABLE_METHODS = ['BASE_YEAR', 'EXPENSE_STOP', 'NNN'];
+
+/**
+ * Gross up variable expenses to the lease's gross-up occupancy
+ * Variable expenses are scaled by gross_up_pct / actual occupancy when the building
+ * was less occupied than the gross-up level; fixed expenses are left unchanged.
+ * @param {Array<Object>} expenses - Expense rows (category, amount, is_variable)
+ * @param {number|null} occupancyPct - Actual average building occupancy (percent)
+ * @param {number|null} grossUpPct - Gross-up occupancy from opex_pass_through (percent)
+ * @returns {Object} { actual_total, grossed_up_total, gross_up_factor, categories }
+ */
+function grossUpExpenses(expenses, occupancyPct, grossUpPct) {
+  const occupancy = occupancyPct !== null && occupancyPct !== undefined ? parseFloat(occupancyPct) : null;
+  const grossUp = grossUpPct !== null && grossUpPct !== undefined ? parseFloat(grossUpPct) : null;
+
+  const factor = occupancy && grossUp && occupancy < grossUp ? grossUp / occupancy : 1;
+
+  const categories = expenses.map(expense => {
+    const amount = parseFloat(expense.amount);
+    const isVariable = expense.is_variable !== false;
+    return {
+      category: expense.category,
+      amount: roundCurrency(amount),
+      is_variable: isVariable,
+      grossed_up_amount: roundCurrency(isVariable ? amount * factor : amount)
+    };
+  });
+
+  return {
+    actual_total: roundCurrency(categories.reduce((sum, c) => sum + c.amount, 0)),
+    grossed_up_total: roundCurrency(categories.reduce((sum, c) => sum + c.grossed_up_amount, 0)),
+    gross_up_factor: Math.round(factor * 10000) / 10000,
+    categories
+  };
+}
+
+/**
+ * Fraction of the expense year the lease version was in effect
+ * @param {string} effectiveDaterange - lease_version effective_daterange
+ * @param {number} year - Expense year
+ * @returns {number} Fraction between 0 and 1
+ */
+function occupancyFraction(effectiveDaterange, year) {
+  const effective = parseDaterange(effectiveDaterange);
+  if (!effective) {
+    return 1;
+  }
+  const yearStart = new Date(Date.UTC(year, 0, 1));
+  const yearEnd = new Date(Date.UTC(year + 1, 0, 1));
+  return overlapDays(effective.start, effective.end, yearStart, yearEnd) / daysBetween(yearStart, yearEnd);
+}
+
+/**
+ * Reconcile a tenant's operating expenses for one year
+ *
+ * - NNN: share of all (grossed-up) expenses
+ * - BASE_YEAR: share of the increase over the version's base_year expenses,
+ *   with both years grossed up the same way
+ * - EXPENSE_STOP: share of expenses less stop_amount, the tenant's annual stop in dollars
+ *
+ * The share is premises_rsf / property total_rsf and is prorated for partial years.
+ *
+ * @param {Object} params - Reconciliation inputs
+ * @param {Object} params.opex - opex_pass_through row (method, stop_amount, gross_up_pct)
+ * @param {Object} params.version - lease_version row (premises_rsf, base_year, effective_daterange)
+ * @param {number} params.propertyRsf - Property total_rsf
+ * @param {Object} params.actuals - Expense year { expense_year, occupancy_pct, expenses }
+ * @param {Object} params.baseYearActuals - Base year { expense_year, occupancy_pct, expenses } (BASE_YEAR only)
+ * @param {number} params.estimatesPaid - Estimated OpEx billed to the tenant for the year
+ * @returns {Object} Reconciliation summary with category detail
+ */
+function calculateOpexReconciliation(params) {
+  const { opex, version, propertyRsf, actuals, baseYearActuals, estimatesPaid } = params;
+
+  if (!RECONCILABLE_METHODS.includes(opex.method)) {
+    throw new Error(`Method ${opex.method} cannot be reconciled; expected one of: ${RECONCILABLE_METHODS.join(', ')}`);
+  }
+
+  const premisesRsf = parseInt(version.premises_rsf, 10);
+  const totalRsf = parseInt(propertyRsf, 10);
+  if (!premisesRsf || !totalRsf || premisesRsf <= 0 || totalRsf <= 0) {
+    throw new Error('Premises RSF and property total RSF are required for pro-rata share');
+  }
+
+  if (!actuals) {
+    throw new Error('No actual expenses recorded for the expense year');
+  }
+
+  const year = parseInt(actuals.expense_year, 10);
+  const share = premisesRsf / totalRsf;
+  const fraction = occupancyFraction(version.effective_daterange, year);
+  const current = grossUpExpenses(actuals.expenses || [], actuals.occupancy_pct, opex.gross_up_pct);
+
+  let baseYear = null;
+  let baseYearExpenses = null;
+  let recoverable;
+
+  if (opex.method === 'BASE_YEAR') {
+    baseYear = version.base_year ? parseInt(version.base_year, 10) : null;
+    if (!baseYear) {
+      throw new Error('Lease version has no base_year');
+    }
+    if (!baseYearActuals) {
+      throw new Error(`No actual expenses recorded for base year ${baseYear}`);
+    }
+    baseYearExpenses = grossUpExpenses(baseYearActuals.expenses || [], baseYearActuals.occupancy_pct, opex.gross_up_pct)
+      .grossed_up_total;
+    recoverable = Math.max(0, current.grossed_up_total - baseYearExpenses) * share;
+  } else if (opex.method === 'EXPENSE_STOP') {
+    const stop = parseFloat(opex.stop_amount || 0);
+    recoverable = Math.max(0, current.grossed_up_total * share - stop);
+  } else {
+    recoverable = current.grossed_up_total * share;
+  }
+
+  const tenantAmount = roundCurrency(recoverable * fraction);
+  const paid = roundCurrency(parseFloat(estimatesPaid || 0));
+
+  return {
+    method: opex.method,
+    expense_year: year,
+    pro_rata_share_pct: Math.round(share * 1000000) / 10000,
+    occupancy_fraction: Math.round(fraction * 10000) / 10000,
+    occupancy_pct: actuals.occupancy_pct !== null && actuals.occupancy_pct !== undefined
+      ? parseFloat(actuals.occupancy_pct)
+      : null,
+    gross_up_pct: opex.gross_up_pct !== null && opex.gross_up_pct !== undefined
+      ? parseFloat(opex.gross_up_pct)
+      : null,
+    gross_up_factor: current.gross_up_factor,
+    building_expenses: current.actual_total,
+    grossed_up_expenses: current.grossed_up_total,
+    base_year: baseYear,
+    base_year_expenses: baseYearExpenses,
+    stop_amount: opex.method === 'EXPENSE_STOP' ? roundCurrency(parseFloat(opex.stop_amount || 0)) : null,
+    tenant_amount: tenantAmount,
+    estimates_paid: paid,
+    // Positive: tenant owes the landlord; negative: credit due to the tenant
+    balance_due: roundCurrency(tenantAmount - paid),
+    categories: current.categories
+  };
+}
+
+module.exports = {
+  RECONCILABLE_METHODS,
+  grossUpExpenses,
+  occupancyFraction,
+  calculateOpexReconciliation
+};
@@ -0,0 +1,242 @@
+/**
+ * Straight-Line Rent Calculator
+ * Spreads total contractual rent (net of free rent) evenly over the lease term
+ * per ASC 842 / GAAP, producing a month-by-month deferred rent schedule
+ */
+
+const {
+  parseDate,
+  parseDaterange,
+  formatDate,
+  addMonths,
+  daysBetween,
+  monthsBetween,
+  overlapDays,
+  monthlyPeriods,
+  roundCurrency
+} = require('./dates');
+
+/**
+ * Convert a rent_schedule amount to its monthly equivalent
+ * @param {Object} rent - rent_schedule row
+ * @returns {number} Monthly amount
+ */
+function monthlyRate(rent) {
+  const amount = parseFloat(rent.amount);
+  return rent.basis === 'YEAR' ? amount / 12 : amount;
+}
+
+/**
+ * Merge overlapping half-open intervals so abatement is never counted twice
+ * @param {Array<Object>} ranges - Array of { start, end }
+ * @returns {Array<Object>} Merged ranges sorted by start
+ */
+function mergeRanges(ranges) {
+  const sorted = ranges
+    .filter(r => r.start && r.end)
+    .sort((a, b) => a.start - b.start);
+
+  const merged = [];
+  for (const range of sorted) {
+    const last = merged[merged.length - 1];
+    if (last && range.start <= last.end) {
+      if (range.end > last.end) {
+        last.end = range.end;
+      }
+    } else {
+      merged.push({ start: range.start, end: range.end });
+    }
+  }
+  return merged;
+}
+
+/**
+ * Contractual rent attributable to an interval, prorated by days within each month
+ * @param {Array<Object>} rents - Parsed rent periods { start, end, monthly }
+ * @param {Object} month - Monthly period { start, end }
+ * @param {Object} window - Optional sub-interval of the month { start, end }
+ * @returns {number} Rent amount
+ */
+function rentForInterval(rents, month, window = month) {
+  const monthDays = daysBetween(month.start, month.end);
+  let total = 0;
+
+  for (const rent of rents) {
+    const days = overlapDays(rent.start, rent.end, window.start, window.end);
+    if (days > 0) {
+      total += rent.monthly * days / monthDays;
+    }
+  }
+
+  return total;
+}
+
+/**
+ * Resolve the start, end and length of a lease version's term
+ * Uses term_months when set, otherwise the bounded effective_daterange
+ * @param {Object} version - lease_version row (effective_daterange, term_months)
+ * @returns {Object} { startDate, endDate, termMonths }
+ */
+function resolveTerm(version) {
+  const effective = parseDaterange(version.effective_daterange);
+  if (!effective || !effective.start) {
+    throw new Error('Lease version must have a bounded effective_daterange start');
+  }
+
+  let termMonths = version.term_months ? parseInt(version.term_months, 10) : null;
+  if (!termMonths) {
+    if (!effective.end) {
+      throw new Error('Lease version must have term_months or a bounded effective_daterange');
+    }
+    termMonths = monthsBetween(effective.start, effective.end);
+  }
+
+  if (!termMonths || termMonths <= 0) {
+    throw new Error('Lease term must be at least one month');
+  }
+
+  const startDate = effective.start;
+  return { startDate, endDate: addMonths(startDate, termMonths), termMonths };
+}
+
+/**
+ * Build the monthly cash rent schedule for a lease version
+ * Resolves the term, prorates rent_schedule periods into months and abates free rent
+ * @param {Object} version - lease_version row (effective_daterange, term_months, premises_rsf)
+ * @param {Array<Object>} rentSchedules - rent_schedule rows (period_daterange, amount, basis)
+ * @param {Array<Object>} concessions - concession rows (kind, value_amount, value_basis, applies_daterange)
+ * @returns {Object} { startDate, endDate, termMonths, rows } where rows hold { month, contractual, free_rent, cash }
+ */
+function buildCashSchedule(version, rentSchedules = [], concessions = []) {
+  const { startDate, endDate, termMonths } = resolveTerm(version);
+
+  const rents = rentSchedules
+    .map(rent => ({ ...parseDaterange(rent.period_daterange), monthly: monthlyRate(rent) }))
+    .filter(rent => rent.start);
+
+  const freeRent = concessions.filter(c => c.kind === 'FREE_RENT');
+  const freeRentRanges = mergeRanges(
+    freeRent
+      .filter(c => c.applies_daterange)
+      .map(c => parseDaterange(c.applies_daterange))
+      .filter(Boolean)
+  );
+
+  // Free rent without a date range is netted as a lump sum in the first month
+  const lumpSumFreeRent = freeRent
+    .filter(c => !c.applies_daterange && c.value_amount !== null && c.value_amount !== undefined)
+    .reduce((sum, c) => {
+      const amount = parseFloat(c.value_amount);
+      if (c.value_basis === 'PER_SF') {
+        return sum + amount * (parseInt(version.premises_rsf, 10) || 0);
+      }
+      return sum + amount;
+    }, 0);
+
+  const periods = monthlyPeriods(startDate, termMonths);
+
+  // Cash rent per month after free rent abatement
+  const rows = periods.map((month, index) => {
+    const contractual = rentForInterval(rents, month);
+
+    let abated = 0;
+    for (const range of freeRentRanges) {
+      const windowStart = range.start > month.start ? range.start : month.start;
+      const windowEnd = range.end < month.end ? range.end : month.end;
+      if (windowStart < windowEnd) {
+        abated += rentForInterval(rents, month, { start: windowStart, end: windowEnd });
+      }
+    }
+
+    if (index === 0) {
+      abated += lumpSumFreeRent;
+    }
+
+    return {
+      month,
+      contractual: roundCurrency(contractual),
+      free_rent: roundCurrency(abated),
+      cash: roundCurrency(contractual - abated)
+    };
+  });
+
+  return { startDate, endDate, termMonths, rows };
+}
+
+/**
+ * Calculate straight-line rent for a lease version
+ * @param {Object} version - lease_version row (effective_daterange, term_months, premises_rsf)
+ * @param {Array<Object>} rentSchedules - rent_schedule rows (period_daterange, amount, basis)
+ * @param {Array<Object>} concessions - concession rows (kind, value_amount, value_basis, applies_daterange)
+ * @param {Object} options - Calculation options
+ * @param {string} options.asOf - Optional YYYY-MM-DD date for the reported deferred balance
+ * @returns {Object} Straight-line summary and monthly schedule
+ */
+function calculateStraightLine(version, rentSchedules = [], concessions = [], options = {}) {
+  const { startDate, endDate, termMonths, rows: cashRows } = buildCashSchedule(version, rentSchedules, concessions);
+
+  const totalContractual = roundCurrency(cashRows.reduce((sum, r) => sum + r.contractual, 0));
+  const totalFreeRent = roundCurrency(cashRows.reduce((sum, r) => sum + r.free_rent, 0));
+  const netRent = roundCurrency(cashRows.reduce((sum, r) => sum + r.cash, 0));
+  const straightLineMonthly = roundCurrency(netRent / termMonths);
+
+  let recognized = 0;
+  let balance = 0;
+  const schedule = cashRows.map((row, index) => {
+    // Final month absorbs rounding so the deferred balance closes at zero
+    const straightLine = index === cashRows.length - 1
+      ? roundCurrency(netRent - recognized)
+      : straightLineMonthly;
+    recognized = roundCurrency(recognized + straightLine);
+
+    const change = roundCurrency(straightLine - row.cash);
+    balance = roundCurrency(balance + change);
+
+    return {
+      period: index + 1,
+      period_start: formatDate(row.month.start),
+      period_end: formatDate(row.month.end),
+      contractual_rent: row.contractual,
+      free_rent: row.free_rent,
+      cash_rent: row.cash,
+      straight_line_rent: straightLine,
+      deferred_rent_change: change,
+      deferred_rent_balance: balance
+    };
+  });
+
+  const result = {
+    lease_version_id: version.lease_version_id,
+    start_date: formatDate(startDate),
+    end_date: formatDate(endDate),
+    term_months: termMonths,
+    total_contractual_rent: totalContractual,
+    total_free_rent: totalFreeRent,
+    net_rent: netRent,
+    straight_line_monthly: straightLineMonthly,
+    schedule
+  };
+
+  if (options.asOf) {
+    const asOf = parseDate(options.asOf);
+    if (!asOf) {
+      throw new Error('asOf must be a valid YYYY-MM-DD date');
+    }
+    const elapsed = schedule.filter(row => parseDate(row.period_start) <= asOf);
+    result.as_of = formatDate(asOf);
+    result.deferred_rent_balance_as_of = elapsed.length > 0
+      ? elapsed[elapsed.length - 1].deferred_rent_balance
+      : 0;
+  }
+
+  return result;
+}
+
+module.exports = {
+  resolveTerm,
+  buildCashSchedule,
+  calculateStraightLine,
+  monthlyRate,
+  mergeRanges,
+  rentForInterval
+};
@@ -4,12 +4,12 @@
  */
 
 const db = require('./db');
+const { getSchema, validateEntity } = require('./schemas/registry');
+const { LIST_FILTERS, compileFilter, createFilterErrorResponse } = require('./filters');
 
-// Valid kind values as per schema
-const VALID_KIND_VALUES = ['TI_ALLOWANCE', 'FREE_RENT', 'OTHER'];
-
-// Valid value_basis values as per schema
-const VALID_VALUE_BASIS_VALUES = ['TOTAL', 'PER_SF'];
+// Valid kind and value_basis values from the concession schema
+const VALID_KIND_VALUES = getSchema('concession').properties.kind.enum;
+const VALID_VALUE_BASIS_VALUES = getSchema('concession').properties.value_basis.enum;
 
 /**
  * Lambda handler for concession endpoints
@@ -23,8 +23,10 @@ exports.handler = async (event) => {
   try {
     // Authorize request based on role and HTTP method
     const authResult = db.authorization.authorizeRequest(event);
+    const audit = db.audit.createAuditContext(authResult, correlationId);
     
     const { httpMethod, pathParameters, queryStringParameters, body } = event;
+    const ifMatch = db.concurrency.getIfMatch(event.headers);
     const concessionId = pathParameters?.id;
     
     let result;
@@ -39,7 +41,7 @@ exports.handler = async (event) => {
         break;
         
       case 'POST':
-        result = await createConcession(JSON.parse(body || '{}'));
+        result = await createConcession(JSON.parse(body || '{}'), audit);
         break;
         
       case 'PUT':
@@ -51,7 +53,7 @@ exports.handler = async (event) => {
             } 
           }, correlationId);
         }
-        result = await updateConcession(concessionId, JSON.parse(body || '{}'));
+        result = await updateConcession(concessionId, JSON.parse(body || '{}'), audit, ifMatch);
         break;
         
       case 'DELETE':
@@ -63,7 +65,7 @@ exports.handler = async (event) => {
             } 
           }, correlationId);
         }
-        result = await deleteConcession(concessionId);
+        result = await deleteConcession(concessionId, audit, ifMatch);
         break;
         
       default:
@@ -78,7 +80,7 @@ exports.handler = async (event) => {
     const duration = Date.now() - startTime;
     db.logger.logResponse(result.statusCode, correlationId, duration);
     
-    return createResponse(result.statusCode, result.body, correlationId);
+    return createResponse(result.statusCode, result.body, correlationId, result.headers);
     
   } catch (error) {
     db.logger.error('Concession API error', error);
@@ -114,6 +116,7 @@ async function getConcession(concessionId) {
       c.notes,
       c.created_at,
       c.updated_at,
+      ${db.concurrency.etagColumn('c')},
       CASE 
         WHEN c.kind = 'FREE_RENT' 
           AND c.applies_daterange IS NOT NULL 
@@ -142,7 +145,8 @@ async function getConcession(concessionId) {
   
   return {
     statusCode: 200,
-    body: concession
+    headers: db.concurrency.etagHeader('concession', concession, 'concession_id'),
+    body: db.concurrency.omitETagSource(concession)
   };
 }
 
@@ -153,17 +157,18 @@ async function listConcessions(params) {
   const {
     lease_version_id,
     kind,
-    value_basis,
-    sort_by = 'concession_id',
-    sort_order = 'ASC',
-    limit = '50',
-    offset = '0'
+    value_basis
   } = params;
   
-  // Validate sort parameters
-  const allowedSortFields = ['concession_id', 'kind', 'value_amount', 'value_basis', 'created_at'];
-  const sortField = allowedSortFields.includes(sort_by) ? sort_by : 'concession_id';
-  const sortOrder = sort_order.toUpperCase() === 'DESC' ? 'DESC' : 'ASC';
+  // Validate pagination and sort parameters
+  const page = db.pagination.parsePageParams(params, {
+    sortFields: ['concession_id', 'kind', 'value_amount', 'value_basis', 'created_at'],
+    defaultSort: 'concession_id',
+    key: 'concession_id'
+  });
+  if (page.errors.length > 0) {
+    return db.pagination.createPageErrorResponse(page.errors);
+  }
   
   // Build WHERE clause
   const conditions = [];
@@ -194,20 +199,18 @@ async function listConcessions(params) {
     }
   }
   
-  const whereClause = conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
-  
-  // Get total count
-  const countQuery = `
-    SELECT COUNT(*) as total 
-    FROM concession c
-    ${whereClause}
-  `;
-  const countResult = await db.queryOne(countQuery, values);
-  const total = parseInt(countResult.total, 10);
+  // Filter expression (?filter=)
+  const filter = compileFilter(params.filter, LIST_FILTERS.concessions, values.length + 1);
+  if (filter.errors.length > 0) {
+    return createFilterErrorResponse(filter.errors);
+  }
+  conditions.push(...filter.conditions);
+  values.push(...filter.values);
   
   // Get paginated results with months_remaining calculation
-  const dataQuery = `
-    SELECT 
+  const concessions = await db.pagination.fetchPage({
+    page,
+    select: `
       c.concession_id,
       c.lease_version_id,
       c.kind,
@@ -223,34 +226,23 @@ async function listConcessions(params) {
           AND UPPER(c.applies_daterange) > CURRENT_DATE 
         THEN ROUND(EXTRACT(EPOCH FROM (UPPER(c.applies_daterange) - CURRENT_DATE)) / (30 * 86400), 1)
         ELSE NULL
-      END as months_remaining
-    FROM concession c
-    ${whereClause}
-    ORDER BY c.${sortField} ${sortOrder}
-    LIMIT $${paramCount} OFFSET $${paramCount + 1}
-  `;
-  
-  values.push(parseInt(limit, 10), parseInt(offset, 10));
-  const concessions = await db.queryRows(dataQuery, values);
+      END as months_remaining`,
+    from: 'concession c',
+    alias: 'c',
+    conditions,
+    values
+  });
   
   return {
     statusCode: 200,
-    body: {
-      data: concessions,
-      pagination: {
-        total,
-        limit: parseInt(limit, 10),
-        offset: parseInt(offset, 10),
-        count: concessions.length
-      }
-    }
+    body: concessions
   };
 }
 
 /**
  * Create a new concession
  */
-async function createConcession(data) {
+async function createConcession(data, audit) {
   // Validate required fields
   const errors = validateConcessionData(data, false);
   if (errors.length > 0) {
@@ -303,7 +295,8 @@ async function createConcession(data) {
       applies_daterange,
       notes,
       created_at,
-      updated_at
+      updated_at,
+      ${db.concurrency.etagColumn()}
   `;
   
   const values = [
@@ -315,18 +308,22 @@ async function createConcession(data) {
     data.notes || null
   ];
   
-  const concession = await db.queryOne(query, values);
+  const concession = await db.audit.withAudit(audit, { entity: 'concession', action: 'CREATE' }, async (client) => {
+    const result = await client.query(query, values);
+    return result.rows[0];
+  });
   
   return {
     statusCode: 201,
-    body: concession
+    headers: db.concurrency.etagHeader('concession', concession, 'concession_id'),
+    body: db.concurrency.omitETagSource(concession)
   };
 }
 
 /**
  * Update an existing concession
  */
-async function updateConcession(concessionId, data) {
+async function updateConcession(concessionId, data, audit, ifMatch) {
   // Check if concession exists
   const existingConcession = await db.queryOne(
     'SELECT concession_id FROM concession WHERE concession_id = $1',
@@ -413,21 +410,26 @@ async function updateConcession(concessionId, data) {
       applies_daterange,
       notes,
       created_at,
-      updated_at
+      updated_at,
+      ${db.concurrency.etagColumn()}
   `;
   
-  const concession = await db.queryOne(query, values);
+  const concession = await db.audit.withAudit(audit, { entity: 'concession', action: 'UPDATE', entityId: concessionId, ifMatch }, async (client) => {
+    const result = await client.query(query, values);
+    return result.rows[0];
+  });
   
   return {
     statusCode: 200,
-    body: concession
+    headers: db.concurrency.etagHeader('concession', concession, 'concession_id'),
+    body: db.concurrency.omitETagSource(concession)
   };
 }
 
 /**
  * Delete a concession
  */
-async function deleteConcession(concessionId) {
+async function deleteConcession(concessionId, audit, ifMatch) {
   // Check if concession exists
   const existingConcession = await db.queryOne(
     'SELECT concession_id FROM concession WHERE concession_id = $1',
@@ -449,7 +451,9 @@ async function deleteConcession(concessionId) {
   
   const query = 'DELETE FROM concession WHERE concession_id = $1';
   
-  await db.query(query, [concessionId]);
+  await db.audit.withAudit(audit, { entity: 'concession', action: 'DELETE', entityId: concessionId, ifMatch }, async (client) => {
+    await client.query(query, [concessionId]);
+  });
   
   return {
     statusCode: 204,
@@ -461,136 +465,22 @@ async function deleteConcession(concessionId) {
  * Validate concession data
  */
 function validateConcessionData(data, isUpdate = false) {
-  const errors = [];
-  
-  // Required field validation (only for create)
-  if (!isUpdate) {
-    if (!data.lease_version_id) {
-      errors.push({
-        field: 'lease_version_id',
-        message: 'Lease version ID is required'
-      });
-    }
-    
-    if (!data.kind) {
-      errors.push({
-        field: 'kind',
-        message: 'Kind is required'
-      });
-    }
-    
-    if (data.value_amount === undefined || data.value_amount === null || data.value_amount === '') {
-      errors.push({
-        field: 'value_amount',
-        message: 'Value amount is required'
-      });
-    }
-    
-    if (!data.value_basis || data.value_basis === '') {
-      errors.push({
-        field: 'value_basis',
-        message: 'Value basis is required'
-      });
-    }
-  }
-  
-  // Type validation
-  if (data.lease_version_id !== undefined) {
-    const leaseVersionId = parseInt(data.lease_version_id, 10);
-    if (isNaN(leaseVersionId) || leaseVersionId <= 0) {
-      errors.push({
-        field: 'lease_version_id',
-        message: 'Lease version ID must be a positive integer'
-      });
-    }
-  }
-  
-  // Validate kind enum
-  if (data.kind !== undefined) {
-    if (typeof data.kind !== 'string') {
-      errors.push({
-        field: 'kind',
-        message: 'Kind must be a string'
-      });
-    } else if (!VALID_KIND_VALUES.includes(data.kind.toUpperCase())) {
-      errors.push({
-        field: 'kind',
-        message: `Kind must be one of: ${VALID_KIND_VALUES.join(', ')}`,
-        allowed_values: VALID_KIND_VALUES
-      });
-    }
-  }
-  
-  // Validate value_amount
-  if (data.value_amount !== undefined && data.value_amount !== null) {
-    const valueAmount = parseFloat(data.value_amount);
-    if (isNaN(valueAmount) || valueAmount < 0) {
-      errors.push({
-        field: 'value_amount',
-        message: 'Value amount must be a non-negative number'
-      });
-    }
-  }
-  
-  // Validate value_basis enum
-  if (data.value_basis !== undefined) {
-    if (typeof data.value_basis !== 'string') {
-      errors.push({
-        field: 'value_basis',
-        message: 'Value basis must be a string'
-      });
-    } else if (!VALID_VALUE_BASIS_VALUES.includes(data.value_basis.toUpperCase())) {
-      errors.push({
-        field: 'value_basis',
-        message: `Value basis must be one of: ${VALID_VALUE_BASIS_VALUES.join(', ')}`,
-        allowed_values: VALID_VALUE_BASIS_VALUES
-      });
-    }
-  }
-  
-  // Validate applies_daterange format (optional)
-  if (data.applies_daterange !== undefined && data.applies_daterange !== null) {
-    if (typeof data.applies_daterange !== 'string') {
-      errors.push({
-        field: 'applies_daterange',
-        message: 'Applies date range must be a string in PostgreSQL daterange format (e.g., "[2024-01-01,2025-01-01)")'
-      });
-    } else {
-      // Basic format validation for daterange
-      const daterangeRegex = /^[\[\(]\d{4}-\d{2}-\d{2},\d{4}-\d{2}-\d{2}[\]\)]$/;
-      if (!daterangeRegex.test(data.applies_daterange)) {
-        errors.push({
-          field: 'applies_daterange',
-          message: 'Applies date range must be in PostgreSQL daterange format (e.g., "[2024-01-01,2025-01-01)")'
-        });
-      }
-    }
-  }
-  
-  // Validate notes (optional)
-  if (data.notes !== undefined && data.notes !== null) {
-    if (typeof data.notes !== 'string') {
-      errors.push({
-        field: 'notes',
-        message: 'Notes must be a string'
-      });
-    }
-  }
-  
-  return errors;
+  return validateEntity('concession', data, { partial: isUpdate });
 }
 
 /**
  * Create HTTP response
  */
-function createResponse(statusCode, body, correlationId = null) {
+function createResponse(statusCode, body, correlationId = null, headers = {}) {
   const response = {
     statusCode,
     headers: {
       'Content-Type': 'application/json',
       'Access-Control-Allow-Origin': '*',
       'Access-Control-Allow-Methods': 'GET, POST, PUT, DELETE, OPTIONS',
-      'Access-Control-Allow-Headers': 'Content-Type, Authorization'
+      'Access-Control-Allow-Headers': 'Content-Type, Authorization, If-Match',
+      'Access-Control-Expose-Headers': 'ETag',
+      ...headers
     },
     body: statusCode === 204 ? '' : JSON.stringify(body)
   };
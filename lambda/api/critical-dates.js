@@ -4,9 +4,11 @@
  */
 
 const db = require('./db');
+const { getSchema, validateEntity } = require('./schemas/registry');
+const { LIST_FILTERS, compileFilter, createFilterErrorResponse } = require('./filters');
 
-// Valid kind values as per schema
-const VALID_KIND_VALUES = ['COMMENCEMENT', 'RENT_START', 'EXPIRATION', 'NOTICE', 'OTHER'];
+// Valid kind values from the critical_date schema
+const VALID_KIND_VALUES = getSchema('critical_date').properties.kind.enum;
 
 /**
  * Lambda handler for critical date endpoints
@@ -20,8 +22,10 @@ exports.handler = async (event) => {
   try {
     // Authorize request based on role and HTTP method
     const authResult = db.authorization.authorizeRequest(event);
+    const audit = db.audit.createAuditContext(authResult, correlationId);
     
     const { httpMethod, pathParameters, queryStringParameters, body } = event;
+    const ifMatch = db.concurrency.getIfMatch(event.headers);
     const critId = pathParameters?.id;
     
     let result;
@@ -36,7 +40,7 @@ exports.handler = async (event) => {
         break;
         
       case 'POST':
-        result = await createCriticalDate(JSON.parse(body || '{}'));
+        result = await createCriticalDate(JSON.parse(body || '{}'), audit);
         break;
         
       case 'PUT':
@@ -48,7 +52,7 @@ exports.handler = async (event) => {
             } 
           }, correlationId);
         }
-        result = await updateCriticalDate(critId, JSON.parse(body || '{}'));
+        result = await updateCriticalDate(critId, JSON.parse(body || '{}'), audit, ifMatch);
         break;
         
       case 'DELETE':
@@ -60,7 +64,7 @@ exports.handler = async (event) => {
             } 
           }, correlationId);
         }
-        result = await deleteCriticalDate(critId);
+        result = await deleteCriticalDate(critId, audit, ifMatch);
         break;
         
       default:
@@ -75,7 +79,7 @@ exports.handler = async (event) => {
     const duration = Date.now() - startTime;
     db.logger.logResponse(result.statusCode, correlationId, duration);
     
-    return createResponse(result.statusCode, result.body, correlationId);
+    return createResponse(result.statusCode, result.body, correlationId, result.headers);
     
   } catch (error) {
     db.logger.error('Critical Date API error', error);
@@ -108,7 +112,8 @@ async function getCriticalDate(critId) {
       cd.date_value,
       cd.notes,
       cd.created_at,
-      cd.updated_at
+      cd.updated_at,
+      ${db.concurrency.etagColumn('cd')}
     FROM critical_date cd
     WHERE cd.crit_id = $1
   `;
@@ -130,7 +135,8 @@ async function getCriticalDate(critId) {
   
   return {
     statusCode: 200,
-    body: criticalDate
+    headers: db.concurrency.etagHeader('critical_date', criticalDate, 'crit_id'),
+    body: db.concurrency.omitETagSource(criticalDate)
   };
 }
 
@@ -140,17 +146,18 @@ async function getCriticalDate(critId) {
 async function listCriticalDates(params) {
   const {
     lease_id,
-    kind,
-    sort_by = 'date_value',
-    sort_order = 'ASC',
-    limit = '50',
-    offset = '0'
+    kind
   } = params;
   
-  // Validate sort parameters
-  const allowedSortFields = ['crit_id', 'kind', 'date_value', 'created_at'];
-  const sortField = allowedSortFields.includes(sort_by) ? sort_by : 'date_value';
-  const sortOrder = sort_order.toUpperCase() === 'DESC' ? 'DESC' : 'ASC';
+  // Validate pagination and sort parameters
+  const page = db.pagination.parsePageParams(params, {
+    sortFields: ['crit_id', 'kind', 'date_value', 'created_at'],
+    defaultSort: 'date_value',
+    key: 'crit_id'
+  });
+  if (page.errors.length > 0) {
+    return db.pagination.createPageErrorResponse(page.errors);
+  }
   
   // Build WHERE clause
   const conditions = [];
@@ -172,54 +179,41 @@ async function listCriticalDates(params) {
     }
   }
   
-  const whereClause = conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
-  
-  // Get total count
-  const countQuery = `
-    SELECT COUNT(*) as total 
-    FROM critical_date cd
-    ${whereClause}
-  `;
-  const countResult = await db.queryOne(countQuery, values);
-  const total = parseInt(countResult.total, 10);
+  // Filter expression (?filter=)
+  const filter = compileFilter(params.filter, LIST_FILTERS['critical-dates'], values.length + 1);
+  if (filter.errors.length > 0) {
+    return createFilterErrorResponse(filter.errors);
+  }
+  conditions.push(...filter.conditions);
+  values.push(...filter.values);
   
   // Get paginated results
-  const dataQuery = `
-    SELECT 
+  const criticalDates = await db.pagination.fetchPage({
+    page,
+    select: `
       cd.crit_id,
       cd.lease_id,
       cd.kind,
       cd.date_value,
       cd.notes,
       cd.created_at,
-      cd.updated_at
-    FROM critical_date cd
-    ${whereClause}
-    ORDER BY cd.${sortField} ${sortOrder}
-    LIMIT $${paramCount} OFFSET $${paramCount + 1}
-  `;
-  
-  values.push(parseInt(limit, 10), parseInt(offset, 10));
-  const criticalDates = await db.queryRows(dataQuery, values);
+      cd.updated_at`,
+    from: 'critical_date cd',
+    alias: 'cd',
+    conditions,
+    values
+  });
   
   return {
     statusCode: 200,
-    body: {
-      data: criticalDates,
-      pagination: {
-        total,
-        limit: parseInt(limit, 10),
-        offset: parseInt(offset, 10),
-        count: criticalDates.length
-      }
-    }
+    body: criticalDates
   };
 }
 
 /**
  * Create a new critical date
  */
-async function createCriticalDate(data) {
+async function createCriticalDate(data, audit) {
   // Validate required fields
   const errors = validateCriticalDateData(data, false);
   if (errors.length > 0) {
@@ -268,7 +262,8 @@ async function createCriticalDate(data) {
       date_value,
       notes,
       created_at,
-      updated_at
+      updated_at,
+      ${db.concurrency.etagColumn()}
   `;
   
   const values = [
@@ -278,18 +273,22 @@ async function createCriticalDate(data) {
     data.notes || null
   ];
   
-  const criticalDate = await db.queryOne(query, values);
+  const criticalDate = await db.audit.withAudit(audit, { entity: 'critical_date', action: 'CREATE' }, async (client) => {
+    const result = await client.query(query, values);
+    return result.rows[0];
+  });
   
   return {
     statusCode: 201,
-    body: criticalDate
+    headers: db.concurrency.etagHeader('critical_date', criticalDate, 'crit_id'),
+    body: db.concurrency.omitETagSource(criticalDate)
   };
 }
 
 /**
  * Update an existing critical date
  */
-async function updateCriticalDate(critId, data) {
+async function updateCriticalDate(critId, data, audit, ifMatch) {
   // Check if critical date exists
   const existingCriticalDate = await db.queryOne(
     'SELECT crit_id FROM critical_date WHERE crit_id = $1',
@@ -371,21 +370,26 @@ async function updateCriticalDate(critId, data) {
       date_value,
       notes,
       created_at,
-      updated_at
+      updated_at,
+      ${db.concurrency.etagColumn()}
   `;
   
-  const criticalDate = await db.queryOne(query, values);
+  const criticalDate = await db.audit.withAudit(audit, { entity: 'critical_date', action: 'UPDATE', entityId: critId, ifMatch }, async (client) => {
+    const result = await client.query(query, values);
+    return result.rows[0];
+  });
   
   return {
     statusCode: 200,
-    body: criticalDate
+    headers: db.concurrency.etagHeader('critical_date', criticalDate, 'crit_id'),
+    body: db.concurrency.omitETagSource(criticalDate)
   };
 }
 
 /**
  * Delete a critical date
  */
-async function deleteCriticalDate(critId) {
+async function deleteCriticalDate(critId, audit, ifMatch) {
   // Check if critical date exists
   const existingCriticalDate = await db.queryOne(
     'SELECT crit_id FROM critical_date WHERE crit_id = $1',
@@ -407,7 +411,9 @@ async function deleteCriticalDate(critId) {
   
   const query = 'DELETE FROM critical_date WHERE crit_id = $1';
   
-  await db.query(query, [critId]);
+  await db.audit.withAudit(audit, { entity: 'critical_date', action: 'DELETE', entityId: critId, ifMatch }, async (client) => {
+    await client.query(query, [critId]);
+  });
   
   return {
     statusCode: 204,
@@ -419,101 +425,22 @@ async function deleteCriticalDate(critId) {
  * Validate critical date data
  */
 function validateCriticalDateData(data, isUpdate = false) {
-  const errors = [];
-  
-  // Required field validation (only for create)
-  if (!isUpdate) {
-    if (!data.lease_id) {
-      errors.push({
-        field: 'lease_id',
-        message: 'Lease ID is required'
-      });
-    }
-    
-    if (!data.kind) {
-      errors.push({
-        field: 'kind',
-        message: 'Kind is required'
-      });
-    }
-    
-    if (!data.date_value) {
-      errors.push({
-        field: 'date_value',
-        message: 'Date value is required'
-      });
-    }
-  }
-  
-  // Type validation
-  if (data.lease_id !== undefined) {
-    const leaseId = parseInt(data.lease_id, 10);
-    if (isNaN(leaseId) || leaseId <= 0) {
-      errors.push({
-        field: 'lease_id',
-        message: 'Lease ID must be a positive integer'
-      });
-    }
-  }
-  
-  // Validate kind enum
-  if (data.kind !== undefined) {
-    if (typeof data.kind !== 'string') {
-      errors.push({
-        field: 'kind',
-        message: 'Kind must be a string'
-      });
-    } else if (!VALID_KIND_VALUES.includes(data.kind.toUpperCase())) {
-      errors.push({
-        field: 'kind',
-        message: `Kind must be one of: ${VALID_KIND_VALUES.join(', ')}`,
-        allowed_values: VALID_KIND_VALUES
-      });
-    }
-  }
-  
-  // Validate date_value format
-  if (data.date_value !== undefined) {
-    if (typeof data.date_value !== 'string') {
-      errors.push({
-        field: 'date_value',
-        message: 'Date value must be a string in YYYY-MM-DD format'
-      });
-    } else {
-      const dateRegex = /^\d{4}-\d{2}-\d{2}$/;
-      if (!dateRegex.test(data.date_value)) {
-        errors.push({
-          field: 'date_value',
-          message: 'Date value must be in YYYY-MM-DD format'
-        });
-      }
-    }
-  }
-  
-  // Validate notes (optional)
-  if (data.notes !== undefined && data.notes !== null) {
-    if (typeof data.notes !== 'string') {
-      errors.push({
-        field: 'notes',
-        message: 'Notes must be a string'
-      });
-    }
-  }
-  
-  return errors;
+  return validateEntity('critical_date', data, { partial: isUpdate });
 }
 
 /**
  * Create HTTP response
  */
-function createResponse(statusCode, body, correlationId = null) {
+function createResponse(statusCode, body, correlationId = null, headers = {}) {
   const response = {
     statusCode,
     headers: {
       'Content-Type': 'application/json',
       'Access-Control-Allow-Origin': '*',
       'Access-Control-Allow-Methods': 'GET, POST, PUT, DELETE, OPTIONS',
-      'Access-Control-Allow-Headers': 'Content-Type, Authorization'
+      'Access-Control-Allow-Headers': 'Content-Type, Authorization, If-Match',
+      'Access-Control-Expose-Headers': 'ETag',
+      ...headers
     },
     body: statusCode === 204 ? '' : JSON.stringify(body)
   };
@@ -0,0 +1,206 @@
+/**
+ * Audit Trail Utilities
+ * Records creates, updates and deletes in audit_log inside the caller's transaction
+ */
+
+const { withTransaction } = require('./connection');
+const { checkIfMatch } = require('./concurrency');
+
+const AUDIT_ACTIONS = ['CREATE', 'UPDATE', 'DELETE'];
+
+// Audited entities and their tables; entity names are the table names
+const AUDITED_ENTITIES = {
+  property: { key: 'property_id' },
+  suite: { key: 'suite_id' },
+  party: { key: 'party_id' },
+  lease: { key: 'lease_id' },
+  lease_version: { key: 'lease_version_id' },
+  rent_schedule: { key: 'rent_id' },
+  opex_pass_through: { key: 'opex_id' },
+  opex_estimate: { key: 'opex_estimate_id' },
+  property_opex_year: { key: 'property_opex_year_id' },
+  option: { key: 'option_id' },
+  concession: { key: 'concession_id' },
+  critical_date: { key: 'crit_id' },
+  doc_link: { key: 'doc_id' }
+};
+
+/**
+ * Build the audit context for a request
+ * @param {Object} authResult - Result of authorization.authorizeRequest (role, principal)
+ * @param {string} correlationId - Request correlation ID
+ * @returns {Object} Audit context
+ */
+function createAuditContext(authResult, correlationId) {
+  return {
+    principal: authResult?.principal || 'unknown',
+    role: authResult?.role || null,
+    correlationId: correlationId || null
+  };
+}
+
+/**
+ * Load the current row of an audited entity as JSON
+ * The row is locked so the before snapshot matches what the change replaces.
+ * @param {Object} client - Transaction client
+ * @param {string} entity - Entity name (see AUDITED_ENTITIES)
+ * @param {number|string} entityId - Primary key value
+ * @returns {Promise<Object|null>} Row as JSON or null if not found
+ */
+async function snapshot(client, entity, entityId) {
+  const config = AUDITED_ENTITIES[entity];
+  if (!config) {
+    throw new Error(`Unknown audit entity: ${entity}`);
+  }
+  
+  const result = await client.query(
+    `SELECT to_jsonb(t) AS row FROM ${entity} t WHERE ${config.key} = $1 FOR UPDATE`,
+    [entityId]
+  );
+  
+  return result.rows[0] ? result.rows[0].row : null;
+}
+
+/**
+ * Resolve the lease a row belongs to, directly or through its lease version
+ */
+async function resolveLeaseId(client, row) {
+  if (!row) {
+    return null;
+  }
+  if (row.lease_id) {
+    return row.lease_id;
+  }
+  if (row.lease_version_id) {
+    const result = await client.query(
+      'SELECT lease_id FROM lease_version WHERE lease_version_id = $1',
+      [row.lease_version_id]
+    );
+    return result.rows[0] ? result.rows[0].lease_id : null;
+  }
+  if (row.opex_id) {
+    const result = await client.query(`
+      SELECT lv.lease_id
+      FROM opex_pass_through o
+      INNER JOIN lease_version lv ON o.lease_version_id = lv.lease_version_id
+      WHERE o.opex_id = $1
+    `, [row.opex_id]);
+    return result.rows[0] ? result.rows[0].lease_id : null;
+  }
+  return null;
+}
+
+/**
+ * Write an audit_log row using the caller's transaction client
+ *
+ * When `after` is omitted for a known entity, the row is re-read so the
+ * snapshot reflects defaults and triggers. lease_id is resolved
+ * from the snapshots when not given.
+ *
+ * @param {Object} client - Transaction client
+ * @param {Object} context - Audit context (see createAuditContext)
+ * @param {Object} entry - Audit entry
+ * @param {string} entry.entity - Entity name
+ * @param {number|string} entry.entityId - Entity identifier
+ * @param {string} entry.action - CREATE, UPDATE or DELETE
+ * @param {Object|null} entry.before - Row before the change
+ * @param {Object|null} entry.after - Row after the change
+ * @param {number|null} entry.leaseId - Lease the change belongs to
+ * @returns {Promise<Object>} Inserted audit_log row
+ */
+async function recordAudit(client, context, entry) {
+  const { entity, entityId, action } = entry;
+  
+  if (!AUDIT_ACTIONS.includes(action)) {
+    throw new Error(`Invalid audit action: ${action}`);
+  }
+  
+  let after = entry.after;
+  if (after === undefined) {
+    // Hard-deleted rows snapshot as null; soft deletes keep their final state
+    after = AUDITED_ENTITIES[entity] ? await snapshot(client, entity, entityId) : null;
+  }
+  const before = entry.before || null;
+  
+  const leaseId = entry.leaseId !== undefined
+    ? entry.leaseId
+    : (await resolveLeaseId(client, after)) || (await resolveLeaseId(client, before));
+  
+  const result = await client.query(`
+    INSERT INTO audit_log (
+      principal,
+      role,
+      entity,
+      entity_id,
+      lease_id,
+      action,
+      before_data,
+      after_data,
+      correlation_id
+    ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9)
+    RETURNING audit_id
+  `, [
+    context?.principal || 'unknown',
+    context?.role || null,
+    entity,
+    String(entityId),
+    leaseId || null,
+    action,
+    before ? JSON.stringify(before) : null,
+    after ? JSON.stringify(after) : null,
+    context?.correlationId || null
+  ]);
+  
+  return result.rows[0];
+}
+
+/**
+ * Run a single-entity write in a transaction and audit it
+ *
+ * For UPDATE and DELETE the before snapshot is taken (and the row locked)
+ * before the callback runs, and checked against options.ifMatch (see
+ * concurrency.checkIfMatch). For CREATE the entity ID is read from the row the
+ * callback returns, and an If-Match fails as there is no current row.
+ *
+ * options.snapshot replaces the table snapshot, for entities audited with
+ * their child rows; it is called as snapshot(client, entityId) and must lock
+ * the row.
+ *
+ * @param {Object} context - Audit context
+ * @param {Object} options - { entity, action, entityId, ifMatch, snapshot }
+ * @param {Function} callback - async (client) => row returned by the write
+ * @returns {Promise<Object>} The callback's result
+ */
+async function withAudit(context, options, callback) {
+  const { entity, action } = options;
+  const config = AUDITED_ENTITIES[entity];
+  if (!config) {
+    throw new Error(`Unknown audit entity: ${entity}`);
+  }
+  
+  const takeSnapshot = options.snapshot || ((client, entityId) => snapshot(client, entity, entityId));
+  
+  return withTransaction(async (client) => {
+    const before = action === 'CREATE' ? null : await takeSnapshot(client, options.entityId);
+    if (action !== 'CREATE' || options.ifMatch) {
+      checkIfMatch(entity, before, config.key, options.ifMatch);
+    }
+    
+    const row = await callback(client);
+    
+    const entityId = options.entityId !== undefined ? options.entityId : row && row[config.key];
+    const after = options.snapshot ? await options.snapshot(client, entityId) : undefined;
+    await recordAudit(client, context, { entity, entityId, action, before, after });
+    
+    return row;
+  });
+}
+
+module.exports = {
+  AUDIT_ACTIONS,
+  AUDITED_ENTITIES,
+  createAuditContext,
+  snapshot,
+  recordAudit,
+  withAudit
+};
@@ -0,0 +1,167 @@
+/**
+ * Optimistic Concurrency Utilities
+ * ETags for entity rows and If-Match preconditions on updates and deletes
+ *
+ * An ETag identifies one version of a row: it is derived from the entity, its
+ * ID and updated_at, which every write sets. GET, POST and PUT return it; a PUT
+ * or DELETE sent with If-Match is applied only if the row still has that ETag.
+ * The check runs in the write's transaction against the locked row (see
+ * withAudit), so two clients cannot both pass it with the same ETag.
+ *
+ * updated_at is hashed to the microsecond. pg reads TIMESTAMP columns into a
+ * Date, which keeps milliseconds only, so queries that return an ETag also
+ * select etagColumn() and the response body drops it (omitETagSource).
+ */
+
+const crypto = require('crypto');
+const { DatabaseError } = require('./errors');
+
+// Column of a query row holding the full-precision updated_at
+const ETAG_SOURCE = 'etag_source';
+
+/**
+ * Whether writes must carry If-Match (REQUIRE_IF_MATCH=true)
+ * @returns {boolean}
+ */
+function isIfMatchRequired() {
+  return String(process.env.REQUIRE_IF_MATCH || '').toLowerCase() === 'true';
+}
+
+/**
+ * Select list item giving the full-precision updated_at of a row
+ * The text has the form of updated_at in a to_jsonb snapshot.
+ * @param {string} [alias] - Table alias
+ * @returns {string} SQL select item
+ */
+function etagColumn(alias) {
+  const column = alias ? `${alias}.updated_at` : 'updated_at';
+  return `to_char(${column}, 'YYYY-MM-DD"T"HH24:MI:SS.US') AS ${ETAG_SOURCE}`;
+}
+
+/**
+ * Compute the ETag of an entity row
+ * updatedAt is ISO text (etagColumn, or a to_jsonb snapshot, which drops
+ * trailing zeros of the fraction); it is read to the microsecond.
+ * @param {string} entity - Entity name (table), e.g. rent_schedule
+ * @param {number|string} entityId - Primary key value
+ * @param {string|null} updatedAt - Row updated_at as ISO text
+ * @returns {string|null} Quoted strong ETag, or null without updated_at
+ */
+function computeETag(entity, entityId, updatedAt) {
+  const match = /^(\d{4}-\d{2}-\d{2})[T ](\d{2}:\d{2}:\d{2})(?:\.(\d{1,6}))?$/.exec(updatedAt || '');
+  if (!match) {
+    return null;
+  }
+  
+  const time = `${match[1]}T${match[2]}.${(match[3] || '').padEnd(6, '0')}`;
+  const hash = crypto.createHash('sha1').update(`${entity}:${entityId}:${time}`).digest('hex');
+  return `"${hash.slice(0, 20)}"`;
+}
+
+/**
+ * Build the ETag response header of an entity row
+ * @param {string} entity - Entity name (table)
+ * @param {Object} row - Query row with its primary key and etagColumn()
+ * @param {string} key - Primary key column
+ * @returns {Object} { ETag } or {} when the row has no ETag
+ */
+function etagHeader(entity, row, key) {
+  const etag = row ? computeETag(entity, row[key], row[ETAG_SOURCE]) : null;
+  return etag ? { ETag: etag } : {};
+}
+
+/**
+ * Copy a query row without its etagColumn(), for the response body
+ * @param {Object|null} row - Query row
+ * @returns {Object|null} Row without the ETag source
+ */
+function omitETagSource(row) {
+  if (!row) {
+    return row;
+  }
+  
+  const { [ETAG_SOURCE]: source, ...rest } = row;
+  return rest;
+}
+
+/**
+ * Read the If-Match request header
+ * @param {Object} headers - Request headers (any case)
+ * @returns {string|null} Header value, or null if absent
+ */
+function getIfMatch(headers) {
+  const name = Object.keys(headers || {}).find(header => header.toLowerCase() === 'if-match');
+  if (!name || headers[name] === undefined || headers[name] === null) {
+    return null;
+  }
+  
+  const value = String(headers[name]).trim();
+  return value === '' ? null : value;
+}
+
+/**
+ * Evaluate If-Match against the current ETag (RFC 9110 strong comparison)
+ * "*" matches any existing row; weak tags (W/"...") never match.
+ * @param {string} ifMatch - If-Match header value
+ * @param {string|null} etag - Current ETag, null if the row does not exist
+ * @returns {boolean} True if the precondition holds
+ */
+function ifMatchSatisfied(ifMatch, etag) {
+  if (!etag) {
+    return false;
+  }
+  
+  return ifMatch.split(',')
+    .map(tag => tag.trim())
+    .some(tag => tag === '*' || tag === etag);
+}
+
+/**
+ * Check the If-Match precondition of a write
+ *
+ * ifMatch is undefined for writes that take no precondition (batch, imports,
+ * cascades); null when the request had no If-Match header, which passes
+ * unless REQUIRE_IF_MATCH is set.
+ *
+ * @param {string} entity - Entity name (table)
+ * @param {Object|null} row - Current row as a to_jsonb snapshot (null if it no longer exists)
+ * @param {string} key - Primary key column
+ * @param {string|null|undefined} ifMatch - If-Match header value
+ * @throws {DatabaseError} 428 PRECONDITION_REQUIRED or 412 PRECONDITION_FAILED
+ */
+function checkIfMatch(entity, row, key, ifMatch) {
+  if (ifMatch === undefined) {
+    return;
+  }
+  
+  if (ifMatch === null) {
+    if (isIfMatchRequired()) {
+      throw new DatabaseError('If-Match header is required', 'PRECONDITION_REQUIRED', 428, [{
+        field: 'If-Match',
+        message: 'Send the ETag of the last read of this resource in If-Match',
+        rule: 'required'
+      }]);
+    }
+    return;
+  }
+  
+  const etag = row ? computeETag(entity, row[key], row.updated_at) : null;
+  if (!ifMatchSatisfied(ifMatch, etag)) {
+    throw new DatabaseError('Resource has been modified since it was read', 'PRECONDITION_FAILED', 412, [{
+      field: 'If-Match',
+      value: ifMatch,
+      current_etag: etag
+    }]);
+  }
+}
+
+module.exports = {
+  isIfMatchRequired,
+  etagColumn,
+  computeETag,
+  etagHeader,
+  omitETagSource,
+  getIfMatch,
+  ifMatchSatisfied,
+  checkIfMatch
+};
@@ -7,6 +7,9 @@ const connection = require('./connection');
 const errors = require('./errors');
 const logger = require('./logger');
 const authorization = require('./authorization');
+const audit = require('./audit');
+const pagination = require('./pagination');
+const concurrency = require('./concurrency');
 
 module.exports = {
   // Connection management
@@ -48,6 +51,36 @@ module.exports = {
     createForbiddenResponse: authorization.createForbiddenResponse
   },
   
+  // Audit trail
+  audit: {
+    AUDIT_ACTIONS: audit.AUDIT_ACTIONS,
+    AUDITED_ENTITIES: audit.AUDITED_ENTITIES,
+    createAuditContext: audit.createAuditContext,
+    snapshot: audit.snapshot,
+    recordAudit: audit.recordAudit,
+    withAudit: audit.withAudit
+  },
+  
+  // List pagination
+  pagination: {
+    DEFAULT_LIMIT: pagination.DEFAULT_LIMIT,
+    MAX_LIMIT: pagination.MAX_LIMIT,
+    parsePageParams: pagination.parsePageParams,
+    createPageErrorResponse: pagination.createPageErrorResponse,
+    fetchPage: pagination.fetchPage
+  },
+  
+  // Optimistic concurrency (ETag / If-Match)
+  concurrency: {
+    isIfMatchRequired: concurrency.isIfMatchRequired,
+    etagColumn: concurrency.etagColumn,
+    computeETag: concurrency.computeETag,
+    etagHeader: concurrency.etagHeader,
+    omitETagSource: concurrency.omitETagSource,
+    getIfMatch: concurrency.getIfMatch,
+    checkIfMatch: concurrency.checkIfMatch
+  },
+  
   // Logging
   logger: {
     debug: logger.debug,
@@ -0,0 +1,355 @@
+/**
+ * Pagination Utilities
+ * Offset and cursor (keyset) pagination shared by the list handlers
+ *
+ * A cursor is an opaque token holding the sort field, sort order, the sort and
+ * key values of a boundary row and the paging direction. The next page is the
+ * rows after (sort, key) in the list order, so pages stay stable while rows are
+ * inserted or deleted, and deep pages cost the same as the first one.
+ * NULL sort values follow PostgreSQL's default ordering (larger than any value).
+ */
+
+const { queryRows, queryOne } = require('./connection');
+
+const DEFAULT_LIMIT = 50;
+const MAX_LIMIT = 500;
+
+// Extra column carrying the sort value as text; timestamps keep full precision
+const CURSOR_COLUMN = 'cursor_sort_value';
+
+const DIRECTIONS = ['after', 'before'];
+
+/**
+ * Encode a cursor
+ * @param {Object} cursor - { sortField, sortOrder, value, key, direction }
+ * @returns {string} Opaque base64url token
+ */
+function encodeCursor(cursor) {
+  const payload = {
+    s: cursor.sortField,
+    o: cursor.sortOrder,
+    v: cursor.value === undefined ? null : cursor.value,
+    k: cursor.key,
+    d: cursor.direction
+  };
+  return Buffer.from(JSON.stringify(payload)).toString('base64url');
+}
+
+/**
+ * Decode a cursor and check it against the handler's sort fields
+ * @param {string} token - Token from next_cursor or prev_cursor
+ * @param {Array<string>} sortFields - Sort fields the list allows
+ * @returns {Object|null} { sortField, sortOrder, value, key, direction } or null if invalid
+ */
+function decodeCursor(token, sortFields) {
+  if (typeof token !== 'string' || !/^[A-Za-z0-9_-]+$/.test(token)) {
+    return null;
+  }
+  
+  let payload;
+  try {
+    payload = JSON.parse(Buffer.from(token, 'base64url').toString('utf8'));
+  } catch (error) {
+    return null;
+  }
+  
+  if (
+    payload === null || typeof payload !== 'object' ||
+    !sortFields.includes(payload.s) ||
+    !['ASC', 'DESC'].includes(payload.o) ||
+    !(payload.v === null || typeof payload.v === 'string') ||
+    !Number.isInteger(payload.k) ||
+    !DIRECTIONS.includes(payload.d)
+  ) {
+    return null;
+  }
+  
+  return {
+    sortField: payload.s,
+    sortOrder: payload.o,
+    value: payload.v,
+    key: payload.k,
+    direction: payload.d
+  };
+}
+
+function parseInteger(value) {
+  return /^\d+$/.test(String(value).trim()) ? parseInt(value, 10) : NaN;
+}
+
+/**
+ * Validate and resolve list pagination parameters
+ * Without a cursor the list is paged by offset and includes the total count.
+ * With a cursor the sort comes from the cursor and the total is only counted
+ * when include_total=true.
+ * @param {Object} params - Query parameters (sort_by, sort_order, limit, offset, cursor, include_total)
+ * @param {Object} options - { sortFields, defaultSort, defaultOrder, key, maxLimit }
+ * @returns {Object} { errors, sortField, sortOrder, key, limit, offset, cursor, includeTotal }
+ */
+function parsePageParams(params, options) {
+  const {
+    sortFields,
+    defaultSort,
+    defaultOrder = 'ASC',
+    key,
+    maxLimit = MAX_LIMIT
+  } = options;
+  const errors = [];
+  
+  // Unknown sort fields fall back to the default, as the list handlers always have
+  let sortField = sortFields.includes(params.sort_by) ? params.sort_by : defaultSort;
+  let sortOrder = params.sort_order ? (String(params.sort_order).toUpperCase() === 'DESC' ? 'DESC' : 'ASC') : defaultOrder;
+  
+  let limit = DEFAULT_LIMIT;
+  if (params.limit !== undefined && params.limit !== '') {
+    limit = parseInteger(params.limit);
+    if (isNaN(limit) || limit < 1) {
+      errors.push({
+        field: 'limit',
+        message: `Limit must be a positive integer (maximum ${maxLimit})`,
+        rule: isNaN(limit) ? 'type' : 'minimum'
+      });
+    }
+    limit = Math.min(limit, maxLimit);
+  }
+  
+  let offset = 0;
+  if (params.offset !== undefined && params.offset !== '') {
+    offset = parseInteger(params.offset);
+    if (isNaN(offset)) {
+      errors.push({ field: 'offset', message: 'Offset must be a non-negative integer', rule: 'type' });
+    }
+  }
+  
+  let cursor = null;
+  if (params.cursor !== undefined && params.cursor !== '') {
+    cursor = decodeCursor(params.cursor, sortFields);
+    if (!cursor) {
+      errors.push({ field: 'cursor', message: 'Cursor is not valid for this list', rule: 'format' });
+    } else {
+      if (params.sort_by !== undefined && sortField !== cursor.sortField) {
+        errors.push({ field: 'cursor', message: `Cursor was created for sort_by=${cursor.sortField}`, rule: 'conflict' });
+      }
+      if (params.sort_order !== undefined && sortOrder !== cursor.sortOrder) {
+        errors.push({ field: 'cursor', message: `Cursor was created for sort_order=${cursor.sortOrder}`, rule: 'conflict' });
+      }
+      if (offset > 0) {
+        errors.push({ field: 'offset', message: 'Offset cannot be combined with a cursor', rule: 'conflict' });
+      }
+      sortField = cursor.sortField;
+      sortOrder = cursor.sortOrder;
+      offset = 0;
+    }
+  }
+  
+  let includeTotal = !cursor;
+  if (params.include_total !== undefined && params.include_total !== '') {
+    const flag = String(params.include_total).toLowerCase();
+    if (flag === 'true' || flag === 'false') {
+      includeTotal = flag === 'true';
+    } else {
+      errors.push({
+        field: 'include_total',
+        message: 'include_total must be true or false',
+        rule: 'enum',
+        allowed_values: ['true', 'false']
+      });
+    }
+  }
+  
+  return { errors, sortField, sortOrder, key, limit, offset, cursor, includeTotal };
+}
+
+/**
+ * Build the 400 response for invalid pagination parameters
+ * @param {Array<Object>} errors - Errors from parsePageParams
+ * @returns {Object} { statusCode, body }
+ */
+function createPageErrorResponse(errors) {
+  return {
+    statusCode: 400,
+    body: {
+      error: {
+        code: 'VALIDATION_ERROR',
+        message: 'Invalid pagination parameters',
+        details: errors
+      }
+    }
+  };
+}
+
+/**
+ * Build the keyset condition that selects the rows past a cursor
+ * @param {string} sortColumn - Qualified sort column
+ * @param {string} keyColumn - Qualified primary key column (tie-breaker)
+ * @param {Object} cursor - Decoded cursor
+ * @param {number} firstParam - Number of the first placeholder to use
+ * @returns {Object} { text, values }
+ */
+function keysetCondition(sortColumn, keyColumn, cursor, firstParam) {
+  // Rows after the cursor in an ASC list (or before it in a DESC list) have larger values
+  const larger = (cursor.sortOrder === 'ASC') === (cursor.direction === 'after');
+  const op = larger ? '>' : '<';
+  const sortParam = `$${firstParam}`;
+  const keyParam = `$${firstParam + 1}`;
+  
+  if (sortColumn === keyColumn) {
+    return { text: `${keyColumn} ${op} ${sortParam}`, values: [cursor.key] };
+  }
+  
+  if (cursor.value === null) {
+    return {
+      text: larger
+        ? `(${sortColumn} IS NULL AND ${keyColumn} > ${sortParam})`
+        : `(${sortColumn} IS NOT NULL OR ${keyColumn} < ${sortParam})`,
+      values: [cursor.key]
+    };
+  }
+  
+  const nulls = larger ? ` OR ${sortColumn} IS NULL` : '';
+  return {
+    text: `(${sortColumn} ${op} ${sortParam} OR (${sortColumn} = ${sortParam} AND ${keyColumn} ${op} ${keyParam})${nulls})`,
+    values: [cursor.value, cursor.key]
+  };
+}
+
+/**
+ * Build the ORDER BY list; a backward page reads the list in reverse
+ */
+function orderBy(sortColumn, keyColumn, page) {
+  const backward = page.cursor && page.cursor.direction === 'before';
+  const order = backward ? (page.sortOrder === 'ASC' ? 'DESC' : 'ASC') : page.sortOrder;
+  return sortColumn === keyColumn ? `${keyColumn} ${order}` : `${sortColumn} ${order}, ${keyColumn} ${order}`;
+}
+
+function rowCursor(row, page, direction) {
+  return encodeCursor({
+    sortField: page.sortField,
+    sortOrder: page.sortOrder,
+    value: row[CURSOR_COLUMN],
+    key: Number(row[page.key]),
+    direction
+  });
+}
+
+/**
+ * Shape fetched rows as a page
+ * The rows are the query result with one row more than the limit, which tells
+ * whether another page follows.
+ * @param {Array<Object>} rows - Rows including CURSOR_COLUMN
+ * @param {Object} page - Result of parsePageParams
+ * @param {number} [total] - Total matching rows, when counted
+ * @returns {Object} { data, pagination }
+ */
+function buildPage(rows, page, total) {
+  const hasMore = rows.length > page.limit;
+  const pageRows = rows.slice(0, page.limit);
+  const backward = Boolean(page.cursor) && page.cursor.direction === 'before';
+  if (backward) {
+    pageRows.reverse();
+  }
+  
+  const first = pageRows[0];
+  const last = pageRows[pageRows.length - 1];
+  const hasNext = backward || hasMore;
+  let hasPrevious;
+  if (backward) {
+    hasPrevious = hasMore;
+  } else {
+    hasPrevious = page.cursor ? true : page.offset > 0;
+  }
+  
+  const pagination = {};
+  if (total !== undefined) {
+    pagination.total = total;
+  }
+  pagination.limit = page.limit;
+  if (!page.cursor) {
+    pagination.offset = page.offset;
+  }
+  pagination.count = pageRows.length;
+  pagination.next_cursor = hasNext && last ? rowCursor(last, page, 'after') : null;
+  pagination.prev_cursor = hasPrevious && first ? rowCursor(first, page, 'before') : null;
+  
+  return {
+    data: pageRows.map(row => {
+      const { [CURSOR_COLUMN]: sortValue, ...rest } = row;
+      return rest;
+    }),
+    pagination
+  };
+}
+
+/**
+ * Fetch one page of a list
+ * @param {Object} options
+ * @param {Object} options.page - Result of parsePageParams
+ * @param {string} options.select - Select list
+ * @param {string} options.from - FROM clause, including joins
+ * @param {string} [options.countFrom] - FROM clause for the total count (default: from)
+ * @param {string} [options.alias] - Alias of the table holding the sort and key columns
+ * @param {Array<string>} [options.conditions] - Filter conditions using $1..$n
+ * @param {Array} [options.values] - Filter values
+ * @returns {Promise<Object>} { data, pagination }
+ */
+async function fetchPage(options) {
+  const {
+    page,
+    select,
+    from,
+    countFrom = from,
+    alias = '',
+    conditions = [],
+    values = []
+  } = options;
+  const column = name => (alias ? `${alias}.${name}` : name);
+  const sortColumn = column(page.sortField);
+  const keyColumn = column(page.key);
+  
+  let total;
+  if (page.includeTotal) {
+    const countWhere = conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
+    const countResult = await queryOne(`SELECT COUNT(*) as total FROM ${countFrom} ${countWhere}`, values);
+    total = parseInt(countResult.total, 10);
+  }
+  
+  const dataConditions = [...conditions];
+  const dataValues = [...values];
+  if (page.cursor) {
+    const keyset = keysetCondition(sortColumn, keyColumn, page.cursor, dataValues.length + 1);
+    dataConditions.push(keyset.text);
+    dataValues.push(...keyset.values);
+  }
+  const whereClause = dataConditions.length > 0 ? `WHERE ${dataConditions.join(' AND ')}` : '';
+  
+  dataValues.push(page.limit + 1);
+  let limitClause = `LIMIT $${dataValues.length}`;
+  if (!page.cursor) {
+    dataValues.push(page.offset);
+    limitClause += ` OFFSET $${dataValues.length}`;
+  }
+  
+  const rows = await queryRows(`
+    SELECT ${select.trim()},
+      (${sortColumn})::text AS ${CURSOR_COLUMN}
+    FROM ${from}
+    ${whereClause}
+    ORDER BY ${orderBy(sortColumn, keyColumn, page)}
+    ${limitClause}
+  `, dataValues);
+  
+  return buildPage(rows, page, total);
+}
+
+module.exports = {
+  DEFAULT_LIMIT,
+  MAX_LIMIT,
+  CURSOR_COLUMN,
+  encodeCursor,
+  decodeCursor,
+  parsePageParams,
+  createPageErrorResponse,
+  keysetCondition,
+  buildPage,
+  fetchPage
+};
@@ -4,6 +4,8 @@
  */
 
 const db = require('./db');
+const { validateEntity } = require('./schemas/registry');
+const { LIST_FILTERS, compileFilter, createFilterErrorResponse } = require('./filters');
 
 /**
  * Lambda handler for document link endpoints
@@ -17,8 +19,10 @@ exports.handler = async (event) => {
   try {
     // Authorize request based on role and HTTP method
     const authResult = db.authorization.authorizeRequest(event);
+    const audit = db.audit.createAuditContext(authResult, correlationId);
     
     const { httpMethod, pathParameters, queryStringParameters, body } = event;
+    const ifMatch = db.concurrency.getIfMatch(event.headers);
     const docId = pathParameters?.id;
     
     let result;
@@ -33,7 +37,7 @@ exports.handler = async (event) => {
         break;
         
       case 'POST':
-        result = await createDocLink(JSON.parse(body || '{}'));
+        result = await createDocLink(JSON.parse(body || '{}'), audit);
         break;
         
       case 'PUT':
@@ -45,7 +49,7 @@ exports.handler = async (event) => {
             } 
           }, correlationId);
         }
-        result = await updateDocLink(docId, JSON.parse(body || '{}'));
+        result = await updateDocLink(docId, JSON.parse(body || '{}'), audit, ifMatch);
         break;
         
       case 'DELETE':
@@ -57,7 +61,7 @@ exports.handler = async (event) => {
             } 
           }, correlationId);
         }
-        result = await deleteDocLink(docId);
+        result = await deleteDocLink(docId, audit, ifMatch);
         break;
         
       default:
@@ -72,7 +76,7 @@ exports.handler = async (event) => {
     const duration = Date.now() - startTime;
     db.logger.logResponse(result.statusCode, correlationId, duration);
     
-    return createResponse(result.statusCode, result.body, correlationId);
+    return createResponse(result.statusCode, result.body, correlationId, result.headers);
     
   } catch (error) {
     db.logger.error('Document Link API error', error);
@@ -104,7 +108,8 @@ async function getDocLink(docId) {
       dl.label,
       dl.external_ref,
       dl.created_at,
-      dl.updated_at
+      dl.updated_at,
+      ${db.concurrency.etagColumn('dl')}
     FROM doc_link dl
     WHERE dl.doc_id = $1
   `;
@@ -126,7 +131,8 @@ async function getDocLink(docId) {
   
   return {
     statusCode: 200,
-    body: docLink
+    headers: db.concurrency.etagHeader('doc_link', docLink, 'doc_id'),
+    body: db.concurrency.omitETagSource(docLink)
   };
 }
 
@@ -135,17 +141,19 @@ async function getDocLink(docId) {
  */
 async function listDocLinks(params) {
   const {
-    lease_id,
-    sort_by = 'created_at',
-    sort_order = 'DESC',
-    limit = '50',
-    offset = '0'
+    lease_id
   } = params;
   
-  // Validate sort parameters
-  const allowedSortFields = ['doc_id', 'label', 'created_at', 'updated_at'];
-  const sortField = allowedSortFields.includes(sort_by) ? sort_by : 'created_at';
-  const sortOrder = sort_order.toUpperCase() === 'DESC' ? 'DESC' : 'ASC';
+  // Validate pagination and sort parameters
+  const page = db.pagination.parsePageParams(params, {
+    sortFields: ['doc_id', 'label', 'created_at', 'updated_at'],
+    defaultSort: 'created_at',
+    defaultOrder: 'DESC',
+    key: 'doc_id'
+  });
+  if (page.errors.length > 0) {
+    return db.pagination.createPageErrorResponse(page.errors);
+  }
   
   // Build WHERE clause
   const conditions = [];
@@ -158,53 +166,40 @@ async function listDocLinks(params) {
     paramCount++;
   }
   
-  const whereClause = conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
-  
-  // Get total count
-  const countQuery = `
-    SELECT COUNT(*) as total 
-    FROM doc_link dl
-    ${whereClause}
-  `;
-  const countResult = await db.queryOne(countQuery, values);
-  const total = parseInt(countResult.total, 10);
+  // Filter expression (?filter=)
+  const filter = compileFilter(params.filter, LIST_FILTERS['doc-links'], values.length + 1);
+  if (filter.errors.length > 0) {
+    return createFilterErrorResponse(filter.errors);
+  }
+  conditions.push(...filter.conditions);
+  values.push(...filter.values);
   
   // Get paginated results
-  const dataQuery = `
-    SELECT 
+  const docLinks = await db.pagination.fetchPage({
+    page,
+    select: `
       dl.doc_id,
       dl.lease_id,
       dl.label,
       dl.external_ref,
       dl.created_at,
-      dl.updated_at
-    FROM doc_link dl
-    ${whereClause}
-    ORDER BY dl.${sortField} ${sortOrder}
-    LIMIT $${paramCount} OFFSET $${paramCount + 1}
-  `;
-  
-  values.push(parseInt(limit, 10), parseInt(offset, 10));
-  const docLinks = await db.queryRows(dataQuery, values);
+      dl.updated_at`,
+    from: 'doc_link dl',
+    alias: 'dl',
+    conditions,
+    values
+  });
   
   return {
     statusCode: 200,
-    body: {
-      data: docLinks,
-      pagination: {
-        total,
-        limit: parseInt(limit, 10),
-        offset: parseInt(offset, 10),
-        count: docLinks.length
-      }
-    }
+    body: docLinks
   };
 }
 
 /**
  * Create a new document link
  */
-async function createDocLink(data) {
+async function createDocLink(data, audit) {
   // Validate required fields
   const errors = validateDocLinkData(data, false);
   if (errors.length > 0) {
@@ -251,7 +246,8 @@ async function createDocLink(data) {
       label,
       external_ref,
       created_at,
-      updated_at
+      updated_at,
+      ${db.concurrency.etagColumn()}
   `;
   
   const values = [
@@ -260,18 +256,22 @@ async function createDocLink(data) {
     data.external_ref
   ];
   
-  const docLink = await db.queryOne(query, values);
+  const docLink = await db.audit.withAudit(audit, { entity: 'doc_link', action: 'CREATE' }, async (client) => {
+    const result = await client.query(query, values);
+    return result.rows[0];
+  });
   
   return {
     statusCode: 201,
-    body: docLink
+    headers: db.concurrency.etagHeader('doc_link', docLink, 'doc_id'),
+    body: db.concurrency.omitETagSource(docLink)
   };
 }
 
 /**
  * Update an existing document link
  */
-async function updateDocLink(docId, data) {
+async function updateDocLink(docId, data, audit, ifMatch) {
   // Check if document link exists
   const existingDocLink = await db.queryOne(
     'SELECT doc_id FROM doc_link WHERE doc_id = $1',
@@ -350,21 +350,26 @@ async function updateDocLink(docId, data) {
       label,
       external_ref,
       created_at,
-      updated_at
+      updated_at,
+      ${db.concurrency.etagColumn()}
   `;
   
-  const docLink = await db.queryOne(query, values);
+  const docLink = await db.audit.withAudit(audit, { entity: 'doc_link', action: 'UPDATE', entityId: docId, ifMatch }, async (client) => {
+    const result = await client.query(query, values);
+    return result.rows[0];
+  });
   
   return {
     statusCode: 200,
-    body: docLink
+    headers: db.concurrency.etagHeader('doc_link', docLink, 'doc_id'),
+    body: db.concurrency.omitETagSource(docLink)
   };
 }
 
 /**
  * Delete a document link
  */
-async function deleteDocLink(docId) {
+async function deleteDocLink(docId, audit, ifMatch) {
   // Check if document link exists
   const existingDocLink = await db.queryOne(
     'SELECT doc_id FROM doc_link WHERE doc_id = $1',
@@ -386,7 +391,9 @@ async function deleteDocLink(docId) {
   
   const query = 'DELETE FROM doc_link WHERE doc_id = $1';
   
-  await db.query(query, [docId]);
+  await db.audit.withAudit(audit, { entity: 'doc_link', action: 'DELETE', entityId: docId, ifMatch }, async (client) => {
+    await client.query(query, [docId]);
+  });
   
   return {
     statusCode: 204,
@@ -398,122 +405,22 @@ async function deleteDocLink(docId) {
  * Validate document link data
  */
 function validateDocLinkData(data, isUpdate = false) {
-  const errors = [];
-  
-  // Required field validation (only for create)
-  if (!isUpdate) {
-    if (!data.lease_id) {
-      errors.push({
-        field: 'lease_id',
-        message: 'Lease ID is required'
-      });
-    }
-    
-    if (!data.label) {
-      errors.push({
-        field: 'label',
-        message: 'Label is required'
-      });
-    }
-    
-    if (!data.external_ref) {
-      errors.push({
-        field: 'external_ref',
-        message: 'External reference is required'
-      });
-    }
-  }
-  
-  // Type validation
-  if (data.lease_id !== undefined) {
-    const leaseId = parseInt(data.lease_id, 10);
-    if (isNaN(leaseId) || leaseId <= 0) {
-      errors.push({
-        field: 'lease_id',
-        message: 'Lease ID must be a positive integer'
-      });
-    }
-  }
-  
-  // Validate label
-  if (data.label !== undefined) {
-    if (typeof data.label !== 'string') {
-      errors.push({
-        field: 'label',
-        message: 'Label must be a string'
-      });
-    } else if (data.label.trim().length === 0) {
-      errors.push({
-        field: 'label',
-        message: 'Label cannot be empty'
-      });
-    }
-  }
-  
-  // Validate external_ref format (URL or ECM identifier)
-  if (data.external_ref !== undefined) {
-    if (typeof data.external_ref !== 'string') {
-      errors.push({
-        field: 'external_ref',
-        message: 'External reference must be a string'
-      });
-    } else if (data.external_ref.trim().length === 0) {
-      errors.push({
-        field: 'external_ref',
-        message: 'External reference cannot be empty'
-      });
-    } else {
-      // Validate format: URL or ECM identifier
-      const isValidUrl = isValidUrlFormat(data.external_ref);
-      const isValidEcm = isValidEcmFormat(data.external_ref);
-      
-      if (!isValidUrl && !isValidEcm) {
-        errors.push({
-          field: 'external_ref',
-          message: 'External reference must be a valid URL (http:// or https://) or ECM identifier (alphanumeric with hyphens/underscores)',
-          examples: ['https://example.com/doc.pdf', 'ECM-12345', 'DOC_ABC_123']
-        });
-      }
-    }
-  }
-  
-  return errors;
-}
-
-/**
- * Validate URL format
- */
-function isValidUrlFormat(str) {
-  try {
-    const url = new URL(str);
-    return url.protocol === 'http:' || url.protocol === 'https:';
-  } catch {
-    return false;
-  }
-}
-
-/**
- * Validate ECM identifier format
- * Allows alphanumeric characters, hyphens, underscores, and periods
- */
-function isValidEcmFormat(str) {
-  // ECM identifiers: alphanumeric with hyphens, underscores, periods
-  // Examples: ECM-12345, DOC_ABC_123, doc.2024.001
-  const ecmPattern = /^[A-Za-z0-9][A-Za-z0-9_\-\.]*$/;
-  return ecmPattern.test(str) && str.length <= 255;
+  return validateEntity('doc_link', data, { partial: isUpdate });
 }
 
 /**
  * Create HTTP response
  */
-function createResponse(statusCode, body, correlationId = null) {
+function createResponse(statusCode, body, correlationId = null, headers = {}) {
   const response = {
     statusCode,
     headers: {
       'Content-Type': 'application/json',
       'Access-Control-Allow-Origin': '*',
       'Access-Control-Allow-Methods': 'GET, POST, PUT, DELETE, OPTIONS',
-      'Access-Control-Allow-Headers': 'Content-Type, Authorization'
+      'Access-Control-Allow-Headers': 'Content-Type, Authorization, If-Match',
+      'Access-Control-Expose-Headers': 'ETag',
+      ...headers
     },
     body: statusCode === 204 ? '' : JSON.stringify(body)
   };
@@ -0,0 +1,65 @@
+/**
+ * CSV Export
+ * RFC 4180 CSV with an optional title row describing the report and filters
+ */
+
+const { formatDate } = require('../calc/dates');
+const { normalizeValue } = require('./values');
+
+/**
+ * Quote a CSV field when it contains a delimiter, quote or line break
+ */
+function escapeField(value) {
+  const stringValue = String(value);
+  if (/[",\r\n]/.test(stringValue)) {
+    return `"${stringValue.replace(/"/g, '""')}"`;
+  }
+  return stringValue;
+}
+
+/**
+ * Format a typed value as a CSV field
+ * Numbers are written without grouping, dates as YYYY-MM-DD. Text that a
+ * spreadsheet would evaluate as a formula is prefixed with an apostrophe.
+ */
+function formatField(value, type) {
+  const normalized = normalizeValue(value, type);
+  if (normalized === null) {
+    return '';
+  }
+  if (normalized instanceof Date) {
+    return formatDate(normalized);
+  }
+  if (typeof normalized === 'string' && /^[=+\-@\t\r]/.test(normalized)) {
+    return escapeField(`'${normalized}`);
+  }
+  return escapeField(normalized);
+}
+
+/**
+ * Build a CSV document
+ * @param {Object} options - Export options
+ * @param {Array<Object>} options.columns - { key, label, type }
+ * @param {Array<Object>} options.rows - Row objects
+ * @param {string} options.title - Optional first row (report name and filters)
+ * @returns {string} CSV text with CRLF line endings
+ */
+function buildCsv({ columns, rows, title = null }) {
+  const lines = [];
+
+  if (title) {
+    lines.push(escapeField(title));
+  }
+
+  lines.push(columns.map(column => escapeField(column.label || column.key)).join(','));
+
+  for (const row of rows) {
+    lines.push(columns.map(column => formatField(row[column.key], column.type)).join(','));
+  }
+
+  return lines.join('\r\n') + '\r\n';
+}
+
+module.exports = {
+  buildCsv
+};
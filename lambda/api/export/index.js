@@ -0,0 +1,111 @@
+/**
+ * Report Export
+ * Format negotiation and CSV / XLSX responses for report endpoints
+ */
+
+const { buildCsv } = require('./csv');
+const { buildXlsx } = require('./xlsx');
+const { COLUMN_TYPES, normalizeValue } = require('./values');
+
+const EXPORT_FORMATS = ['json', 'csv', 'xlsx'];
+
+const CONTENT_TYPES = {
+  csv: 'text/csv; charset=utf-8',
+  xlsx: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet'
+};
+
+// Query parameters that control the response rather than filter it
+const NON_FILTER_PARAMS = ['format', 'limit', 'offset'];
+
+/**
+ * Resolve the requested response format
+ * The format query parameter wins; otherwise the Accept header is used.
+ * @param {Object} params - Query string parameters
+ * @param {Object} headers - Request headers (any case)
+ * @returns {string|null} json, csv or xlsx; null if the format parameter is invalid
+ */
+function resolveExportFormat(params = {}, headers = {}) {
+  if (params.format !== undefined) {
+    const format = String(params.format).toLowerCase();
+    return EXPORT_FORMATS.includes(format) ? format : null;
+  }
+
+  const acceptKey = Object.keys(headers || {}).find(key => key.toLowerCase() === 'accept');
+  const accept = acceptKey ? String(headers[acceptKey]).toLowerCase() : '';
+
+  if (accept.includes(CONTENT_TYPES.xlsx)) {
+    return 'xlsx';
+  }
+  if (accept.includes('text/csv')) {
+    return 'csv';
+  }
+  return 'json';
+}
+
+/**
+ * Describe a report and the filters applied, for the export title row
+ * @param {string} title - Report name
+ * @param {Object} params - Query string parameters
+ * @param {Date} generatedAt - Generation time
+ * @returns {string} e.g. "Rent Roll | Filters: property_id=1 | Generated 2025-01-01T12:00:00Z"
+ */
+function describeExport(title, params = {}, generatedAt = new Date()) {
+  const filters = Object.keys(params)
+    .filter(key => !NON_FILTER_PARAMS.includes(key) && params[key] !== undefined && params[key] !== '')
+    .sort()
+    .map(key => `${key}=${params[key]}`);
+
+  return [
+    title,
+    `Filters: ${filters.length > 0 ? filters.join(', ') : 'none'}`,
+    `Generated ${generatedAt.toISOString().replace(/\.\d{3}Z$/, 'Z')}`
+  ].join(' | ');
+}
+
+/**
+ * Build a CSV or XLSX report response
+ * @param {string} format - csv or xlsx
+ * @param {Object} report - Export definition
+ * @param {string} report.title - Report name
+ * @param {string} report.filename - File name without extension
+ * @param {Array<Object>} report.columns - { key, label, type }
+ * @param {Array<Object>} report.rows - Full, unpaginated rows
+ * @param {Object} report.params - Query parameters, described in the title row
+ * @param {Date} generatedAt - Generation time
+ * @returns {Object} { statusCode, body, headers } where body is a string (CSV) or Buffer (XLSX)
+ */
+function createExportResponse(format, { title, filename, columns, rows, params = {} }, generatedAt = new Date()) {
+  const titleRow = describeExport(title, params, generatedAt);
+  const headers = {
+    'Content-Type': CONTENT_TYPES[format],
+    'Content-Disposition': `attachment; filename="${filename}.${format}"`
+  };
+
+  if (format === 'xlsx') {
+    return {
+      statusCode: 200,
+      body: buildXlsx({ columns, rows, title: titleRow, sheetName: title, modified: generatedAt }),
+      headers
+    };
+  }
+
+  if (format === 'csv') {
+    return {
+      statusCode: 200,
+      body: buildCsv({ columns, rows, title: titleRow }),
+      headers
+    };
+  }
+
+  throw new Error(`Unsupported export format: ${format}`);
+}
+
+module.exports = {
+  EXPORT_FORMATS,
+  CONTENT_TYPES,
+  COLUMN_TYPES,
+  normalizeValue,
+  resolveExportFormat,
+  describeExport,
+  createExportResponse
+};
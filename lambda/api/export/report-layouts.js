@@ -0,0 +1,389 @@
+/**
+ * Report Export Layouts
+ * Typed columns and row flattening for each report's CSV / XLSX export,
+ * keyed by the report route segment
+ */
+
+// Words kept upper case in derived column labels
+const ACRONYMS = { id: 'ID', rsf: 'RSF', ti: 'TI', cpi: 'CPI', opex: 'OpEx', pct: '%', num: 'Number' };
+
+/**
+ * Typed column with a label derived from the key (master_lease_num -> Master Lease Number)
+ */
+function column(key, type = 'string', label = null) {
+  return {
+    key,
+    type,
+    label: label || key.split('_').map(word => ACRONYMS[word] || word.charAt(0).toUpperCase() + word.slice(1)).join(' ')
+  };
+}
+
+const LEASE_COLUMNS = [
+  column('lease_id', 'integer'),
+  column('master_lease_num'),
+  column('tenant_name'),
+  column('property_name')
+];
+
+// Calculation errors are exported as their message
+const ERROR_COLUMN = column('error');
+
+function withErrorMessage(row) {
+  return row.error ? { ...row, error: row.error.message } : row;
+}
+
+const dataRows = body => body.data || [];
+
+/**
+ * Waterfall rows: one per scope, variant and period, including the
+ * beyond-horizon and open-ended buckets
+ */
+function waterfallRows(body) {
+  const rows = [];
+  const addScope = (scope, group, waterfalls) => {
+    for (const variant of ['base', 'options_adjusted']) {
+      const waterfall = waterfalls[variant];
+      if (!waterfall) {
+        continue;
+      }
+      waterfall.periods.forEach(period => rows.push({ scope, group, variant, ...period }));
+      rows.push({ scope, group, variant, period: 'Beyond horizon', ...waterfall.beyond_horizon });
+      rows.push({ scope, group, variant, period: 'No expiration', ...waterfall.no_expiration });
+    }
+  };
+
+  addScope('Portfolio', 'Portfolio', body);
+  (body.by_property || []).forEach(property => addScope('Property', property.property_name, property));
+  (body.by_state || []).forEach(state => addScope('State', state.state, state));
+  return rows;
+}
+
+/**
+ * Occupancy rows: portfolio total, then each property followed by its suites,
+ * then monthly series points when a series was requested
+ */
+function occupancyRows(body) {
+  const rows = [{ level: 'Portfolio', ...body.totals }];
+
+  for (const property of body.properties || []) {
+    rows.push({ level: 'Property', ...property });
+    for (const suite of property.suites || []) {
+      rows.push({
+        level: 'Suite',
+        property_id: property.property_id,
+        property_name: property.property_name,
+        state: property.state,
+        suite_code: suite.suite_code,
+        status: suite.status,
+        rentable_rsf: suite.rsf,
+        leased_rsf: suite.leased_rsf,
+        vacant_rsf: suite.status === 'VACANT' ? suite.rsf : 0,
+        tenants: suite.leases.map(lease => lease.tenant_name).join('; ')
+      });
+    }
+  }
+
+  if (body.series) {
+    body.series.totals.forEach(point => rows.push({ level: 'Month', property_name: 'Portfolio', ...point }));
+    body.series.properties.forEach(property => {
+      property.series.forEach(point => rows.push({
+        level: 'Month',
+        property_id: property.property_id,
+        property_name: property.property_name,
+        ...point
+      }));
+    });
+  }
+
+  return rows;
+}
+
+const CASH_FORECAST_GROUP_COLUMNS = {
+  property: [column('property_id', 'integer'), column('property_name')],
+  tenant: [column('tenant_id', 'integer'), column('tenant_name')],
+  lease: [column('lease_id', 'integer'), column('master_lease_num'), column('property_name'), column('tenant_name')],
+  month: []
+};
+
+const AMOUNT_COLUMNS = [
+  column('contractual', 'currency'),
+  column('free_rent', 'currency'),
+  column('cash', 'currency')
+];
+
+/**
+ * Cash forecast rows: each group's months and total, then the portfolio months and total
+ */
+function cashForecastRows(body) {
+  const groupColumns = CASH_FORECAST_GROUP_COLUMNS[body.group_by] || [];
+  const rows = [];
+
+  if (body.group_by !== 'month') {
+    for (const group of body.data || []) {
+      const identity = {};
+      groupColumns.forEach(col => {
+        identity[col.key] = group[col.key];
+      });
+      group.months.forEach(month => rows.push({ ...identity, ...month }));
+      rows.push({ ...identity, month: 'Total', ...group.total });
+    }
+  }
+
+  body.totals.months.forEach(month => rows.push({ ...month }));
+  rows.push({ month: 'Total', ...body.totals.total });
+  return rows;
+}
+
+const REPORT_LAYOUTS = {
+  'expirations': {
+    title: 'Lease Expirations',
+    columns: [
+      ...LEASE_COLUMNS,
+      column('state'),
+      column('expiration_date', 'date'),
+      column('months_to_expiration', 'number')
+    ],
+    rows: dataRows
+  },
+  'rent-roll': {
+    title: 'Rent Roll',
+    columns: [
+      ...LEASE_COLUMNS,
+      column('period_start', 'date'),
+      column('period_end', 'date'),
+      column('basis'),
+      column('amount', 'currency'),
+      column('monthly_equiv', 'currency', 'Monthly Equivalent'),
+      column('annualized_equiv', 'currency', 'Annualized Equivalent')
+    ],
+    rows: dataRows
+  },
+  'options': {
+    title: 'Options Status',
+    columns: [
+      ...LEASE_COLUMNS,
+      column('option_type'),
+      column('window_start', 'date'),
+      column('window_end', 'date'),
+      column('notice_window_open', 'boolean'),
+      column('terms'),
+      column('exercised', 'boolean'),
+      column('exercised_date', 'date')
+    ],
+    rows: dataRows
+  },
+  'free-rent': {
+    title: 'Free Rent Status',
+    columns: [
+      ...LEASE_COLUMNS,
+      column('free_rent_start', 'date'),
+      column('free_rent_end', 'date'),
+      column('value_amount', 'currency'),
+      column('value_basis'),
+      column('approx_months_remaining', 'number')
+    ],
+    rows: dataRows
+  },
+  'ti-allowances': {
+    title: 'TI Allowance Summary',
+    columns: [
+      ...LEASE_COLUMNS,
+      column('total_ti_amount', 'currency')
+    ],
+    rows: dataRows
+  },
+  'critical-dates': {
+    title: 'Critical Dates',
+    columns: [
+      ...LEASE_COLUMNS,
+      column('kind'),
+      column('date_value', 'date', 'Date')
+    ],
+    rows: dataRows
+  },
+  'amendments': {
+    title: 'Amendment History',
+    columns: [
+      column('lease_id', 'integer'),
+      column('master_lease_num'),
+      column('lease_version_id', 'integer'),
+      column('version_num', 'integer', 'Version'),
+      column('effective_start', 'date'),
+      column('effective_end', 'date'),
+      column('is_current', 'boolean', 'Current')
+    ],
+    rows: dataRows
+  },
+  'opex-summary': {
+    title: 'OpEx Summary',
+    columns: [
+      column('lease_id', 'integer'),
+      column('master_lease_num'),
+      column('property_name'),
+      column('method'),
+      column('stop_amount', 'currency'),
+      column('gross_up_pct', 'percent')
+    ],
+    rows: dataRows
+  },
+  'opex-reconciliation': {
+    title: 'OpEx Reconciliation',
+    columns: [
+      column('lease_id', 'integer'),
+      column('master_lease_num'),
+      column('property_name'),
+      column('lease_version_id', 'integer'),
+      column('opex_id', 'integer'),
+      column('method'),
+      column('expense_year', 'integer'),
+      column('pro_rata_share_pct', 'percent'),
+      column('occupancy_pct', 'percent'),
+      column('gross_up_pct', 'percent'),
+      column('building_expenses', 'currency'),
+      column('grossed_up_expenses', 'currency'),
+      column('base_year', 'integer'),
+      column('base_year_expenses', 'currency'),
+      column('stop_amount', 'currency'),
+      column('tenant_amount', 'currency'),
+      column('estimates_paid', 'currency'),
+      column('balance_due', 'currency'),
+      column('estimate_recorded', 'boolean'),
+      ERROR_COLUMN
+    ],
+    rows: body => dataRows(body).map(withErrorMessage)
+  },
+  'straight-line': {
+    title: 'Straight-Line Rent',
+    // One row per schedule month unless summary_only was requested
+    columns: body => (dataRows(body).some(row => row.schedule) ? [
+      ...LEASE_COLUMNS,
+      column('lease_version_id', 'integer'),
+      column('period', 'integer'),
+      column('period_start', 'date'),
+      column('period_end', 'date'),
+      column('contractual_rent', 'currency'),
+      column('free_rent', 'currency'),
+      column('cash_rent', 'currency'),
+      column('straight_line_rent', 'currency'),
+      column('deferred_rent_change', 'currency'),
+      column('deferred_rent_balance', 'currency'),
+      ERROR_COLUMN
+    ] : [
+      ...LEASE_COLUMNS,
+      column('lease_version_id', 'integer'),
+      column('version_num', 'integer', 'Version'),
+      column('start_date', 'date'),
+      column('end_date', 'date'),
+      column('term_months', 'integer'),
+      column('total_contractual_rent', 'currency'),
+      column('total_free_rent', 'currency'),
+      column('net_rent', 'currency'),
+      column('straight_line_monthly', 'currency'),
+      column('deferred_rent_balance_as_of', 'currency'),
+      ERROR_COLUMN
+    ]),
+    rows: body => dataRows(body).flatMap(row => {
+      const lease = withErrorMessage(row);
+      if (!row.schedule) {
+        return [lease];
+      }
+      return row.schedule.map(entry => ({
+        lease_id: row.lease_id,
+        master_lease_num: row.master_lease_num,
+        tenant_name: row.tenant_name,
+        property_name: row.property_name,
+        lease_version_id: row.lease_version_id,
+        ...entry
+      }));
+    })
+  },
+  'cpi-resets': {
+    title: 'CPI Resets Due',
+    columns: [
+      ...LEASE_COLUMNS,
+      column('lease_version_id', 'integer'),
+      column('cpi_series_id', 'string', 'CPI Series'),
+      column('next_reset_date', 'date'),
+      column('days_until_reset', 'integer'),
+      column('index_month', 'date'),
+      column('index_available', 'boolean'),
+      column('prior_amount', 'currency'),
+      column('proposed_amount', 'currency'),
+      column('applied_change_pct', 'percent'),
+      column('basis'),
+      column('status'),
+      ERROR_COLUMN
+    ],
+    rows: body => dataRows(body).map(withErrorMessage)
+  },
+  'expiration-waterfall': {
+    title: 'Expiration Waterfall',
+    columns: [
+      column('scope'),
+      column('group'),
+      column('variant'),
+      column('period'),
+      column('lease_count', 'integer'),
+      column('rsf', 'integer'),
+      column('annualized_rent', 'currency'),
+      column('pct_rsf', 'percent', 'RSF %'),
+      column('pct_rent', 'percent', 'Rent %'),
+      column('cumulative_pct_rsf', 'percent', 'Cumulative RSF %'),
+      column('cumulative_pct_rent', 'percent', 'Cumulative Rent %')
+    ],
+    rows: waterfallRows
+  },
+  'occupancy': {
+    title: 'Occupancy',
+    columns: [
+      column('level'),
+      column('month'),
+      column('property_id', 'integer'),
+      column('property_name'),
+      column('state'),
+      column('suite_code'),
+      column('status'),
+      column('rentable_rsf', 'integer'),
+      column('leased_rsf', 'integer'),
+      column('vacant_rsf', 'integer'),
+      column('occupancy_pct', 'percent', 'Occupancy %'),
+      column('double_booked_suites', 'integer'),
+      column('tenants')
+    ],
+    rows: occupancyRows
+  },
+  'cash-forecast': {
+    title: 'Cash Rent Forecast',
+    columns: body => [
+      ...(CASH_FORECAST_GROUP_COLUMNS[body.group_by] || []),
+      column('month'),
+      ...AMOUNT_COLUMNS
+    ],
+    rows: cashForecastRows
+  }
+};
+
+/**
+ * Resolve the export columns and rows of a report response body
+ * @param {string} report - Report key (route segment)
+ * @param {Object} body - JSON report body
+ * @returns {Object} { title, columns, rows }
+ */
+function layoutReport(report, body) {
+  const layout = REPORT_LAYOUTS[report];
+  if (!layout) {
+    throw new Error(`No export layout for report: ${report}`);
+  }
+
+  return {
+    title: layout.title,
+    columns: typeof layout.columns === 'function' ? layout.columns(body) : layout.columns,
+    rows: layout.rows(body)
+  };
+}
+
+module.exports = {
+  REPORT_LAYOUTS,
+  column,
+  layoutReport
+};
@@ -0,0 +1,48 @@
+/**
+ * Export Value Typing
+ * Converts database and calculation values to typed cell values for CSV and XLSX
+ */
+
+const { parseDate, formatDate } = require('../calc/dates');
+
+const COLUMN_TYPES = ['string', 'integer', 'number', 'currency', 'percent', 'date', 'boolean'];
+
+/**
+ * Normalize a value for a typed column
+ * NUMERIC columns arrive from pg as strings and DATE columns as Date objects or text.
+ * @param {*} value - Raw value
+ * @param {string} type - Column type (see COLUMN_TYPES)
+ * @returns {string|number|boolean|Date|null} Number for numeric types, UTC Date for dates,
+ *   boolean for booleans, string otherwise; null when empty or not convertible
+ */
+function normalizeValue(value, type = 'string') {
+  if (value === null || value === undefined || value === '') {
+    return null;
+  }
+
+  switch (type) {
+    case 'integer':
+    case 'number':
+    case 'currency':
+    case 'percent': {
+      const number = typeof value === 'number' ? value : parseFloat(value);
+      return isNaN(number) ? null : number;
+    }
+    case 'date': {
+      const date = parseDate(typeof value === 'string' ? value.slice(0, 10) : value);
+      return date || null;
+    }
+    case 'boolean':
+      return value === true || value === 'true' || value === 't';
+    default:
+      if (value instanceof Date) {
+        return formatDate(parseDate(value));
+      }
+      return typeof value === 'object' ? JSON.stringify(value) : String(value);
+  }
+}
+
+module.exports = {
+  COLUMN_TYPES,
+  normalizeValue
+};
@@ -0,0 +1,194 @@
+/**
+ * XLSX Export
+ * Writes a single-sheet Office Open XML workbook with typed cells: numbers and
+ * currency as numeric cells, dates as date serials with a date format and
+ * booleans as boolean cells. Strings are written inline (no shared string table).
+ */
+
+const { createZip } = require('./zip');
+const { normalizeValue } = require('./values');
+
+// cellXfs indexes defined in STYLES_XML
+const STYLE = {
+  default: 0,
+  bold: 1,
+  date: 2,
+  currency: 3,
+  integer: 4,
+  percent: 5
+};
+
+const TYPE_STYLES = {
+  date: STYLE.date,
+  currency: STYLE.currency,
+  integer: STYLE.integer,
+  percent: STYLE.percent
+};
+
+const CONTENT_TYPES_XML = `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<Types xmlns="http://schemas.openxmlformats.org/package/2006/content-types">
+<Default Extension="rels" ContentType="application/vnd.openxmlformats-package.relationships+xml"/>
+<Default Extension="xml" ContentType="application/xml"/>
+<Override PartName="/xl/workbook.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.sheet.main+xml"/>
+<Override PartName="/xl/worksheets/sheet1.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.worksheet+xml"/>
+<Override PartName="/xl/styles.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.styles+xml"/>
+</Types>`;
+
+const ROOT_RELS_XML = `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">
+<Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/officeDocument" Target="xl/workbook.xml"/>
+</Relationships>`;
+
+const WORKBOOK_RELS_XML = `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">
+<Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/worksheet" Target="worksheets/sheet1.xml"/>
+<Relationship Id="rId2" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/styles" Target="styles.xml"/>
+</Relationships>`;
+
+const STYLES_XML = `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<styleSheet xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main">
+<numFmts count="1"><numFmt numFmtId="164" formatCode="yyyy-mm-dd"/></numFmts>
+<fonts count="2"><font><sz val="11"/><name val="Calibri"/></font><font><b/><sz val="11"/><name val="Calibri"/></font></fonts>
+<fills count="2"><fill><patternFill patternType="none"/></fill><fill><patternFill patternType="gray125"/></fill></fills>
+<borders count="1"><border><left/><right/><top/><bottom/><diagonal/></border></borders>
+<cellStyleXfs count="1"><xf numFmtId="0" fontId="0" fillId="0" borderId="0"/></cellStyleXfs>
+<cellXfs count="6">
+<xf numFmtId="0" fontId="0" fillId="0" borderId="0" xfId="0"/>
+<xf numFmtId="0" fontId="1" fillId="0" borderId="0" xfId="0" applyFont="1"/>
+<xf numFmtId="164" fontId="0" fillId="0" borderId="0" xfId="0" applyNumberFormat="1"/>
+<xf numFmtId="4" fontId="0" fillId="0" borderId="0" xfId="0" applyNumberFormat="1"/>
+<xf numFmtId="1" fontId="0" fillId="0" borderId="0" xfId="0" applyNumberFormat="1"/>
+<xf numFmtId="2" fontId="0" fillId="0" borderId="0" xfId="0" applyNumberFormat="1"/>
+</cellXfs>
+<cellStyles count="1"><cellStyle name="Normal" xfId="0" builtinId="0"/></cellStyles>
+</styleSheet>`;
+
+const EXCEL_EPOCH = Date.UTC(1899, 11, 30);
+const MS_PER_DAY = 24 * 60 * 60 * 1000;
+
+function escapeXml(value) {
+  return String(value)
+    // Characters not allowed in XML 1.0
+    .replace(/[\u0000-\u0008\u000B\u000C\u000E-\u001F]/g, '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+/**
+ * Spreadsheet column letters for a zero-based index (0 -> A, 26 -> AA)
+ */
+function columnLetter(index) {
+  let letters = '';
+  let n = index + 1;
+  while (n > 0) {
+    const remainder = (n - 1) % 26;
+    letters = String.fromCharCode(65 + remainder) + letters;
+    n = Math.floor((n - 1) / 26);
+  }
+  return letters;
+}
+
+function stringCell(ref, value, style = STYLE.default) {
+  const styleAttr = style ? ` s="${style}"` : '';
+  return `<c r="${ref}" t="inlineStr"${styleAttr}><is><t xml:space="preserve">${escapeXml(value)}</t></is></c>`;
+}
+
+/**
+ * Cell XML for a typed value
+ */
+function typedCell(ref, value, type) {
+  const normalized = normalizeValue(value, type);
+  if (normalized === null) {
+    return '';
+  }
+  if (normalized instanceof Date) {
+    const serial = (normalized.getTime() - EXCEL_EPOCH) / MS_PER_DAY;
+    return `<c r="${ref}" s="${STYLE.date}"><v>${serial}</v></c>`;
+  }
+  if (typeof normalized === 'number') {
+    const style = TYPE_STYLES[type] || STYLE.default;
+    const styleAttr = style ? ` s="${style}"` : '';
+    return `<c r="${ref}"${styleAttr}><v>${normalized}</v></c>`;
+  }
+  if (typeof normalized === 'boolean') {
+    return `<c r="${ref}" t="b"><v>${normalized ? 1 : 0}</v></c>`;
+  }
+  return stringCell(ref, normalized);
+}
+
+/**
+ * Build the worksheet XML
+ */
+function buildSheet({ columns, rows, title }) {
+  const xmlRows = [];
+  let rowNum = 1;
+
+  if (title) {
+    xmlRows.push(`<row r="${rowNum}">${stringCell(`A${rowNum}`, title, STYLE.bold)}</row>`);
+    rowNum++;
+  }
+
+  const headerRow = rowNum;
+  xmlRows.push(`<row r="${rowNum}">${columns.map((column, index) =>
+    stringCell(`${columnLetter(index)}${rowNum}`, column.label || column.key, STYLE.bold)
+  ).join('')}</row>`);
+  rowNum++;
+
+  for (const row of rows) {
+    const cells = columns.map((column, index) =>
+      typedCell(`${columnLetter(index)}${rowNum}`, row[column.key], column.type)
+    ).join('');
+    xmlRows.push(`<row r="${rowNum}">${cells}</row>`);
+    rowNum++;
+  }
+
+  const widths = columns.map((column, index) => {
+    const width = Math.min(60, Math.max(10, String(column.label || column.key).length + 2));
+    return `<col min="${index + 1}" max="${index + 1}" width="${width}" customWidth="1"/>`;
+  }).join('');
+
+  // Keep the title and column headers visible while scrolling
+  const pane = `<pane ySplit="${headerRow}" topLeftCell="A${headerRow + 1}" activePane="bottomLeft" state="frozen"/>`;
+
+  return `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<worksheet xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main">
+<sheetViews><sheetView workbookViewId="0">${pane}</sheetView></sheetViews>
+<cols>${widths}</cols>
+<sheetData>${xmlRows.join('')}</sheetData>
+</worksheet>`;
+}
+
+/**
+ * Build an XLSX workbook
+ * @param {Object} options - Export options
+ * @param {Array<Object>} options.columns - { key, label, type }
+ * @param {Array<Object>} options.rows - Row objects
+ * @param {string} options.title - Optional first row (report name and filters)
+ * @param {string} options.sheetName - Worksheet name (max 31 characters)
+ * @param {Date} options.modified - Timestamp recorded in the archive
+ * @returns {Buffer} XLSX file
+ */
+function buildXlsx({ columns, rows, title = null, sheetName = 'Report', modified = new Date() }) {
+  const safeSheetName = String(sheetName).replace(/[\\/?*[\]:]/g, ' ').slice(0, 31) || 'Report';
+
+  const workbookXml = `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<workbook xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main" xmlns:r="http://schemas.openxmlformats.org/officeDocument/2006/relationships">
+<sheets><sheet name="${escapeXml(safeSheetName)}" sheetId="1" r:id="rId1"/></sheets>
+</workbook>`;
+
+  return createZip([
+    { name: '[Content_Types].xml', data: CONTENT_TYPES_XML },
+    { name: '_rels/.rels', data: ROOT_RELS_XML },
+    { name: 'xl/workbook.xml', data: workbookXml },
+    { name: 'xl/_rels/workbook.xml.rels', data: WORKBOOK_RELS_XML },
+    { name: 'xl/styles.xml', data: STYLES_XML },
+    { name: 'xl/worksheets/sheet1.xml', data: buildSheet({ columns, rows, title }) }
+  ], modified);
+}
+
+module.exports = {
+  columnLetter,
+  buildXlsx
+};
@@ -0,0 +1,115 @@
+/**
+ * Sparse Fieldsets and Embedded Collections
+ * ?fields= trims a single-record GET response to the listed top-level fields;
+ * ?include= embeds related collections so clients need one request instead of
+ * one per collection. The fields and collections of each resource are listed
+ * in fieldsets/resources.js.
+ */
+
+const { queryRows } = require('../db/connection');
+const { RESOURCE_FIELDSETS } = require('./resources');
+
+function parseList(value) {
+  if (value === undefined || value === null) {
+    return [];
+  }
+  return [...new Set(String(value).split(',').map(item => item.trim()).filter(Boolean))];
+}
+
+/**
+ * Validate the fields and include parameters
+ * @param {Object} params - Query parameters
+ * @param {Object} resource - Entry of RESOURCE_FIELDSETS
+ * @returns {Object} { errors, fields: Array<string>|null (null: all fields), include: Array<string> }
+ */
+function parseFieldsetParams(params, resource) {
+  const errors = [];
+  const fields = parseList(params.fields);
+  const include = parseList(params.include);
+  const includeNames = Object.keys(resource.includes);
+
+  const unknownFields = fields.filter(field => !resource.fields.includes(field));
+  if (unknownFields.length > 0) {
+    errors.push({
+      field: 'fields',
+      message: `Unknown field${unknownFields.length > 1 ? 's' : ''}: ${unknownFields.join(', ')}`,
+      rule: 'enum',
+      allowed_values: resource.fields
+    });
+  }
+
+  const unknownIncludes = include.filter(name => !includeNames.includes(name));
+  if (unknownIncludes.length > 0) {
+    errors.push({
+      field: 'include',
+      message: `Cannot include: ${unknownIncludes.join(', ')}`,
+      rule: 'enum',
+      allowed_values: includeNames
+    });
+  }
+
+  return { errors, fields: fields.length > 0 ? fields : null, include };
+}
+
+/**
+ * Keep the listed fields of a record, in the order of the record
+ * @param {Object} record - Response record
+ * @param {Array<string>} fields - Fields to keep
+ * @returns {Object} Trimmed record
+ */
+function pickFields(record, fields) {
+  const picked = {};
+  Object.keys(record).forEach(field => {
+    if (fields.includes(field)) {
+      picked[field] = record[field];
+    }
+  });
+  return picked;
+}
+
+/**
+ * Build the response record: selected fields plus embedded collections
+ * The key field is always returned, and included collections are returned
+ * whether or not they are listed in fields.
+ * @param {Object} record - Full response record
+ * @param {Object} fieldset - Result of parseFieldsetParams
+ * @param {Object} resource - Entry of RESOURCE_FIELDSETS
+ * @returns {Promise<Object>} Response record
+ */
+async function applyFieldsets(record, fieldset, resource) {
+  const result = fieldset.fields ? pickFields(record, [resource.key, ...fieldset.fields]) : { ...record };
+
+  for (const name of fieldset.include) {
+    const relation = resource.includes[name];
+    const parentId = relation.parent(record);
+    result[name] = parentId === null || parentId === undefined ? [] : await queryRows(relation.sql, [parentId]);
+  }
+
+  return result;
+}
+
+/**
+ * Build the 400 response for invalid fields or include parameters
+ * @param {Array<Object>} errors - Errors from parseFieldsetParams
+ * @returns {Object} { statusCode, body }
+ */
+function createFieldsetErrorResponse(errors) {
+  return {
+    statusCode: 400,
+    body: {
+      error: {
+        code: 'VALIDATION_ERROR',
+        message: 'Invalid fields or include parameter',
+        details: errors
+      }
+    }
+  };
+}
+
+module.exports = {
+  RESOURCE_FIELDSETS,
+  parseFieldsetParams,
+  pickFields,
+  applyFieldsets,
+  createFieldsetErrorResponse
+};
@@ -0,0 +1,167 @@
+/**
+ * Fieldset Resources
+ * The fields (?fields=) and embeddable collections (?include=) of the
+ * single-record GET responses, keyed by handler module.
+ *
+ * - key: identifier field, always returned
+ * - fields: top-level fields of the response that ?fields= may select
+ * - includes: collections ?include= may embed; parent(record) gives the value
+ *   bound to $1 in sql (no parent: the collection is empty)
+ */
+
+// Version-level collections of a lease belong to the version in the response:
+// current_version, or version when the lease is read as_of a date
+function leaseVersionId(lease) {
+  const version = lease.version || lease.current_version;
+  return version ? version.lease_version_id : null;
+}
+
+const RESOURCE_FIELDSETS = {
+  leases: {
+    key: 'lease_id',
+    fields: [
+      'lease_id',
+      'property_id',
+      'landlord_id',
+      'tenant_id',
+      'master_lease_num',
+      'execution_date',
+      'created_at',
+      'updated_at',
+      'property_name',
+      'landlord_name',
+      'tenant_name',
+      'current_version',
+      'as_of',
+      'version',
+      'overlapping_versions'
+    ],
+    includes: {
+      rent_schedule: {
+        parent: leaseVersionId,
+        sql: `
+          SELECT rent_id, lease_version_id, period_daterange, amount, basis, created_at, updated_at
+          FROM rent_schedule
+          WHERE lease_version_id = $1
+          ORDER BY lower(period_daterange), rent_id`
+      },
+      options: {
+        parent: leaseVersionId,
+        sql: `
+          SELECT option_id, lease_version_id, option_type, window_daterange, terms, exercised,
+            exercised_date, created_at, updated_at
+          FROM option
+          WHERE lease_version_id = $1
+          ORDER BY lower(window_daterange), option_id`
+      },
+      concessions: {
+        parent: leaseVersionId,
+        sql: `
+          SELECT concession_id, lease_version_id, kind, value_amount, value_basis, applies_daterange,
+            notes, created_at, updated_at
+          FROM concession
+          WHERE lease_version_id = $1
+          ORDER BY concession_id`
+      },
+      opex: {
+        parent: leaseVersionId,
+        sql: `
+          SELECT opex_id, lease_version_id, method, stop_amount, gross_up_pct, notes, created_at, updated_at
+          FROM opex_pass_through
+          WHERE lease_version_id = $1
+          ORDER BY opex_id`
+      },
+      critical_dates: {
+        parent: lease => lease.lease_id,
+        sql: `
+          SELECT crit_id, lease_id, kind, date_value, notes, created_at, updated_at
+          FROM critical_date
+          WHERE lease_id = $1
+          ORDER BY date_value, crit_id`
+      },
+      doc_links: {
+        parent: lease => lease.lease_id,
+        sql: `
+          SELECT doc_id, lease_id, label, external_ref, created_at, updated_at
+          FROM doc_link
+          WHERE lease_id = $1
+          ORDER BY doc_id`
+      }
+    }
+  },
+  properties: {
+    key: 'property_id',
+    fields: [
+      'property_id',
+      'name',
+      'address',
+      'state',
+      'postal_code',
+      'country',
+      'total_rsf',
+      'active',
+      'created_at',
+      'updated_at'
+    ],
+    includes: {
+      suites: {
+        parent: property => property.property_id,
+        sql: `
+          SELECT suite_id, property_id, suite_code, rsf, created_at, updated_at
+          FROM suite
+          WHERE property_id = $1
+          ORDER BY suite_code, suite_id`
+      },
+      leases: {
+        parent: property => property.property_id,
+        sql: `
+          SELECT
+            l.lease_id,
+            l.property_id,
+            l.landlord_id,
+            landlord.legal_name AS landlord_name,
+            l.tenant_id,
+            tenant.legal_name AS tenant_name,
+            l.master_lease_num,
+            l.execution_date,
+            l.created_at,
+            l.updated_at
+          FROM lease l
+          JOIN party landlord ON l.landlord_id = landlord.party_id
+          JOIN party tenant ON l.tenant_id = tenant.party_id
+          WHERE l.property_id = $1
+          ORDER BY l.lease_id`
+      }
+    }
+  },
+  parties: {
+    key: 'party_id',
+    fields: ['party_id', 'legal_name', 'party_type', 'active', 'created_at', 'updated_at'],
+    includes: {
+      // Leases where the party is the tenant or the landlord (party_role)
+      leases: {
+        parent: party => party.party_id,
+        sql: `
+          SELECT
+            l.lease_id,
+            CASE WHEN l.tenant_id = $1 THEN 'TENANT' ELSE 'LANDLORD' END AS party_role,
+            l.property_id,
+            p.name AS property_name,
+            l.landlord_id,
+            l.tenant_id,
+            l.master_lease_num,
+            l.execution_date,
+            l.created_at,
+            l.updated_at
+          FROM lease l
+          JOIN property p ON l.property_id = p.property_id
+          WHERE l.tenant_id = $1 OR l.landlord_id = $1
+          ORDER BY l.lease_id`
+      }
+    }
+  }
+};
+
+module.exports = {
+  RESOURCE_FIELDSETS
+};
@@ -0,0 +1,198 @@
+/**
+ * Filter Expression Parser
+ * Parses the ?filter= expression of the list endpoints into conditions.
+ *
+ *   filter    = condition { ("and" | ";") condition }
+ *   condition = field ("=" | "!=" | ">" | ">=" | "<" | "<=") value
+ *             | field ["not"] "in" "(" value { "," value } ")"
+ *             | field ["not"] "between" value "and" value
+ *             | field ["not"] "contains" value
+ *             | field "is" ["not"] "null"
+ *   value     = word | 'quoted' | "quoted"   (a quote is escaped by doubling it)
+ *
+ * Keywords are case-insensitive. Conditions are always combined with AND.
+ * Pure functions only; filters/index.js checks fields and values and builds SQL.
+ */
+
+// Operators, comparison symbols first so ">=" is not read as ">"
+const TOKEN_PATTERN = /\s*(?:(>=|<=|!=|=|>|<)|([(),;])|'((?:[^']|'')*)'|"((?:[^"]|"")*)"|([^\s=!<>(),;'"]+))/y;
+const FIELD_PATTERN = /^[A-Za-z_][A-Za-z0-9_]*$/;
+
+const COMPARISON_OPERATORS = ['=', '!=', '>', '>=', '<', '<='];
+
+/**
+ * Split an expression into tokens
+ * @param {string} expression - Filter expression
+ * @returns {Object} { tokens: Array<{ type, text, position }>, error }
+ */
+function tokenize(expression) {
+  const tokens = [];
+  TOKEN_PATTERN.lastIndex = 0;
+
+  while (TOKEN_PATTERN.lastIndex < expression.length) {
+    if (/^\s*$/.test(expression.slice(TOKEN_PATTERN.lastIndex))) {
+      break;
+    }
+    const start = TOKEN_PATTERN.lastIndex;
+    const match = TOKEN_PATTERN.exec(expression);
+    if (!match) {
+      const position = start + expression.slice(start).search(/\S/);
+      const quote = /['"]/.test(expression[position]);
+      return {
+        tokens,
+        error: { message: quote ? 'Unterminated quoted value' : `Unexpected character '${expression[position]}'`, position }
+      };
+    }
+
+    const position = match.index + match[0].length - match[0].trimStart().length;
+    if (match[1]) {
+      tokens.push({ type: 'operator', text: match[1], position });
+    } else if (match[2]) {
+      tokens.push({ type: 'punctuation', text: match[2], position });
+    } else if (match[3] !== undefined) {
+      tokens.push({ type: 'string', text: match[3].replace(/''/g, "'"), position });
+    } else if (match[4] !== undefined) {
+      tokens.push({ type: 'string', text: match[4].replace(/""/g, '"'), position });
+    } else {
+      tokens.push({ type: 'word', text: match[5], position });
+    }
+  }
+
+  return { tokens, error: null };
+}
+
+/**
+ * Parse a filter expression
+ * @param {string} expression - Filter expression
+ * @returns {Object} { conditions: Array<{ field, operator, values, position }>, error: { message, position } | null }
+ */
+function parseFilterExpression(expression) {
+  const { tokens, error } = tokenize(expression);
+  if (error) {
+    return { conditions: [], error };
+  }
+
+  let index = 0;
+  const peek = () => tokens[index];
+  const fail = message => {
+    const token = peek();
+    const position = token ? token.position : expression.length;
+    return { conditions: [], error: { message: `${message}, found ${token ? `'${token.text}'` : 'end of filter'}`, position } };
+  };
+  const isKeyword = (token, keyword) => token && token.type === 'word' && token.text.toLowerCase() === keyword;
+  const isPunctuation = (token, text) => token && token.type === 'punctuation' && token.text === text;
+  const readValue = () => {
+    const token = peek();
+    if (token && (token.type === 'word' || token.type === 'string')) {
+      index++;
+      return token.text;
+    }
+    return null;
+  };
+
+  const conditions = [];
+  while (true) {
+    const fieldToken = peek();
+    if (!fieldToken || fieldToken.type !== 'word' || !FIELD_PATTERN.test(fieldToken.text)) {
+      return fail('Expected a field name');
+    }
+    index++;
+    const condition = { field: fieldToken.text.toLowerCase(), operator: null, values: [], position: fieldToken.position };
+
+    let negated = false;
+    if (isKeyword(peek(), 'not')) {
+      negated = true;
+      index++;
+    }
+    const operatorToken = peek();
+
+    if (!negated && operatorToken && operatorToken.type === 'operator') {
+      index++;
+      const value = readValue();
+      if (value === null) {
+        return fail(`Expected a value after '${operatorToken.text}'`);
+      }
+      condition.operator = operatorToken.text;
+      condition.values = [value];
+    } else if (isKeyword(operatorToken, 'in')) {
+      index++;
+      if (!isPunctuation(peek(), '(')) {
+        return fail("Expected '(' after 'in'");
+      }
+      index++;
+      while (true) {
+        const value = readValue();
+        if (value === null) {
+          return fail('Expected a value in the list');
+        }
+        condition.values.push(value);
+        if (!isPunctuation(peek(), ',')) {
+          break;
+        }
+        index++;
+      }
+      if (!isPunctuation(peek(), ')')) {
+        return fail("Expected ',' or ')'");
+      }
+      index++;
+      condition.operator = negated ? 'not in' : 'in';
+    } else if (isKeyword(operatorToken, 'between')) {
+      index++;
+      const low = readValue();
+      if (low === null) {
+        return fail("Expected a value after 'between'");
+      }
+      if (!isKeyword(peek(), 'and')) {
+        return fail("Expected 'and' between the two values");
+      }
+      index++;
+      const high = readValue();
+      if (high === null) {
+        return fail("Expected a value after 'and'");
+      }
+      condition.operator = negated ? 'not between' : 'between';
+      condition.values = [low, high];
+    } else if (isKeyword(operatorToken, 'contains')) {
+      index++;
+      const value = readValue();
+      if (value === null) {
+        return fail("Expected a value after 'contains'");
+      }
+      condition.operator = negated ? 'not contains' : 'contains';
+      condition.values = [value];
+    } else if (!negated && isKeyword(operatorToken, 'is')) {
+      index++;
+      let isNot = false;
+      if (isKeyword(peek(), 'not')) {
+        isNot = true;
+        index++;
+      }
+      if (!isKeyword(peek(), 'null')) {
+        return fail("Expected 'null'");
+      }
+      index++;
+      condition.operator = isNot ? 'is not null' : 'is null';
+    } else {
+      return fail(negated ? "Expected 'in', 'between' or 'contains' after 'not'" : 'Expected an operator');
+    }
+
+    conditions.push(condition);
+
+    const separator = peek();
+    if (!separator) {
+      break;
+    }
+    if (!isKeyword(separator, 'and') && !isPunctuation(separator, ';')) {
+      return fail("Expected 'and' or ';'");
+    }
+    index++;
+  }
+
+  return { conditions, error: null };
+}
+
+module.exports = {
+  COMPARISON_OPERATORS,
+  tokenize,
+  parseFilterExpression
+};
@@ -0,0 +1,168 @@
+/**
+ * Filterable Fields
+ * The fields each list endpoint accepts in ?filter=, keyed by handler module.
+ *
+ * Each field names its SQL expression (columns use the list query's table
+ * alias) and its type, which decides the operators and how values are
+ * checked. Fields of related records are correlated subqueries, so a filter
+ * works in both the count and the data query whatever the list joins.
+ * Only the fields listed here can be filtered on; values are always bound as
+ * query parameters.
+ */
+
+const { getSchema } = require('../schemas/registry');
+
+const field = type => column => ({ column, type });
+const integer = field('integer');
+const number = field('number');
+const text = field('text');
+const date = field('date');
+const boolean = field('boolean');
+
+/**
+ * Enum field; values are checked against the entity schema
+ */
+function enumOf(column, entity, property) {
+  return { column, type: 'enum', values: getSchema(entity).properties[property].enum };
+}
+
+function propertyColumn(alias, column) {
+  return `(SELECT fp.${column} FROM property fp WHERE fp.property_id = ${alias}.property_id)`;
+}
+
+function partyColumn(alias, foreignKey) {
+  return `(SELECT fpt.legal_name FROM party fpt WHERE fpt.party_id = ${alias}.${foreignKey})`;
+}
+
+function currentVersionColumn(alias, expression) {
+  return `(SELECT ${expression} FROM lease_version fv WHERE fv.lease_id = ${alias}.lease_id AND fv.is_current = TRUE)`;
+}
+
+// Last day of the term: the EXPIRATION critical date, else the day before the
+// current version's exclusive upper bound
+function leaseExpirationColumn(alias) {
+  return `(SELECT fe.expiration_date FROM vw_lease_expiration fe WHERE fe.lease_id = ${alias}.lease_id)`;
+}
+
+function versionLeaseColumn(alias) {
+  return `(SELECT fv.lease_id FROM lease_version fv WHERE fv.lease_version_id = ${alias}.lease_version_id)`;
+}
+
+function leaseTenantColumn(leaseIdColumn) {
+  return `(SELECT fpt.legal_name FROM lease fl JOIN party fpt ON fpt.party_id = fl.tenant_id WHERE fl.lease_id = ${leaseIdColumn})`;
+}
+
+function createdAt(alias) {
+  return date(`${alias ? `${alias}.` : ''}created_at::date`);
+}
+
+const LIST_FILTERS = {
+  properties: {
+    property_id: integer('property_id'),
+    name: text('name'),
+    address: text('address'),
+    state: text('state'),
+    postal_code: text('postal_code'),
+    country: text('country'),
+    total_rsf: integer('total_rsf'),
+    active: boolean('active'),
+    suite_count: integer('(SELECT COUNT(*) FROM suite fs WHERE fs.property_id = property.property_id)'),
+    created_at: createdAt('')
+  },
+  suites: {
+    suite_id: integer('s.suite_id'),
+    property_id: integer('s.property_id'),
+    suite_code: text('s.suite_code'),
+    rsf: integer('s.rsf'),
+    property_name: text(propertyColumn('s', 'name')),
+    state: text(propertyColumn('s', 'state')),
+    created_at: createdAt('s')
+  },
+  parties: {
+    party_id: integer('party_id'),
+    legal_name: text('legal_name'),
+    party_type: enumOf('party_type', 'party', 'party_type'),
+    active: boolean('active'),
+    created_at: createdAt('')
+  },
+  leases: {
+    lease_id: integer('l.lease_id'),
+    property_id: integer('l.property_id'),
+    landlord_id: integer('l.landlord_id'),
+    tenant_id: integer('l.tenant_id'),
+    master_lease_num: text('l.master_lease_num'),
+    execution_date: date('l.execution_date'),
+    property_name: text(propertyColumn('l', 'name')),
+    state: text(propertyColumn('l', 'state')),
+    tenant_name: text(partyColumn('l', 'tenant_id')),
+    landlord_name: text(partyColumn('l', 'landlord_id')),
+    premises_rsf: integer(currentVersionColumn('l', 'fv.premises_rsf')),
+    term_months: integer(currentVersionColumn('l', 'fv.term_months')),
+    base_year: integer(currentVersionColumn('l', 'fv.base_year')),
+    escalation_method: enumOf(currentVersionColumn('l', 'fv.escalation_method'), 'lease_version', 'escalation_method'),
+    commencement_date: date(currentVersionColumn('l', 'LOWER(fv.effective_daterange)')),
+    expiration_date: date(leaseExpirationColumn('l')),
+    created_at: createdAt('l')
+  },
+  'rent-schedules': {
+    rent_id: integer('rs.rent_id'),
+    lease_version_id: integer('rs.lease_version_id'),
+    lease_id: integer(versionLeaseColumn('rs')),
+    amount: number('rs.amount'),
+    basis: enumOf('rs.basis', 'rent_schedule', 'basis'),
+    period_start: date('LOWER(rs.period_daterange)'),
+    period_end: date('UPPER(rs.period_daterange)'),
+    created_at: createdAt('rs')
+  },
+  'opex-pass-throughs': {
+    opex_id: integer('opt.opex_id'),
+    lease_version_id: integer('opt.lease_version_id'),
+    lease_id: integer(versionLeaseColumn('opt')),
+    method: enumOf('opt.method', 'opex_pass_through', 'method'),
+    stop_amount: number('opt.stop_amount'),
+    gross_up_pct: number('opt.gross_up_pct'),
+    created_at: createdAt('opt')
+  },
+  options: {
+    option_id: integer('o.option_id'),
+    lease_version_id: integer('o.lease_version_id'),
+    lease_id: integer(versionLeaseColumn('o')),
+    option_type: enumOf('o.option_type', 'option', 'option_type'),
+    exercised: boolean('o.exercised'),
+    exercised_date: date('o.exercised_date'),
+    window_start: date('LOWER(o.window_daterange)'),
+    window_end: date('UPPER(o.window_daterange)'),
+    created_at: createdAt('o')
+  },
+  concessions: {
+    concession_id: integer('c.concession_id'),
+    lease_version_id: integer('c.lease_version_id'),
+    lease_id: integer(versionLeaseColumn('c')),
+    kind: enumOf('c.kind', 'concession', 'kind'),
+    value_amount: number('c.value_amount'),
+    value_basis: enumOf('c.value_basis', 'concession', 'value_basis'),
+    applies_start: date('LOWER(c.applies_daterange)'),
+    applies_end: date('UPPER(c.applies_daterange)'),
+    created_at: createdAt('c')
+  },
+  'critical-dates': {
+    crit_id: integer('cd.crit_id'),
+    lease_id: integer('cd.lease_id'),
+    kind: enumOf('cd.kind', 'critical_date', 'kind'),
+    date_value: date('cd.date_value'),
+    tenant_name: text(leaseTenantColumn('cd.lease_id')),
+    created_at: createdAt('cd')
+  },
+  'doc-links': {
+    doc_id: integer('dl.doc_id'),
+    lease_id: integer('dl.lease_id'),
+    label: text('dl.label'),
+    external_ref: text('dl.external_ref'),
+    tenant_name: text(leaseTenantColumn('dl.lease_id')),
+    created_at: createdAt('dl')
+  }
+};
+
+module.exports = {
+  LIST_FILTERS
+};
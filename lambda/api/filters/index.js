@@ -0,0 +1,244 @@
+/**
+ * List Filters
+ * Compiles the ?filter= expression of a list endpoint into parameterised SQL
+ * conditions, checking each field against the list's whitelist (filters/fields.js)
+ * and each value against the field type.
+ */
+
+const { parseFilterExpression, COMPARISON_OPERATORS } = require('./expression');
+const { LIST_FILTERS } = require('./fields');
+const { parseDate } = require('../calc/dates');
+
+const MAX_FILTER_LENGTH = 2000;
+const MAX_CONDITIONS = 20;
+const MAX_LIST_VALUES = 100;
+
+const SET_OPERATORS = ['in', 'not in'];
+const NULL_OPERATORS = ['is null', 'is not null'];
+const RANGE_OPERATORS = ['between', 'not between'];
+const TEXT_OPERATORS = ['contains', 'not contains'];
+
+// Operators each field type accepts
+const TYPE_OPERATORS = {
+  integer: [...COMPARISON_OPERATORS, ...SET_OPERATORS, ...RANGE_OPERATORS, ...NULL_OPERATORS],
+  number: [...COMPARISON_OPERATORS, ...SET_OPERATORS, ...RANGE_OPERATORS, ...NULL_OPERATORS],
+  date: [...COMPARISON_OPERATORS, ...SET_OPERATORS, ...RANGE_OPERATORS, ...NULL_OPERATORS],
+  text: ['=', '!=', ...SET_OPERATORS, ...TEXT_OPERATORS, ...NULL_OPERATORS],
+  enum: ['=', '!=', ...SET_OPERATORS, ...NULL_OPERATORS],
+  boolean: ['=', '!=', ...NULL_OPERATORS]
+};
+
+const TYPE_MESSAGES = {
+  integer: 'must be an integer',
+  number: 'must be a number',
+  date: 'must be a valid date in YYYY-MM-DD format',
+  boolean: 'must be true or false'
+};
+
+/**
+ * Convert a filter value to the field type
+ * @returns {Object} { value } or { error }
+ */
+function convertValue(spec, raw) {
+  switch (spec.type) {
+    case 'integer':
+      return /^-?\d+$/.test(raw) ? { value: parseInt(raw, 10) } : { error: 'type' };
+    case 'number':
+      return /^-?\d+(\.\d+)?$/.test(raw) ? { value: raw } : { error: 'type' };
+    case 'date':
+      return parseDate(raw) ? { value: raw } : { error: 'format' };
+    case 'boolean': {
+      const flag = raw.toLowerCase();
+      return flag === 'true' || flag === 'false' ? { value: flag === 'true' } : { error: 'type' };
+    }
+    case 'enum': {
+      const value = raw.toUpperCase();
+      return spec.values.includes(value) ? { value } : { error: 'enum' };
+    }
+    default:
+      return { value: raw };
+  }
+}
+
+function valueError(name, spec, raw, rule) {
+  if (rule === 'enum') {
+    return {
+      field: `filter.${name}`,
+      message: `${name} must be one of: ${spec.values.join(', ')}`,
+      rule,
+      allowed_values: spec.values
+    };
+  }
+  return { field: `filter.${name}`, message: `${name} ${TYPE_MESSAGES[spec.type]} (got '${raw}')`, rule };
+}
+
+function escapeLike(value) {
+  return value.replace(/[\\%_]/g, match => `\\${match}`);
+}
+
+/**
+ * Build the SQL for one condition
+ * Negative operators (!=, not in, not between, not contains) also match rows
+ * with no value.
+ * @param {string} column - SQL expression of the field
+ * @param {string} operator - Parsed operator
+ * @param {Array} params - Placeholders of the condition's values
+ * @returns {string} SQL condition
+ */
+function conditionSql(column, operator, params) {
+  switch (operator) {
+    case '=':
+    case '>':
+    case '>=':
+    case '<':
+    case '<=':
+      return `${column} ${operator} ${params[0]}`;
+    case '!=':
+      return `${column} IS DISTINCT FROM ${params[0]}`;
+    case 'in':
+      return `${column} = ANY(${params[0]})`;
+    case 'not in':
+      return `(${column} IS NULL OR NOT (${column} = ANY(${params[0]})))`;
+    case 'between':
+      return `${column} BETWEEN ${params[0]} AND ${params[1]}`;
+    case 'not between':
+      return `(${column} IS NULL OR ${column} NOT BETWEEN ${params[0]} AND ${params[1]})`;
+    case 'contains':
+      return `${column} ILIKE ${params[0]}`;
+    case 'not contains':
+      return `(${column} IS NULL OR ${column} NOT ILIKE ${params[0]})`;
+    case 'is null':
+      return `${column} IS NULL`;
+    default:
+      return `${column} IS NOT NULL`;
+  }
+}
+
+/**
+ * Compile a filter expression
+ * @param {string} expression - ?filter= value (empty or undefined: no conditions)
+ * @param {Object} fields - Filterable fields of the list (LIST_FILTERS[handler])
+ * @param {number} firstParam - Number of the first placeholder to use
+ * @returns {Object} { errors, conditions, values }
+ */
+function compileFilter(expression, fields, firstParam = 1) {
+  const result = { errors: [], conditions: [], values: [] };
+  if (expression === undefined || expression === null || String(expression).trim() === '') {
+    return result;
+  }
+
+  const text = String(expression);
+  if (text.length > MAX_FILTER_LENGTH) {
+    result.errors.push({ field: 'filter', message: `Filter must not exceed ${MAX_FILTER_LENGTH} characters`, rule: 'maxLength' });
+    return result;
+  }
+
+  const parsed = parseFilterExpression(text);
+  if (parsed.error) {
+    result.errors.push({
+      field: 'filter',
+      message: `${parsed.error.message} at position ${parsed.error.position}`,
+      rule: 'syntax'
+    });
+    return result;
+  }
+  if (parsed.conditions.length > MAX_CONDITIONS) {
+    result.errors.push({ field: 'filter', message: `Filter must not have more than ${MAX_CONDITIONS} conditions`, rule: 'maxItems' });
+    return result;
+  }
+
+  parsed.conditions.forEach(condition => {
+    const name = condition.field;
+    const spec = fields[name];
+    if (!spec) {
+      result.errors.push({
+        field: 'filter',
+        message: `Cannot filter on '${name}'`,
+        rule: 'enum',
+        allowed_values: Object.keys(fields)
+      });
+      return;
+    }
+
+    const operators = TYPE_OPERATORS[spec.type];
+    if (!operators.includes(condition.operator)) {
+      result.errors.push({
+        field: `filter.${name}`,
+        message: `Operator '${condition.operator}' is not supported for ${name}`,
+        rule: 'operator',
+        allowed_values: operators
+      });
+      return;
+    }
+    if (condition.values.length > MAX_LIST_VALUES) {
+      result.errors.push({ field: `filter.${name}`, message: `A list must not have more than ${MAX_LIST_VALUES} values`, rule: 'maxItems' });
+      return;
+    }
+
+    const values = [];
+    for (const raw of condition.values) {
+      const converted = convertValue(spec, raw);
+      if (converted.error) {
+        result.errors.push(valueError(name, spec, raw, converted.error));
+        return;
+      }
+      values.push(converted.value);
+    }
+
+    let bound = values;
+    if (SET_OPERATORS.includes(condition.operator)) {
+      bound = [values];
+    } else if (TEXT_OPERATORS.includes(condition.operator)) {
+      bound = [`%${escapeLike(values[0])}%`];
+    }
+    const params = bound.map((value, index) => `$${firstParam + result.values.length + index}`);
+    result.conditions.push(conditionSql(spec.column, condition.operator, params));
+    result.values.push(...bound);
+  });
+
+  if (result.errors.length > 0) {
+    result.conditions = [];
+    result.values = [];
+  }
+  return result;
+}
+
+/**
+ * Build the 400 response for an invalid filter
+ * @param {Array<Object>} errors - Errors from compileFilter
+ * @returns {Object} { statusCode, body }
+ */
+function createFilterErrorResponse(errors) {
+  return {
+    statusCode: 400,
+    body: {
+      error: {
+        code: 'VALIDATION_ERROR',
+        message: 'Invalid filter expression',
+        details: errors
+      }
+    }
+  };
+}
+
+/**
+ * Describe the filterable fields of a list (field: type)
+ * @param {string} handler - Handler module name, e.g. leases
+ * @returns {Array<string>} e.g. ['lease_id: integer', 'escalation_method: enum (CPI, FIXED, ...)']
+ */
+function describeFilterFields(handler) {
+  return Object.entries(LIST_FILTERS[handler] || {}).map(([name, spec]) => (
+    spec.type === 'enum' ? `${name}: enum (${spec.values.join(', ')})` : `${name}: ${spec.type}`
+  ));
+}
+
+module.exports = {
+  MAX_FILTER_LENGTH,
+  MAX_CONDITIONS,
+  MAX_LIST_VALUES,
+  LIST_FILTERS,
+  TYPE_OPERATORS,
+  compileFilter,
+  createFilterErrorResponse,
+  describeFilterFields
+};
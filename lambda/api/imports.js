@@ -0,0 +1,470 @@
+/**
+ * Imports API Lambda Function
+ * Imports leases from CSV: maps columns, validates every row with the entity
+ * validators, reports row-level errors and commits in a single transaction
+ */
+
+const db = require('./db');
+const { parseCsv } = require('./imports/csv');
+const { resolveMapping, mapRecord, buildImportEntities } = require('./imports/mapping');
+const {
+  createPropertyInTransaction,
+  createPartyInTransaction,
+  createSuiteInTransaction,
+  createLeaseWithVersionInTransaction,
+  createRentScheduleInTransaction,
+  validatePropertyData,
+  validatePartyData,
+  validateSuiteData,
+  validateLeaseData,
+  validateLeaseVersionData,
+  validateLeaseReferencesInTransaction
+} = require('./batch/entities');
+const { validateEntity } = require('./schemas/registry');
+
+// Maximum data rows per import file
+const MAX_IMPORT_ROWS = 1000;
+
+// Lease references the import resolves from names rather than reading from the file
+const RESOLVED_LEASE_FIELDS = ['property_id', 'landlord_id', 'tenant_id'];
+
+// Thrown inside the transaction to roll back a dry run or a failed import
+const IMPORT_ROLLBACK = { code: 'IMPORT_ROLLBACK' };
+
+/**
+ * Lambda handler for import endpoints
+ */
+exports.handler = async (event) => {
+  const correlationId = db.logger.generateCorrelationId();
+  const startTime = Date.now();
+  
+  db.logger.logRequest(event, correlationId);
+  
+  try {
+    // Authorize request based on role and HTTP method
+    // Imports require write access
+    const authResult = db.authorization.authorizeRequest(event);
+    const audit = db.audit.createAuditContext(authResult, correlationId);
+    
+    const { httpMethod, path } = event;
+    
+    if (httpMethod !== 'POST') {
+      return createResponse(405, {
+        error: {
+          code: 'METHOD_NOT_ALLOWED',
+          message: `Method ${httpMethod} not allowed`
+        }
+      }, correlationId);
+    }
+    
+    let result;
+    
+    if (path.includes('/imports')) {
+      result = await importLeases(parseImportRequest(event), audit);
+    } else {
+      return createResponse(404, {
+        error: {
+          code: 'NOT_FOUND',
+          message: 'Endpoint not found'
+        }
+      }, correlationId);
+    }
+    
+    const duration = Date.now() - startTime;
+    db.logger.logResponse(result.statusCode, correlationId, duration);
+    
+    return createResponse(result.statusCode, result.body, correlationId);
+    
+  } catch (error) {
+    db.logger.error('Imports API error', error);
+    
+    // Handle authorization errors specially
+    if (error.code === 'FORBIDDEN') {
+      const duration = Date.now() - startTime;
+      db.logger.logResponse(403, correlationId, duration);
+      return db.authorization.createForbiddenResponse(error.details?.reason || 'Access denied', correlationId);
+    }
+    
+    const errorResponse = db.createErrorResponse(error, correlationId);
+    
+    const duration = Date.now() - startTime;
+    db.logger.logResponse(errorResponse.statusCode, correlationId, duration);
+    
+    return createResponse(errorResponse.statusCode, errorResponse.body, correlationId);
+  }
+};
+
+/**
+ * Read the CSV, mapping and dry-run flag from the request
+ * Accepts a JSON body { csv, mapping, dry_run } or a raw text/csv body;
+ * dry_run may also be given as a query parameter.
+ */
+function parseImportRequest(event) {
+  const headers = event.headers || {};
+  const contentTypeKey = Object.keys(headers).find(key => key.toLowerCase() === 'content-type');
+  const contentType = contentTypeKey ? String(headers[contentTypeKey]).toLowerCase() : '';
+  const rawBody = event.isBase64Encoded
+    ? Buffer.from(event.body || '', 'base64').toString('utf8')
+    : event.body || '';
+  const query = event.queryStringParameters || {};
+  
+  const data = contentType.includes('text/csv') ? { csv: rawBody } : JSON.parse(rawBody || '{}');
+  const dryRun = data.dry_run !== undefined ? data.dry_run : query.dry_run;
+  
+  return {
+    csv: data.csv,
+    mapping: data.mapping || {},
+    dryRun: dryRun === true || dryRun === 'true'
+  };
+}
+
+/**
+ * Import leases from CSV
+ * Every row is validated and written inside one transaction. Rows that fail are
+ * rolled back to a savepoint so the remaining rows are still checked. A dry run,
+ * or any failed row, rolls the whole import back.
+ */
+async function importLeases({ csv, mapping, dryRun }, audit) {
+  if (typeof csv !== 'string' || csv.trim() === '') {
+    return validationError('Request body must contain CSV text', [{ field: 'csv', message: 'CSV is required' }]);
+  }
+  
+  let parsed;
+  try {
+    parsed = parseCsv(csv);
+  } catch (error) {
+    return validationError('CSV could not be parsed', [{ field: 'csv', message: error.message }]);
+  }
+  
+  const { headers, records } = parsed;
+  
+  if (records.length === 0) {
+    return validationError('CSV must contain a header row and at least one data row', []);
+  }
+  
+  if (records.length > MAX_IMPORT_ROWS) {
+    return validationError(`Import exceeds maximum of ${MAX_IMPORT_ROWS} rows`, [
+      { provided: records.length, maximum: MAX_IMPORT_ROWS }
+    ]);
+  }
+  
+  const { columns, errors: mappingErrors } = resolveMapping(headers, mapping);
+  if (mappingErrors.length > 0) {
+    return validationError('Invalid column mapping', mappingErrors);
+  }
+  
+  let report;
+  try {
+    await db.withTransaction(async (client) => {
+      report = await processImport(client, records, columns, audit);
+      
+      if (dryRun || report.errors.length > 0) {
+        throw IMPORT_ROLLBACK;
+      }
+    });
+  } catch (error) {
+    if (error !== IMPORT_ROLLBACK) {
+      throw error;
+    }
+  }
+  
+  if (!dryRun && report.errors.length > 0) {
+    return {
+      statusCode: 400,
+      body: {
+        error: {
+          code: 'IMPORT_FAILED',
+          message: `Import failed on ${report.invalid_rows} of ${report.total_rows} rows and was rolled back`,
+          details: report.errors
+        }
+      }
+    };
+  }
+  
+  return {
+    statusCode: dryRun ? 200 : 201,
+    body: {
+      dry_run: dryRun,
+      columns,
+      ...report
+    }
+  };
+}
+
+/**
+ * Validate and write every row
+ * @returns {Object} Summary with per-row results, row-level errors and created entity counts
+ */
+async function processImport(client, records, columns, audit) {
+  const context = {
+    client,
+    audit,
+    // Resolved property, party and suite IDs by natural key, shared across rows
+    resolved: new Map(),
+    created: { property: 0, party: 0, suite: 0, lease: 0, lease_version: 0, rent_schedule: 0 }
+  };
+  
+  const rows = [];
+  const errors = [];
+  
+  for (const record of records) {
+    const fields = mapRecord(record.values, columns);
+    const recordErrors = await importRow(context, record.row, fields);
+    
+    rows.push({
+      row: record.row,
+      master_lease_num: fields.master_lease_num || null,
+      status: recordErrors.length > 0 ? 'INVALID' : 'VALID'
+    });
+    errors.push(...recordErrors);
+  }
+  
+  const invalidRows = rows.filter(r => r.status === 'INVALID').length;
+  
+  return {
+    total_rows: records.length,
+    valid_rows: records.length - invalidRows,
+    invalid_rows: invalidRows,
+    created: context.created,
+    rows,
+    errors
+  };
+}
+
+/**
+ * Validate and write one row within a savepoint
+ * @returns {Array<Object>} Row-level errors { row, entity, code, field, message }
+ */
+async function importRow(context, rowNum, fields) {
+  const entities = buildImportEntities(fields);
+  
+  // Field validation with the entity validators before anything is written.
+  // Lease references are resolved by the import and the rent schedule's
+  // lease_version_id is assigned on insert.
+  const errors = [
+    ...rowErrors(rowNum, 'row', 'VALIDATION_ERROR', entities.errors),
+    ...rowErrors(rowNum, 'property', 'VALIDATION_ERROR', validatePropertyData(entities.property)),
+    ...rowErrors(rowNum, 'landlord', 'VALIDATION_ERROR', validatePartyData(entities.landlord)),
+    ...rowErrors(rowNum, 'tenant', 'VALIDATION_ERROR', validatePartyData(entities.tenant)),
+    ...rowErrors(rowNum, 'suite', 'VALIDATION_ERROR', entities.suite ? validateSuiteData(entities.suite) : []),
+    ...rowErrors(rowNum, 'lease', 'VALIDATION_ERROR',
+      validateLeaseData(entities.lease).filter(e => !RESOLVED_LEASE_FIELDS.includes(e.field))),
+    ...rowErrors(rowNum, 'lease_version', 'VALIDATION_ERROR', validateLeaseVersionData(entities.version)),
+    ...rowErrors(rowNum, 'rent_schedule', 'VALIDATION_ERROR',
+      entities.rent ? validateEntity('rent_schedule', entities.rent, { partial: true }) : [])
+  ];
+  
+  if (errors.length > 0) {
+    return errors;
+  }
+  
+  const { client } = context;
+  const pending = { resolved: new Map(), created: {} };
+  const step = { entity: 'property' };
+  
+  await client.query('SAVEPOINT import_row');
+  
+  try {
+    const writeErrors = await writeRow(context, pending, step, rowNum, entities);
+    
+    if (writeErrors.length > 0) {
+      await client.query('ROLLBACK TO SAVEPOINT import_row');
+      return writeErrors;
+    }
+    
+    await client.query('RELEASE SAVEPOINT import_row');
+  } catch (error) {
+    await client.query('ROLLBACK TO SAVEPOINT import_row');
+    
+    // Constraint violations are reported against the row; anything else aborts the import
+    if (!error.code || !String(error.code).startsWith('23')) {
+      throw error;
+    }
+    
+    const mapped = db.mapDatabaseError(error);
+    return [{ row: rowNum, entity: step.entity, code: mapped.code, field: null, message: mapped.message }];
+  }
+  
+  // The row is kept: share its resolved entities with later rows
+  pending.resolved.forEach((id, key) => context.resolved.set(key, id));
+  Object.keys(pending.created).forEach(entity => {
+    context.created[entity] += pending.created[entity];
+  });
+  
+  return [];
+}
+
+/**
+ * Resolve or create the row's entities, then create its lease, version and rent
+ * @returns {Array<Object>} Row-level errors
+ */
+async function writeRow(context, pending, step, rowNum, entities) {
+  const { client, audit } = context;
+  
+  const countCreated = (entity) => {
+    pending.created[entity] = (pending.created[entity] || 0) + 1;
+  };
+  
+  // Look up an entity by natural key in earlier rows, then the database, else create it
+  const resolve = async (key, lookup, create) => {
+    const known = context.resolved.get(key) || pending.resolved.get(key);
+    if (known) {
+      return known;
+    }
+    const id = (await lookup()) || (await create());
+    pending.resolved.set(key, id);
+    return id;
+  };
+  
+  const { property, landlord, tenant, suite } = entities;
+  
+  step.entity = 'property';
+  const propertyId = await resolve(
+    `property|${property.name.toLowerCase()}|${(property.address || '').toLowerCase()}`,
+    async () => (await client.query(`
+      SELECT property_id FROM property
+      WHERE LOWER(name) = LOWER($1) AND LOWER(COALESCE(address, '')) = LOWER($2)
+      ORDER BY property_id
+      LIMIT 1
+    `, [property.name, property.address || ''])).rows[0]?.property_id,
+    async () => {
+      countCreated('property');
+      return (await createPropertyInTransaction(client, property, audit)).property_id;
+    }
+  );
+  
+  const resolveParty = async (party, allowedTypes) => resolve(
+    `party|${party.party_type}|${party.legal_name.toLowerCase()}`,
+    async () => (await client.query(`
+      SELECT party_id FROM party
+      WHERE LOWER(legal_name) = LOWER($1) AND party_type = ANY($2)
+      ORDER BY party_id
+      LIMIT 1
+    `, [party.legal_name, allowedTypes])).rows[0]?.party_id,
+    async () => {
+      countCreated('party');
+      return (await createPartyInTransaction(client, party, audit)).party_id;
+    }
+  );
+  
+  step.entity = 'landlord';
+  const landlordId = await resolveParty(landlord, ['LANDLORD', 'SUBLANDLORD']);
+  
+  step.entity = 'tenant';
+  const tenantId = await resolveParty(tenant, ['TENANT']);
+  
+  let suiteId = null;
+  if (suite) {
+    step.entity = 'suite';
+    suiteId = await resolve(
+      `suite|${propertyId}|${suite.suite_code}`,
+      async () => (await client.query(
+        'SELECT suite_id FROM suite WHERE property_id = $1 AND suite_code = $2',
+        [propertyId, suite.suite_code]
+      )).rows[0]?.suite_id,
+      async () => {
+        countCreated('suite');
+        return (await createSuiteInTransaction(client, { ...suite, property_id: propertyId }, audit)).suite_id;
+      }
+    );
+  }
+  
+  step.entity = 'lease';
+  const existingLease = await client.query(
+    'SELECT lease_id FROM lease WHERE property_id = $1 AND master_lease_num = $2',
+    [propertyId, entities.lease.master_lease_num]
+  );
+  
+  if (existingLease.rows.length > 0) {
+    return [{
+      row: rowNum,
+      entity: 'lease',
+      code: 'CONFLICT',
+      field: 'master_lease_num',
+      message: `Lease ${entities.lease.master_lease_num} already exists for this property (lease_id ${existingLease.rows[0].lease_id})`
+    }];
+  }
+  
+  const leaseData = {
+    ...entities.lease,
+    property_id: propertyId,
+    landlord_id: landlordId,
+    tenant_id: tenantId,
+    initial_version: { ...entities.version, suite_id: suiteId }
+  };
+  
+  const refErrors = await validateLeaseReferencesInTransaction(client, leaseData);
+  if (refErrors.length > 0) {
+    return rowErrors(rowNum, 'lease', 'INVALID_REFERENCE', refErrors);
+  }
+  
+  const { initial_version: version } = await createLeaseWithVersionInTransaction(client, leaseData, audit);
+  countCreated('lease');
+  countCreated('lease_version');
+  
+  if (entities.rent) {
+    step.entity = 'rent_schedule';
+    await createRentScheduleInTransaction(client, {
+      ...entities.rent,
+      lease_version_id: version.lease_version_id
+    }, audit);
+    countCreated('rent_schedule');
+  }
+  
+  return [];
+}
+
+/**
+ * Attach the row number and entity to validator errors
+ */
+function rowErrors(rowNum, entity, code, details) {
+  return details.map(detail => ({
+    row: rowNum,
+    entity,
+    code,
+    field: detail.field || null,
+    message: detail.message
+  }));
+}
+
+/**
+ * 400 validation error result
+ */
+function validationError(message, details) {
+  return {
+    statusCode: 400,
+    body: {
+      error: {
+        code: 'VALIDATION_ERROR',
+        message,
+        details
+      }
+    }
+  };
+}
+
+/**
+ * Create HTTP response
+ */
+function createResponse(statusCode, body, correlationId = null) {
+  const response = {
+    statusCode,
+    headers: {
+      'Content-Type': 'application/json',
+      'Access-Control-Allow-Origin': '*',
+      'Access-Control-Allow-Methods': 'POST, OPTIONS',
+      'Access-Control-Allow-Headers': 'Content-Type, Authorization'
+    },
+    body: JSON.stringify(body)
+  };
+  
+  if (correlationId) {
+    response.headers['X-Correlation-ID'] = correlationId;
+  }
+  
+  return response;
+}
+
+module.exports = {
+  handler: exports.handler
+};
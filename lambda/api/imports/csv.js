@@ -0,0 +1,101 @@
+/**
+ * CSV Parsing
+ * RFC 4180 parser for lease import files: quoted fields, escaped quotes,
+ * embedded line breaks, CRLF or LF line endings and a leading byte order mark
+ */
+
+/**
+ * Split CSV text into rows of raw field values
+ * @param {string} text - CSV text
+ * @returns {Array<Object>} { line, fields } where line is the 1-based line the row starts on
+ */
+function parseCsvRows(text) {
+  const input = String(text).replace(/^\uFEFF/, '');
+  const rows = [];
+  let fields = [];
+  let field = '';
+  let quoted = false;
+  let line = 1;
+  let rowLine = 1;
+
+  for (let i = 0; i < input.length; i++) {
+    const char = input[i];
+
+    if (quoted) {
+      if (char === '"' && input[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        if (char === '\n') {
+          line++;
+        }
+        field += char;
+      }
+      continue;
+    }
+
+    if (char === '"' && field === '') {
+      quoted = true;
+    } else if (char === ',') {
+      fields.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && input[i + 1] === '\n') {
+        i++;
+      }
+      fields.push(field);
+      rows.push({ line: rowLine, fields });
+      fields = [];
+      field = '';
+      line++;
+      rowLine = line;
+    } else {
+      field += char;
+    }
+  }
+
+  if (quoted) {
+    throw new Error(`Unterminated quoted field starting on line ${rowLine}`);
+  }
+
+  if (field !== '' || fields.length > 0) {
+    fields.push(field);
+    rows.push({ line: rowLine, fields });
+  }
+
+  return rows;
+}
+
+/**
+ * Parse CSV text with a header row into records
+ * Values are trimmed and blank lines are skipped.
+ * @param {string} text - CSV text
+ * @returns {Object} { headers, records } where records hold { row, values } keyed by header
+ */
+function parseCsv(text) {
+  const rows = parseCsvRows(text)
+    .filter(row => row.fields.some(value => value.trim() !== ''));
+
+  if (rows.length === 0) {
+    return { headers: [], records: [] };
+  }
+
+  const headers = rows[0].fields.map(header => header.trim());
+
+  const records = rows.slice(1).map(row => {
+    const values = {};
+    headers.forEach((header, index) => {
+      values[header] = (row.fields[index] || '').trim();
+    });
+    return { row: row.line, values };
+  });
+
+  return { headers, records };
+}
+
+module.exports = {
+  parseCsvRows,
+  parseCsv
+};
@@ -0,0 +1,232 @@
+/**
+ * Lease Import Mapping
+ * Maps CSV columns to import fields and builds the entity payloads for one row.
+ * Default column names follow the layout accepted by schema/import-csv-data.js.
+ */
+
+const { parseDate, monthsBetween } = require('../calc/dates');
+
+// Import fields and the CSV columns matched by default, in order of preference
+const IMPORT_FIELDS = {
+  property_name: ['property_name', 'property', 'building'],
+  property_address: ['property_address', 'address'],
+  state: ['state'],
+  postal_code: ['postal_code', 'zip'],
+  property_rsf: ['property_rsf', 'building_size'],
+  landlord_name: ['landlord_name', 'landlord'],
+  tenant_name: ['tenant_name', 'tenant'],
+  suite_code: ['suite_code', 'suite', 'suite_number', 'unit'],
+  rsf: ['rsf', 'square_feet', 'size'],
+  master_lease_num: ['master_lease_num', 'lease_number', 'lease_id'],
+  execution_date: ['execution_date', 'signed_date', 'lease_date'],
+  start_date: ['start_date', 'commencement_date', 'lease_start'],
+  end_date: ['end_date', 'expiration_date', 'lease_end'],
+  term_months: ['term_months', 'lease_term'],
+  base_year: ['base_year'],
+  escalation_method: ['escalation_method', 'escalation'],
+  monthly_rent: ['monthly_rent', 'rent', 'base_rent'],
+  rent_basis: ['rent_basis']
+};
+
+// Fields every import file must provide a column for
+const REQUIRED_FIELDS = ['property_name', 'landlord_name', 'tenant_name', 'master_lease_num', 'start_date', 'end_date'];
+
+const NUMBER_FIELDS = ['property_rsf', 'rsf', 'term_months', 'base_year', 'monthly_rent'];
+const DATE_FIELDS = ['execution_date', 'start_date', 'end_date'];
+
+/**
+ * Normalize a column name for matching ("Tenant Name" -> tenant_name)
+ */
+function normalizeHeader(header) {
+  return String(header).trim().toLowerCase().replace(/[^a-z0-9]+/g, '_').replace(/^_|_$/g, '');
+}
+
+/**
+ * Resolve the CSV column used for each import field
+ * @param {Array<string>} headers - CSV header row
+ * @param {Object} overrides - Optional { field: column | [columns] } mapping
+ * @returns {Object} { columns, errors } where columns maps each field to a header or null
+ */
+function resolveMapping(headers, overrides = {}) {
+  const errors = [];
+  const byName = new Map();
+  headers.forEach(header => {
+    const key = normalizeHeader(header);
+    if (!byName.has(key)) {
+      byName.set(key, header);
+    }
+  });
+
+  if (overrides === null || typeof overrides !== 'object' || Array.isArray(overrides)) {
+    return {
+      columns: {},
+      errors: [{ field: 'mapping', message: 'Mapping must be an object of import field to CSV column' }]
+    };
+  }
+
+  Object.keys(overrides).forEach(field => {
+    if (!IMPORT_FIELDS[field]) {
+      errors.push({
+        field: `mapping.${field}`,
+        message: `Unknown import field. Must be one of: ${Object.keys(IMPORT_FIELDS).join(', ')}`
+      });
+    }
+  });
+
+  const columns = {};
+  Object.keys(IMPORT_FIELDS).forEach(field => {
+    const override = overrides[field];
+    const candidates = override === undefined ? IMPORT_FIELDS[field] : [].concat(override);
+    const match = candidates.map(normalizeHeader).find(candidate => byName.has(candidate));
+    columns[field] = match ? byName.get(match) : null;
+
+    if (override !== undefined && !match) {
+      errors.push({
+        field: `mapping.${field}`,
+        message: `Column not found in CSV header: ${[].concat(override).join(', ')}`
+      });
+    } else if (!match && REQUIRED_FIELDS.includes(field)) {
+      errors.push({
+        field,
+        message: `No column found for required field. Expected one of: ${IMPORT_FIELDS[field].join(', ')}`
+      });
+    }
+  });
+
+  return { columns, errors };
+}
+
+/**
+ * Normalize a date cell to YYYY-MM-DD
+ * Accepts YYYY-MM-DD and M/D/YYYY; anything else is returned unchanged for the
+ * entity validators to reject.
+ */
+function normalizeImportDate(value) {
+  const usDate = /^(\d{1,2})\/(\d{1,2})\/(\d{4})$/.exec(value);
+  if (usDate) {
+    const iso = `${usDate[3]}-${usDate[1].padStart(2, '0')}-${usDate[2].padStart(2, '0')}`;
+    return parseDate(iso) ? iso : value;
+  }
+  return value;
+}
+
+/**
+ * Normalize a numeric cell, dropping currency symbols and thousands separators
+ * Unparseable values are returned unchanged for the entity validators to reject.
+ */
+function normalizeImportNumber(value) {
+  const number = Number(String(value).replace(/[$,\s]/g, ''));
+  return isNaN(number) ? value : number;
+}
+
+/**
+ * Read and normalize the import fields of one CSV record
+ * Blank cells are omitted.
+ * @param {Object} values - Record values keyed by CSV header
+ * @param {Object} columns - Field to header mapping from resolveMapping
+ * @returns {Object} Import fields
+ */
+function mapRecord(values, columns) {
+  const row = {};
+
+  Object.keys(columns).forEach(field => {
+    const header = columns[field];
+    const value = header ? values[header] : undefined;
+    if (value === undefined || value === null || String(value).trim() === '') {
+      return;
+    }
+
+    const text = String(value).trim();
+    if (NUMBER_FIELDS.includes(field)) {
+      row[field] = normalizeImportNumber(text);
+    } else if (DATE_FIELDS.includes(field)) {
+      row[field] = normalizeImportDate(text);
+    } else {
+      row[field] = text;
+    }
+  });
+
+  return row;
+}
+
+/**
+ * Copy of an object without its undefined values, so validators treat them as absent
+ */
+function compact(data) {
+  const result = {};
+  Object.keys(data).forEach(key => {
+    if (data[key] !== undefined) {
+      result[key] = data[key];
+    }
+  });
+  return result;
+}
+
+/**
+ * Build the entity payloads for one import row
+ * The lease term is [start_date, end_date) as in schema/import-csv-data.js. Rent
+ * defaults to MONTH basis over the whole term and escalation to FIXED.
+ * References between entities (property_id, tenant_id, ...) are filled in by the
+ * caller once the entities are resolved.
+ * @param {Object} row - Import fields from mapRecord
+ * @returns {Object} { property, landlord, tenant, suite, lease, version, rent, errors }
+ */
+function buildImportEntities(row) {
+  const errors = [];
+  const start = parseDate(row.start_date);
+  const end = parseDate(row.end_date);
+
+  if (start && end && start >= end) {
+    errors.push({ field: 'end_date', message: 'End date must be after start date' });
+  }
+
+  const effectiveDaterange = row.start_date && row.end_date ? `[${row.start_date},${row.end_date})` : undefined;
+
+  let termMonths = row.term_months;
+  if (termMonths === undefined && start && end && start < end) {
+    termMonths = Math.max(1, monthsBetween(start, end));
+  }
+
+  const version = compact({
+    effective_daterange: effectiveDaterange,
+    premises_rsf: row.rsf,
+    term_months: termMonths,
+    base_year: row.base_year,
+    escalation_method: row.escalation_method || 'FIXED',
+    notes: 'Imported from CSV'
+  });
+
+  return {
+    property: compact({
+      name: row.property_name,
+      address: row.property_address,
+      state: row.state,
+      postal_code: row.postal_code,
+      total_rsf: row.property_rsf
+    }),
+    landlord: { legal_name: row.landlord_name, party_type: 'LANDLORD' },
+    tenant: { legal_name: row.tenant_name, party_type: 'TENANT' },
+    suite: row.suite_code !== undefined ? { suite_code: row.suite_code, rsf: row.rsf } : null,
+    lease: compact({
+      master_lease_num: row.master_lease_num,
+      execution_date: row.execution_date
+    }),
+    version,
+    rent: row.monthly_rent !== undefined ? {
+      period_daterange: effectiveDaterange,
+      amount: row.monthly_rent,
+      basis: row.rent_basis || 'MONTH'
+    } : null,
+    errors
+  };
+}
+
+module.exports = {
+  IMPORT_FIELDS,
+  REQUIRED_FIELDS,
+  normalizeHeader,
+  resolveMapping,
+  normalizeImportDate,
+  mapRecord,
+  buildImportEntities
+};
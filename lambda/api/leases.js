@@ -4,9 +4,36 @@
  */
 
 const db = require('./db');
+const { calculateLeaseLiability, CLASSIFICATIONS, PAYMENT_TIMINGS } = require('./calc/lease-liability');
+const { diffLeaseVersions } = require('./versions/diff');
+const { resolveVersionAsOf } = require('./versions/history');
+const { parseDate } = require('./calc/dates');
+const {
+  CARRY_FORWARD_COLLECTIONS,
+  COLLECTION_COLUMNS,
+  normalizeCollections,
+  planCarryForward
+} = require('./versions/carry-forward');
+const { ABSTRACT_SECTIONS, parseAbstract, buildAbstract } = require('./abstract/document');
+const { validateEntity } = require('./schemas/registry');
+const { LIST_FILTERS, compileFilter, createFilterErrorResponse } = require('./filters');
+const { RESOURCE_FIELDSETS, parseFieldsetParams, applyFieldsets, createFieldsetErrorResponse } = require('./fieldsets');
+const {
+  CHILD_ENTITIES,
+  createChildInTransaction,
+  createLeaseWithVersionInTransaction,
+  validateLeaseReferencesInTransaction
+} = require('./batch/entities');
 
-// Valid escalation methods as per schema
-const VALID_ESCALATION_METHODS = ['CPI', 'FIXED', 'BASE_YEAR', 'NNN', 'OTHER'];
+// Validators for the sections of a lease abstract
+const ABSTRACT_VALIDATORS = {
+  lease: (data) => validateLeaseData(data, false),
+  version: (data) => validateLeaseVersionData(data, false),
+  children: Object.fromEntries(ABSTRACT_SECTIONS.map(section => {
+    const config = CHILD_ENTITIES[section.entity];
+    return [section.entity, { validate: config.validate, parentKey: config.parent.key, columns: config.columns }];
+  }))
+};
 
 /**
  * Lambda handler for lease endpoints
@@ -20,28 +47,34 @@ exports.handler = async (event) => {
   try {
     // Authorize request based on role and HTTP method
     const authResult = db.authorization.authorizeRequest(event);
+    const audit = db.audit.createAuditContext(authResult, correlationId);
     
     const { httpMethod, pathParameters, queryStringParameters, body, path } = event;
+    const ifMatch = db.concurrency.getIfMatch(event.headers);
     const leaseId = pathParameters?.id || pathParameters?.leaseId;
     
     let result;
     
-    // Check if this is a lease version endpoint
-    if (path && path.includes('/versions')) {
-      result = await handleLeaseVersionEndpoint(httpMethod, leaseId, body);
+    // Check if this is a lease abstract endpoint
+    if (path && path.includes('/abstract')) {
+      result = await handleLeaseAbstractEndpoint(httpMethod, leaseId, body, audit);
+    } else if (path && path.includes('/liability')) {
+      result = await handleLeaseLiabilityEndpoint(httpMethod, leaseId, queryStringParameters || {});
+    } else if (path && path.includes('/versions')) {
+      result = await handleLeaseVersionEndpoint(httpMethod, leaseId, path, queryStringParameters || {}, body, audit);
     } else {
       // Handle lease CRUD operations
       switch (httpMethod) {
         case 'GET':
           if (leaseId) {
-            result = await getLease(leaseId);
+            result = await getLease(leaseId, queryStringParameters || {});
           } else {
             result = await listLeases(queryStringParameters || {});
           }
           break;
           
         case 'POST':
-          result = await createLease(JSON.parse(body || '{}'));
+          result = await createLease(JSON.parse(body || '{}'), audit);
           break;
           
         case 'PUT':
@@ -53,7 +86,7 @@ exports.handler = async (event) => {
               } 
             }, correlationId);
           }
-          result = await updateLease(leaseId, JSON.parse(body || '{}'));
+          result = await updateLease(leaseId, JSON.parse(body || '{}'), audit, ifMatch);
           break;
           
         default:
@@ -69,7 +102,7 @@ exports.handler = async (event) => {
     const duration = Date.now() - startTime;
     db.logger.logResponse(result.statusCode, correlationId, duration);
     
-    return createResponse(result.statusCode, result.body, correlationId);
+    return createResponse(result.statusCode, result.body, correlationId, result.headers);
     
   } catch (error) {
     db.logger.error('Lease API error', error);
@@ -93,7 +126,15 @@ exports.handler = async (event) => {
 /**
  * Handle lease version endpoints
  */
-async function handleLeaseVersionEndpoint(httpMethod, leaseId, body) {
+async function handleLeaseVersionEndpoint(httpMethod, leaseId, path, params, body, audit) {
+  if (httpMethod === 'GET' && path.includes('/versions/diff')) {
+    return await getLeaseVersionDiff(leaseId, params);
+  }
+  
+  if (httpMethod === 'GET') {
+    return await listLeaseVersions(leaseId);
+  }
+  
   if (httpMethod === 'POST') {
     if (!leaseId) {
       return {
@@ -106,7 +147,7 @@ async function handleLeaseVersionEndpoint(httpMethod, leaseId, body) {
         }
       };
     }
-    return await createLeaseVersion(leaseId, JSON.parse(body || '{}'));
+    return await createLeaseVersion(leaseId, JSON.parse(body || '{}'), audit);
   }
   
   return {
@@ -120,10 +161,242 @@ async function handleLeaseVersionEndpoint(httpMethod, leaseId, body) {
   };
 }
 
+/**
+ * Handle lease abstract endpoints
+ */
+async function handleLeaseAbstractEndpoint(httpMethod, leaseId, body, audit) {
+  if (httpMethod === 'GET' && leaseId) {
+    return await getLeaseAbstract(leaseId);
+  }
+  
+  if (httpMethod === 'POST' && !leaseId) {
+    return await createLeaseAbstract(JSON.parse(body || '{}'), audit);
+  }
+  
+  return {
+    statusCode: 405,
+    body: {
+      error: {
+        code: 'METHOD_NOT_ALLOWED',
+        message: `Method ${httpMethod} not allowed for lease abstract`
+      }
+    }
+  };
+}
+
+/**
+ * Handle lease liability endpoint
+ */
+async function handleLeaseLiabilityEndpoint(httpMethod, leaseId, params) {
+  if (httpMethod !== 'GET') {
+    return {
+      statusCode: 405,
+      body: {
+        error: {
+          code: 'METHOD_NOT_ALLOWED',
+          message: `Method ${httpMethod} not allowed for lease liability`
+        }
+      }
+    };
+  }
+  
+  if (!leaseId) {
+    return {
+      statusCode: 400,
+      body: {
+        error: {
+          code: 'VALIDATION_ERROR',
+          message: 'Lease ID is required'
+        }
+      }
+    };
+  }
+  
+  return await getLeaseLiability(leaseId, params);
+}
+
+/**
+ * Get the lease liability, ROU asset and amortization schedule for a lease version
+ * Query params: lease_version_id, discount_rate, classification, payment_timing,
+ * initial_direct_costs, lease_incentives
+ */
+async function getLeaseLiability(leaseId, params) {
+  const {
+    lease_version_id,
+    discount_rate,
+    classification = 'OPERATING',
+    payment_timing = 'ADVANCE',
+    initial_direct_costs = '0',
+    lease_incentives = '0'
+  } = params;
+  
+  // Validate query parameters
+  const errors = [];
+  
+  if (discount_rate !== undefined) {
+    const rate = parseFloat(discount_rate);
+    if (isNaN(rate) || rate < 0 || rate >= 100) {
+      errors.push({
+        field: 'discount_rate',
+        message: 'Discount rate must be a percentage between 0 and 100'
+      });
+    }
+  }
+  
+  if (!CLASSIFICATIONS.includes(classification.toUpperCase())) {
+    errors.push({
+      field: 'classification',
+      message: `Classification must be one of: ${CLASSIFICATIONS.join(', ')}`,
+      allowed_values: CLASSIFICATIONS
+    });
+  }
+  
+  if (!PAYMENT_TIMINGS.includes(payment_timing.toUpperCase())) {
+    errors.push({
+      field: 'payment_timing',
+      message: `Payment timing must be one of: ${PAYMENT_TIMINGS.join(', ')}`,
+      allowed_values: PAYMENT_TIMINGS
+    });
+  }
+  
+  ['initial_direct_costs', 'lease_incentives'].forEach(field => {
+    const amount = parseFloat(params[field] !== undefined ? params[field] : '0');
+    if (isNaN(amount) || amount < 0) {
+      errors.push({
+        field,
+        message: 'Amount must be a non-negative number'
+      });
+    }
+  });
+  
+  if (errors.length > 0) {
+    return {
+      statusCode: 400,
+      body: {
+        error: {
+          code: 'VALIDATION_ERROR',
+          message: 'Invalid lease liability parameters',
+          details: errors
+        }
+      }
+    };
+  }
+  
+  // Resolve the requested version, defaulting to the current one
+  const versionQuery = `
+    SELECT 
+      lease_version_id,
+      lease_id,
+      version_num,
+      effective_daterange::text AS effective_daterange,
+      premises_rsf,
+      term_months,
+      discount_rate
+    FROM lease_version
+    WHERE lease_id = $1
+      AND ${lease_version_id ? 'lease_version_id = $2' : 'is_current = TRUE'}
+  `;
+  const versionValues = lease_version_id ? [leaseId, parseInt(lease_version_id, 10)] : [leaseId];
+  const version = await db.queryOne(versionQuery, versionValues);
+  
+  if (!version) {
+    return {
+      statusCode: 404,
+      body: {
+        error: {
+          code: 'NOT_FOUND',
+          message: 'Lease version not found',
+          details: [{ field: lease_version_id ? 'lease_version_id' : 'lease_id', value: lease_version_id || leaseId }]
+        }
+      }
+    };
+  }
+  
+  const rate = discount_rate !== undefined ? discount_rate : version.discount_rate;
+  if (rate === null || rate === undefined) {
+    return {
+      statusCode: 400,
+      body: {
+        error: {
+          code: 'VALIDATION_ERROR',
+          message: 'Discount rate is not set for this lease version',
+          details: [{
+            field: 'discount_rate',
+            message: 'Set discount_rate on the lease version or pass it as a query parameter'
+          }]
+        }
+      }
+    };
+  }
+  
+  const rentSchedules = await db.queryRows(`
+    SELECT period_daterange::text AS period_daterange, amount, basis
+    FROM rent_schedule
+    WHERE lease_version_id = $1
+    ORDER BY lower(period_daterange)
+  `, [version.lease_version_id]);
+  
+  const concessions = await db.queryRows(`
+    SELECT kind, value_amount, value_basis, applies_daterange::text AS applies_daterange
+    FROM concession
+    WHERE lease_version_id = $1 AND kind = 'FREE_RENT'
+  `, [version.lease_version_id]);
+  
+  try {
+    const liability = calculateLeaseLiability(version, rentSchedules, concessions, {
+      discountRate: rate,
+      classification: classification.toUpperCase(),
+      paymentTiming: payment_timing.toUpperCase(),
+      initialDirectCosts: parseFloat(initial_direct_costs),
+      leaseIncentives: parseFloat(lease_incentives)
+    });
+    
+    return {
+      statusCode: 200,
+      body: {
+        lease_id: version.lease_id,
+        version_num: version.version_num,
+        ...liability
+      }
+    };
+  } catch (error) {
+    return {
+      statusCode: 400,
+      body: {
+        error: {
+          code: 'CALCULATION_ERROR',
+          message: error.message,
+          details: [{ field: 'lease_version_id', value: version.lease_version_id }]
+        }
+      }
+    };
+  }
+}
+
 /**
  * Get a single lease by ID with current version details
+ * With as_of, returns the version in effect on that date and its child rows instead.
+ * ?fields= trims the response and ?include= embeds child collections (fieldsets/).
  */
-async function getLease(leaseId) {
+async function getLease(leaseId, params = {}) {
+  if (params.as_of !== undefined && !parseDate(params.as_of)) {
+    return {
+      statusCode: 400,
+      body: {
+        error: {
+          code: 'VALIDATION_ERROR',
+          message: 'as_of must be a valid date in YYYY-MM-DD format',
+          details: [{ field: 'as_of', value: params.as_of }]
+        }
+      }
+    };
+  }
+  
+  const fieldset = parseFieldsetParams(params, RESOURCE_FIELDSETS.leases);
+  if (fieldset.errors.length > 0) {
+    return createFieldsetErrorResponse(fieldset.errors);
+  }
+  
   // Get lease master data
   const leaseQuery = `
     SELECT 
@@ -135,6 +408,7 @@ async function getLease(leaseId) {
       l.execution_date,
       l.created_at,
       l.updated_at,
+      ${db.concurrency.etagColumn('l')},
       p.name as property_name,
       landlord.legal_name as landlord_name,
       tenant.legal_name as tenant_name
@@ -160,6 +434,18 @@ async function getLease(leaseId) {
     };
   }
   
+  if (params.as_of !== undefined) {
+    const asOfResult = await getLeaseAsOf(db.concurrency.omitETagSource(lease), params.as_of);
+    if (asOfResult.statusCode !== 200) {
+      return asOfResult;
+    }
+    return {
+      statusCode: 200,
+      headers: db.concurrency.etagHeader('lease', lease, 'lease_id'),
+      body: await applyFieldsets(asOfResult.body, fieldset, RESOURCE_FIELDSETS.leases)
+    };
+  }
+  
   // Get current version details
   const versionQuery = `
     SELECT 
@@ -172,6 +458,12 @@ async function getLease(leaseId) {
       lv.base_year,
       lv.escalation_method,
       lv.currency_code,
+      lv.discount_rate,
+      lv.cpi_series_id,
+      lv.cpi_base_month,
+      lv.cpi_floor_pct,
+      lv.cpi_cap_pct,
+      lv.cpi_lag_months,
       lv.is_current,
       lv.notes,
       lv.created_at,
@@ -186,16 +478,129 @@ async function getLease(leaseId) {
   
   // Combine lease and version data
   const response = {
-    ...lease,
+    ...db.concurrency.omitETagSource(lease),
     current_version: currentVersion
   };
   
   return {
     statusCode: 200,
-    body: response
+    headers: db.concurrency.etagHeader('lease', lease, 'lease_id'),
+    body: await applyFieldsets(response, fieldset, RESOURCE_FIELDSETS.leases)
+  };
+}
+
+/**
+ * Get a lease as it stood on a date
+ * Returns the version whose effective_daterange contains the date together with
+ * its rent schedule, options, concessions and OpEx terms.
+ */
+async function getLeaseAsOf(lease, asOf) {
+  const versions = await getLeaseVersionRows(lease.lease_id);
+  const { version, overlapping } = resolveVersionAsOf(versions, asOf);
+  
+  if (!version) {
+    return {
+      statusCode: 404,
+      body: {
+        error: {
+          code: 'NOT_FOUND',
+          message: 'No lease version in effect on the as_of date',
+          details: [{
+            field: 'as_of',
+            value: asOf,
+            available_versions: versions.map(v => ({
+              version_num: v.version_num,
+              effective_daterange: v.effective_daterange
+            }))
+          }]
+        }
+      }
+    };
+  }
+  
+  const children = (await loadVersionChildren([version.lease_version_id]))[version.lease_version_id];
+  
+  return {
+    statusCode: 200,
+    body: {
+      ...lease,
+      as_of: asOf,
+      version: {
+        ...version,
+        rent_schedule: children.rent_schedule,
+        options: children.option,
+        concessions: children.concession,
+        opex_pass_throughs: children.opex_pass_through
+      },
+      overlapping_versions: overlapping
+    }
+  };
+}
+
+/**
+ * List all versions of a lease in version order
+ */
+async function listLeaseVersions(leaseId) {
+  const lease = await db.queryOne('SELECT lease_id FROM lease WHERE lease_id = $1', [leaseId]);
+  
+  if (!lease) {
+    return {
+      statusCode: 404,
+      body: {
+        error: {
+          code: 'NOT_FOUND',
+          message: 'Lease not found',
+          details: [{ field: 'lease_id', value: leaseId }]
+        }
+      }
+    };
+  }
+  
+  const versions = await getLeaseVersionRows(leaseId);
+  
+  return {
+    statusCode: 200,
+    body: {
+      data: versions
+    }
   };
 }
 
+/**
+ * Load all versions of a lease ordered by version number
+ * Ranges and dates are returned as text.
+ */
+async function getLeaseVersionRows(leaseId) {
+  return db.queryRows(`
+    SELECT 
+      lv.lease_version_id,
+      lv.lease_id,
+      lv.version_num,
+      lv.effective_daterange::text AS effective_daterange,
+      lv.suite_id,
+      s.suite_code,
+      lv.premises_rsf,
+      lv.term_months,
+      lv.base_year,
+      lv.escalation_method,
+      lv.currency_code,
+      lv.discount_rate,
+      lv.cpi_series_id,
+      lv.cpi_base_month::text AS cpi_base_month,
+      lv.cpi_floor_pct,
+      lv.cpi_cap_pct,
+      lv.cpi_lag_months,
+      lv.is_current,
+      lv.notes,
+      lv.created_at,
+      lv.updated_at
+    FROM lease_version lv
+    LEFT JOIN suite s ON lv.suite_id = s.suite_id
+    WHERE lv.lease_id = $1
+    ORDER BY lv.version_num
+  `, [leaseId]);
+}
+
 /**
  * List leases with filtering by property, tenant, state
  */
@@ -204,17 +609,18 @@ async function listLeases(params) {
     property_id,
     tenant_id,
     state,
-    master_lease_num,
-    sort_by = 'lease_id',
-    sort_order = 'ASC',
-    limit = '50',
-    offset = '0'
+    master_lease_num
   } = params;
   
-  // Validate sort parameters
-  const allowedSortFields = ['lease_id', 'master_lease_num', 'execution_date', 'created_at'];
-  const sortField = allowedSortFields.includes(sort_by) ? sort_by : 'lease_id';
-  const sortOrder = sort_order.toUpperCase() === 'DESC' ? 'DESC' : 'ASC';
+  // Validate pagination and sort parameters
+  const page = db.pagination.parsePageParams(params, {
+    sortFields: ['lease_id', 'master_lease_num', 'execution_date', 'created_at'],
+    defaultSort: 'lease_id',
+    key: 'lease_id'
+  });
+  if (page.errors.length > 0) {
+    return db.pagination.createPageErrorResponse(page.errors);
+  }
   
   // Build WHERE clause
   const conditions = [];
@@ -245,21 +651,18 @@ async function listLeases(params) {
     paramCount++;
   }
   
-  const whereClause = conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
-  
-  // Get total count
-  const countQuery = `
-    SELECT COUNT(*) as total 
-    FROM lease l
-    JOIN property p ON l.property_id = p.property_id
-    ${whereClause}
-  `;
-  const countResult = await db.queryOne(countQuery, values);
-  const total = parseInt(countResult.total, 10);
+  // Filter expression (?filter=)
+  const filter = compileFilter(params.filter, LIST_FILTERS.leases, values.length + 1);
+  if (filter.errors.length > 0) {
+    return createFilterErrorResponse(filter.errors);
+  }
+  conditions.push(...filter.conditions);
+  values.push(...filter.values);
   
   // Get paginated results
-  const dataQuery = `
-    SELECT 
+  const leases = await db.pagination.fetchPage({
+    page,
+    select: `
       l.lease_id,
       l.property_id,
       l.landlord_id,
@@ -271,37 +674,27 @@ async function listLeases(params) {
       p.name as property_name,
       p.state as property_state,
       landlord.legal_name as landlord_name,
-      tenant.legal_name as tenant_name
-    FROM lease l
-    JOIN property p ON l.property_id = p.property_id
-    JOIN party landlord ON l.landlord_id = landlord.party_id
-    JOIN party tenant ON l.tenant_id = tenant.party_id
-    ${whereClause}
-    ORDER BY l.${sortField} ${sortOrder}
-    LIMIT $${paramCount} OFFSET $${paramCount + 1}
-  `;
-  
-  values.push(parseInt(limit, 10), parseInt(offset, 10));
-  const leases = await db.queryRows(dataQuery, values);
+      tenant.legal_name as tenant_name`,
+    from: `lease l
+      JOIN property p ON l.property_id = p.property_id
+      JOIN party landlord ON l.landlord_id = landlord.party_id
+      JOIN party tenant ON l.tenant_id = tenant.party_id`,
+    countFrom: 'lease l JOIN property p ON l.property_id = p.property_id',
+    alias: 'l',
+    conditions,
+    values
+  });
   
   return {
     statusCode: 200,
-    body: {
-      data: leases,
-      pagination: {
-        total,
-        limit: parseInt(limit, 10),
-        offset: parseInt(offset, 10),
-        count: leases.length
-      }
-    }
+    body: leases
   };
 }
 
 /**
  * Create a new lease with property, tenant, landlord validation
  */
-async function createLease(data) {
+async function createLease(data, audit) {
   // Validate required fields
   const errors = validateLeaseData(data, false);
   if (errors.length > 0) {
@@ -348,7 +741,8 @@ async function createLease(data) {
       master_lease_num,
       execution_date,
       created_at,
-      updated_at
+      updated_at,
+      ${db.concurrency.etagColumn()}
   `;
   
   const values = [
@@ -360,11 +754,15 @@ async function createLease(data) {
   ];
   
   try {
-    const lease = await db.queryOne(query, values);
+    const lease = await db.audit.withAudit(audit, { entity: 'lease', action: 'CREATE' }, async (client) => {
+      const result = await client.query(query, values);
+      return result.rows[0];
+    });
     
     return {
       statusCode: 201,
-      body: lease
+      headers: db.concurrency.etagHeader('lease', lease, 'lease_id'),
+      body: db.concurrency.omitETagSource(lease)
     };
   } catch (error) {
     // Handle unique constraint violation
@@ -391,7 +789,7 @@ async function createLease(data) {
 /**
  * Update an existing lease (master data only)
  */
-async function updateLease(leaseId, data) {
+async function updateLease(leaseId, data, audit, ifMatch) {
   // Check if lease exists
   const existingLease = await db.queryOne(
     'SELECT lease_id FROM lease WHERE lease_id = $1',
@@ -489,15 +887,20 @@ async function updateLease(leaseId, data) {
       master_lease_num,
       execution_date,
       created_at,
-      updated_at
+      updated_at,
+      ${db.concurrency.etagColumn()}
   `;
   
   try {
-    const lease = await db.queryOne(query, values);
+    const lease = await db.audit.withAudit(audit, { entity: 'lease', action: 'UPDATE', entityId: leaseId, ifMatch }, async (client) => {
+      const result = await client.query(query, values);
+      return result.rows[0];
+    });
     
     return {
       statusCode: 200,
-      body: lease
+      headers: db.concurrency.etagHeader('lease', lease, 'lease_id'),
+      body: db.concurrency.omitETagSource(lease)
     };
   } catch (error) {
     // Handle unique constraint violation
@@ -523,7 +926,7 @@ async function updateLease(leaseId, data) {
 /**
  * Create a new lease version (amendment)
  */
-async function createLeaseVersion(leaseId, data) {
+async function createLeaseVersion(leaseId, data, audit) {
   // Validate required fields
   const errors = validateLeaseVersionData(data, false);
   if (errors.length > 0) {
@@ -613,11 +1016,29 @@ async function createLeaseVersion(leaseId, data) {
       const nextVersion = versionResult.rows[0].next_version;
       
       // Set all existing versions to is_current = FALSE
+      const currentResult = await client.query(
+        'SELECT lease_version_id FROM lease_version WHERE lease_id = $1 AND is_current = TRUE',
+        [leaseId]
+      );
+      const previousVersions = [];
+      for (const row of currentResult.rows) {
+        previousVersions.push(await db.audit.snapshot(client, 'lease_version', row.lease_version_id));
+      }
+      
       await client.query(
         'UPDATE lease_version SET is_current = FALSE WHERE lease_id = $1',
         [leaseId]
       );
       
+      for (const before of previousVersions) {
+        await db.audit.recordAudit(client, audit, {
+          entity: 'lease_version',
+          entityId: before.lease_version_id,
+          action: 'UPDATE',
+          before
+        });
+      }
+      
       // Insert new version with is_current = TRUE
       const insertQuery = `
         INSERT INTO lease_version (
@@ -630,9 +1051,15 @@ async function createLeaseVersion(leaseId, data) {
           base_year,
           escalation_method,
           currency_code,
+          discount_rate,
+          cpi_series_id,
+          cpi_base_month,
+          cpi_floor_pct,
+          cpi_cap_pct,
+          cpi_lag_months,
           is_current,
           notes
-        ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, TRUE, $10)
+        ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, $15, TRUE, $16)
         RETURNING 
           lease_version_id,
           lease_id,
@@ -644,6 +1071,12 @@ async function createLeaseVersion(leaseId, data) {
           base_year,
           escalation_method,
           currency_code,
+          discount_rate,
+          cpi_series_id,
+          cpi_base_month,
+          cpi_floor_pct,
+          cpi_cap_pct,
+          cpi_lag_months,
           is_current,
           notes,
           created_at,
@@ -660,11 +1093,42 @@ async function createLeaseVersion(leaseId, data) {
         data.base_year || null,
         data.escalation_method || null,
         data.currency_code || 'USD',
+        data.discount_rate !== undefined ? data.discount_rate : null,
+        data.cpi_series_id || null,
+        data.cpi_base_month || null,
+        data.cpi_floor_pct !== undefined ? data.cpi_floor_pct : null,
+        data.cpi_cap_pct !== undefined ? data.cpi_cap_pct : null,
+        data.cpi_lag_months !== undefined ? data.cpi_lag_months : null,
         data.notes || null
       ];
       
       const insertResult = await client.query(insertQuery, insertValues);
-      return insertResult.rows[0];
+      const version = insertResult.rows[0];
+      
+      await db.audit.recordAudit(client, audit, {
+        entity: 'lease_version',
+        entityId: version.lease_version_id,
+        action: 'CREATE'
+      });
+      
+      const collections = normalizeCollections(data.carry_forward);
+      if (collections.length === 0) {
+        return version;
+      }
+      
+      const priorVersionId = currentResult.rows.length > 0 ? currentResult.rows[0].lease_version_id : null;
+      const carriedForward = await carryForwardChildren(client, audit, {
+        priorVersionId,
+        newVersionId: version.lease_version_id,
+        collections,
+        effectiveDaterange: data.effective_daterange,
+        truncateDates: data.truncate_dates === true
+      });
+      
+      return {
+        ...version,
+        carried_forward: carriedForward
+      };
     });
     
     return {
@@ -689,201 +1153,464 @@ async function createLeaseVersion(leaseId, data) {
 }
 
 /**
- * Validate lease data
+ * Load rent schedules, options, concessions and OpEx terms for lease versions
+ * Ranges and dates are returned as text. Uses the transaction client when given.
+ * @returns {Object} Child rows keyed by lease_version_id, then by table name
  */
-function validateLeaseData(data, isUpdate = false) {
-  const errors = [];
+async function loadVersionChildren(versionIds, client = null) {
+  const run = async (sql) => (client ? (await client.query(sql, [versionIds])).rows : db.queryRows(sql, [versionIds]));
   
-  // Required field validation (only for create)
-  if (!isUpdate) {
-    if (!data.property_id) {
-      errors.push({
-        field: 'property_id',
-        message: 'Property ID is required'
-      });
-    }
+  const rents = await run(`
+    SELECT rent_id, lease_version_id, period_daterange::text AS period_daterange, amount, basis
+    FROM rent_schedule
+    WHERE lease_version_id = ANY($1)
+    ORDER BY lower(period_daterange)
+  `);
+  const options = await run(`
+    SELECT option_id, lease_version_id, option_type, window_daterange::text AS window_daterange,
+      terms, exercised, exercised_date::text AS exercised_date
+    FROM option
+    WHERE lease_version_id = ANY($1)
+    ORDER BY lower(window_daterange), option_id
+  `);
+  const concessions = await run(`
+    SELECT concession_id, lease_version_id, kind, value_amount, value_basis,
+      applies_daterange::text AS applies_daterange, notes
+    FROM concession
+    WHERE lease_version_id = ANY($1)
+    ORDER BY concession_id
+  `);
+  const opex = await run(`
+    SELECT opex_id, lease_version_id, method, stop_amount, gross_up_pct, notes
+    FROM opex_pass_through
+    WHERE lease_version_id = ANY($1)
+    ORDER BY opex_id
+  `);
+  
+  const children = {};
+  versionIds.forEach(versionId => {
+    const id = parseInt(versionId, 10);
+    children[versionId] = {
+      rent_schedule: rents.filter(row => row.lease_version_id === id),
+      option: options.filter(row => row.lease_version_id === id),
+      concession: concessions.filter(row => row.lease_version_id === id),
+      opex_pass_through: opex.filter(row => row.lease_version_id === id)
+    };
+  });
+  
+  return children;
+}
+
+/**
+ * Copy child rows of the prior current version to a new version
+ * Runs on the caller's transaction client; each copied row is audited as a CREATE.
+ */
+async function carryForwardChildren(client, audit, options) {
+  const { priorVersionId, newVersionId, collections, effectiveDaterange, truncateDates } = options;
+  
+  const children = priorVersionId
+    ? (await loadVersionChildren([priorVersionId], client))[priorVersionId]
+    : {};
+  
+  const plan = planCarryForward(children, { collections, effectiveDaterange, truncateDates });
+  
+  const carriedForward = {
+    source_lease_version_id: priorVersionId,
+    truncate_dates: truncateDates
+  };
+  
+  for (const collection of collections) {
+    const { idField, columns } = COLLECTION_COLUMNS[collection];
+    const created = [];
     
-    if (!data.landlord_id) {
-      errors.push({
-        field: 'landlord_id',
-        message: 'Landlord ID is required'
+    for (const item of plan[collection].copy) {
+      const placeholders = columns.map((column, index) => `$${index + 2}`);
+      const result = await client.query(`
+        INSERT INTO ${collection} (lease_version_id, ${columns.join(', ')})
+        VALUES ($1, ${placeholders.join(', ')})
+        RETURNING ${idField}, lease_version_id, ${columns.join(', ')}
+      `, [newVersionId, ...columns.map(column => item.values[column])]);
+      
+      const row = result.rows[0];
+      await db.audit.recordAudit(client, audit, {
+        entity: collection,
+        entityId: row[idField],
+        action: 'CREATE'
       });
-    }
-    
-    if (!data.tenant_id) {
-      errors.push({
-        field: 'tenant_id',
-        message: 'Tenant ID is required'
+      
+      created.push({
+        ...row,
+        source_id: item.source_id,
+        adjusted: item.adjusted
       });
     }
     
-    if (!data.master_lease_num) {
-      errors.push({
-        field: 'master_lease_num',
-        message: 'Master lease number is required'
-      });
-    }
+    carriedForward[collection] = {
+      copied: created,
+      skipped: plan[collection].skipped
+    };
   }
   
-  // Type validation
-  if (data.property_id !== undefined) {
-    const propertyId = parseInt(data.property_id, 10);
-    if (isNaN(propertyId) || propertyId <= 0) {
-      errors.push({
-        field: 'property_id',
-        message: 'Property ID must be a positive integer'
-      });
+  return carriedForward;
+}
+
+/**
+ * Compare two versions of a lease
+ * from/to are version numbers; defaults compare the current version with the one before it
+ */
+async function getLeaseVersionDiff(leaseId, params) {
+  const errors = [];
+  ['from', 'to'].forEach(field => {
+    if (params[field] !== undefined) {
+      const value = parseInt(params[field], 10);
+      if (isNaN(value) || value < 0 || String(value) !== String(params[field]).trim()) {
+        errors.push({
+          field,
+          message: `${field} must be a non-negative version number`
+        });
+      }
     }
-  }
+  });
   
-  if (data.landlord_id !== undefined) {
-    const landlordId = parseInt(data.landlord_id, 10);
-    if (isNaN(landlordId) || landlordId <= 0) {
-      errors.push({
-        field: 'landlord_id',
-        message: 'Landlord ID must be a positive integer'
-      });
-    }
+  if (errors.length > 0) {
+    return {
+      statusCode: 400,
+      body: {
+        error: {
+          code: 'VALIDATION_ERROR',
+          message: 'Invalid version diff parameters',
+          details: errors
+        }
+      }
+    };
   }
   
-  if (data.tenant_id !== undefined) {
-    const tenantId = parseInt(data.tenant_id, 10);
-    if (isNaN(tenantId) || tenantId <= 0) {
-      errors.push({
-        field: 'tenant_id',
-        message: 'Tenant ID must be a positive integer'
-      });
-    }
+  const versions = await getLeaseVersionRows(leaseId);
+  
+  if (versions.length === 0) {
+    const lease = await db.queryOne('SELECT lease_id FROM lease WHERE lease_id = $1', [leaseId]);
+    return {
+      statusCode: 404,
+      body: {
+        error: {
+          code: 'NOT_FOUND',
+          message: lease ? 'Lease has no versions' : 'Lease not found',
+          details: [{ field: 'lease_id', value: leaseId }]
+        }
+      }
+    };
   }
   
-  if (data.master_lease_num !== undefined && typeof data.master_lease_num !== 'string') {
-    errors.push({
-      field: 'master_lease_num',
-      message: 'Master lease number must be a string'
-    });
+  const current = versions.find(v => v.is_current) || versions[versions.length - 1];
+  const toNum = params.to !== undefined ? parseInt(params.to, 10) : current.version_num;
+  const toVersion = versions.find(v => v.version_num === toNum);
+  
+  let fromVersion;
+  if (params.from !== undefined) {
+    fromVersion = versions.find(v => v.version_num === parseInt(params.from, 10));
+  } else if (toVersion) {
+    // Closest earlier version
+    fromVersion = versions.filter(v => v.version_num < toVersion.version_num).pop();
   }
   
-  if (data.master_lease_num !== undefined && data.master_lease_num.length > 100) {
-    errors.push({
-      field: 'master_lease_num',
-      message: 'Master lease number must not exceed 100 characters'
-    });
+  const missing = [];
+  if (!toVersion) {
+    missing.push({ field: 'to', value: toNum });
+  }
+  if (!fromVersion && (params.from !== undefined || !toVersion)) {
+    missing.push({ field: 'from', value: params.from !== undefined ? parseInt(params.from, 10) : null });
+  }
+  if (missing.length > 0) {
+    return {
+      statusCode: 404,
+      body: {
+        error: {
+          code: 'NOT_FOUND',
+          message: 'Lease version not found',
+          details: missing.map(item => ({ ...item, available_versions: versions.map(v => v.version_num) }))
+        }
+      }
+    };
   }
   
-  if (data.execution_date !== undefined && data.execution_date !== null) {
-    // Validate date format (YYYY-MM-DD)
-    const dateRegex = /^\d{4}-\d{2}-\d{2}$/;
-    if (!dateRegex.test(data.execution_date)) {
-      errors.push({
-        field: 'execution_date',
-        message: 'Execution date must be in YYYY-MM-DD format'
-      });
-    }
+  if (!fromVersion) {
+    return {
+      statusCode: 400,
+      body: {
+        error: {
+          code: 'VALIDATION_ERROR',
+          message: 'No earlier version to compare with; specify from',
+          details: [{ field: 'from', available_versions: versions.map(v => v.version_num) }]
+        }
+      }
+    };
   }
   
-  return errors;
+  const versionIds = [fromVersion.lease_version_id, toVersion.lease_version_id];
+  
+  const children = await loadVersionChildren(versionIds);
+  
+  const diff = diffLeaseVersions(
+    fromVersion,
+    toVersion,
+    children[fromVersion.lease_version_id],
+    children[toVersion.lease_version_id]
+  );
+  
+  const versionSummary = (version) => ({
+    lease_version_id: version.lease_version_id,
+    version_num: version.version_num,
+    effective_daterange: version.effective_daterange,
+    is_current: version.is_current
+  });
+  
+  return {
+    statusCode: 200,
+    body: {
+      lease_id: parseInt(leaseId, 10),
+      from: versionSummary(fromVersion),
+      to: versionSummary(toVersion),
+      ...diff
+    }
+  };
 }
 
 /**
- * Validate lease version data
+ * Get the abstract of a lease: the lease, its current version with rent
+ * schedules, options, concessions and OpEx terms, and its critical dates and
+ * document links. Dates and ranges are returned as text.
  */
-function validateLeaseVersionData(data, isUpdate = false) {
-  const errors = [];
-  
-  // Required field validation (only for create)
-  if (!isUpdate) {
-    if (!data.effective_daterange) {
-      errors.push({
-        field: 'effective_daterange',
-        message: 'Effective date range is required'
-      });
-    }
-  }
+async function getLeaseAbstract(leaseId) {
+  const lease = await db.queryOne(`
+    SELECT 
+      l.lease_id,
+      l.property_id,
+      p.name as property_name,
+      l.landlord_id,
+      landlord.legal_name as landlord_name,
+      l.tenant_id,
+      tenant.legal_name as tenant_name,
+      l.master_lease_num,
+      l.execution_date::text AS execution_date,
+      l.created_at,
+      l.updated_at
+    FROM lease l
+    JOIN property p ON l.property_id = p.property_id
+    JOIN party landlord ON l.landlord_id = landlord.party_id
+    JOIN party tenant ON l.tenant_id = tenant.party_id
+    WHERE l.lease_id = $1
+  `, [leaseId]);
   
-  // Validate effective_daterange format
-  if (data.effective_daterange !== undefined) {
-    if (typeof data.effective_daterange !== 'string') {
-      errors.push({
-        field: 'effective_daterange',
-        message: 'Effective date range must be a string in PostgreSQL daterange format (e.g., "[2024-01-01,2025-01-01)")'
-      });
-    } else {
-      // Basic format validation for daterange
-      const daterangeRegex = /^[\[\(]\d{4}-\d{2}-\d{2},\d{4}-\d{2}-\d{2}[\]\)]$/;
-      if (!daterangeRegex.test(data.effective_daterange)) {
-        errors.push({
-          field: 'effective_daterange',
-          message: 'Effective date range must be in PostgreSQL daterange format (e.g., "[2024-01-01,2025-01-01)")'
-        });
+  if (!lease) {
+    return {
+      statusCode: 404,
+      body: {
+        error: {
+          code: 'NOT_FOUND',
+          message: 'Lease not found',
+          details: [{ field: 'lease_id', value: leaseId }]
+        }
       }
-    }
+    };
   }
   
-  // Validate suite_id
-  if (data.suite_id !== undefined && data.suite_id !== null) {
-    const suiteId = parseInt(data.suite_id, 10);
-    if (isNaN(suiteId) || suiteId <= 0) {
-      errors.push({
-        field: 'suite_id',
-        message: 'Suite ID must be a positive integer'
-      });
-    }
-  }
+  const version = await db.queryOne(`
+    SELECT 
+      lease_version_id,
+      version_num,
+      effective_daterange::text AS effective_daterange,
+      suite_id,
+      premises_rsf,
+      term_months,
+      base_year,
+      escalation_method,
+      currency_code,
+      discount_rate,
+      cpi_series_id,
+      cpi_base_month::text AS cpi_base_month,
+      cpi_floor_pct,
+      cpi_cap_pct,
+      cpi_lag_months,
+      is_current,
+      notes,
+      created_at,
+      updated_at
+    FROM lease_version
+    WHERE lease_id = $1 AND is_current = TRUE
+  `, [leaseId]);
   
-  // Validate premises_rsf
-  if (data.premises_rsf !== undefined && data.premises_rsf !== null) {
-    const rsf = parseInt(data.premises_rsf, 10);
-    if (isNaN(rsf) || rsf < 0) {
-      errors.push({
-        field: 'premises_rsf',
-        message: 'Premises RSF must be a non-negative integer'
-      });
-    }
-  }
+  const versionChildren = version
+    ? (await loadVersionChildren([version.lease_version_id]))[version.lease_version_id]
+    : {};
   
-  // Validate term_months
-  if (data.term_months !== undefined && data.term_months !== null) {
-    const months = parseInt(data.term_months, 10);
-    if (isNaN(months) || months <= 0) {
-      errors.push({
-        field: 'term_months',
-        message: 'Term months must be a positive integer'
-      });
-    }
+  const criticalDates = await db.queryRows(`
+    SELECT crit_id, lease_id, kind, date_value::text AS date_value, notes
+    FROM critical_date
+    WHERE lease_id = $1
+    ORDER BY date_value, crit_id
+  `, [leaseId]);
+  const docLinks = await db.queryRows(`
+    SELECT doc_id, lease_id, label, external_ref
+    FROM doc_link
+    WHERE lease_id = $1
+    ORDER BY doc_id
+  `, [leaseId]);
+  
+  return {
+    statusCode: 200,
+    body: buildAbstract(lease, version, {
+      rent_schedules: versionChildren.rent_schedule,
+      options: versionChildren.option,
+      concessions: versionChildren.concession,
+      opex_pass_throughs: versionChildren.opex_pass_through,
+      critical_dates: criticalDates,
+      doc_links: docLinks
+    })
+  };
+}
+
+/**
+ * Create a lease from an abstract document
+ * The lease, its initial version and all child records are written in one
+ * transaction, so a failing record rolls back the whole abstract. Errors name
+ * the failing field by its path in the document, e.g. version.rent_schedules[2].amount.
+ */
+async function createLeaseAbstract(data, audit) {
+  const { errors, abstract } = parseAbstract(data, ABSTRACT_VALIDATORS);
+  if (errors.length > 0) {
+    return {
+      statusCode: 400,
+      body: {
+        error: {
+          code: 'VALIDATION_ERROR',
+          message: 'Invalid lease abstract',
+          details: errors
+        }
+      }
+    };
   }
   
-  // Validate base_year
-  if (data.base_year !== undefined && data.base_year !== null) {
-    const year = parseInt(data.base_year, 10);
-    if (isNaN(year) || year < 1900 || year > 2100) {
-      errors.push({
-        field: 'base_year',
-        message: 'Base year must be a valid year between 1900 and 2100'
-      });
+  const leaseData = { ...abstract.lease, initial_version: abstract.version };
+  
+  try {
+    const leaseId = await db.withTransaction(async (client) => {
+      const refErrors = await validateLeaseReferencesInTransaction(client, leaseData);
+      if (refErrors.length > 0) {
+        throw {
+          statusCode: 400,
+          code: 'INVALID_REFERENCE',
+          message: 'Referenced resources do not exist',
+          details: refErrors.map(error => ({
+            ...error,
+            field: error.field.startsWith('initial_version.')
+              ? error.field.replace('initial_version.', 'version.')
+              : `lease.${error.field}`
+          }))
+        };
+      }
+      
+      const { lease, initial_version: version } = await createLeaseWithVersionInTransaction(client, leaseData, audit);
+      const parentIds = { lease: lease.lease_id, version: version.lease_version_id };
+      
+      for (const section of ABSTRACT_SECTIONS) {
+        const config = CHILD_ENTITIES[section.entity];
+        const records = abstract.children[section.section];
+        
+        for (let index = 0; index < records.length; index++) {
+          try {
+            await createChildInTransaction(client, config, {
+              ...records[index],
+              [config.parent.key]: parentIds[section.level]
+            }, audit);
+          } catch (error) {
+            // Report constraint violations (e.g. overlapping rent periods) against the record
+            if (!error.code || !String(error.code).startsWith('23')) {
+              throw error;
+            }
+            const mapped = db.mapDatabaseError(error);
+            const path = section.level === 'version' ? `version.${section.section}` : section.section;
+            throw {
+              statusCode: mapped.statusCode,
+              code: mapped.code,
+              message: mapped.message,
+              details: (mapped.details || [{}]).map(detail => ({
+                ...detail,
+                field: detail.field ? `${path}[${index}].${detail.field}` : `${path}[${index}]`
+              }))
+            };
+          }
+        }
+      }
+      
+      return lease.lease_id;
+    });
+    
+    const created = await getLeaseAbstract(leaseId);
+    return {
+      statusCode: 201,
+      body: created.body
+    };
+  } catch (error) {
+    if (error.code === '23505' && error.constraint === 'uq_lease_property_num') {
+      return {
+        statusCode: 409,
+        body: {
+          error: {
+            code: 'CONFLICT',
+            message: 'Lease with this master lease number already exists for this property',
+            details: [{
+              field: 'lease.master_lease_num',
+              value: abstract.lease.master_lease_num,
+              property_id: abstract.lease.property_id
+            }]
+          }
+        }
+      };
+    }
+    if (error.statusCode) {
+      return {
+        statusCode: error.statusCode,
+        body: {
+          error: {
+            code: error.code,
+            message: error.message,
+            details: error.details
+          }
+        }
+      };
     }
+    throw error;
   }
+}
+
+/**
+ * Validate lease data
+ */
+function validateLeaseData(data, isUpdate = false) {
+  return validateEntity('lease', data, { partial: isUpdate });
+}
+
+/**
+ * Validate lease version data
+ */
+function validateLeaseVersionData(data, isUpdate = false) {
+  const errors = validateEntity('lease_version', data, { partial: isUpdate });
   
-  // Validate escalation_method enum
-  if (data.escalation_method !== undefined && data.escalation_method !== null) {
-    if (typeof data.escalation_method !== 'string') {
-      errors.push({
-        field: 'escalation_method',
-        message: 'Escalation method must be a string'
-      });
-    } else if (!VALID_ESCALATION_METHODS.includes(data.escalation_method.toUpperCase())) {
-      errors.push({
-        field: 'escalation_method',
-        message: `Escalation method must be one of: ${VALID_ESCALATION_METHODS.join(', ')}`,
-        allowed_values: VALID_ESCALATION_METHODS
-      });
-    }
+  // Amendment options (POST /leases/{id}/versions)
+  if (data.carry_forward !== undefined && normalizeCollections(data.carry_forward) === null) {
+    errors.push({
+      field: 'carry_forward',
+      message: `Carry forward must be true or an array of: ${CARRY_FORWARD_COLLECTIONS.join(', ')}`,
+      rule: 'enum',
+      allowed_values: CARRY_FORWARD_COLLECTIONS
+    });
   }
   
-  // Validate currency_code
-  if (data.currency_code !== undefined && data.currency_code !== 'USD') {
+  if (data.truncate_dates !== undefined && typeof data.truncate_dates !== 'boolean') {
     errors.push({
-      field: 'currency_code',
-      message: 'Currency code must be USD (Phase 1 limitation)'
+      field: 'truncate_dates',
+      message: 'Truncate dates must be a boolean',
+      rule: 'type'
     });
   }
   
@@ -961,14 +1688,16 @@ async function validateLeaseReferences(data) {
 /**
  * Create HTTP response
  */
-function createResponse(statusCode, body, correlationId = null) {
+function createResponse(statusCode, body, correlationId = null, headers = {}) {
   const response = {
     statusCode,
     headers: {
       'Content-Type': 'application/json',
       'Access-Control-Allow-Origin': '*',
       'Access-Control-Allow-Methods': 'GET, POST, PUT, DELETE, OPTIONS',
-      'Access-Control-Allow-Headers': 'Content-Type, Authorization'
+      'Access-Control-Allow-Headers': 'Content-Type, Authorization, If-Match',
+      'Access-Control-Expose-Headers': 'ETag',
+      ...headers
     },
     body: JSON.stringify(body)
   };
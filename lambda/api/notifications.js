@@ -0,0 +1,202 @@
+/**
+ * Notifications Lambda Function
+ * Scheduled job that sends reminders for upcoming critical dates and option
+ * notice windows. Rules are evaluated by notifications/rules.js, delivery is
+ * handled by notifications/transports.js and notification_log deduplicates sends.
+ */
+
+const db = require('./db');
+const { DEFAULT_RULES, parseRules, evaluateRules, maxLookaheadDays } = require('./notifications/rules');
+const { createTransport, transportConfigFromEnv } = require('./notifications/transports');
+const { formatDate } = require('./calc/dates');
+
+// A PENDING claim older than this is assumed to be from a failed run and is retried
+const STALE_CLAIM_MINUTES = 60;
+
+/**
+ * Lambda handler for the scheduled notification run
+ * Event (optional): { today: 'YYYY-MM-DD', dry_run: true }
+ */
+exports.handler = async (event = {}) => {
+  const correlationId = db.logger.generateCorrelationId();
+  const startTime = Date.now();
+
+  try {
+    const rules = parseRules(process.env.NOTIFICATION_RULES || DEFAULT_RULES);
+    const today = event.today || formatDate(new Date());
+    const dryRun = event.dry_run === true;
+    const lookahead = maxLookaheadDays(rules);
+
+    db.logger.info('Notification run started', { correlationId, today, dryRun, rules: rules.length });
+
+    const criticalDates = await db.queryRows(`
+      SELECT
+        cd.crit_id,
+        cd.lease_id,
+        cd.kind,
+        cd.date_value::text AS date_value,
+        cd.notes,
+        l.master_lease_num,
+        t.legal_name AS tenant_name,
+        p.name AS property_name
+      FROM critical_date cd
+      INNER JOIN lease l ON cd.lease_id = l.lease_id
+      INNER JOIN party t ON l.tenant_id = t.party_id
+      INNER JOIN property p ON l.property_id = p.property_id
+      WHERE cd.date_value BETWEEN $1::date AND $1::date + $2::integer
+    `, [today, lookahead]);
+
+    const options = await db.queryRows(`
+      SELECT
+        o.option_id,
+        cl.lease_id,
+        o.option_type,
+        LOWER(o.window_daterange)::text AS window_start,
+        o.terms,
+        o.exercised,
+        cl.master_lease_num,
+        t.legal_name AS tenant_name,
+        p.name AS property_name
+      FROM vw_current_lease cl
+      INNER JOIN option o ON cl.lease_version_id = o.lease_version_id
+      INNER JOIN party t ON cl.tenant_id = t.party_id
+      INNER JOIN property p ON cl.property_id = p.property_id
+      WHERE o.exercised = FALSE
+        AND LOWER(o.window_daterange) BETWEEN $1::date AND $1::date + $2::integer
+    `, [today, lookahead]);
+
+    const reminders = evaluateRules({ rules, criticalDates, options, today });
+
+    const summary = dryRun
+      ? await previewReminders(reminders)
+      : await sendReminders(reminders, createTransport(transportConfigFromEnv()), correlationId);
+
+    const result = {
+      run_date: today,
+      dry_run: dryRun,
+      rules: rules.length,
+      critical_dates_checked: criticalDates.length,
+      options_checked: options.length,
+      reminders_due: reminders.length,
+      ...summary
+    };
+
+    db.logger.info('Notification run completed', {
+      correlationId,
+      duration: Date.now() - startTime,
+      reminders_due: result.reminders_due,
+      sent: result.sent,
+      duplicates: result.duplicates,
+      failed: result.failed
+    });
+
+    return result;
+
+  } catch (error) {
+    db.logger.error('Notification run error', error);
+    throw error;
+  }
+};
+
+/**
+ * Report which reminders would be sent without sending or logging them
+ */
+async function previewReminders(reminders) {
+  const keys = reminders.map(r => r.dedupe_key);
+  const sentRows = keys.length > 0 ? await db.queryRows(
+    "SELECT dedupe_key FROM notification_log WHERE dedupe_key = ANY($1) AND status = 'SENT'",
+    [keys]
+  ) : [];
+  const sentKeys = new Set(sentRows.map(row => row.dedupe_key));
+
+  const pending = reminders.filter(r => !sentKeys.has(r.dedupe_key));
+
+  return {
+    sent: 0,
+    duplicates: reminders.length - pending.length,
+    failed: 0,
+    notifications: pending
+  };
+}
+
+/**
+ * Claim, send and record each reminder
+ * The dedupe_key claim is taken before sending so concurrent runs never double-send;
+ * FAILED and stale PENDING claims are retried on later runs.
+ */
+async function sendReminders(reminders, transport, correlationId) {
+  let sent = 0;
+  let duplicates = 0;
+  let failed = 0;
+  const notifications = [];
+
+  for (const reminder of reminders) {
+    const claim = await db.queryOne(`
+      INSERT INTO notification_log (
+        dedupe_key,
+        rule_id,
+        source_type,
+        source_id,
+        lease_id,
+        event_date,
+        days_before,
+        transport,
+        status
+      ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, 'PENDING')
+      ON CONFLICT (dedupe_key) DO UPDATE
+        SET status = 'PENDING',
+            transport = EXCLUDED.transport,
+            error_message = NULL,
+            updated_at = CURRENT_TIMESTAMP
+        WHERE notification_log.status = 'FAILED'
+           OR (notification_log.status = 'PENDING'
+               AND notification_log.updated_at < CURRENT_TIMESTAMP - make_interval(mins => $9))
+      RETURNING notification_id
+    `, [
+      reminder.dedupe_key,
+      reminder.rule_id,
+      reminder.source_type,
+      reminder.source_id,
+      reminder.lease_id,
+      reminder.event_date,
+      reminder.days_before,
+      transport.name,
+      STALE_CLAIM_MINUTES
+    ]);
+
+    if (!claim) {
+      duplicates++;
+      continue;
+    }
+
+    try {
+      const { message_id } = await transport.send(reminder);
+      await db.query(`
+        UPDATE notification_log
+        SET status = 'SENT', message_id = $2, sent_at = CURRENT_TIMESTAMP, updated_at = CURRENT_TIMESTAMP
+        WHERE notification_id = $1
+      `, [claim.notification_id, message_id || null]);
+      sent++;
+      notifications.push({ ...reminder, notification_id: claim.notification_id, status: 'SENT' });
+    } catch (error) {
+      db.logger.warn('Notification send failed', {
+        correlationId,
+        dedupe_key: reminder.dedupe_key,
+        error: error.message
+      });
+      await db.query(`
+        UPDATE notification_log
+        SET status = 'FAILED', error_message = $2, updated_at = CURRENT_TIMESTAMP
+        WHERE notification_id = $1
+      `, [claim.notification_id, error.message]);
+      failed++;
+      notifications.push({ ...reminder, notification_id: claim.notification_id, status: 'FAILED', error: error.message });
+    }
+  }
+
+  return { sent, duplicates, failed, notifications };
+}
+
+module.exports = {
+  handler: exports.handler
+};
@@ -0,0 +1,183 @@
+/**
+ * Notification Rules Module
+ * Evaluates reminder rules against upcoming critical dates and option windows.
+ * Pure functions only; database access and delivery live in notifications.js.
+ */
+
+const { parseDate, formatDate, addDays, daysBetween } = require('../calc/dates');
+
+const SOURCE_TYPES = ['CRITICAL_DATE', 'OPTION'];
+
+// Default reminder rules: 180/90/30 days before NOTICE dates and RENEWAL windows
+const DEFAULT_RULES = [
+  {
+    rule_id: 'notice-critical-date',
+    source_type: 'CRITICAL_DATE',
+    kind: 'NOTICE',
+    days_before: [180, 90, 30]
+  },
+  {
+    rule_id: 'renewal-option-window',
+    source_type: 'OPTION',
+    option_type: 'RENEWAL',
+    days_before: [180, 90, 30]
+  }
+];
+
+/**
+ * Validate and normalize reminder rules
+ * @param {Array<Object>|string} rules - Rule objects or a JSON string (e.g., from NOTIFICATION_RULES)
+ * @returns {Array<Object>} Normalized rules with days_before sorted descending
+ * @throws {Error} If a rule is invalid
+ */
+function parseRules(rules) {
+  const parsed = typeof rules === 'string' ? JSON.parse(rules) : rules;
+
+  if (!Array.isArray(parsed) || parsed.length === 0) {
+    throw new Error('Notification rules must be a non-empty array');
+  }
+
+  const ids = new Set();
+
+  return parsed.map((rule, index) => {
+    if (!rule.rule_id || typeof rule.rule_id !== 'string') {
+      throw new Error(`Rule ${index}: rule_id is required`);
+    }
+    if (ids.has(rule.rule_id)) {
+      throw new Error(`Rule ${index}: duplicate rule_id ${rule.rule_id}`);
+    }
+    ids.add(rule.rule_id);
+
+    if (!SOURCE_TYPES.includes(rule.source_type)) {
+      throw new Error(`Rule ${rule.rule_id}: source_type must be one of: ${SOURCE_TYPES.join(', ')}`);
+    }
+
+    const daysBefore = Array.isArray(rule.days_before) ? rule.days_before.map(d => parseInt(d, 10)) : [];
+    if (daysBefore.length === 0 || daysBefore.some(d => isNaN(d) || d < 0)) {
+      throw new Error(`Rule ${rule.rule_id}: days_before must be a non-empty array of non-negative integers`);
+    }
+
+    return {
+      ...rule,
+      days_before: [...new Set(daysBefore)].sort((a, b) => b - a)
+    };
+  });
+}
+
+/**
+ * Whether a source record matches a rule's filters
+ */
+function matchesRule(rule, record) {
+  if (rule.source_type === 'CRITICAL_DATE') {
+    return !rule.kind || rule.kind === record.kind;
+  }
+  if (record.exercised) {
+    return false;
+  }
+  return !rule.option_type || rule.option_type === record.option_type;
+}
+
+/**
+ * Build the subject and body for a reminder
+ */
+function formatReminder(rule, record, eventDate, daysUntil) {
+  const lease = record.master_lease_num || `lease ${record.lease_id}`;
+  const parties = [record.tenant_name, record.property_name].filter(Boolean).join(' at ');
+  const what = rule.source_type === 'CRITICAL_DATE'
+    ? `${record.kind} date`
+    : `${record.option_type} option window opens`;
+
+  const subject = `${lease}: ${what} in ${daysUntil} days (${eventDate})`;
+  const message = [
+    `${what.charAt(0).toUpperCase()}${what.slice(1)} on ${eventDate} for ${lease}${parties ? ` (${parties})` : ''}.`,
+    `This is the ${rule.rule_id} reminder sent ${daysUntil} days in advance.`,
+    record.notes || record.terms || null
+  ].filter(Boolean).join('\n');
+
+  return { subject, message };
+}
+
+/**
+ * Evaluate reminder rules for a given day
+ *
+ * A threshold is due once today is on or after (event date - days_before) and the
+ * event has not passed. Only the closest due threshold per rule and record is
+ * returned, so a first run (or a missed run) does not send a burst of stale
+ * reminders. Each reminder carries a dedupe_key so it is sent at most once.
+ *
+ * @param {Object} params - Evaluation inputs
+ * @param {Array<Object>} params.rules - Normalized rules (see parseRules)
+ * @param {Array<Object>} params.criticalDates - Rows with crit_id, lease_id, kind, date_value, ...
+ * @param {Array<Object>} params.options - Rows with option_id, lease_id, option_type, window_start, exercised, ...
+ * @param {string|Date} params.today - Evaluation date
+ * @returns {Array<Object>} Due reminders ordered by event date
+ */
+function evaluateRules({ rules, criticalDates = [], options = [], today }) {
+  const asOf = parseDate(today);
+  if (!asOf) {
+    throw new Error('today must be a valid YYYY-MM-DD date');
+  }
+
+  const reminders = [];
+
+  for (const rule of rules) {
+    const isCriticalDate = rule.source_type === 'CRITICAL_DATE';
+    const records = isCriticalDate ? criticalDates : options;
+
+    for (const record of records) {
+      if (!matchesRule(rule, record)) {
+        continue;
+      }
+
+      const eventDate = parseDate(isCriticalDate ? record.date_value : record.window_start);
+      if (!eventDate || eventDate < asOf) {
+        continue;
+      }
+
+      const daysUntil = daysBetween(asOf, eventDate);
+      const due = rule.days_before.filter(days => addDays(eventDate, -days) <= asOf);
+      if (due.length === 0) {
+        continue;
+      }
+
+      const daysBefore = Math.min(...due);
+      const sourceId = isCriticalDate ? record.crit_id : record.option_id;
+      const event = formatDate(eventDate);
+
+      reminders.push({
+        dedupe_key: `${rule.rule_id}:${rule.source_type}:${sourceId}:${event}:${daysBefore}`,
+        rule_id: rule.rule_id,
+        source_type: rule.source_type,
+        source_id: sourceId,
+        lease_id: record.lease_id,
+        master_lease_num: record.master_lease_num,
+        tenant_name: record.tenant_name,
+        property_name: record.property_name,
+        event_date: event,
+        days_before: daysBefore,
+        days_until: daysUntil,
+        recipients: rule.recipients || null,
+        ...formatReminder(rule, record, event, daysUntil)
+      });
+    }
+  }
+
+  return reminders.sort((a, b) => a.event_date.localeCompare(b.event_date));
+}
+
+/**
+ * Largest lookahead across rules, used to bound the source queries
+ * @param {Array<Object>} rules - Normalized rules
+ * @returns {number} Days
+ */
+function maxLookaheadDays(rules) {
+  return Math.max(...rules.map(rule => rule.days_before[0]));
+}
+
+module.exports = {
+  SOURCE_TYPES,
+  DEFAULT_RULES,
+  parseRules,
+  evaluateRules,
+  maxLookaheadDays
+};
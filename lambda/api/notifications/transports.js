@@ -0,0 +1,168 @@
+/**
+ * Notification Transports
+ * Pluggable delivery for reminders. Each transport exposes
+ * send(notification) -> Promise<{ message_id }>.
+ *
+ * - sns: publishes to NOTIFICATION_TOPIC_ARN
+ * - ses: emails NOTIFICATION_TO_EMAIL (or rule recipients) from NOTIFICATION_FROM_EMAIL
+ * - file: appends JSON lines to NOTIFICATION_FILE (local development and tests)
+ * - console: writes JSON lines to stdout
+ *
+ * AWS SDK clients are loaded lazily so the file and console transports work
+ * without them installed.
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const crypto = require('crypto');
+
+const TRANSPORT_TYPES = ['sns', 'ses', 'file', 'console'];
+
+function localMessageId() {
+  return `local-${crypto.randomUUID()}`;
+}
+
+function createConsoleTransport() {
+  return {
+    name: 'console',
+    async send(notification) {
+      const messageId = localMessageId();
+      console.log(JSON.stringify({ type: 'notification', message_id: messageId, ...notification }));
+      return { message_id: messageId };
+    }
+  };
+}
+
+function createFileTransport(config) {
+  const filePath = config.filePath || path.join(os.tmpdir(), 'lease-notifications.jsonl');
+  return {
+    name: 'file',
+    filePath,
+    async send(notification) {
+      const messageId = localMessageId();
+      await fs.promises.appendFile(
+        filePath,
+        JSON.stringify({ message_id: messageId, sent_at: new Date().toISOString(), ...notification }) + '\n'
+      );
+      return { message_id: messageId };
+    }
+  };
+}
+
+function createSnsTransport(config) {
+  if (!config.topicArn) {
+    throw new Error('NOTIFICATION_TOPIC_ARN is required for the sns transport');
+  }
+
+  let client = null;
+  let PublishCommand = null;
+
+  return {
+    name: 'sns',
+    async send(notification) {
+      if (!client) {
+        const sns = require('@aws-sdk/client-sns');
+        PublishCommand = sns.PublishCommand;
+        client = new sns.SNSClient({ region: process.env.AWS_REGION || 'us-east-1' });
+      }
+      const result = await client.send(new PublishCommand({
+        TopicArn: config.topicArn,
+        // SNS subjects are limited to 100 characters
+        Subject: notification.subject.slice(0, 100),
+        Message: notification.message,
+        MessageAttributes: {
+          rule_id: { DataType: 'String', StringValue: notification.rule_id },
+          source_type: { DataType: 'String', StringValue: notification.source_type }
+        }
+      }));
+      return { message_id: result.MessageId };
+    }
+  };
+}
+
+function createSesTransport(config) {
+  if (!config.fromEmail) {
+    throw new Error('NOTIFICATION_FROM_EMAIL is required for the ses transport');
+  }
+
+  let client = null;
+  let SendEmailCommand = null;
+
+  return {
+    name: 'ses',
+    async send(notification) {
+      const recipients = notification.recipients && notification.recipients.length > 0
+        ? notification.recipients
+        : (config.toEmails || []);
+      if (recipients.length === 0) {
+        throw new Error('No recipients configured for the ses transport');
+      }
+
+      if (!client) {
+        const ses = require('@aws-sdk/client-ses');
+        SendEmailCommand = ses.SendEmailCommand;
+        client = new ses.SESClient({ region: process.env.AWS_REGION || 'us-east-1' });
+      }
+      const result = await client.send(new SendEmailCommand({
+        Source: config.fromEmail,
+        Destination: { ToAddresses: recipients },
+        Message: {
+          Subject: { Data: notification.subject },
+          Body: { Text: { Data: notification.message } }
+        }
+      }));
+      return { message_id: result.MessageId };
+    }
+  };
+}
+
+/**
+ * Create a transport
+ * @param {Object} config - Transport configuration
+ * @param {string} config.type - sns, ses, file or console (default console)
+ * @param {string} config.topicArn - SNS topic ARN (sns)
+ * @param {string} config.fromEmail - Sender address (ses)
+ * @param {Array<string>} config.toEmails - Default recipients (ses)
+ * @param {string} config.filePath - Output path (file)
+ * @returns {Object} Transport with name and send(notification)
+ */
+function createTransport(config = {}) {
+  const type = (config.type || 'console').toLowerCase();
+
+  switch (type) {
+    case 'sns':
+      return createSnsTransport(config);
+    case 'ses':
+      return createSesTransport(config);
+    case 'file':
+      return createFileTransport(config);
+    case 'console':
+      return createConsoleTransport();
+    default:
+      throw new Error(`Unknown notification transport ${type}; expected one of: ${TRANSPORT_TYPES.join(', ')}`);
+  }
+}
+
+/**
+ * Build transport configuration from environment variables
+ * @param {Object} env - Environment (defaults to process.env)
+ * @returns {Object} Transport configuration
+ */
+function transportConfigFromEnv(env = process.env) {
+  return {
+    type: env.NOTIFICATION_TRANSPORT || 'console',
+    topicArn: env.NOTIFICATION_TOPIC_ARN,
+    fromEmail: env.NOTIFICATION_FROM_EMAIL,
+    toEmails: env.NOTIFICATION_TO_EMAIL
+      ? env.NOTIFICATION_TO_EMAIL.split(',').map(e => e.trim()).filter(Boolean)
+      : [],
+    filePath: env.NOTIFICATION_FILE
+  };
+}
+
+module.exports = {
+  TRANSPORT_TYPES,
+  createTransport,
+  transportConfigFromEnv
+};
@@ -0,0 +1,89 @@
+/**
+ * OpenAPI Lambda Function
+ * Serves the OpenAPI 3.1 document of the API, built from the route catalogue
+ * and entity schemas (see openapi/document.js)
+ */
+
+const db = require('./db');
+const { buildOpenApiDocument } = require('./openapi/document');
+
+/**
+ * Lambda handler for GET /openapi.json
+ */
+exports.handler = async (event) => {
+  const correlationId = db.logger.generateCorrelationId();
+  const startTime = Date.now();
+  
+  db.logger.logRequest(event, correlationId);
+  
+  try {
+    // Authorize request based on role and HTTP method
+    db.authorization.authorizeRequest(event);
+    
+    const { httpMethod, headers } = event;
+    
+    if (httpMethod !== 'GET') {
+      return createResponse(405, {
+        error: {
+          code: 'METHOD_NOT_ALLOWED',
+          message: `Method ${httpMethod} not allowed`
+        }
+      }, correlationId);
+    }
+    
+    // Describe the API at the host it was requested from
+    const host = headers?.host || headers?.Host;
+    const result = {
+      statusCode: 200,
+      body: buildOpenApiDocument(host ? { serverUrl: `https://${host}` } : {})
+    };
+    
+    const duration = Date.now() - startTime;
+    db.logger.logResponse(result.statusCode, correlationId, duration);
+    
+    return createResponse(result.statusCode, result.body, correlationId);
+    
+  } catch (error) {
+    db.logger.error('OpenAPI error', error);
+    
+    // Handle authorization errors specially
+    if (error.code === 'FORBIDDEN') {
+      const duration = Date.now() - startTime;
+      db.logger.logResponse(403, correlationId, duration);
+      return db.authorization.createForbiddenResponse(error.details?.reason || 'Access denied', correlationId);
+    }
+    
+    const errorResponse = db.createErrorResponse(error, correlationId);
+    
+    const duration = Date.now() - startTime;
+    db.logger.logResponse(errorResponse.statusCode, correlationId, duration);
+    
+    return createResponse(errorResponse.statusCode, errorResponse.body, correlationId);
+  }
+};
+
+/**
+ * Create HTTP response
+ */
+function createResponse(statusCode, body, correlationId = null) {
+  const response = {
+    statusCode,
+    headers: {
+      'Content-Type': 'application/json',
+      'Access-Control-Allow-Origin': '*',
+      'Access-Control-Allow-Methods': 'GET, OPTIONS',
+      'Access-Control-Allow-Headers': 'Content-Type, Authorization'
+    },
+    body: JSON.stringify(body)
+  };
+  
+  if (correlationId) {
+    response.headers['X-Correlation-ID'] = correlationId;
+  }
+  
+  return response;
+}
+
+module.exports = {
+  handler: exports.handler
+};
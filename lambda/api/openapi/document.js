@@ -0,0 +1,369 @@
+/**
+ * OpenAPI Document
+ * Builds the OpenAPI 3.1 document served by GET /openapi.json (openapi.js) from
+ * the route catalogue (openapi/routes.js), the entity schemas
+ * (schemas/entities.js), the error mapping in db/errors.js and the role
+ * permissions in db/authorization.js. Pure functions only.
+ */
+
+const { ROUTES } = require('./routes');
+const { ENTITY_SCHEMAS } = require('../schemas/entities');
+const { ABSTRACT_SECTIONS } = require('../abstract/document');
+const { ERROR_CODES, mapDatabaseError } = require('../db/errors');
+const { ROLES, checkPermission } = require('../db/authorization');
+const { version } = require('../package.json');
+
+const OPENAPI_VERSION = '3.1.0';
+
+const DEFAULT_SERVER = 'https://{api_id}.execute-api.{region}.amazonaws.com';
+
+// Error codes returned by the handlers themselves, by status
+const HANDLER_ERRORS = {
+  400: ['VALIDATION_ERROR', 'INVALID_REFERENCE', 'INVALID_JSON', 'CALCULATION_ERROR', 'BATCH_FAILED', 'IMPORT_FAILED', 'SECURITY_ERROR'],
+  403: ['FORBIDDEN'],
+  404: ['NOT_FOUND'],
+  405: ['METHOD_NOT_ALLOWED'],
+  409: ['CONFLICT'],
+  412: ['PRECONDITION_FAILED'],
+  428: ['PRECONDITION_REQUIRED']
+};
+
+const ERROR_DESCRIPTIONS = {
+  400: 'Invalid request',
+  403: 'The caller role does not allow this method',
+  404: 'Resource not found',
+  405: 'Method not allowed',
+  409: 'Conflict with existing data or a concurrent transaction',
+  412: 'If-Match does not match the current ETag; read the record again',
+  428: 'If-Match is required (REQUIRE_IF_MATCH)',
+  500: 'Internal error',
+  503: 'Database unavailable; retry',
+  504: 'Database query timed out'
+};
+
+// Path parameters that are not integer IDs
+const STRING_PATH_PARAMETERS = ['entity'];
+
+function componentRef(name) {
+  return { $ref: `#/components/schemas/${name}` };
+}
+
+/**
+ * Rewrite catalogue references ({ $ref: 'lease' }) to component references
+ */
+function resolveRefs(schema) {
+  if (Array.isArray(schema)) {
+    return schema.map(resolveRefs);
+  }
+  if (schema === null || typeof schema !== 'object') {
+    return schema;
+  }
+  const resolved = {};
+  Object.entries(schema).forEach(([key, value]) => {
+    resolved[key] = key === '$ref' && !value.startsWith('#') ? componentRef(value).$ref : resolveRefs(value);
+  });
+  return resolved;
+}
+
+function toSchema(value) {
+  return typeof value === 'string' ? componentRef(value) : resolveRefs(value);
+}
+
+/**
+ * Error codes by HTTP status: the database error mapping plus handler errors
+ * @returns {Object} { [status]: Array<string> }
+ */
+function errorCodesByStatus() {
+  const codes = {};
+  const add = (status, code) => {
+    codes[status] = codes[status] || [];
+    if (!codes[status].includes(code)) {
+      codes[status].push(code);
+    }
+  };
+
+  Object.entries(HANDLER_ERRORS).forEach(([status, list]) => list.forEach(code => add(status, code)));
+  Object.values(ERROR_CODES).forEach(pgCode => {
+    const mapped = mapDatabaseError({ code: pgCode, message: '' });
+    add(mapped.statusCode, mapped.code);
+  });
+  const timeout = mapDatabaseError({ message: 'timeout' });
+  add(timeout.statusCode, timeout.code);
+  return codes;
+}
+
+/**
+ * Roles allowed to call a method
+ */
+function rolesFor(method) {
+  return Object.values(ROLES).filter(role => checkPermission(role, method).allowed);
+}
+
+function entitySchemas() {
+  const schemas = {};
+  Object.entries(ENTITY_SCHEMAS).forEach(([name, schema]) => {
+    // $id and $schema would change reference resolution inside the document
+    const { $schema, $id, ...rest } = schema;
+    schemas[name] = rest;
+  });
+  return schemas;
+}
+
+function leaseAbstractSchema() {
+  const arrayOf = section => ({
+    type: 'array',
+    // Section names are the plural of the entity names (rent_schedules -> rent_schedule)
+    items: componentRef(section.section.replace(/s$/, ''))
+  });
+  const sections = level => Object.fromEntries(
+    ABSTRACT_SECTIONS.filter(section => section.level === level).map(section => [section.section, arrayOf(section)])
+  );
+
+  return {
+    type: 'object',
+    title: 'Lease abstract',
+    description: 'A lease with its current version and all child records. Generated IDs are ignored on POST.',
+    required: ['lease', 'version'],
+    properties: {
+      lease: componentRef('lease'),
+      version: {
+        allOf: [componentRef('lease_version')],
+        properties: sections('version')
+      },
+      ...sections('lease')
+    }
+  };
+}
+
+function sharedSchemas() {
+  return {
+    Pagination: {
+      type: 'object',
+      required: ['limit', 'count', 'next_cursor', 'prev_cursor'],
+      properties: {
+        total: { type: 'integer', description: 'Matching rows; omitted when not counted (include_total)' },
+        limit: { type: 'integer' },
+        offset: { type: 'integer', description: 'Omitted for cursor pages' },
+        count: { type: 'integer' },
+        next_cursor: { type: ['string', 'null'], description: 'Cursor of the next page, or null on the last page' },
+        prev_cursor: { type: ['string', 'null'], description: 'Cursor of the previous page, or null on the first page' }
+      }
+    },
+    ErrorDetail: {
+      type: 'object',
+      description: 'Validation errors have field, message and rule; database errors have type, constraint and detail',
+      properties: {
+        field: { type: 'string', description: 'Field path, e.g. expenses[1].category' },
+        message: { type: 'string' },
+        rule: { type: 'string', description: 'Failed JSON Schema keyword, constraint, reference or unique' },
+        allowed_values: { type: 'array' },
+        examples: { type: 'array' },
+        constraint: { type: 'string' },
+        type: { type: 'string' },
+        detail: { type: 'string' }
+      }
+    },
+    Error: {
+      type: 'object',
+      required: ['error'],
+      properties: {
+        error: {
+          type: 'object',
+          required: ['code', 'message'],
+          properties: {
+            code: { type: 'string' },
+            message: { type: 'string' },
+            details: { type: 'array', items: componentRef('ErrorDetail') },
+            request_id: { type: 'string' }
+          }
+        }
+      }
+    },
+    LeaseAbstract: leaseAbstractSchema()
+  };
+}
+
+function errorResponses() {
+  const responses = {};
+  Object.entries(errorCodesByStatus()).forEach(([status, codes]) => {
+    responses[`Error${status}`] = {
+      description: `${ERROR_DESCRIPTIONS[status] || 'Error'} (${codes.join(', ')})`,
+      content: {
+        'application/json': {
+          schema: {
+            allOf: [componentRef('Error')],
+            properties: { error: { properties: { code: { enum: codes } } } }
+          }
+        }
+      }
+    };
+  });
+  return responses;
+}
+
+function operationId(route) {
+  const words = route.path.split('/').filter(Boolean).map(segment => (
+    segment.startsWith('{') ? `By-${segment.slice(1, -1)}` : segment
+  ));
+  return [route.method.toLowerCase(), ...words]
+    .join('-')
+    .split(/[-_.]/)
+    .map((word, index) => (index === 0 ? word : word.charAt(0).toUpperCase() + word.slice(1)))
+    .join('');
+}
+
+function pathParameters(path) {
+  return (path.match(/\{(\w+)\}/g) || []).map(token => {
+    const name = token.slice(1, -1);
+    return {
+      name,
+      in: 'path',
+      required: true,
+      schema: STRING_PATH_PARAMETERS.includes(name) ? { type: 'string' } : { type: 'integer', minimum: 1 }
+    };
+  });
+}
+
+function successResponse(route) {
+  let schema;
+  if (route.response && route.response.list) {
+    schema = {
+      type: 'object',
+      properties: {
+        data: { type: 'array', items: componentRef(route.response.list) },
+        pagination: componentRef('Pagination')
+      }
+    };
+  } else {
+    schema = toSchema(route.response || { type: 'object' });
+  }
+
+  const content = { 'application/json': { schema } };
+  (route.produces || []).forEach(type => {
+    content[type] = { schema: { type: 'string', format: 'binary' } };
+  });
+  const response = { description: route.summary, content };
+  if (route.etag) {
+    response.headers = {
+      ETag: { description: 'Version of the record; send it in If-Match to update or delete', schema: { type: 'string' } }
+    };
+  }
+  return response;
+}
+
+/**
+ * Error statuses an operation can return
+ */
+function errorStatuses(route, codes) {
+  const statuses = ['400', '403'];
+  if (route.path.includes('{')) {
+    statuses.push('404');
+  }
+  if (route.method !== 'GET') {
+    statuses.push('409');
+  }
+  if (route.ifMatch) {
+    statuses.push('412', '428');
+  }
+  statuses.push('500', '503', '504');
+  return statuses.filter(status => codes[status]);
+}
+
+function buildOperation(route, codes) {
+  const roles = rolesFor(route.method);
+  const operation = {
+    operationId: operationId(route),
+    tags: [route.tag],
+    summary: route.summary,
+    description: `Roles: ${roles.join(', ')}`,
+    'x-handler': `${route.handler}.handler`,
+    'x-roles': roles
+  };
+
+  const parameters = [
+    ...pathParameters(route.path),
+    ...(route.query || []).map(param => ({ in: 'query', ...param }))
+  ];
+  if (route.ifMatch) {
+    parameters.push({
+      name: 'If-Match',
+      in: 'header',
+      required: false,
+      description: 'ETag from the last read; the request fails with 412 if the record has changed since',
+      schema: { type: 'string' }
+    });
+  }
+  if (parameters.length > 0) {
+    operation.parameters = parameters;
+  }
+
+  if (route.body) {
+    operation.requestBody = {
+      required: true,
+      content: { 'application/json': { schema: toSchema(route.body) } }
+    };
+    if (route.partial) {
+      operation.requestBody.description = 'Fields to update; required fields may be omitted';
+    }
+  }
+
+  operation.responses = { [String(route.status || 200)]: successResponse(route) };
+  errorStatuses(route, codes).forEach(status => {
+    operation.responses[status] = { $ref: `#/components/responses/Error${status}` };
+  });
+  return operation;
+}
+
+/**
+ * Build the OpenAPI document
+ * @param {Object} options - { serverUrl: API base URL (default: the execute-api URL template) }
+ * @returns {Object} OpenAPI 3.1 document
+ */
+function buildOpenApiDocument(options = {}) {
+  const codes = errorCodesByStatus();
+  const paths = {};
+  ROUTES.forEach(route => {
+    paths[route.path] = paths[route.path] || {};
+    paths[route.path][route.method.toLowerCase()] = buildOperation(route, codes);
+  });
+
+  const server = options.serverUrl
+    ? { url: options.serverUrl }
+    : {
+        url: DEFAULT_SERVER,
+        variables: { api_id: { default: 'api-id' }, region: { default: 'us-east-1' } }
+      };
+
+  return {
+    openapi: OPENAPI_VERSION,
+    info: {
+      title: 'Office Lease Database API',
+      version,
+      description: 'Office lease data platform API. Requests are signed with AWS SigV4; ' +
+        `the caller's IAM role (${Object.values(ROLES).join(', ')}) determines the methods it may call.`
+    },
+    servers: [server],
+    security: [{ sigv4: [] }],
+    tags: [...new Set(ROUTES.map(route => route.tag))].map(name => ({ name })),
+    paths,
+    components: {
+      schemas: { ...entitySchemas(), ...sharedSchemas() },
+      responses: errorResponses(),
+      securitySchemes: {
+        sigv4: {
+          type: 'apiKey',
+          name: 'Authorization',
+          in: 'header',
+          description: 'AWS Signature Version 4',
+          'x-amazon-apigateway-authtype': 'awsSigv4'
+        }
+      }
+    }
+  };
+}
+
+module.exports = {
+  HANDLER_ERRORS,
+  errorCodesByStatus,
+  buildOpenApiDocument
+};
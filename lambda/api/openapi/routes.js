@@ -0,0 +1,778 @@
+/**
+ * API Route Catalogue
+ * Describes every route wired in infrastructure/lease-database-stack.ts, grouped
+ * by the handler that serves it. openapi/document.js turns the catalogue into
+ * the OpenAPI document; the unit tests fail when a stack route is missing here.
+ *
+ * Route fields:
+ * - method, path, handler (Lambda module), tag, summary
+ * - query: query parameters (see query())
+ * - body: request body, an entity name from schemas/entities.js or an inline schema
+ * - partial: the body is a partial update (required fields may be omitted)
+ * - status: success status code (default 200)
+ * - response: entity name, { list: entity } for paginated lists, or an inline schema
+ * - produces: extra response content types (report exports)
+ * - etag: the success response carries the record's ETag header
+ * - ifMatch: accepts If-Match; 412 when the record has changed (db/concurrency.js)
+ */
+
+const { CLASSIFICATIONS, PAYMENT_TIMINGS } = require('../calc/lease-liability');
+const { PERIODS } = require('../calc/expiration-waterfall');
+const { GROUP_BY_OPTIONS } = require('../calc/cash-forecast');
+const { STEP_TYPES } = require('../calc/escalation');
+const { CARRY_FORWARD_COLLECTIONS } = require('../versions/carry-forward');
+const { JOB_TYPES, ON_ERROR_MODES, ITEM_STATUSES, MAX_JOB_SIZE } = require('../batch/jobs');
+const { EXPORT_FORMATS } = require('../export');
+const { SEARCH_TYPES, DEFAULT_LIMIT: DEFAULT_SEARCH_LIMIT, MAX_LIMIT: MAX_SEARCH_LIMIT } = require('../search/query');
+const { DEFAULT_LIMIT, MAX_LIMIT } = require('../db/pagination');
+const { LIST_FILTERS, describeFilterFields } = require('../filters');
+const { RESOURCE_FIELDSETS } = require('../fieldsets/resources');
+
+/**
+ * Build a query parameter
+ * @param {string} name - Parameter name
+ * @param {Object|string} schema - JSON Schema, or a type name
+ * @param {string} description - Description
+ * @param {boolean} required - Whether the parameter is required
+ */
+function query(name, schema, description, required = false) {
+  return {
+    name,
+    schema: typeof schema === 'string' ? { type: schema } : schema,
+    description,
+    required
+  };
+}
+
+const DATE = { type: 'string', format: 'date' };
+
+const PAGINATION = [
+  query('limit', { type: 'integer', minimum: 1, default: 50 }, 'Maximum results'),
+  query('offset', { type: 'integer', minimum: 0, default: 0 }, 'Results to skip')
+];
+
+// Entity lists and the audit log page by offset or by cursor (db/pagination.js)
+const CURSOR_PAGINATION = [
+  query('limit', { type: 'integer', minimum: 1, maximum: MAX_LIMIT, default: DEFAULT_LIMIT }, 'Maximum results'),
+  query('offset', { type: 'integer', minimum: 0, default: 0 }, 'Results to skip (not with cursor)'),
+  query('cursor', 'string', 'next_cursor or prev_cursor of a previous page; the sort comes from the cursor'),
+  query('include_total', 'boolean', 'Count the matching rows (default: true with offset, false with cursor)')
+];
+
+function sorting(defaultField, defaultOrder = 'ASC') {
+  return [
+    query('sort_by', { type: 'string', default: defaultField }, 'Sort column'),
+    query('sort_order', { type: 'string', enum: ['ASC', 'DESC'], default: defaultOrder }, 'Sort direction')
+  ];
+}
+
+/**
+ * The ?filter= parameter of a list handler, describing its filterable fields
+ */
+function filterExpression(handler) {
+  return query(
+    'filter',
+    'string',
+    "Filter expression, e.g. `field>=value and field in (a,b)`. Operators: =, !=, >, >=, <, <=, in, not in, " +
+      `between, not between, contains, not contains, is null, is not null. Fields: ${describeFilterFields(handler).join('; ')}`
+  );
+}
+
+/**
+ * The ?fields= and ?include= parameters of a single-record GET
+ */
+function fieldsets(handler) {
+  const resource = RESOURCE_FIELDSETS[handler];
+  if (!resource) {
+    return [];
+  }
+  return [
+    query('fields', 'string', `Comma-separated fields to return (${resource.key} is always returned): ${resource.fields.join(', ')}`),
+    query('include', 'string', `Comma-separated collections to embed: ${Object.keys(resource.includes).join(', ')}`)
+  ];
+}
+
+const DELETED = {
+  type: 'object',
+  description: 'Confirmation message and the deleted (or deactivated) record',
+  properties: { message: { type: 'string' } }
+};
+
+/**
+ * Routes of a CRUD handler: list and create on the collection, get, update and
+ * delete on /{id}
+ */
+function crudRoutes({ path, handler, tag, entity, label, filters, sortBy, sortOrder, item = ['GET', 'PUT', 'DELETE'] }) {
+  const routes = [
+    {
+      method: 'GET',
+      path,
+      summary: `List ${label.plural}`,
+      query: [
+        ...filters,
+        ...(LIST_FILTERS[handler] ? [filterExpression(handler)] : []),
+        ...sorting(sortBy, sortOrder),
+        ...CURSOR_PAGINATION
+      ],
+      response: { list: entity }
+    },
+    { method: 'POST', path, summary: `Create a ${label.singular}`, body: entity, status: 201, response: entity, etag: true }
+  ];
+  const itemRoutes = {
+    GET: { summary: `Get a ${label.singular}`, query: fieldsets(handler), response: entity, etag: true },
+    PUT: { summary: `Update a ${label.singular}`, body: entity, partial: true, response: entity, etag: true, ifMatch: true },
+    DELETE: { summary: `Delete a ${label.singular}`, response: DELETED, ifMatch: true }
+  };
+  item.forEach(method => routes.push({ method, path: `${path}/{id}`, ...itemRoutes[method] }));
+  return routes.map(route => ({ handler, tag, ...route }));
+}
+
+const REPORT_FORMAT = query(
+  'format',
+  { type: 'string', enum: EXPORT_FORMATS, default: 'json' },
+  'Response format; csv and xlsx can also be requested with the Accept header'
+);
+
+const REPORT_RESPONSE = {
+  type: 'object',
+  description: 'Report rows (data), pagination or summary, depending on the report'
+};
+
+function report(name, summary, params) {
+  return {
+    method: 'GET',
+    path: `/reports/${name}`,
+    handler: 'reports',
+    tag: 'Reports',
+    summary,
+    query: [...params, REPORT_FORMAT],
+    response: REPORT_RESPONSE,
+    produces: ['text/csv', 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet']
+  };
+}
+
+const PROPERTY_ID = query('property_id', 'integer', 'Filter by property');
+const LEASE_ID = query('lease_id', 'integer', 'Filter by lease');
+const LEASE_VERSION_ID = query('lease_version_id', 'integer', 'Filter by lease version');
+const STATE = query('state', 'string', 'Filter by property state');
+const AS_OF = query('as_of', DATE, 'As-of date (default: today)');
+
+const BATCH_RESPONSE = {
+  type: 'object',
+  properties: {
+    total: { type: 'integer' },
+    successful: { type: 'integer' },
+    failed: { type: 'integer' },
+    results: { type: 'array', items: { type: 'object' } }
+  }
+};
+
+// Synchronous batch types and the schema of their records. Properties, parties
+// and leases with an ID are updated; the other types are created.
+const BATCH_RECORDS = {
+  properties: { $ref: 'property' },
+  parties: { $ref: 'party' },
+  leases: {
+    allOf: [{ $ref: 'lease' }],
+    properties: { initial_version: { $ref: 'lease_version', description: 'Version 0, created with a new lease' } }
+  },
+  'rent-schedules': { $ref: 'rent_schedule' },
+  options: { $ref: 'option' },
+  concessions: { $ref: 'concession' },
+  'opex-pass-throughs': { $ref: 'opex_pass_through' },
+  'critical-dates': { $ref: 'critical_date' },
+  'doc-links': { $ref: 'doc_link' }
+};
+
+const JOB_RESPONSE = {
+  type: 'object',
+  description: 'Job status, cursor and per-status record counts',
+  properties: {
+    job_id: { type: 'integer' },
+    status: { type: 'string' }
+  }
+};
+
+const ROUTES = [
+  // properties.js
+  ...crudRoutes({
+    path: '/properties',
+    handler: 'properties',
+    tag: 'Properties',
+    entity: 'property',
+    label: { singular: 'property', plural: 'properties' },
+    filters: [
+      query('name', 'string', 'Name contains (case-insensitive)'),
+      query('state', 'string', 'Filter by state'),
+      query('country', 'string', 'Filter by country'),
+      query('active', 'boolean', 'Filter by active flag')
+    ],
+    sortBy: 'property_id'
+  }),
+  {
+    method: 'GET',
+    path: '/properties/{id}/opex-actuals',
+    handler: 'properties',
+    tag: 'Properties',
+    summary: 'List operating expense actuals of a property',
+    query: [query('year', 'integer', 'Single expense year')],
+    response: { type: 'object', properties: { data: { type: 'array', items: { $ref: 'property_opex_year' } } } }
+  },
+  {
+    method: 'GET',
+    path: '/properties/{id}/opex-actuals/{year}',
+    handler: 'properties',
+    tag: 'Properties',
+    summary: 'Get the operating expense actuals of a property for a year',
+    response: 'property_opex_year',
+    etag: true
+  },
+  {
+    method: 'PUT',
+    path: '/properties/{id}/opex-actuals/{year}',
+    handler: 'properties',
+    tag: 'Properties',
+    summary: 'Replace the operating expense actuals of a property for a year',
+    body: 'property_opex_year',
+    response: 'property_opex_year',
+    etag: true,
+    ifMatch: true
+  },
+
+  // suites.js
+  ...crudRoutes({
+    path: '/suites',
+    handler: 'suites',
+    tag: 'Suites',
+    entity: 'suite',
+    label: { singular: 'suite', plural: 'suites' },
+    filters: [PROPERTY_ID, query('suite_code', 'string', 'Filter by suite code')],
+    sortBy: 'suite_id'
+  }),
+
+  // parties.js
+  ...crudRoutes({
+    path: '/parties',
+    handler: 'parties',
+    tag: 'Parties',
+    entity: 'party',
+    label: { singular: 'party', plural: 'parties' },
+    filters: [
+      query('party_type', 'string', 'Filter by party type'),
+      query('legal_name', 'string', 'Legal name contains (case-insensitive)'),
+      query('active', 'boolean', 'Filter by active flag')
+    ],
+    sortBy: 'party_id'
+  }),
+
+  // leases.js
+  ...crudRoutes({
+    path: '/leases',
+    handler: 'leases',
+    tag: 'Leases',
+    entity: 'lease',
+    label: { singular: 'lease', plural: 'leases' },
+    filters: [
+      PROPERTY_ID,
+      query('tenant_id', 'integer', 'Filter by tenant'),
+      STATE,
+      query('master_lease_num', 'string', 'Filter by master lease number')
+    ],
+    sortBy: 'lease_id',
+    item: ['GET', 'PUT']
+  }).map(route => (route.method === 'GET' && route.path === '/leases/{id}'
+    ? { ...route, query: [query('as_of', DATE, 'Return the version in effect on this date'), ...route.query] }
+    : route)),
+  {
+    method: 'GET',
+    path: '/leases/{id}/versions',
+    handler: 'leases',
+    tag: 'Leases',
+    summary: 'List the versions (original terms and amendments) of a lease',
+    response: { type: 'object', properties: { data: { type: 'array', items: { $ref: 'lease_version' } } } }
+  },
+  {
+    method: 'POST',
+    path: '/leases/{id}/versions',
+    handler: 'leases',
+    tag: 'Leases',
+    summary: 'Create a lease amendment, which becomes the current version',
+    body: {
+      allOf: [{ $ref: 'lease_version' }],
+      properties: {
+        carry_forward: {
+          description: 'Child collections to copy from the previous version: true for all, or a list',
+          oneOf: [{ type: 'boolean' }, { type: 'array', items: { type: 'string', enum: CARRY_FORWARD_COLLECTIONS } }]
+        },
+        truncate_dates: { type: 'boolean', description: 'Clip copied date ranges to the new effective range' }
+      }
+    },
+    status: 201,
+    response: 'lease_version'
+  },
+  {
+    method: 'GET',
+    path: '/leases/{id}/versions/diff',
+    handler: 'leases',
+    tag: 'Leases',
+    summary: 'Compare two versions of a lease',
+    query: [
+      query('from', 'integer', 'Version number to compare from (default: previous version)'),
+      query('to', 'integer', 'Version number to compare to (default: current version)')
+    ],
+    response: { type: 'object', description: 'Changed terms and added, removed and changed child records' }
+  },
+  {
+    method: 'GET',
+    path: '/leases/{id}/liability',
+    handler: 'leases',
+    tag: 'Leases',
+    summary: 'Lease liability and right-of-use asset schedule (ASC 842)',
+    query: [
+      query('lease_version_id', 'integer', 'Version to calculate (default: current version)'),
+      query('discount_rate', 'number', 'Annual discount rate percentage (default: the version discount rate)'),
+      query('classification', { type: 'string', enum: CLASSIFICATIONS, default: 'OPERATING' }, 'Lease classification'),
+      query('payment_timing', { type: 'string', enum: PAYMENT_TIMINGS, default: 'ADVANCE' }, 'Payment timing'),
+      query('initial_direct_costs', { type: 'number', default: 0 }, 'Initial direct costs'),
+      query('lease_incentives', { type: 'number', default: 0 }, 'Lease incentives received')
+    ],
+    response: { type: 'object', description: 'Summary and monthly schedule' }
+  },
+  {
+    method: 'POST',
+    path: '/leases/abstract',
+    handler: 'leases',
+    tag: 'Leases',
+    summary: 'Create a lease, its current version and all child records in one transaction',
+    body: { $ref: 'LeaseAbstract' },
+    status: 201,
+    response: { $ref: 'LeaseAbstract' }
+  },
+  {
+    method: 'GET',
+    path: '/leases/{id}/abstract',
+    handler: 'leases',
+    tag: 'Leases',
+    summary: 'Get a lease with its current version and all child records',
+    response: { $ref: 'LeaseAbstract' }
+  },
+
+  // rent-schedules.js
+  ...crudRoutes({
+    path: '/rent-schedules',
+    handler: 'rent-schedules',
+    tag: 'Rent Schedules',
+    entity: 'rent_schedule',
+    label: { singular: 'rent schedule', plural: 'rent schedules' },
+    filters: [LEASE_VERSION_ID],
+    sortBy: 'rent_id'
+  }),
+  {
+    method: 'POST',
+    path: '/rent-schedules/generate',
+    handler: 'rent-schedules',
+    tag: 'Rent Schedules',
+    summary: 'Generate an escalated rent schedule for a lease version',
+    body: {
+      type: 'object',
+      required: ['lease_version_id', 'starting_amount', 'basis', 'step_type', 'step_value'],
+      properties: {
+        lease_version_id: { type: 'integer', minimum: 1 },
+        starting_amount: { type: 'number', minimum: 0 },
+        basis: { type: 'string', enum: ['MONTH', 'YEAR'] },
+        step_type: { type: 'string', enum: STEP_TYPES },
+        step_value: { type: 'number' },
+        period_months: { type: 'integer', minimum: 1, default: 12 },
+        start_date: { ...DATE, description: 'Default: start of the version effective range' },
+        end_date: { ...DATE, description: 'Default: end of the version effective range' }
+      }
+    },
+    status: 201,
+    response: { type: 'object', properties: { data: { type: 'array', items: { $ref: 'rent_schedule' } } } }
+  },
+  {
+    method: 'GET',
+    path: '/rent-schedules/cpi-resets',
+    handler: 'rent-schedules',
+    tag: 'Rent Schedules',
+    summary: 'Proposed CPI rent resets for a lease version',
+    query: [query('lease_version_id', 'integer', 'Lease version with a CPI rule', true)],
+    response: { type: 'object', description: 'Proposed resets with the index values used' }
+  },
+  {
+    method: 'POST',
+    path: '/rent-schedules/cpi-resets',
+    handler: 'rent-schedules',
+    tag: 'Rent Schedules',
+    summary: 'Accept proposed CPI resets into the rent schedule',
+    body: {
+      type: 'object',
+      required: ['lease_version_id'],
+      properties: {
+        lease_version_id: { type: 'integer', minimum: 1 },
+        reset_dates: { type: 'array', minItems: 1, items: DATE, description: 'Default: all proposed resets' }
+      }
+    },
+    response: { type: 'object', description: 'Rent schedule rows created, trimmed and deleted' }
+  },
+
+  // opex-pass-throughs.js
+  ...crudRoutes({
+    path: '/opex-pass-throughs',
+    handler: 'opex-pass-throughs',
+    tag: 'OpEx Pass-Throughs',
+    entity: 'opex_pass_through',
+    label: { singular: 'OpEx pass-through', plural: 'OpEx pass-throughs' },
+    filters: [LEASE_VERSION_ID, query('method', 'string', 'Filter by method')],
+    sortBy: 'opex_id'
+  }),
+  {
+    method: 'GET',
+    path: '/opex-pass-throughs/{id}/estimates',
+    handler: 'opex-pass-throughs',
+    tag: 'OpEx Pass-Throughs',
+    summary: 'List the yearly OpEx estimates of a pass-through',
+    response: { type: 'object', properties: { data: { type: 'array', items: { $ref: 'opex_estimate' } } } }
+  },
+  {
+    method: 'GET',
+    path: '/opex-pass-throughs/{id}/estimates/{year}',
+    handler: 'opex-pass-throughs',
+    tag: 'OpEx Pass-Throughs',
+    summary: 'Get the OpEx estimate of a pass-through for a year',
+    response: 'opex_estimate',
+    etag: true
+  },
+  {
+    method: 'PUT',
+    path: '/opex-pass-throughs/{id}/estimates/{year}',
+    handler: 'opex-pass-throughs',
+    tag: 'OpEx Pass-Throughs',
+    summary: 'Set the OpEx estimate of a pass-through for a year',
+    body: 'opex_estimate',
+    response: 'opex_estimate',
+    etag: true,
+    ifMatch: true
+  },
+
+  // options.js
+  ...crudRoutes({
+    path: '/options',
+    handler: 'options',
+    tag: 'Options',
+    entity: 'option',
+    label: { singular: 'option', plural: 'options' },
+    filters: [
+      LEASE_VERSION_ID,
+      query('option_type', 'string', 'Filter by option type'),
+      query('window_status', { type: 'string', enum: ['open', 'closed'] }, 'Filter by whether the window is open today'),
+      query('exercised', 'boolean', 'Filter by exercised flag')
+    ],
+    sortBy: 'option_id'
+  }),
+  {
+    method: 'PUT',
+    path: '/options/{id}/exercise',
+    handler: 'options',
+    tag: 'Options',
+    summary: 'Exercise an option',
+    body: { type: 'object', properties: { exercised_date: { ...DATE, description: 'Default: today' } } },
+    response: 'option',
+    etag: true,
+    ifMatch: true
+  },
+
+  // concessions.js
+  ...crudRoutes({
+    path: '/concessions',
+    handler: 'concessions',
+    tag: 'Concessions',
+    entity: 'concession',
+    label: { singular: 'concession', plural: 'concessions' },
+    filters: [
+      LEASE_VERSION_ID,
+      query('kind', 'string', 'Filter by kind'),
+      query('value_basis', 'string', 'Filter by value basis')
+    ],
+    sortBy: 'concession_id'
+  }),
+
+  // critical-dates.js
+  ...crudRoutes({
+    path: '/critical-dates',
+    handler: 'critical-dates',
+    tag: 'Critical Dates',
+    entity: 'critical_date',
+    label: { singular: 'critical date', plural: 'critical dates' },
+    filters: [LEASE_ID, query('kind', 'string', 'Filter by kind')],
+    sortBy: 'date_value'
+  }),
+
+  // doc-links.js
+  ...crudRoutes({
+    path: '/doc-links',
+    handler: 'doc-links',
+    tag: 'Document Links',
+    entity: 'doc_link',
+    label: { singular: 'document link', plural: 'document links' },
+    filters: [LEASE_ID],
+    sortBy: 'created_at',
+    sortOrder: 'DESC'
+  }),
+
+  // reports.js
+  report('expirations', 'Leases expiring within a number of months', [
+    query('months', 'integer', 'Months ahead'),
+    STATE,
+    PROPERTY_ID,
+    ...sorting('expiration_date'),
+    ...PAGINATION
+  ]),
+  report('expiration-waterfall', 'Expiring rent and RSF by year or quarter', [
+    AS_OF,
+    query('years', { type: 'integer', default: 10 }, 'Years ahead'),
+    query('period', { type: 'string', enum: PERIODS, default: 'year' }, 'Bucket size'),
+    query('renewal_months', { type: 'integer', default: 60 }, 'Renewal term assumed for unexercised renewal options'),
+    PROPERTY_ID,
+    STATE
+  ]),
+  report('occupancy', 'Leased and vacant RSF by property', [
+    AS_OF,
+    PROPERTY_ID,
+    STATE,
+    query('include_suites', { type: 'boolean', default: true }, 'Include suite detail'),
+    query('from', DATE, 'Start of a monthly series'),
+    query('to', DATE, 'End of a monthly series')
+  ]),
+  report('cash-forecast', 'Forecast cash rent by month', [
+    query('from', DATE, 'First month'),
+    query('to', DATE, 'Last month'),
+    query('group_by', { type: 'string', enum: GROUP_BY_OPTIONS, default: 'property' }, 'Grouping'),
+    PROPERTY_ID,
+    query('tenant_id', 'integer', 'Filter by tenant')
+  ]),
+  report('rent-roll', 'Current rent by lease', [
+    query('date', DATE, 'Rent roll date (default: today)'),
+    PROPERTY_ID,
+    ...PAGINATION
+  ]),
+  report('options', 'Options and their window status', [
+    query('type', 'string', 'Filter by option type'),
+    query('window_status', 'string', 'Filter by window status'),
+    query('exercised', 'boolean', 'Filter by exercised flag'),
+    ...PAGINATION
+  ]),
+  report('free-rent', 'Free rent concessions', [
+    query('active_only', 'boolean', 'Only concessions in effect today'),
+    ...PAGINATION
+  ]),
+  report('ti-allowances', 'Tenant improvement allowances', [
+    LEASE_ID,
+    PROPERTY_ID,
+    query('tenant_name', 'string', 'Tenant name contains'),
+    ...PAGINATION
+  ]),
+  report('critical-dates', 'Upcoming critical dates', [
+    query('days_ahead', { type: 'integer', default: 180 }, 'Days ahead'),
+    query('kind', 'string', 'Filter by kind'),
+    LEASE_ID,
+    ...PAGINATION
+  ]),
+  report('amendments', 'Amendment history by lease', [LEASE_ID, ...PAGINATION]),
+  report('opex-summary', 'OpEx pass-through terms by lease', [PROPERTY_ID, ...PAGINATION]),
+  report('opex-reconciliation', 'Year-end OpEx reconciliation by lease', [
+    query('year', 'integer', 'Expense year'),
+    PROPERTY_ID,
+    LEASE_ID,
+    ...PAGINATION
+  ]),
+  report('straight-line', 'Straight-line rent by lease version', [
+    LEASE_ID,
+    LEASE_VERSION_ID,
+    PROPERTY_ID,
+    AS_OF,
+    query('summary_only', 'boolean', 'Omit the monthly schedule'),
+    ...PAGINATION
+  ]),
+  report('cpi-resets', 'Upcoming CPI rent resets', [
+    AS_OF,
+    query('days', { type: 'integer', default: 90 }, 'Days ahead'),
+    PROPERTY_ID,
+    ...PAGINATION
+  ]),
+
+  // audit.js
+  {
+    method: 'GET',
+    path: '/audit',
+    handler: 'audit',
+    tag: 'Audit Log',
+    summary: 'List audit entries',
+    query: [
+      query('entity', 'string', 'Entity (table) name'),
+      query('entity_id', 'string', 'Entity identifier'),
+      LEASE_ID,
+      query('principal', 'string', 'IAM principal ARN'),
+      query('action', { type: 'string', enum: ['CREATE', 'UPDATE', 'DELETE'] }, 'Action'),
+      query('from', DATE, 'Start date (inclusive)'),
+      query('to', DATE, 'End date (inclusive)'),
+      query('sort_order', { type: 'string', enum: ['ASC', 'DESC'], default: 'DESC' }, 'Sort direction'),
+      ...CURSOR_PAGINATION
+    ],
+    response: { type: 'object', properties: { data: { type: 'array', items: { type: 'object' } }, pagination: { $ref: 'Pagination' } } }
+  },
+
+  // search.js
+  {
+    method: 'GET',
+    path: '/search',
+    handler: 'search',
+    tag: 'Search',
+    summary: 'Ranked full-text and fuzzy search across parties, properties, suites, leases and document links',
+    query: [
+      query('q', { type: 'string', minLength: 2, maxLength: 200 }, 'Search text; partial words and typos match', true),
+      query('types', 'string', `Comma-separated types to search: ${Object.keys(SEARCH_TYPES).join(', ')} (default: all)`),
+      query('limit', { type: 'integer', minimum: 1, maximum: MAX_SEARCH_LIMIT, default: DEFAULT_SEARCH_LIMIT }, 'Maximum hits')
+    ],
+    response: {
+      type: 'object',
+      properties: {
+        query: { type: 'string' },
+        types: { type: 'array', items: { type: 'string' } },
+        count: { type: 'integer' },
+        data: {
+          type: 'array',
+          items: {
+            type: 'object',
+            properties: {
+              type: { type: 'string', enum: Object.keys(SEARCH_TYPES) },
+              id: { type: 'integer' },
+              title: { type: 'string' },
+              subtitle: { type: ['string', 'null'] },
+              matched_field: { type: 'string' },
+              score: { type: 'number', minimum: 0, maximum: 1 },
+              href: { type: 'string', description: 'API path of the record' }
+            }
+          }
+        }
+      }
+    }
+  },
+
+  // schemas.js
+  {
+    method: 'GET',
+    path: '/schemas',
+    handler: 'schemas',
+    tag: 'Schemas',
+    summary: 'List entities with JSON Schemas',
+    response: { type: 'object', properties: { schemas: { type: 'array', items: { type: 'object' } } } }
+  },
+  {
+    method: 'GET',
+    path: '/schemas/{entity}',
+    handler: 'schemas',
+    tag: 'Schemas',
+    summary: 'Get the JSON Schema of an entity',
+    response: { type: 'object', description: 'JSON Schema (application/schema+json)' }
+  },
+
+  // openapi.js
+  {
+    method: 'GET',
+    path: '/openapi.json',
+    handler: 'openapi',
+    tag: 'Schemas',
+    summary: 'Get this OpenAPI document',
+    response: { type: 'object', description: 'OpenAPI 3.1 document' }
+  },
+
+  // batch.js
+  ...Object.entries(BATCH_RECORDS).map(([type, items]) => ({
+    method: 'POST',
+    path: `/batch/${type}`,
+    handler: 'batch',
+    tag: 'Batch',
+    summary: `Create or update up to 100 ${type.replace(/-/g, ' ')} in one transaction`,
+    body: {
+      type: 'object',
+      required: ['records'],
+      properties: { records: { type: 'array', minItems: 1, maxItems: 100, items } }
+    },
+    response: BATCH_RESPONSE
+  })),
+
+  // batch-jobs.js
+  {
+    method: 'POST',
+    path: '/batch/jobs',
+    handler: 'batch-jobs',
+    tag: 'Batch',
+    summary: 'Submit an asynchronous batch job',
+    body: {
+      type: 'object',
+      required: ['type', 'records'],
+      properties: {
+        type: { type: 'string', enum: JOB_TYPES },
+        records: { type: 'array', minItems: 1, maxItems: MAX_JOB_SIZE, items: { type: 'object' } },
+        chunk_size: { type: 'integer', minimum: 1, maximum: 100 },
+        on_error: { type: 'string', enum: ON_ERROR_MODES, default: 'continue' }
+      }
+    },
+    status: 202,
+    response: JOB_RESPONSE
+  },
+  {
+    method: 'GET',
+    path: '/batch/jobs/{id}',
+    handler: 'batch-jobs',
+    tag: 'Batch',
+    summary: 'Get job progress and a page of per-record results',
+    query: [query('status', { type: 'string', enum: ITEM_STATUSES }, 'Filter results by record status'), ...PAGINATION],
+    response: JOB_RESPONSE
+  },
+  {
+    method: 'POST',
+    path: '/batch/jobs/{id}/resume',
+    handler: 'batch-jobs',
+    tag: 'Batch',
+    summary: 'Resume a failed job from its cursor',
+    status: 202,
+    response: JOB_RESPONSE
+  },
+
+  // imports.js
+  {
+    method: 'POST',
+    path: '/imports',
+    handler: 'imports',
+    tag: 'Batch',
+    summary: 'Import leases from CSV',
+    query: [query('dry_run', 'boolean', 'Validate and roll back')],
+    body: {
+      type: 'object',
+      required: ['csv'],
+      properties: {
+        csv: { type: 'string', description: 'CSV text; a raw text/csv body is also accepted' },
+        mapping: { type: 'object', additionalProperties: { type: 'string' }, description: 'Field to CSV column' },
+        dry_run: { type: 'boolean', default: false }
+      }
+    },
+    response: { type: 'object', description: 'Per-row results and created records' }
+  },
+
+  // nlq.js
+  {
+    method: 'POST',
+    path: '/query/natural-language',
+    handler: 'nlq',
+    tag: 'Natural Language Query',
+    summary: 'Answer a question about the lease portfolio',
+    body: { type: 'object', required: ['query'], properties: { query: { type: 'string', minLength: 1 } } },
+    response: { type: 'object', description: 'Detected intent, parameters and results' }
+  }
+];
+
+module.exports = {
+  ROUTES
+};
@@ -4,9 +4,11 @@
  */
 
 const db = require('./db');
+const { getSchema, validateEntity } = require('./schemas/registry');
+const { LIST_FILTERS, compileFilter, createFilterErrorResponse } = require('./filters');
 
-// Valid method values as per schema
-const VALID_METHOD_VALUES = ['BASE_YEAR', 'EXPENSE_STOP', 'NNN', 'OTHER'];
+// Valid method values from the opex_pass_through schema
+const VALID_METHOD_VALUES = getSchema('opex_pass_through').properties.method.enum;
 
 /**
  * Lambda handler for OpEx pass-through endpoints
@@ -20,12 +22,24 @@ exports.handler = async (event) => {
   try {
     // Authorize request based on role and HTTP method
     const authResult = db.authorization.authorizeRequest(event);
+    const audit = db.audit.createAuditContext(authResult, correlationId);
     
-    const { httpMethod, pathParameters, queryStringParameters, body } = event;
+    const { httpMethod, pathParameters, queryStringParameters, body, path } = event;
+    const ifMatch = db.concurrency.getIfMatch(event.headers);
     const opexId = pathParameters?.id;
     
     let result;
     
+    // Check if this is an OpEx estimates endpoint
+    if (path && path.includes('/estimates')) {
+      result = await handleOpexEstimatesEndpoint(httpMethod, opexId, pathParameters?.year, body, audit, ifMatch);
+      
+      const duration = Date.now() - startTime;
+      db.logger.logResponse(result.statusCode, correlationId, duration);
+      
+      return createResponse(result.statusCode, result.body, correlationId, result.headers);
+    }
+    
     switch (httpMethod) {
       case 'GET':
         if (opexId) {
@@ -36,7 +50,7 @@ exports.handler = async (event) => {
         break;
         
       case 'POST':
-        result = await createOpexPassThrough(JSON.parse(body || '{}'));
+        result = await createOpexPassThrough(JSON.parse(body || '{}'), audit);
         break;
         
       case 'PUT':
@@ -48,7 +62,7 @@ exports.handler = async (event) => {
             } 
           }, correlationId);
         }
-        result = await updateOpexPassThrough(opexId, JSON.parse(body || '{}'));
+        result = await updateOpexPassThrough(opexId, JSON.parse(body || '{}'), audit, ifMatch);
         break;
         
       case 'DELETE':
@@ -60,7 +74,7 @@ exports.handler = async (event) => {
             } 
           }, correlationId);
         }
-        result = await deleteOpexPassThrough(opexId);
+        result = await deleteOpexPassThrough(opexId, audit, ifMatch);
         break;
         
       default:
@@ -75,7 +89,7 @@ exports.handler = async (event) => {
     const duration = Date.now() - startTime;
     db.logger.logResponse(result.statusCode, correlationId, duration);
     
-    return createResponse(result.statusCode, result.body, correlationId);
+    return createResponse(result.statusCode, result.body, correlationId, result.headers);
     
   } catch (error) {
     db.logger.error('OpEx Pass-Through API error', error);
@@ -109,7 +123,8 @@ async function getOpexPassThrough(opexId) {
       gross_up_pct,
       notes,
       created_at,
-      updated_at
+      updated_at,
+      ${db.concurrency.etagColumn()}
     FROM opex_pass_through
     WHERE opex_id = $1
   `;
@@ -131,7 +146,8 @@ async function getOpexPassThrough(opexId) {
   
   return {
     statusCode: 200,
-    body: opexPassThrough
+    headers: db.concurrency.etagHeader('opex_pass_through', opexPassThrough, 'opex_id'),
+    body: db.concurrency.omitETagSource(opexPassThrough)
   };
 }
 
@@ -141,17 +157,18 @@ async function getOpexPassThrough(opexId) {
 async function listOpexPassThroughs(params) {
   const {
     lease_version_id,
-    method,
-    sort_by = 'opex_id',
-    sort_order = 'ASC',
-    limit = '50',
-    offset = '0'
+    method
   } = params;
   
-  // Validate sort parameters
-  const allowedSortFields = ['opex_id', 'method', 'stop_amount', 'created_at'];
-  const sortField = allowedSortFields.includes(sort_by) ? sort_by : 'opex_id';
-  const sortOrder = sort_order.toUpperCase() === 'DESC' ? 'DESC' : 'ASC';
+  // Validate pagination and sort parameters
+  const page = db.pagination.parsePageParams(params, {
+    sortFields: ['opex_id', 'method', 'stop_amount', 'created_at'],
+    defaultSort: 'opex_id',
+    key: 'opex_id'
+  });
+  if (page.errors.length > 0) {
+    return db.pagination.createPageErrorResponse(page.errors);
+  }
   
   // Build WHERE clause
   const conditions = [];
@@ -173,20 +190,18 @@ async function listOpexPassThroughs(params) {
     }
   }
   
-  const whereClause = conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
-  
-  // Get total count
-  const countQuery = `
-    SELECT COUNT(*) as total 
-    FROM opex_pass_through opt
-    ${whereClause}
-  `;
-  const countResult = await db.queryOne(countQuery, values);
-  const total = parseInt(countResult.total, 10);
+  // Filter expression (?filter=)
+  const filter = compileFilter(params.filter, LIST_FILTERS['opex-pass-throughs'], values.length + 1);
+  if (filter.errors.length > 0) {
+    return createFilterErrorResponse(filter.errors);
+  }
+  conditions.push(...filter.conditions);
+  values.push(...filter.values);
   
   // Get paginated results
-  const dataQuery = `
-    SELECT 
+  const opexPassThroughs = await db.pagination.fetchPage({
+    page,
+    select: `
       opt.opex_id,
       opt.lease_version_id,
       opt.method,
@@ -194,34 +209,23 @@ async function listOpexPassThroughs(params) {
       opt.gross_up_pct,
       opt.notes,
       opt.created_at,
-      opt.updated_at
-    FROM opex_pass_through opt
-    ${whereClause}
-    ORDER BY opt.${sortField} ${sortOrder}
-    LIMIT $${paramCount} OFFSET $${paramCount + 1}
-  `;
-  
-  values.push(parseInt(limit, 10), parseInt(offset, 10));
-  const opexPassThroughs = await db.queryRows(dataQuery, values);
+      opt.updated_at`,
+    from: 'opex_pass_through opt',
+    alias: 'opt',
+    conditions,
+    values
+  });
   
   return {
     statusCode: 200,
-    body: {
-      data: opexPassThroughs,
-      pagination: {
-        total,
-        limit: parseInt(limit, 10),
-        offset: parseInt(offset, 10),
-        count: opexPassThroughs.length
-      }
-    }
+    body: opexPassThroughs
   };
 }
 
 /**
  * Create a new OpEx pass-through configuration
  */
-async function createOpexPassThrough(data) {
+async function createOpexPassThrough(data, audit) {
   // Validate required fields
   const errors = validateOpexPassThroughData(data, false);
   if (errors.length > 0) {
@@ -272,7 +276,8 @@ async function createOpexPassThrough(data) {
       gross_up_pct,
       notes,
       created_at,
-      updated_at
+      updated_at,
+      ${db.concurrency.etagColumn()}
   `;
   
   const values = [
@@ -283,18 +288,22 @@ async function createOpexPassThrough(data) {
     data.notes || null
   ];
   
-  const opexPassThrough = await db.queryOne(query, values);
+  const opexPassThrough = await db.audit.withAudit(audit, { entity: 'opex_pass_through', action: 'CREATE' }, async (client) => {
+    const result = await client.query(query, values);
+    return result.rows[0];
+  });
   
   return {
     statusCode: 201,
-    body: opexPassThrough
+    headers: db.concurrency.etagHeader('opex_pass_through', opexPassThrough, 'opex_id'),
+    body: db.concurrency.omitETagSource(opexPassThrough)
   };
 }
 
 /**
  * Update an existing OpEx pass-through configuration
  */
-async function updateOpexPassThrough(opexId, data) {
+async function updateOpexPassThrough(opexId, data, audit, ifMatch) {
   // Check if OpEx pass-through exists
   const existingOpex = await db.queryOne(
     'SELECT opex_id FROM opex_pass_through WHERE opex_id = $1',
@@ -377,21 +386,26 @@ async function updateOpexPassThrough(opexId, data) {
       gross_up_pct,
       notes,
       created_at,
-      updated_at
+      updated_at,
+      ${db.concurrency.etagColumn()}
   `;
   
-  const opexPassThrough = await db.queryOne(query, values);
+  const opexPassThrough = await db.audit.withAudit(audit, { entity: 'opex_pass_through', action: 'UPDATE', entityId: opexId, ifMatch }, async (client) => {
+    const result = await client.query(query, values);
+    return result.rows[0];
+  });
   
   return {
     statusCode: 200,
-    body: opexPassThrough
+    headers: db.concurrency.etagHeader('opex_pass_through', opexPassThrough, 'opex_id'),
+    body: db.concurrency.omitETagSource(opexPassThrough)
   };
 }
 
 /**
  * Delete an OpEx pass-through configuration
  */
-async function deleteOpexPassThrough(opexId) {
+async function deleteOpexPassThrough(opexId, audit, ifMatch) {
   // Check if OpEx pass-through exists
   const existingOpex = await db.queryOne(
     'SELECT opex_id FROM opex_pass_through WHERE opex_id = $1',
@@ -413,7 +427,26 @@ async function deleteOpexPassThrough(opexId) {
   
   const query = 'DELETE FROM opex_pass_through WHERE opex_id = $1';
   
-  await db.query(query, [opexId]);
+  try {
+    await db.audit.withAudit(audit, { entity: 'opex_pass_through', action: 'DELETE', entityId: opexId, ifMatch }, async (client) => {
+      await client.query(query, [opexId]);
+    });
+  } catch (error) {
+    // Estimates reference the pass-through (ON DELETE RESTRICT)
+    if (error.code === '23503' && error.constraint === 'fk_opex_estimate_opex') {
+      return {
+        statusCode: 409,
+        body: {
+          error: {
+            code: 'CONFLICT',
+            message: 'OpEx pass-through has estimates and cannot be deleted',
+            details: [{ field: 'opex_id', value: opexId, dependent: 'opex_estimate' }]
+          }
+        }
+      };
+    }
+    throw error;
+  }
   
   return {
     statusCode: 204,
@@ -422,101 +455,254 @@ async function deleteOpexPassThrough(opexId) {
 }
 
 /**
- * Validate OpEx pass-through data
+ * Handle OpEx estimates endpoints
  */
-function validateOpexPassThroughData(data, isUpdate = false) {
-  const errors = [];
+async function handleOpexEstimatesEndpoint(httpMethod, opexId, year, body, audit, ifMatch) {
+  if (!opexId) {
+    return {
+      statusCode: 400,
+      body: {
+        error: {
+          code: 'VALIDATION_ERROR',
+          message: 'OpEx pass-through ID is required'
+        }
+      }
+    };
+  }
   
-  // Required field validation (only for create)
-  if (!isUpdate) {
-    if (!data.lease_version_id) {
-      errors.push({
-        field: 'lease_version_id',
-        message: 'Lease version ID is required'
-      });
-    }
-    
-    if (!data.method) {
-      errors.push({
-        field: 'method',
-        message: 'Method is required'
-      });
+  if (httpMethod === 'GET') {
+    if (year) {
+      return await getOpexEstimate(opexId, year);
     }
+    return await listOpexEstimates(opexId);
   }
   
-  // Type validation
-  if (data.lease_version_id !== undefined) {
-    const leaseVersionId = parseInt(data.lease_version_id, 10);
-    if (isNaN(leaseVersionId) || leaseVersionId <= 0) {
-      errors.push({
-        field: 'lease_version_id',
-        message: 'Lease version ID must be a positive integer'
-      });
+  if (httpMethod === 'PUT') {
+    if (!year) {
+      return {
+        statusCode: 400,
+        body: {
+          error: {
+            code: 'VALIDATION_ERROR',
+            message: 'Expense year is required'
+          }
+        }
+      };
     }
+    return await putOpexEstimate(opexId, year, JSON.parse(body || '{}'), audit, ifMatch);
   }
   
-  // Validate method enum
-  if (data.method !== undefined) {
-    if (typeof data.method !== 'string') {
-      errors.push({
-        field: 'method',
-        message: 'Method must be a string'
-      });
-    } else if (!VALID_METHOD_VALUES.includes(data.method.toUpperCase())) {
-      errors.push({
-        field: 'method',
-        message: `Method must be one of: ${VALID_METHOD_VALUES.join(', ')}`,
-        allowed_values: VALID_METHOD_VALUES
-      });
+  return {
+    statusCode: 405,
+    body: {
+      error: {
+        code: 'METHOD_NOT_ALLOWED',
+        message: `Method ${httpMethod} not allowed for OpEx estimates`
+      }
     }
+  };
+}
+
+/**
+ * List estimated OpEx payments for a pass-through by year
+ */
+async function listOpexEstimates(opexId) {
+  const existing = await db.queryOne(
+    'SELECT opex_id FROM opex_pass_through WHERE opex_id = $1',
+    [opexId]
+  );
+  
+  if (!existing) {
+    return {
+      statusCode: 404,
+      body: {
+        error: {
+          code: 'NOT_FOUND',
+          message: 'OpEx pass-through not found',
+          details: [{ field: 'opex_id', value: opexId }]
+        }
+      }
+    };
   }
   
-  // Validate stop_amount (optional)
-  if (data.stop_amount !== undefined && data.stop_amount !== null) {
-    const stopAmount = parseFloat(data.stop_amount);
-    if (isNaN(stopAmount) || stopAmount < 0) {
-      errors.push({
-        field: 'stop_amount',
-        message: 'Stop amount must be a non-negative number'
-      });
+  const estimates = await db.queryRows(`
+    SELECT 
+      opex_estimate_id,
+      opex_id,
+      expense_year,
+      estimated_amount,
+      created_at,
+      updated_at
+    FROM opex_estimate
+    WHERE opex_id = $1
+    ORDER BY expense_year DESC
+  `, [opexId]);
+  
+  return {
+    statusCode: 200,
+    body: {
+      data: estimates
     }
+  };
+}
+
+/**
+ * Get the estimated OpEx payments of a pass-through for one year
+ */
+async function getOpexEstimate(opexId, year) {
+  const expenseYear = parseInt(year, 10);
+  if (isNaN(expenseYear)) {
+    return {
+      statusCode: 400,
+      body: {
+        error: {
+          code: 'VALIDATION_ERROR',
+          message: 'Expense year must be a valid year between 1900 and 2100',
+          details: [{ field: 'year', value: year }]
+        }
+      }
+    };
   }
   
-  // Validate gross_up_pct (optional)
-  if (data.gross_up_pct !== undefined && data.gross_up_pct !== null) {
-    const grossUpPct = parseFloat(data.gross_up_pct);
-    if (isNaN(grossUpPct) || grossUpPct < 0 || grossUpPct > 100) {
-      errors.push({
-        field: 'gross_up_pct',
-        message: 'Gross-up percentage must be a number between 0 and 100'
-      });
-    }
+  const estimate = await db.queryOne(`
+    SELECT 
+      opex_estimate_id,
+      opex_id,
+      expense_year,
+      estimated_amount,
+      created_at,
+      updated_at,
+      ${db.concurrency.etagColumn()}
+    FROM opex_estimate
+    WHERE opex_id = $1 AND expense_year = $2
+  `, [opexId, expenseYear]);
+  
+  if (!estimate) {
+    return {
+      statusCode: 404,
+      body: {
+        error: {
+          code: 'NOT_FOUND',
+          message: 'OpEx estimate not found',
+          details: [{ field: 'opex_id', value: opexId }, { field: 'year', value: expenseYear }]
+        }
+      }
+    };
   }
   
-  // Validate notes (optional)
-  if (data.notes !== undefined && data.notes !== null) {
-    if (typeof data.notes !== 'string') {
-      errors.push({
-        field: 'notes',
-        message: 'Notes must be a string'
-      });
-    }
+  return {
+    statusCode: 200,
+    headers: db.concurrency.etagHeader('opex_estimate', estimate, 'opex_estimate_id'),
+    body: db.concurrency.omitETagSource(estimate)
+  };
+}
+
+/**
+ * Create or update the estimated OpEx payments billed for a year
+ * An existing estimate is checked against If-Match.
+ */
+async function putOpexEstimate(opexId, year, data, audit, ifMatch) {
+  const errors = [];
+  
+  const expenseYear = parseInt(year, 10);
+  if (isNaN(expenseYear) || expenseYear < 1900 || expenseYear > 2100) {
+    errors.push({
+      field: 'year',
+      message: 'Expense year must be a valid year between 1900 and 2100',
+      rule: 'range'
+    });
+  }
+  
+  errors.push(...validateEntity('opex_estimate', data));
+  
+  if (errors.length > 0) {
+    return {
+      statusCode: 400,
+      body: {
+        error: {
+          code: 'VALIDATION_ERROR',
+          message: 'Invalid OpEx estimate data',
+          details: errors
+        }
+      }
+    };
   }
   
-  return errors;
+  const existing = await db.queryOne(
+    'SELECT opex_id FROM opex_pass_through WHERE opex_id = $1',
+    [opexId]
+  );
+  
+  if (!existing) {
+    return {
+      statusCode: 404,
+      body: {
+        error: {
+          code: 'NOT_FOUND',
+          message: 'OpEx pass-through not found',
+          details: [{ field: 'opex_id', value: opexId }]
+        }
+      }
+    };
+  }
+  
+  const current = await db.queryOne(
+    'SELECT opex_estimate_id FROM opex_estimate WHERE opex_id = $1 AND expense_year = $2',
+    [opexId, expenseYear]
+  );
+  
+  const estimate = await db.audit.withAudit(audit, {
+    entity: 'opex_estimate',
+    action: current ? 'UPDATE' : 'CREATE',
+    entityId: current ? current.opex_estimate_id : undefined,
+    ifMatch
+  }, async (client) => {
+    const result = await client.query(`
+      INSERT INTO opex_estimate (opex_id, expense_year, estimated_amount)
+      VALUES ($1, $2, $3)
+      ON CONFLICT (opex_id, expense_year) DO UPDATE
+        SET estimated_amount = EXCLUDED.estimated_amount,
+            updated_at = CURRENT_TIMESTAMP
+      RETURNING 
+        opex_estimate_id,
+        opex_id,
+        expense_year,
+        estimated_amount,
+        created_at,
+        updated_at,
+        ${db.concurrency.etagColumn()}
+    `, [opexId, expenseYear, data.estimated_amount]);
+    
+    return result.rows[0];
+  });
+  
+  return {
+    statusCode: current ? 200 : 201,
+    headers: db.concurrency.etagHeader('opex_estimate', estimate, 'opex_estimate_id'),
+    body: db.concurrency.omitETagSource(estimate)
+  };
+}
+
+/**
+ * Validate OpEx pass-through data
+ */
+function validateOpexPassThroughData(data, isUpdate = false) {
+  return validateEntity('opex_pass_through', data, { partial: isUpdate });
 }
 
 /**
  * Create HTTP response
  */
-function createResponse(statusCode, body, correlationId = null) {
+function createResponse(statusCode, body, correlationId = null, headers = {}) {
   const response = {
     statusCode,
     headers: {
       'Content-Type': 'application/json',
       'Access-Control-Allow-Origin': '*',
       'Access-Control-Allow-Methods': 'GET, POST, PUT, DELETE, OPTIONS',
-      'Access-Control-Allow-Headers': 'Content-Type, Authorization'
+      'Access-Control-Allow-Headers': 'Content-Type, Authorization, If-Match',
+      'Access-Control-Expose-Headers': 'ETag',
+      ...headers
     },
     body: statusCode === 204 ? '' : JSON.stringify(body)
   };
@@ -4,9 +4,11 @@
  */
 
 const db = require('./db');
+const { getSchema, validateEntity } = require('./schemas/registry');
+const { LIST_FILTERS, compileFilter, createFilterErrorResponse } = require('./filters');
 
-// Valid option_type values as per schema
-const VALID_OPTION_TYPES = ['RENEWAL', 'TERMINATION', 'EXPANSION', 'ROFR', 'OTHER'];
+// Valid option_type values from the option schema
+const VALID_OPTION_TYPES = getSchema('option').properties.option_type.enum;
 
 /**
  * Lambda handler for option endpoints
@@ -20,8 +22,10 @@ exports.handler = async (event) => {
   try {
     // Authorize request based on role and HTTP method
     const authResult = db.authorization.authorizeRequest(event);
+    const audit = db.audit.createAuditContext(authResult, correlationId);
     
     const { httpMethod, pathParameters, queryStringParameters, body, path } = event;
+    const ifMatch = db.concurrency.getIfMatch(event.headers);
     const optionId = pathParameters?.id;
     
     let result;
@@ -37,7 +41,7 @@ exports.handler = async (event) => {
             } 
           }, correlationId);
         }
-        result = await exerciseOption(optionId, JSON.parse(body || '{}'));
+        result = await exerciseOption(optionId, JSON.parse(body || '{}'), audit, ifMatch);
       } else {
         return createResponse(405, { 
           error: { 
@@ -58,7 +62,7 @@ exports.handler = async (event) => {
           break;
           
         case 'POST':
-          result = await createOption(JSON.parse(body || '{}'));
+          result = await createOption(JSON.parse(body || '{}'), audit);
           break;
           
         case 'PUT':
@@ -70,7 +74,7 @@ exports.handler = async (event) => {
               } 
             }, correlationId);
           }
-          result = await updateOption(optionId, JSON.parse(body || '{}'));
+          result = await updateOption(optionId, JSON.parse(body || '{}'), audit, ifMatch);
           break;
           
         case 'DELETE':
@@ -82,7 +86,7 @@ exports.handler = async (event) => {
               } 
             }, correlationId);
           }
-          result = await deleteOption(optionId);
+          result = await deleteOption(optionId, audit, ifMatch);
           break;
           
         default:
@@ -98,7 +102,7 @@ exports.handler = async (event) => {
     const duration = Date.now() - startTime;
     db.logger.logResponse(result.statusCode, correlationId, duration);
     
-    return createResponse(result.statusCode, result.body, correlationId);
+    return createResponse(result.statusCode, result.body, correlationId, result.headers);
     
   } catch (error) {
     db.logger.error('Option API error', error);
@@ -134,6 +138,7 @@ async function getOption(optionId) {
       o.exercised_date,
       o.created_at,
       o.updated_at,
+      ${db.concurrency.etagColumn('o')},
       CASE 
         WHEN o.window_daterange @> CURRENT_DATE THEN TRUE
         ELSE FALSE
@@ -159,7 +164,8 @@ async function getOption(optionId) {
   
   return {
     statusCode: 200,
-    body: option
+    headers: db.concurrency.etagHeader('option', option, 'option_id'),
+    body: db.concurrency.omitETagSource(option)
   };
 }
 
@@ -171,17 +177,18 @@ async function listOptions(params) {
     lease_version_id,
     option_type,
     window_status,
-    exercised,
-    sort_by = 'option_id',
-    sort_order = 'ASC',
-    limit = '50',
-    offset = '0'
+    exercised
   } = params;
   
-  // Validate sort parameters
-  const allowedSortFields = ['option_id', 'option_type', 'window_daterange', 'exercised', 'created_at'];
-  const sortField = allowedSortFields.includes(sort_by) ? sort_by : 'option_id';
-  const sortOrder = sort_order.toUpperCase() === 'DESC' ? 'DESC' : 'ASC';
+  // Validate pagination and sort parameters
+  const page = db.pagination.parsePageParams(params, {
+    sortFields: ['option_id', 'option_type', 'window_daterange', 'exercised', 'created_at'],
+    defaultSort: 'option_id',
+    key: 'option_id'
+  });
+  if (page.errors.length > 0) {
+    return db.pagination.createPageErrorResponse(page.errors);
+  }
   
   // Build WHERE clause
   const conditions = [];
@@ -217,20 +224,18 @@ async function listOptions(params) {
     conditions.push(`NOT (o.window_daterange @> CURRENT_DATE)`);
   }
   
-  const whereClause = conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
-  
-  // Get total count
-  const countQuery = `
-    SELECT COUNT(*) as total 
-    FROM option o
-    ${whereClause}
-  `;
-  const countResult = await db.queryOne(countQuery, values);
-  const total = parseInt(countResult.total, 10);
+  // Filter expression (?filter=)
+  const filter = compileFilter(params.filter, LIST_FILTERS.options, values.length + 1);
+  if (filter.errors.length > 0) {
+    return createFilterErrorResponse(filter.errors);
+  }
+  conditions.push(...filter.conditions);
+  values.push(...filter.values);
   
   // Get paginated results
-  const dataQuery = `
-    SELECT 
+  const options = await db.pagination.fetchPage({
+    page,
+    select: `
       o.option_id,
       o.lease_version_id,
       o.option_type,
@@ -243,34 +248,23 @@ async function listOptions(params) {
       CASE 
         WHEN o.window_daterange @> CURRENT_DATE THEN TRUE
         ELSE FALSE
-      END as notice_window_open
-    FROM option o
-    ${whereClause}
-    ORDER BY o.${sortField} ${sortOrder}
-    LIMIT $${paramCount} OFFSET $${paramCount + 1}
-  `;
-  
-  values.push(parseInt(limit, 10), parseInt(offset, 10));
-  const options = await db.queryRows(dataQuery, values);
+      END as notice_window_open`,
+    from: 'option o',
+    alias: 'o',
+    conditions,
+    values
+  });
   
   return {
     statusCode: 200,
-    body: {
-      data: options,
-      pagination: {
-        total,
-        limit: parseInt(limit, 10),
-        offset: parseInt(offset, 10),
-        count: options.length
-      }
-    }
+    body: options
   };
 }
 
 /**
  * Create a new option with window_daterange
  */
-async function createOption(data) {
+async function createOption(data, audit) {
   // Validate required fields
   const errors = validateOptionData(data, false);
   if (errors.length > 0) {
@@ -323,7 +317,8 @@ async function createOption(data) {
       exercised,
       exercised_date,
       created_at,
-      updated_at
+      updated_at,
+      ${db.concurrency.etagColumn()}
   `;
   
   const values = [
@@ -335,18 +330,22 @@ async function createOption(data) {
     data.exercised_date || null
   ];
   
-  const option = await db.queryOne(query, values);
+  const option = await db.audit.withAudit(audit, { entity: 'option', action: 'CREATE' }, async (client) => {
+    const result = await client.query(query, values);
+    return result.rows[0];
+  });
   
   return {
     statusCode: 201,
-    body: option
+    headers: db.concurrency.etagHeader('option', option, 'option_id'),
+    body: db.concurrency.omitETagSource(option)
   };
 }
 
 /**
  * Update an existing option
  */
-async function updateOption(optionId, data) {
+async function updateOption(optionId, data, audit, ifMatch) {
   // Check if option exists
   const existingOption = await db.queryOne(
     'SELECT option_id FROM option WHERE option_id = $1',
@@ -430,21 +429,26 @@ async function updateOption(optionId, data) {
       exercised,
       exercised_date,
       created_at,
-      updated_at
+      updated_at,
+      ${db.concurrency.etagColumn()}
   `;
   
-  const option = await db.queryOne(query, values);
+  const option = await db.audit.withAudit(audit, { entity: 'option', action: 'UPDATE', entityId: optionId, ifMatch }, async (client) => {
+    const result = await client.query(query, values);
+    return result.rows[0];
+  });
   
   return {
     statusCode: 200,
-    body: option
+    headers: db.concurrency.etagHeader('option', option, 'option_id'),
+    body: db.concurrency.omitETagSource(option)
   };
 }
 
 /**
  * Mark an option as exercised
  */
-async function exerciseOption(optionId, data) {
+async function exerciseOption(optionId, data, audit, ifMatch) {
   // Check if option exists
   const existingOption = await db.queryOne(
     'SELECT option_id, exercised FROM option WHERE option_id = $1',
@@ -515,21 +519,26 @@ async function exerciseOption(optionId, data) {
       exercised,
       exercised_date,
       created_at,
-      updated_at
+      updated_at,
+      ${db.concurrency.etagColumn()}
   `;
   
-  const option = await db.queryOne(query, [exercisedDate, optionId]);
+  const option = await db.audit.withAudit(audit, { entity: 'option', action: 'UPDATE', entityId: optionId, ifMatch }, async (client) => {
+    const result = await client.query(query, [exercisedDate, optionId]);
+    return result.rows[0];
+  });
   
   return {
     statusCode: 200,
-    body: option
+    headers: db.concurrency.etagHeader('option', option, 'option_id'),
+    body: db.concurrency.omitETagSource(option)
   };
 }
 
 /**
  * Delete an option
  */
-async function deleteOption(optionId) {
+async function deleteOption(optionId, audit, ifMatch) {
   // Check if option exists
   const existingOption = await db.queryOne(
     'SELECT option_id FROM option WHERE option_id = $1',
@@ -551,7 +560,9 @@ async function deleteOption(optionId) {
   
   const query = 'DELETE FROM option WHERE option_id = $1';
   
-  await db.query(query, [optionId]);
+  await db.audit.withAudit(audit, { entity: 'option', action: 'DELETE', entityId: optionId, ifMatch }, async (client) => {
+    await client.query(query, [optionId]);
+  });
   
   return {
     statusCode: 204,
@@ -563,123 +574,22 @@ async function deleteOption(optionId) {
  * Validate option data
  */
 function validateOptionData(data, isUpdate = false) {
-  const errors = [];
-  
-  // Required field validation (only for create)
-  if (!isUpdate) {
-    if (!data.lease_version_id) {
-      errors.push({
-        field: 'lease_version_id',
-        message: 'Lease version ID is required'
-      });
-    }
-    
-    if (!data.option_type) {
-      errors.push({
-        field: 'option_type',
-        message: 'Option type is required'
-      });
-    }
-    
-    if (!data.window_daterange) {
-      errors.push({
-        field: 'window_daterange',
-        message: 'Window date range is required'
-      });
-    }
-  }
-  
-  // Type validation
-  if (data.lease_version_id !== undefined) {
-    const leaseVersionId = parseInt(data.lease_version_id, 10);
-    if (isNaN(leaseVersionId) || leaseVersionId <= 0) {
-      errors.push({
-        field: 'lease_version_id',
-        message: 'Lease version ID must be a positive integer'
-      });
-    }
-  }
-  
-  // Validate option_type enum
-  if (data.option_type !== undefined) {
-    if (typeof data.option_type !== 'string') {
-      errors.push({
-        field: 'option_type',
-        message: 'Option type must be a string'
-      });
-    } else if (!VALID_OPTION_TYPES.includes(data.option_type.toUpperCase())) {
-      errors.push({
-        field: 'option_type',
-        message: `Option type must be one of: ${VALID_OPTION_TYPES.join(', ')}`,
-        allowed_values: VALID_OPTION_TYPES
-      });
-    }
-  }
-  
-  // Validate window_daterange format
-  if (data.window_daterange !== undefined) {
-    if (typeof data.window_daterange !== 'string') {
-      errors.push({
-        field: 'window_daterange',
-        message: 'Window date range must be a string in PostgreSQL daterange format (e.g., "[2024-01-01,2025-01-01)")'
-      });
-    } else {
-      // Basic format validation for daterange
-      const daterangeRegex = /^[\[\(]\d{4}-\d{2}-\d{2},\d{4}-\d{2}-\d{2}[\]\)]$/;
-      if (!daterangeRegex.test(data.window_daterange)) {
-        errors.push({
-          field: 'window_daterange',
-          message: 'Window date range must be in PostgreSQL daterange format (e.g., "[2024-01-01,2025-01-01)")'
-        });
-      }
-    }
-  }
-  
-  // Validate terms (optional)
-  if (data.terms !== undefined && data.terms !== null) {
-    if (typeof data.terms !== 'string') {
-      errors.push({
-        field: 'terms',
-        message: 'Terms must be a string'
-      });
-    }
-  }
-  
-  // Validate exercised (optional)
-  if (data.exercised !== undefined && data.exercised !== null) {
-    if (typeof data.exercised !== 'boolean') {
-      errors.push({
-        field: 'exercised',
-        message: 'Exercised must be a boolean'
-      });
-    }
-  }
-  
-  // Validate exercised_date (optional)
-  if (data.exercised_date !== undefined && data.exercised_date !== null) {
-    const dateRegex = /^\d{4}-\d{2}-\d{2}$/;
-    if (!dateRegex.test(data.exercised_date)) {
-      errors.push({
-        field: 'exercised_date',
-        message: 'Exercised date must be in YYYY-MM-DD format'
-      });
-    }
-  }
-  
-  return errors;
+  return validateEntity('option', data, { partial: isUpdate });
 }
 
 /**
  * Create HTTP response
  */
-function createResponse(statusCode, body, correlationId = null) {
+function createResponse(statusCode, body, correlationId = null, headers = {}) {
   const response = {
     statusCode,
     headers: {
       'Content-Type': 'application/json',
       'Access-Control-Allow-Origin': '*',
       'Access-Control-Allow-Methods': 'GET, POST, PUT, DELETE, OPTIONS',
-      'Access-Control-Allow-Headers': 'Content-Type, Authorization'
+      'Access-Control-Allow-Headers': 'Content-Type, Authorization, If-Match',
+      'Access-Control-Expose-Headers': 'ETag',
+      ...headers
     },
     body: statusCode === 204 ? '' : JSON.stringify(body)
   };
@@ -4,9 +4,12 @@
  */
 
 const db = require('./db');
+const { getSchema, validateEntity } = require('./schemas/registry');
+const { LIST_FILTERS, compileFilter, createFilterErrorResponse } = require('./filters');
+const { RESOURCE_FIELDSETS, parseFieldsetParams, applyFieldsets, createFieldsetErrorResponse } = require('./fieldsets');
 
-// Valid party types as per schema
-const VALID_PARTY_TYPES = ['TENANT', 'LANDLORD', 'SUBLANDLORD', 'GUARANTOR'];
+// Valid party types from the party schema
+const VALID_PARTY_TYPES = getSchema('party').properties.party_type.enum;
 
 /**
  * Lambda handler for party endpoints
@@ -20,8 +23,10 @@ exports.handler = async (event) => {
   try {
     // Authorize request based on role and HTTP method
     const authResult = db.authorization.authorizeRequest(event);
+    const audit = db.audit.createAuditContext(authResult, correlationId);
     
     const { httpMethod, pathParameters, queryStringParameters, body } = event;
+    const ifMatch = db.concurrency.getIfMatch(event.headers);
     const partyId = pathParameters?.id || pathParameters?.partyId;
     
     let result;
@@ -29,14 +34,14 @@ exports.handler = async (event) => {
     switch (httpMethod) {
       case 'GET':
         if (partyId) {
-          result = await getParty(partyId);
+          result = await getParty(partyId, queryStringParameters || {});
         } else {
           result = await listParties(queryStringParameters || {});
         }
         break;
         
       case 'POST':
-        result = await createParty(JSON.parse(body || '{}'));
+        result = await createParty(JSON.parse(body || '{}'), audit);
         break;
         
       case 'PUT':
@@ -48,7 +53,7 @@ exports.handler = async (event) => {
             } 
           }, correlationId);
         }
-        result = await updateParty(partyId, JSON.parse(body || '{}'));
+        result = await updateParty(partyId, JSON.parse(body || '{}'), audit, ifMatch);
         break;
         
       case 'DELETE':
@@ -60,7 +65,7 @@ exports.handler = async (event) => {
             } 
           }, correlationId);
         }
-        result = await deleteParty(partyId);
+        result = await deleteParty(partyId, audit, ifMatch);
         break;
         
       default:
@@ -75,7 +80,7 @@ exports.handler = async (event) => {
     const duration = Date.now() - startTime;
     db.logger.logResponse(result.statusCode, correlationId, duration);
     
-    return createResponse(result.statusCode, result.body, correlationId);
+    return createResponse(result.statusCode, result.body, correlationId, result.headers);
     
   } catch (error) {
     db.logger.error('Party API error', error);
@@ -98,8 +103,14 @@ exports.handler = async (event) => {
 
 /**
  * Get a single party by ID
+ * ?fields= trims the response and ?include=leases embeds its leases as tenant or landlord (fieldsets/).
  */
-async function getParty(partyId) {
+async function getParty(partyId, params = {}) {
+  const fieldset = parseFieldsetParams(params, RESOURCE_FIELDSETS.parties);
+  if (fieldset.errors.length > 0) {
+    return createFieldsetErrorResponse(fieldset.errors);
+  }
+  
   const query = `
     SELECT 
       party_id,
@@ -107,7 +118,8 @@ async function getParty(partyId) {
       party_type,
       active,
       created_at,
-      updated_at
+      updated_at,
+      ${db.concurrency.etagColumn()}
     FROM party
     WHERE party_id = $1
   `;
@@ -129,7 +141,8 @@ async function getParty(partyId) {
   
   return {
     statusCode: 200,
-    body: party
+    headers: db.concurrency.etagHeader('party', party, 'party_id'),
+    body: await applyFieldsets(db.concurrency.omitETagSource(party), fieldset, RESOURCE_FIELDSETS.parties)
   };
 }
 
@@ -140,17 +153,18 @@ async function listParties(params) {
   const {
     party_type,
     legal_name,
-    active,
-    sort_by = 'party_id',
-    sort_order = 'ASC',
-    limit = '50',
-    offset = '0'
+    active
   } = params;
   
-  // Validate sort parameters
-  const allowedSortFields = ['party_id', 'legal_name', 'party_type', 'created_at'];
-  const sortField = allowedSortFields.includes(sort_by) ? sort_by : 'party_id';
-  const sortOrder = sort_order.toUpperCase() === 'DESC' ? 'DESC' : 'ASC';
+  // Validate pagination and sort parameters
+  const page = db.pagination.parsePageParams(params, {
+    sortFields: ['party_id', 'legal_name', 'party_type', 'created_at'],
+    defaultSort: 'party_id',
+    key: 'party_id'
+  });
+  if (page.errors.length > 0) {
+    return db.pagination.createPageErrorResponse(page.errors);
+  }
   
   // Build WHERE clause
   const conditions = [];
@@ -192,49 +206,39 @@ async function listParties(params) {
     paramCount++;
   }
   
-  const whereClause = conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
-  
-  // Get total count
-  const countQuery = `SELECT COUNT(*) as total FROM party ${whereClause}`;
-  const countResult = await db.queryOne(countQuery, values);
-  const total = parseInt(countResult.total, 10);
+  // Filter expression (?filter=)
+  const filter = compileFilter(params.filter, LIST_FILTERS.parties, values.length + 1);
+  if (filter.errors.length > 0) {
+    return createFilterErrorResponse(filter.errors);
+  }
+  conditions.push(...filter.conditions);
+  values.push(...filter.values);
   
   // Get paginated results
-  const dataQuery = `
-    SELECT 
+  const parties = await db.pagination.fetchPage({
+    page,
+    select: `
       party_id,
       legal_name,
       party_type,
       active,
       created_at,
-      updated_at
-    FROM party
-    ${whereClause}
-    ORDER BY ${sortField} ${sortOrder}
-    LIMIT $${paramCount} OFFSET $${paramCount + 1}
-  `;
-  
-  values.push(parseInt(limit, 10), parseInt(offset, 10));
-  const parties = await db.queryRows(dataQuery, values);
+      updated_at`,
+    from: 'party',
+    conditions,
+    values
+  });
   
   return {
     statusCode: 200,
-    body: {
-      data: parties,
-      pagination: {
-        total,
-        limit: parseInt(limit, 10),
-        offset: parseInt(offset, 10),
-        count: parties.length
-      }
-    }
+    body: parties
   };
 }
 
 /**
  * Create a new party
  */
-async function createParty(data) {
+async function createParty(data, audit) {
   // Validate required fields
   const errors = validatePartyData(data, false);
   if (errors.length > 0) {
@@ -262,7 +266,8 @@ async function createParty(data) {
       party_type,
       active,
       created_at,
-      updated_at
+      updated_at,
+      ${db.concurrency.etagColumn()}
   `;
   
   const values = [
@@ -271,18 +276,22 @@ async function createParty(data) {
     data.active !== undefined ? data.active : true
   ];
   
-  const party = await db.queryOne(query, values);
+  const party = await db.audit.withAudit(audit, { entity: 'party', action: 'CREATE' }, async (client) => {
+    const result = await client.query(query, values);
+    return result.rows[0];
+  });
   
   return {
     statusCode: 201,
-    body: party
+    headers: db.concurrency.etagHeader('party', party, 'party_id'),
+    body: db.concurrency.omitETagSource(party)
   };
 }
 
 /**
  * Update an existing party
  */
-async function updateParty(partyId, data) {
+async function updateParty(partyId, data, audit, ifMatch) {
   // Check if party exists
   const existingParty = await db.queryOne(
     'SELECT party_id FROM party WHERE party_id = $1',
@@ -369,21 +378,26 @@ async function updateParty(partyId, data) {
       party_type,
       active,
       created_at,
-      updated_at
+      updated_at,
+      ${db.concurrency.etagColumn()}
   `;
   
-  const party = await db.queryOne(query, values);
+  const party = await db.audit.withAudit(audit, { entity: 'party', action: 'UPDATE', entityId: partyId, ifMatch }, async (client) => {
+    const result = await client.query(query, values);
+    return result.rows[0];
+  });
   
   return {
     statusCode: 200,
-    body: party
+    headers: db.concurrency.etagHeader('party', party, 'party_id'),
+    body: db.concurrency.omitETagSource(party)
   };
 }
 
 /**
  * Delete a party (soft delete via active flag)
  */
-async function deleteParty(partyId) {
+async function deleteParty(partyId, audit, ifMatch) {
   // Check if party exists
   const existingParty = await db.queryOne(
     'SELECT party_id, active FROM party WHERE party_id = $1',
@@ -417,7 +431,10 @@ async function deleteParty(partyId) {
       updated_at
   `;
   
-  const party = await db.queryOne(query, [partyId]);
+  const party = await db.audit.withAudit(audit, { entity: 'party', action: 'DELETE', entityId: partyId, ifMatch }, async (client) => {
+    const result = await client.query(query, [partyId]);
+    return result.rows[0];
+  });
   
   return {
     statusCode: 200,
@@ -432,77 +449,22 @@ async function deleteParty(partyId) {
  * Validate party data
  */
 function validatePartyData(data, isUpdate = false) {
-  const errors = [];
-  
-  // Required field validation (only for create)
-  if (!isUpdate) {
-    if (!data.legal_name) {
-      errors.push({
-        field: 'legal_name',
-        message: 'Legal name is required'
-      });
-    }
-    
-    if (!data.party_type) {
-      errors.push({
-        field: 'party_type',
-        message: 'Party type is required'
-      });
-    }
-  }
-  
-  // Type validation
-  if (data.legal_name !== undefined && typeof data.legal_name !== 'string') {
-    errors.push({
-      field: 'legal_name',
-      message: 'Legal name must be a string'
-    });
-  }
-  
-  if (data.legal_name !== undefined && data.legal_name.length > 500) {
-    errors.push({
-      field: 'legal_name',
-      message: 'Legal name must not exceed 500 characters'
-    });
-  }
-  
-  // Validate party_type enum
-  if (data.party_type !== undefined) {
-    if (typeof data.party_type !== 'string') {
-      errors.push({
-        field: 'party_type',
-        message: 'Party type must be a string'
-      });
-    } else if (!VALID_PARTY_TYPES.includes(data.party_type.toUpperCase())) {
-      errors.push({
-        field: 'party_type',
-        message: `Party type must be one of: ${VALID_PARTY_TYPES.join(', ')}`,
-        allowed_values: VALID_PARTY_TYPES
-      });
-    }
-  }
-  
-  if (data.active !== undefined && typeof data.active !== 'boolean') {
-    errors.push({
-      field: 'active',
-      message: 'Active must be a boolean'
-    });
-  }
-  
-  return errors;
+  return validateEntity('party', data, { partial: isUpdate });
 }
 
 /**
  * Create HTTP response
  */
-function createResponse(statusCode, body, correlationId = null) {
+function createResponse(statusCode, body, correlationId = null, headers = {}) {
   const response = {
     statusCode,
     headers: {
       'Content-Type': 'application/json',
       'Access-Control-Allow-Origin': '*',
       'Access-Control-Allow-Methods': 'GET, POST, PUT, DELETE, OPTIONS',
-      'Access-Control-Allow-Headers': 'Content-Type, Authorization'
+      'Access-Control-Allow-Headers': 'Content-Type, Authorization, If-Match',
+      'Access-Control-Expose-Headers': 'ETag',
+      ...headers
     },
     body: JSON.stringify(body)
   };
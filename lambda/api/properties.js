@@ -4,6 +4,9 @@
  */
 
 const db = require('./db');
+const { validateEntity } = require('./schemas/registry');
+const { LIST_FILTERS, compileFilter, createFilterErrorResponse } = require('./filters');
+const { RESOURCE_FIELDSETS, parseFieldsetParams, applyFieldsets, createFieldsetErrorResponse } = require('./fieldsets');
 
 /**
  * Lambda handler for property endpoints
@@ -17,23 +20,43 @@ exports.handler = async (event) => {
   try {
     // Authorize request based on role and HTTP method
     const authResult = db.authorization.authorizeRequest(event);
+    const audit = db.audit.createAuditContext(authResult, correlationId);
     
-    const { httpMethod, pathParameters, queryStringParameters, body } = event;
+    const { httpMethod, pathParameters, queryStringParameters, body, path } = event;
+    const ifMatch = db.concurrency.getIfMatch(event.headers);
     const propertyId = pathParameters?.id || pathParameters?.propertyId;
     
     let result;
     
+    // Check if this is an operating expense actuals endpoint
+    if (path && path.includes('/opex-actuals')) {
+      result = await handleOpexActualsEndpoint(
+        httpMethod,
+        propertyId,
+        pathParameters?.year,
+        body,
+        queryStringParameters || {},
+        audit,
+        ifMatch
+      );
+      
+      const duration = Date.now() - startTime;
+      db.logger.logResponse(result.statusCode, correlationId, duration);
+      
+      return createResponse(result.statusCode, result.body, correlationId, result.headers);
+    }
+    
     switch (httpMethod) {
       case 'GET':
         if (propertyId) {
-          result = await getProperty(propertyId);
+          result = await getProperty(propertyId, queryStringParameters || {});
         } else {
           result = await listProperties(queryStringParameters || {});
         }
         break;
         
       case 'POST':
-        result = await createProperty(JSON.parse(body || '{}'));
+        result = await createProperty(JSON.parse(body || '{}'), audit);
         break;
         
       case 'PUT':
@@ -45,7 +68,7 @@ exports.handler = async (event) => {
             } 
           }, correlationId);
         }
-        result = await updateProperty(propertyId, JSON.parse(body || '{}'));
+        result = await updateProperty(propertyId, JSON.parse(body || '{}'), audit, ifMatch);
         break;
         
       case 'DELETE':
@@ -57,7 +80,7 @@ exports.handler = async (event) => {
             } 
           }, correlationId);
         }
-        result = await deleteProperty(propertyId);
+        result = await deleteProperty(propertyId, audit, ifMatch);
         break;
         
       default:
@@ -72,7 +95,7 @@ exports.handler = async (event) => {
     const duration = Date.now() - startTime;
     db.logger.logResponse(result.statusCode, correlationId, duration);
     
-    return createResponse(result.statusCode, result.body, correlationId);
+    return createResponse(result.statusCode, result.body, correlationId, result.headers);
     
   } catch (error) {
     db.logger.error('Property API error', error);
@@ -95,8 +118,14 @@ exports.handler = async (event) => {
 
 /**
  * Get a single property by ID
+ * ?fields= trims the response and ?include= embeds suites and leases (fieldsets/).
  */
-async function getProperty(propertyId) {
+async function getProperty(propertyId, params = {}) {
+  const fieldset = parseFieldsetParams(params, RESOURCE_FIELDSETS.properties);
+  if (fieldset.errors.length > 0) {
+    return createFieldsetErrorResponse(fieldset.errors);
+  }
+  
   const query = `
     SELECT 
       property_id,
@@ -108,7 +137,8 @@ async function getProperty(propertyId) {
       total_rsf,
       active,
       created_at,
-      updated_at
+      updated_at,
+      ${db.concurrency.etagColumn()}
     FROM property
     WHERE property_id = $1
   `;
@@ -130,7 +160,8 @@ async function getProperty(propertyId) {
   
   return {
     statusCode: 200,
-    body: property
+    headers: db.concurrency.etagHeader('property', property, 'property_id'),
+    body: await applyFieldsets(db.concurrency.omitETagSource(property), fieldset, RESOURCE_FIELDSETS.properties)
   };
 }
 
@@ -142,17 +173,18 @@ async function listProperties(params) {
     name,
     state,
     country,
-    active,
-    sort_by = 'property_id',
-    sort_order = 'ASC',
-    limit = '50',
-    offset = '0'
+    active
   } = params;
   
-  // Validate sort parameters
-  const allowedSortFields = ['property_id', 'name', 'state', 'total_rsf', 'created_at'];
-  const sortField = allowedSortFields.includes(sort_by) ? sort_by : 'property_id';
-  const sortOrder = sort_order.toUpperCase() === 'DESC' ? 'DESC' : 'ASC';
+  // Validate pagination and sort parameters
+  const page = db.pagination.parsePageParams(params, {
+    sortFields: ['property_id', 'name', 'state', 'total_rsf', 'created_at'],
+    defaultSort: 'property_id',
+    key: 'property_id'
+  });
+  if (page.errors.length > 0) {
+    return db.pagination.createPageErrorResponse(page.errors);
+  }
   
   // Build WHERE clause
   const conditions = [];
@@ -183,16 +215,18 @@ async function listProperties(params) {
     paramCount++;
   }
   
-  const whereClause = conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
-  
-  // Get total count
-  const countQuery = `SELECT COUNT(*) as total FROM property ${whereClause}`;
-  const countResult = await db.queryOne(countQuery, values);
-  const total = parseInt(countResult.total, 10);
+  // Filter expression (?filter=)
+  const filter = compileFilter(params.filter, LIST_FILTERS.properties, values.length + 1);
+  if (filter.errors.length > 0) {
+    return createFilterErrorResponse(filter.errors);
+  }
+  conditions.push(...filter.conditions);
+  values.push(...filter.values);
   
   // Get paginated results
-  const dataQuery = `
-    SELECT 
+  const properties = await db.pagination.fetchPage({
+    page,
+    select: `
       property_id,
       name,
       address,
@@ -202,34 +236,22 @@ async function listProperties(params) {
       total_rsf,
       active,
       created_at,
-      updated_at
-    FROM property
-    ${whereClause}
-    ORDER BY ${sortField} ${sortOrder}
-    LIMIT $${paramCount} OFFSET $${paramCount + 1}
-  `;
-  
-  values.push(parseInt(limit, 10), parseInt(offset, 10));
-  const properties = await db.queryRows(dataQuery, values);
+      updated_at`,
+    from: 'property',
+    conditions,
+    values
+  });
   
   return {
     statusCode: 200,
-    body: {
-      data: properties,
-      pagination: {
-        total,
-        limit: parseInt(limit, 10),
-        offset: parseInt(offset, 10),
-        count: properties.length
-      }
-    }
+    body: properties
   };
 }
 
 /**
  * Create a new property
  */
-async function createProperty(data) {
+async function createProperty(data, audit) {
   // Validate required fields
   const errors = validatePropertyData(data, false);
   if (errors.length > 0) {
@@ -265,7 +287,8 @@ async function createProperty(data) {
       total_rsf,
       active,
       created_at,
-      updated_at
+      updated_at,
+      ${db.concurrency.etagColumn()}
   `;
   
   const values = [
@@ -278,18 +301,22 @@ async function createProperty(data) {
     data.active !== undefined ? data.active : true
   ];
   
-  const property = await db.queryOne(query, values);
+  const property = await db.audit.withAudit(audit, { entity: 'property', action: 'CREATE' }, async (client) => {
+    const result = await client.query(query, values);
+    return result.rows[0];
+  });
   
   return {
     statusCode: 201,
-    body: property
+    headers: db.concurrency.etagHeader('property', property, 'property_id'),
+    body: db.concurrency.omitETagSource(property)
   };
 }
 
 /**
  * Update an existing property
  */
-async function updateProperty(propertyId, data) {
+async function updateProperty(propertyId, data, audit, ifMatch) {
   // Check if property exists
   const existingProperty = await db.queryOne(
     'SELECT property_id FROM property WHERE property_id = $1',
@@ -372,21 +399,26 @@ async function updateProperty(propertyId, data) {
       total_rsf,
       active,
       created_at,
-      updated_at
+      updated_at,
+      ${db.concurrency.etagColumn()}
   `;
   
-  const property = await db.queryOne(query, values);
+  const property = await db.audit.withAudit(audit, { entity: 'property', action: 'UPDATE', entityId: propertyId, ifMatch }, async (client) => {
+    const result = await client.query(query, values);
+    return result.rows[0];
+  });
   
   return {
     statusCode: 200,
-    body: property
+    headers: db.concurrency.etagHeader('property', property, 'property_id'),
+    body: db.concurrency.omitETagSource(property)
   };
 }
 
 /**
  * Delete a property (soft delete via active flag)
  */
-async function deleteProperty(propertyId) {
+async function deleteProperty(propertyId, audit, ifMatch) {
   // Check if property exists
   const existingProperty = await db.queryOne(
     'SELECT property_id, active FROM property WHERE property_id = $1',
@@ -424,7 +456,10 @@ async function deleteProperty(propertyId) {
       updated_at
   `;
   
-  const property = await db.queryOne(query, [propertyId]);
+  const property = await db.audit.withAudit(audit, { entity: 'property', action: 'DELETE', entityId: propertyId, ifMatch }, async (client) => {
+    const result = await client.query(query, [propertyId]);
+    return result.rows[0];
+  });
   
   return {
     statusCode: 200,
@@ -436,100 +471,370 @@ async function deleteProperty(propertyId) {
 }
 
 /**
- * Validate property data
+ * Handle operating expense actuals endpoints
  */
-function validatePropertyData(data, isUpdate = false) {
-  const errors = [];
+async function handleOpexActualsEndpoint(httpMethod, propertyId, year, body, params, audit, ifMatch) {
+  if (httpMethod === 'GET') {
+    if (year) {
+      return await getOpexActuals(propertyId, year);
+    }
+    return await listOpexActuals(propertyId, params);
+  }
   
-  // Required field validation (only for create)
-  if (!isUpdate && !data.name) {
-    errors.push({
-      field: 'name',
-      message: 'Property name is required'
-    });
+  if (httpMethod === 'PUT') {
+    if (!year) {
+      return {
+        statusCode: 400,
+        body: {
+          error: {
+            code: 'VALIDATION_ERROR',
+            message: 'Expense year is required'
+          }
+        }
+      };
+    }
+    return await putOpexActuals(propertyId, year, JSON.parse(body || '{}'), audit, ifMatch);
   }
   
-  // Type validation
-  if (data.name !== undefined && typeof data.name !== 'string') {
-    errors.push({
-      field: 'name',
-      message: 'Property name must be a string'
-    });
+  return {
+    statusCode: 405,
+    body: {
+      error: {
+        code: 'METHOD_NOT_ALLOWED',
+        message: `Method ${httpMethod} not allowed for operating expense actuals`
+      }
+    }
+  };
+}
+
+/**
+ * List actual operating expenses for a property by year
+ * Query params: year
+ */
+async function listOpexActuals(propertyId, params) {
+  const property = await db.queryOne(
+    'SELECT property_id, total_rsf FROM property WHERE property_id = $1',
+    [propertyId]
+  );
+  
+  if (!property) {
+    return {
+      statusCode: 404,
+      body: {
+        error: {
+          code: 'NOT_FOUND',
+          message: 'Property not found',
+          details: [{ field: 'property_id', value: propertyId }]
+        }
+      }
+    };
   }
   
-  if (data.name !== undefined && data.name.length > 255) {
-    errors.push({
-      field: 'name',
-      message: 'Property name must not exceed 255 characters'
-    });
+  const conditions = ['property_id = $1'];
+  const values = [propertyId];
+  
+  if (params.year) {
+    conditions.push('expense_year = $2');
+    values.push(parseInt(params.year, 10));
   }
   
-  if (data.address !== undefined && data.address !== null && typeof data.address !== 'string') {
-    errors.push({
-      field: 'address',
-      message: 'Address must be a string'
-    });
+  const years = await db.queryRows(`
+    SELECT 
+      property_opex_year_id,
+      property_id,
+      expense_year,
+      occupancy_pct,
+      notes,
+      created_at,
+      updated_at
+    FROM property_opex_year
+    WHERE ${conditions.join(' AND ')}
+    ORDER BY expense_year DESC
+  `, values);
+  
+  const yearIds = years.map(y => y.property_opex_year_id);
+  const expenses = yearIds.length > 0 ? await db.queryRows(`
+    SELECT property_opex_year_id, category, amount, is_variable
+    FROM property_opex_expense
+    WHERE property_opex_year_id = ANY($1)
+    ORDER BY category
+  `, [yearIds]) : [];
+  
+  const data = years.map(y => {
+    const lines = expenses
+      .filter(e => e.property_opex_year_id === y.property_opex_year_id)
+      .map(({ property_opex_year_id, ...line }) => line);
+    return {
+      ...y,
+      total_amount: Math.round(lines.reduce((sum, line) => sum + parseFloat(line.amount), 0) * 100) / 100,
+      expenses: lines
+    };
+  });
+  
+  return {
+    statusCode: 200,
+    body: {
+      data,
+      property_id: property.property_id,
+      total_rsf: property.total_rsf
+    }
+  };
+}
+
+/**
+ * Get the actual operating expenses of a property for one year
+ */
+async function getOpexActuals(propertyId, year) {
+  const expenseYear = parseInt(year, 10);
+  if (isNaN(expenseYear)) {
+    return {
+      statusCode: 400,
+      body: {
+        error: {
+          code: 'VALIDATION_ERROR',
+          message: 'Expense year must be a valid year between 1900 and 2100',
+          details: [{ field: 'year', value: year }]
+        }
+      }
+    };
   }
   
-  if (data.address !== undefined && data.address !== null && data.address.length > 500) {
-    errors.push({
-      field: 'address',
-      message: 'Address must not exceed 500 characters'
-    });
+  const opexYear = await db.queryOne(`
+    SELECT 
+      property_opex_year_id,
+      property_id,
+      expense_year,
+      occupancy_pct,
+      notes,
+      created_at,
+      updated_at,
+      ${db.concurrency.etagColumn()}
+    FROM property_opex_year
+    WHERE property_id = $1 AND expense_year = $2
+  `, [propertyId, expenseYear]);
+  
+  if (!opexYear) {
+    return {
+      statusCode: 404,
+      body: {
+        error: {
+          code: 'NOT_FOUND',
+          message: 'Operating expense year not found',
+          details: [{ field: 'property_id', value: propertyId }, { field: 'year', value: expenseYear }]
+        }
+      }
+    };
   }
   
-  if (data.state !== undefined && data.state !== null && typeof data.state !== 'string') {
-    errors.push({
-      field: 'state',
-      message: 'State must be a string'
-    });
+  const lines = await db.queryRows(`
+    SELECT category, amount, is_variable
+    FROM property_opex_expense
+    WHERE property_opex_year_id = $1
+    ORDER BY category
+  `, [opexYear.property_opex_year_id]);
+  
+  return {
+    statusCode: 200,
+    headers: db.concurrency.etagHeader('property_opex_year', opexYear, 'property_opex_year_id'),
+    body: {
+      ...db.concurrency.omitETagSource(opexYear),
+      total_amount: Math.round(lines.reduce((sum, line) => sum + parseFloat(line.amount), 0) * 100) / 100,
+      expenses: lines
+    }
+  };
+}
+
+/**
+ * Create or replace the actual operating expenses for a property year
+ * Expense lines for the year are replaced as a whole in one transaction. An
+ * existing year is checked against If-Match.
+ */
+async function putOpexActuals(propertyId, year, data, audit, ifMatch) {
+  const errors = validateOpexActualsData(year, data);
+  if (errors.length > 0) {
+    return {
+      statusCode: 400,
+      body: {
+        error: {
+          code: 'VALIDATION_ERROR',
+          message: 'Invalid operating expense data',
+          details: errors
+        }
+      }
+    };
   }
   
-  if (data.postal_code !== undefined && data.postal_code !== null && typeof data.postal_code !== 'string') {
-    errors.push({
-      field: 'postal_code',
-      message: 'Postal code must be a string'
-    });
+  const expenseYear = parseInt(year, 10);
+  
+  const property = await db.queryOne(
+    'SELECT property_id FROM property WHERE property_id = $1',
+    [propertyId]
+  );
+  
+  if (!property) {
+    return {
+      statusCode: 404,
+      body: {
+        error: {
+          code: 'NOT_FOUND',
+          message: 'Property not found',
+          details: [{ field: 'property_id', value: propertyId }]
+        }
+      }
+    };
   }
   
-  if (data.country !== undefined && data.country !== null && typeof data.country !== 'string') {
+  const existing = await db.queryOne(
+    'SELECT property_opex_year_id FROM property_opex_year WHERE property_id = $1 AND expense_year = $2',
+    [propertyId, expenseYear]
+  );
+  
+  const opexYear = await db.audit.withAudit(audit, {
+    entity: 'property_opex_year',
+    action: existing ? 'UPDATE' : 'CREATE',
+    entityId: existing ? existing.property_opex_year_id : undefined,
+    ifMatch,
+    snapshot: getOpexYearSnapshot
+  }, async (client) => {
+    const yearResult = await client.query(`
+      INSERT INTO property_opex_year (property_id, expense_year, occupancy_pct, notes)
+      VALUES ($1, $2, $3, $4)
+      ON CONFLICT (property_id, expense_year) DO UPDATE
+        SET occupancy_pct = EXCLUDED.occupancy_pct,
+            notes = EXCLUDED.notes,
+            updated_at = CURRENT_TIMESTAMP
+      RETURNING 
+        property_opex_year_id,
+        property_id,
+        expense_year,
+        occupancy_pct,
+        notes,
+        created_at,
+        updated_at,
+        ${db.concurrency.etagColumn()}
+    `, [
+      propertyId,
+      expenseYear,
+      data.occupancy_pct !== undefined ? data.occupancy_pct : null,
+      data.notes || null
+    ]);
+    
+    const row = yearResult.rows[0];
+    
+    await client.query(
+      'DELETE FROM property_opex_expense WHERE property_opex_year_id = $1',
+      [row.property_opex_year_id]
+    );
+    
+    const lines = [];
+    for (const expense of data.expenses) {
+      const lineResult = await client.query(`
+        INSERT INTO property_opex_expense (property_opex_year_id, category, amount, is_variable)
+        VALUES ($1, $2, $3, $4)
+        RETURNING category, amount, is_variable
+      `, [
+        row.property_opex_year_id,
+        expense.category.toUpperCase(),
+        expense.amount,
+        expense.is_variable !== undefined ? expense.is_variable : true
+      ]);
+      lines.push(lineResult.rows[0]);
+    }
+    
+    return {
+      ...row,
+      total_amount: Math.round(lines.reduce((sum, line) => sum + parseFloat(line.amount), 0) * 100) / 100,
+      expenses: lines
+    };
+  });
+  
+  return {
+    statusCode: existing ? 200 : 201,
+    headers: db.concurrency.etagHeader('property_opex_year', opexYear, 'property_opex_year_id'),
+    body: db.concurrency.omitETagSource(opexYear)
+  };
+}
+
+/**
+ * Load a property expense year with its expense lines as JSON for the audit trail
+ * The year row is locked, as for audit.snapshot.
+ */
+async function getOpexYearSnapshot(client, opexYearId) {
+  const result = await client.query(`
+    SELECT to_jsonb(y) || jsonb_build_object(
+      'expenses',
+      COALESCE(
+        (SELECT jsonb_agg(to_jsonb(e) ORDER BY e.category)
+         FROM property_opex_expense e
+         WHERE e.property_opex_year_id = y.property_opex_year_id),
+        '[]'::jsonb
+      )
+    ) AS row
+    FROM property_opex_year y
+    WHERE y.property_opex_year_id = $1
+    FOR UPDATE
+  `, [opexYearId]);
+  
+  return result.rows[0] ? result.rows[0].row : null;
+}
+
+/**
+ * Validate operating expense actuals data
+ */
+function validateOpexActualsData(year, data) {
+  const errors = [];
+  
+  const expenseYear = parseInt(year, 10);
+  if (isNaN(expenseYear) || expenseYear < 1900 || expenseYear > 2100) {
     errors.push({
-      field: 'country',
-      message: 'Country must be a string'
+      field: 'year',
+      message: 'Expense year must be a valid year between 1900 and 2100',
+      rule: 'range'
     });
   }
   
-  if (data.total_rsf !== undefined && data.total_rsf !== null) {
-    const rsf = parseInt(data.total_rsf, 10);
-    if (isNaN(rsf) || rsf < 0) {
+  errors.push(...validateEntity('property_opex_year', data));
+  
+  // Each category may be listed once (uq_opex_expense_category)
+  const seen = new Set();
+  (Array.isArray(data.expenses) ? data.expenses : []).forEach((expense, index) => {
+    const category = expense && typeof expense.category === 'string' ? expense.category.toUpperCase() : null;
+    if (!category) {
+      return;
+    }
+    if (seen.has(category)) {
       errors.push({
-        field: 'total_rsf',
-        message: 'Total RSF must be a non-negative integer'
+        field: `expenses[${index}].category`,
+        message: `Category ${category} is listed more than once`,
+        rule: 'unique'
       });
     }
-  }
-  
-  if (data.active !== undefined && typeof data.active !== 'boolean') {
-    errors.push({
-      field: 'active',
-      message: 'Active must be a boolean'
-    });
-  }
+    seen.add(category);
+  });
   
   return errors;
 }
 
+/**
+ * Validate property data
+ */
+function validatePropertyData(data, isUpdate = false) {
+  return validateEntity('property', data, { partial: isUpdate });
+}
+
 /**
  * Create HTTP response
  */
-function createResponse(statusCode, body, correlationId = null) {
+function createResponse(statusCode, body, correlationId = null, headers = {}) {
   const response = {
     statusCode,
     headers: {
       'Content-Type': 'application/json',
       'Access-Control-Allow-Origin': '*',
       'Access-Control-Allow-Methods': 'GET, POST, PUT, DELETE, OPTIONS',
-      'Access-Control-Allow-Headers': 'Content-Type, Authorization'
+      'Access-Control-Allow-Headers': 'Content-Type, Authorization, If-Match',
+      'Access-Control-Expose-Headers': 'ETag',
+      ...headers
     },
     body: JSON.stringify(body)
   };
@@ -4,9 +4,14 @@
  */
 
 const db = require('./db');
+const { getSchema, validateEntity } = require('./schemas/registry');
+const { LIST_FILTERS, compileFilter, createFilterErrorResponse } = require('./filters');
+const { generateEscalatedSchedule, STEP_TYPES } = require('./calc/escalation');
+const { calculateCpiResets } = require('./calc/cpi');
+const { parseDaterange, formatDate, formatDaterange } = require('./calc/dates');
 
-// Valid basis values as per schema
-const VALID_BASIS_VALUES = ['MONTH', 'YEAR'];
+// Valid basis values from the rent_schedule schema
+const VALID_BASIS_VALUES = getSchema('rent_schedule').properties.basis.enum;
 
 /**
  * Lambda handler for rent schedule endpoints
@@ -20,12 +25,53 @@ exports.handler = async (event) => {
   try {
     // Authorize request based on role and HTTP method
     const authResult = db.authorization.authorizeRequest(event);
+    const audit = db.audit.createAuditContext(authResult, correlationId);
     
-    const { httpMethod, pathParameters, queryStringParameters, body } = event;
+    const { httpMethod, pathParameters, queryStringParameters, body, path } = event;
+    const ifMatch = db.concurrency.getIfMatch(event.headers);
     const rentId = pathParameters?.id;
     
     let result;
     
+    // Check if this is a schedule generation endpoint
+    if (path && path.includes('/generate')) {
+      if (httpMethod !== 'POST') {
+        return createResponse(405, { 
+          error: { 
+            code: 'METHOD_NOT_ALLOWED', 
+            message: `Method ${httpMethod} not allowed for schedule generation` 
+          } 
+        }, correlationId);
+      }
+      result = await generateRentSchedule(JSON.parse(body || '{}'), audit);
+      
+      const duration = Date.now() - startTime;
+      db.logger.logResponse(result.statusCode, correlationId, duration);
+      
+      return createResponse(result.statusCode, result.body, correlationId, result.headers);
+    }
+    
+    // Check if this is a CPI reset endpoint
+    if (path && path.includes('/cpi-resets')) {
+      if (httpMethod === 'GET') {
+        result = await getCpiResetProposals(queryStringParameters || {});
+      } else if (httpMethod === 'POST') {
+        result = await acceptCpiResets(JSON.parse(body || '{}'), audit);
+      } else {
+        return createResponse(405, { 
+          error: { 
+            code: 'METHOD_NOT_ALLOWED', 
+            message: `Method ${httpMethod} not allowed for CPI resets` 
+          } 
+        }, correlationId);
+      }
+      
+      const duration = Date.now() - startTime;
+      db.logger.logResponse(result.statusCode, correlationId, duration);
+      
+      return createResponse(result.statusCode, result.body, correlationId, result.headers);
+    }
+    
     switch (httpMethod) {
       case 'GET':
         if (rentId) {
@@ -36,7 +82,7 @@ exports.handler = async (event) => {
         break;
         
       case 'POST':
-        result = await createRentSchedule(JSON.parse(body || '{}'));
+        result = await createRentSchedule(JSON.parse(body || '{}'), audit);
         break;
         
       case 'PUT':
@@ -48,7 +94,7 @@ exports.handler = async (event) => {
             } 
           }, correlationId);
         }
-        result = await updateRentSchedule(rentId, JSON.parse(body || '{}'));
+        result = await updateRentSchedule(rentId, JSON.parse(body || '{}'), audit, ifMatch);
         break;
         
       case 'DELETE':
@@ -60,7 +106,7 @@ exports.handler = async (event) => {
             } 
           }, correlationId);
         }
-        result = await deleteRentSchedule(rentId);
+        result = await deleteRentSchedule(rentId, audit, ifMatch);
         break;
         
       default:
@@ -75,7 +121,7 @@ exports.handler = async (event) => {
     const duration = Date.now() - startTime;
     db.logger.logResponse(result.statusCode, correlationId, duration);
     
-    return createResponse(result.statusCode, result.body, correlationId);
+    return createResponse(result.statusCode, result.body, correlationId, result.headers);
     
   } catch (error) {
     db.logger.error('Rent Schedule API error', error);
@@ -109,6 +155,7 @@ async function getRentSchedule(rentId) {
       rs.basis,
       rs.created_at,
       rs.updated_at,
+      ${db.concurrency.etagColumn('rs')},
       CASE 
         WHEN rs.basis = 'YEAR' THEN rs.amount / 12
         ELSE rs.amount
@@ -138,7 +185,8 @@ async function getRentSchedule(rentId) {
   
   return {
     statusCode: 200,
-    body: rentSchedule
+    headers: db.concurrency.etagHeader('rent_schedule', rentSchedule, 'rent_id'),
+    body: db.concurrency.omitETagSource(rentSchedule)
   };
 }
 
@@ -147,17 +195,18 @@ async function getRentSchedule(rentId) {
  */
 async function listRentSchedules(params) {
   const {
-    lease_version_id,
-    sort_by = 'rent_id',
-    sort_order = 'ASC',
-    limit = '50',
-    offset = '0'
+    lease_version_id
   } = params;
   
-  // Validate sort parameters
-  const allowedSortFields = ['rent_id', 'period_daterange', 'amount', 'created_at'];
-  const sortField = allowedSortFields.includes(sort_by) ? sort_by : 'rent_id';
-  const sortOrder = sort_order.toUpperCase() === 'DESC' ? 'DESC' : 'ASC';
+  // Validate pagination and sort parameters
+  const page = db.pagination.parsePageParams(params, {
+    sortFields: ['rent_id', 'period_daterange', 'amount', 'created_at'],
+    defaultSort: 'rent_id',
+    key: 'rent_id'
+  });
+  if (page.errors.length > 0) {
+    return db.pagination.createPageErrorResponse(page.errors);
+  }
   
   // Build WHERE clause
   const conditions = [];
@@ -170,20 +219,18 @@ async function listRentSchedules(params) {
     paramCount++;
   }
   
-  const whereClause = conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
-  
-  // Get total count
-  const countQuery = `
-    SELECT COUNT(*) as total 
-    FROM rent_schedule rs
-    ${whereClause}
-  `;
-  const countResult = await db.queryOne(countQuery, values);
-  const total = parseInt(countResult.total, 10);
+  // Filter expression (?filter=)
+  const filter = compileFilter(params.filter, LIST_FILTERS['rent-schedules'], values.length + 1);
+  if (filter.errors.length > 0) {
+    return createFilterErrorResponse(filter.errors);
+  }
+  conditions.push(...filter.conditions);
+  values.push(...filter.values);
   
   // Get paginated results
-  const dataQuery = `
-    SELECT 
+  const rentSchedules = await db.pagination.fetchPage({
+    page,
+    select: `
       rs.rent_id,
       rs.lease_version_id,
       rs.period_daterange,
@@ -198,34 +245,23 @@ async function listRentSchedules(params) {
       CASE 
         WHEN rs.basis = 'MONTH' THEN rs.amount * 12
         ELSE rs.amount
-      END as annualized_equiv
-    FROM rent_schedule rs
-    ${whereClause}
-    ORDER BY rs.${sortField} ${sortOrder}
-    LIMIT $${paramCount} OFFSET $${paramCount + 1}
-  `;
-  
-  values.push(parseInt(limit, 10), parseInt(offset, 10));
-  const rentSchedules = await db.queryRows(dataQuery, values);
+      END as annualized_equiv`,
+    from: 'rent_schedule rs',
+    alias: 'rs',
+    conditions,
+    values
+  });
   
   return {
     statusCode: 200,
-    body: {
-      data: rentSchedules,
-      pagination: {
-        total,
-        limit: parseInt(limit, 10),
-        offset: parseInt(offset, 10),
-        count: rentSchedules.length
-      }
-    }
+    body: rentSchedules
   };
 }
 
 /**
  * Create a new rent schedule with overlap validation
  */
-async function createRentSchedule(data) {
+async function createRentSchedule(data, audit) {
   // Validate required fields
   const errors = validateRentScheduleData(data, false);
   if (errors.length > 0) {
@@ -302,7 +338,8 @@ async function createRentSchedule(data) {
       amount,
       basis,
       created_at,
-      updated_at
+      updated_at,
+      ${db.concurrency.etagColumn()}
   `;
   
   const values = [
@@ -313,11 +350,15 @@ async function createRentSchedule(data) {
   ];
   
   try {
-    const rentSchedule = await db.queryOne(query, values);
+    const rentSchedule = await db.audit.withAudit(audit, { entity: 'rent_schedule', action: 'CREATE' }, async (client) => {
+      const result = await client.query(query, values);
+      return result.rows[0];
+    });
     
     return {
       statusCode: 201,
-      body: rentSchedule
+      headers: db.concurrency.etagHeader('rent_schedule', rentSchedule, 'rent_id'),
+      body: db.concurrency.omitETagSource(rentSchedule)
     };
   } catch (error) {
     // Handle exclusion constraint violation (overlapping ranges)
@@ -344,7 +385,7 @@ async function createRentSchedule(data) {
 /**
  * Update an existing rent schedule
  */
-async function updateRentSchedule(rentId, data) {
+async function updateRentSchedule(rentId, data, audit, ifMatch) {
   // Check if rent schedule exists
   const existingRent = await db.queryOne(
     'SELECT rent_id, lease_version_id FROM rent_schedule WHERE rent_id = $1',
@@ -460,15 +501,20 @@ async function updateRentSchedule(rentId, data) {
       amount,
       basis,
       created_at,
-      updated_at
+      updated_at,
+      ${db.concurrency.etagColumn()}
   `;
   
   try {
-    const rentSchedule = await db.queryOne(query, values);
+    const rentSchedule = await db.audit.withAudit(audit, { entity: 'rent_schedule', action: 'UPDATE', entityId: rentId, ifMatch }, async (client) => {
+      const result = await client.query(query, values);
+      return result.rows[0];
+    });
     
     return {
       statusCode: 200,
-      body: rentSchedule
+      headers: db.concurrency.etagHeader('rent_schedule', rentSchedule, 'rent_id'),
+      body: db.concurrency.omitETagSource(rentSchedule)
     };
   } catch (error) {
     // Handle exclusion constraint violation (overlapping ranges)
@@ -495,7 +541,7 @@ async function updateRentSchedule(rentId, data) {
 /**
  * Delete a rent schedule
  */
-async function deleteRentSchedule(rentId) {
+async function deleteRentSchedule(rentId, audit, ifMatch) {
   // Check if rent schedule exists
   const existingRent = await db.queryOne(
     'SELECT rent_id FROM rent_schedule WHERE rent_id = $1',
@@ -517,7 +563,9 @@ async function deleteRentSchedule(rentId) {
   
   const query = 'DELETE FROM rent_schedule WHERE rent_id = $1';
   
-  await db.query(query, [rentId]);
+  await db.audit.withAudit(audit, { entity: 'rent_schedule', action: 'DELETE', entityId: rentId, ifMatch }, async (client) => {
+    await client.query(query, [rentId]);
+  });
   
   return {
     statusCode: 204,
@@ -526,44 +574,593 @@ async function deleteRentSchedule(rentId) {
 }
 
 /**
- * Validate rent schedule data
+ * Generate escalated rent schedule periods for a lease version
+ * Writes all periods in one transaction, or previews them when dry_run is true
  */
-function validateRentScheduleData(data, isUpdate = false) {
+async function generateRentSchedule(data, audit) {
+  const errors = validateGenerateData(data);
+  if (errors.length > 0) {
+    return {
+      statusCode: 400,
+      body: {
+        error: {
+          code: 'VALIDATION_ERROR',
+          message: 'Invalid schedule generation data',
+          details: errors
+        }
+      }
+    };
+  }
+  
+  const leaseVersion = await db.queryOne(`
+    SELECT 
+      lease_version_id,
+      effective_daterange::text AS effective_daterange,
+      premises_rsf,
+      escalation_method
+    FROM lease_version
+    WHERE lease_version_id = $1
+  `, [data.lease_version_id]);
+  
+  if (!leaseVersion) {
+    return {
+      statusCode: 400,
+      body: {
+        error: {
+          code: 'INVALID_REFERENCE',
+          message: 'Lease version not found',
+          details: [{ field: 'lease_version_id', value: data.lease_version_id }]
+        }
+      }
+    };
+  }
+  
+  if (leaseVersion.escalation_method === 'CPI') {
+    return {
+      statusCode: 400,
+      body: {
+        error: {
+          code: 'VALIDATION_ERROR',
+          message: 'Lease version uses CPI escalation; fixed-step generation does not apply',
+          details: [{ field: 'escalation_method', value: leaseVersion.escalation_method }]
+        }
+      }
+    };
+  }
+  
+  // Default the generation window to the version's effective date range
+  const effective = parseDaterange(leaseVersion.effective_daterange);
+  const startDate = data.start_date || (effective && effective.start ? formatDate(effective.start) : null);
+  const endDate = data.end_date || (effective && effective.end ? formatDate(effective.end) : null);
+  
+  if (!startDate || !endDate) {
+    return {
+      statusCode: 400,
+      body: {
+        error: {
+          code: 'VALIDATION_ERROR',
+          message: 'Lease version effective date range is unbounded; provide start_date and end_date',
+          details: [{ field: 'effective_daterange', value: leaseVersion.effective_daterange }]
+        }
+      }
+    };
+  }
+  
+  let periods;
+  try {
+    periods = generateEscalatedSchedule({
+      startDate,
+      endDate,
+      startingAmount: data.starting_amount,
+      basis: data.basis.toUpperCase(),
+      stepType: data.step_type.toUpperCase(),
+      stepValue: data.step_value,
+      periodMonths: data.period_months || 12,
+      premisesRsf: data.premises_rsf || leaseVersion.premises_rsf
+    });
+  } catch (error) {
+    return {
+      statusCode: 400,
+      body: {
+        error: {
+          code: 'VALIDATION_ERROR',
+          message: error.message,
+          details: []
+        }
+      }
+    };
+  }
+  
+  const generationRange = `[${startDate},${endDate})`;
+  const replaceExisting = data.replace_existing === true;
+  
+  try {
+    const result = await db.withTransaction(async (client) => {
+      // Existing periods that overlap the generation window
+      const overlapResult = await client.query(`
+        SELECT rent_id, period_daterange::text AS period_daterange, amount, basis
+        FROM rent_schedule
+        WHERE lease_version_id = $1
+          AND period_daterange && $2::daterange
+        ORDER BY lower(period_daterange)
+      `, [data.lease_version_id, generationRange]);
+      const overlapping = overlapResult.rows;
+      
+      if (overlapping.length > 0 && !replaceExisting) {
+        throw {
+          statusCode: 409,
+          code: 'CONFLICT',
+          message: 'Generated periods overlap existing rent schedules; set replace_existing to replace them',
+          details: overlapping.map(row => ({
+            conflicting_rent_id: row.rent_id,
+            conflicting_period: row.period_daterange
+          }))
+        };
+      }
+      
+      if (data.dry_run === true) {
+        return {
+          dry_run: true,
+          lease_version_id: leaseVersion.lease_version_id,
+          periods,
+          replaced: overlapping
+        };
+      }
+      
+      // Existing rent outside the window is kept
+      const cleared = await clearRentPeriods(client, audit, data.lease_version_id, generationRange);
+      
+      const created = [];
+      for (const period of periods) {
+        const insertResult = await client.query(`
+          INSERT INTO rent_schedule (
+            lease_version_id,
+            period_daterange,
+            amount,
+            basis
+          ) VALUES ($1, $2, $3, $4)
+          RETURNING 
+            rent_id,
+            lease_version_id,
+            period_daterange,
+            amount,
+            basis,
+            created_at,
+            updated_at
+        `, [data.lease_version_id, period.period_daterange, period.amount, period.basis]);
+        await db.audit.recordAudit(client, audit, {
+          entity: 'rent_schedule',
+          entityId: insertResult.rows[0].rent_id,
+          action: 'CREATE'
+        });
+        created.push(insertResult.rows[0]);
+      }
+      
+      return {
+        dry_run: false,
+        lease_version_id: leaseVersion.lease_version_id,
+        periods: created,
+        replaced: overlapping,
+        trimmed_rent_ids: cleared.trimmedIds,
+        deleted_rent_ids: cleared.deletedIds
+      };
+    });
+    
+    return {
+      statusCode: result.dry_run ? 200 : 201,
+      body: result
+    };
+  } catch (error) {
+    if (error.statusCode) {
+      return {
+        statusCode: error.statusCode,
+        body: {
+          error: {
+            code: error.code,
+            message: error.message,
+            details: error.details
+          }
+        }
+      };
+    }
+    // Handle exclusion constraint violation (overlapping ranges)
+    if (error.code === '23P01') {
+      return {
+        statusCode: 409,
+        body: {
+          error: {
+            code: 'CONFLICT',
+            message: 'Period date range overlaps with existing rent schedule',
+            details: [{
+              field: 'period_daterange',
+              detail: 'No overlapping period_daterange allowed per lease_version'
+            }]
+          }
+        }
+      };
+    }
+    throw error;
+  }
+}
+
+/**
+ * Clear a date range of a lease version's rent schedule
+ * Existing periods overlapping the range are trimmed to the part outside it
+ * (split in two when the range falls inside), or deleted when fully covered
+ * Returns { trimmedIds, deletedIds }
+ */
+async function clearRentPeriods(client, audit, leaseVersionId, daterange) {
+  const period = parseDaterange(daterange);
+  const trimmedIds = [];
+  const deletedIds = [];
+  
+  const overlapResult = await client.query(`
+    SELECT rent_id, period_daterange::text AS period_daterange, amount, basis
+    FROM rent_schedule
+    WHERE lease_version_id = $1
+      AND period_daterange && $2::daterange
+    ORDER BY lower(period_daterange)
+    FOR UPDATE
+  `, [leaseVersionId, daterange]);
+  
+  for (const row of overlapResult.rows) {
+    const existing = parseDaterange(row.period_daterange);
+    const startsBefore = existing.start < period.start;
+    const endsAfter = !existing.end || existing.end > period.end;
+    const before = await db.audit.snapshot(client, 'rent_schedule', row.rent_id);
+    
+    if (startsBefore) {
+      await client.query(
+        'UPDATE rent_schedule SET period_daterange = $1, updated_at = CURRENT_TIMESTAMP WHERE rent_id = $2',
+        [formatDaterange(existing.start, period.start), row.rent_id]
+      );
+      trimmedIds.push(row.rent_id);
+    }
+    
+    if (endsAfter) {
+      const tail = formatDaterange(period.end, existing.end);
+      if (startsBefore) {
+        // The range sits inside the existing period; keep the tail as a new row
+        const tailResult = await client.query(`
+          INSERT INTO rent_schedule (lease_version_id, period_daterange, amount, basis)
+          VALUES ($1, $2, $3, $4)
+          RETURNING rent_id
+        `, [leaseVersionId, tail, row.amount, row.basis]);
+        await db.audit.recordAudit(client, audit, {
+          entity: 'rent_schedule',
+          entityId: tailResult.rows[0].rent_id,
+          action: 'CREATE'
+        });
+        trimmedIds.push(tailResult.rows[0].rent_id);
+      } else {
+        await client.query(
+          'UPDATE rent_schedule SET period_daterange = $1, updated_at = CURRENT_TIMESTAMP WHERE rent_id = $2',
+          [tail, row.rent_id]
+        );
+        trimmedIds.push(row.rent_id);
+      }
+    }
+    
+    if (!startsBefore && !endsAfter) {
+      await client.query('DELETE FROM rent_schedule WHERE rent_id = $1', [row.rent_id]);
+      deletedIds.push(row.rent_id);
+    }
+    
+    await db.audit.recordAudit(client, audit, {
+      entity: 'rent_schedule',
+      entityId: row.rent_id,
+      action: startsBefore || endsAfter ? 'UPDATE' : 'DELETE',
+      before
+    });
+  }
+  
+  return { trimmedIds, deletedIds };
+}
+
+/**
+ * Calculate CPI resets for a lease version
+ * Returns { result } on success or { response } with an error response
+ */
+async function calculateCpiForVersion(leaseVersionId) {
+  const versionId = parseInt(leaseVersionId, 10);
+  if (isNaN(versionId) || versionId <= 0) {
+    return {
+      response: {
+        statusCode: 400,
+        body: {
+          error: {
+            code: 'VALIDATION_ERROR',
+            message: 'Invalid lease version ID',
+            details: [{ field: 'lease_version_id', message: 'Lease version ID must be a positive integer' }]
+          }
+        }
+      }
+    };
+  }
+  
+  const version = await db.queryOne(`
+    SELECT 
+      lease_version_id,
+      effective_daterange::text AS effective_daterange,
+      term_months,
+      escalation_method,
+      cpi_series_id,
+      cpi_base_month::text AS cpi_base_month,
+      cpi_floor_pct,
+      cpi_cap_pct,
+      cpi_lag_months
+    FROM lease_version
+    WHERE lease_version_id = $1
+  `, [versionId]);
+  
+  if (!version) {
+    return {
+      response: {
+        statusCode: 404,
+        body: {
+          error: {
+            code: 'NOT_FOUND',
+            message: 'Lease version not found',
+            details: [{ field: 'lease_version_id', value: versionId }]
+          }
+        }
+      }
+    };
+  }
+  
+  if (version.escalation_method !== 'CPI') {
+    return {
+      response: {
+        statusCode: 400,
+        body: {
+          error: {
+            code: 'VALIDATION_ERROR',
+            message: 'Lease version does not use CPI escalation',
+            details: [{ field: 'escalation_method', value: version.escalation_method }]
+          }
+        }
+      }
+    };
+  }
+  
+  const rents = await db.queryRows(`
+    SELECT rent_id, period_daterange::text AS period_daterange, amount, basis
+    FROM rent_schedule
+    WHERE lease_version_id = $1
+    ORDER BY lower(period_daterange)
+  `, [versionId]);
+  
+  const indexRows = await db.queryRows(`
+    SELECT series_id, period::text AS period, value
+    FROM cpi_index
+    WHERE series_id = $1
+    ORDER BY period
+  `, [version.cpi_series_id]);
+  
+  try {
+    return { result: calculateCpiResets(version, rents, indexRows) };
+  } catch (error) {
+    return {
+      response: {
+        statusCode: 400,
+        body: {
+          error: {
+            code: 'CALCULATION_ERROR',
+            message: error.message,
+            details: []
+          }
+        }
+      }
+    };
+  }
+}
+
+/**
+ * Get proposed CPI-adjusted rent periods for a lease version
+ * Query params: lease_version_id
+ */
+async function getCpiResetProposals(params) {
+  if (!params.lease_version_id) {
+    return {
+      statusCode: 400,
+      body: {
+        error: {
+          code: 'VALIDATION_ERROR',
+          message: 'Lease version ID is required',
+          details: [{ field: 'lease_version_id', message: 'Lease version ID is required' }]
+        }
+      }
+    };
+  }
+  
+  const { result, response } = await calculateCpiForVersion(params.lease_version_id);
+  if (response) {
+    return response;
+  }
+  
+  return {
+    statusCode: 200,
+    body: result
+  };
+}
+
+/**
+ * Accept calculated CPI resets as rent schedule periods
+ * Existing periods overlapping an accepted reset are trimmed around it, or removed
+ * when fully covered, so the rest of the schedule is preserved
+ */
+async function acceptCpiResets(data, audit) {
   const errors = [];
   
-  // Required field validation (only for create)
-  if (!isUpdate) {
-    if (!data.lease_version_id) {
+  if (!data.lease_version_id) {
+    errors.push({
+      field: 'lease_version_id',
+      message: 'Lease version ID is required'
+    });
+  }
+  
+  if (data.reset_dates !== undefined) {
+    if (!Array.isArray(data.reset_dates) || data.reset_dates.length === 0) {
       errors.push({
-        field: 'lease_version_id',
-        message: 'Lease version ID is required'
+        field: 'reset_dates',
+        message: 'Reset dates must be a non-empty array of YYYY-MM-DD dates'
       });
-    }
-    
-    if (!data.period_daterange) {
+    } else if (data.reset_dates.some(date => !/^\d{4}-\d{2}-\d{2}$/.test(date))) {
       errors.push({
-        field: 'period_daterange',
-        message: 'Period date range is required'
+        field: 'reset_dates',
+        message: 'Reset dates must be in YYYY-MM-DD format'
       });
     }
+  }
+  
+  if (errors.length > 0) {
+    return {
+      statusCode: 400,
+      body: {
+        error: {
+          code: 'VALIDATION_ERROR',
+          message: 'Invalid CPI reset acceptance data',
+          details: errors
+        }
+      }
+    };
+  }
+  
+  const { result, response } = await calculateCpiForVersion(data.lease_version_id);
+  if (response) {
+    return response;
+  }
+  
+  // Without reset_dates, accept what can be calculated now; resets still waiting
+  // for index values are left for a later run
+  let selected = result.resets.filter(reset => reset.status === 'CALCULATED');
+  if (data.reset_dates) {
+    const unknown = data.reset_dates.filter(date => !result.resets.some(reset => reset.reset_date === date));
+    if (unknown.length > 0) {
+      return {
+        statusCode: 400,
+        body: {
+          error: {
+            code: 'VALIDATION_ERROR',
+            message: 'Reset dates do not match lease anniversaries',
+            details: unknown.map(date => ({ field: 'reset_dates', value: date }))
+          }
+        }
+      };
+    }
+    selected = result.resets.filter(reset => data.reset_dates.includes(reset.reset_date));
     
-    if (data.amount === undefined || data.amount === null) {
-      errors.push({
-        field: 'amount',
-        message: 'Amount is required'
-      });
+    const pending = selected.filter(reset => reset.adjusted_amount === null);
+    if (pending.length > 0) {
+      return {
+        statusCode: 400,
+        body: {
+          error: {
+            code: 'VALIDATION_ERROR',
+            message: 'CPI index values are missing for the requested resets',
+            details: pending.map(reset => ({
+              field: 'reset_dates',
+              value: reset.reset_date,
+              message: `Index for ${reset.index_month} or ${reset.prior_index_month} not loaded`
+            }))
+          }
+        }
+      };
     }
+  }
+  
+  if (data.dry_run === true) {
+    return {
+      statusCode: 200,
+      body: {
+        dry_run: true,
+        lease_version_id: result.lease_version_id,
+        accepted: selected
+      }
+    };
+  }
+  
+  try {
+    const outcome = await db.withTransaction(async (client) => {
+      const created = [];
+      const trimmedIds = [];
+      const deletedIds = [];
+      
+      for (const reset of selected) {
+        const cleared = await clearRentPeriods(client, audit, result.lease_version_id, reset.period_daterange);
+        trimmedIds.push(...cleared.trimmedIds);
+        deletedIds.push(...cleared.deletedIds);
+        
+        const insertResult = await client.query(`
+          INSERT INTO rent_schedule (
+            lease_version_id,
+            period_daterange,
+            amount,
+            basis
+          ) VALUES ($1, $2, $3, $4)
+          RETURNING 
+            rent_id,
+            lease_version_id,
+            period_daterange,
+            amount,
+            basis,
+            created_at,
+            updated_at
+        `, [result.lease_version_id, reset.period_daterange, reset.adjusted_amount, reset.basis]);
+        await db.audit.recordAudit(client, audit, {
+          entity: 'rent_schedule',
+          entityId: insertResult.rows[0].rent_id,
+          action: 'CREATE'
+        });
+        created.push(insertResult.rows[0]);
+      }
+      
+      return {
+        dry_run: false,
+        lease_version_id: result.lease_version_id,
+        created,
+        trimmed_rent_ids: trimmedIds,
+        deleted_rent_ids: deletedIds
+      };
+    });
     
-    if (!data.basis) {
-      errors.push({
-        field: 'basis',
-        message: 'Basis is required'
-      });
+    return {
+      statusCode: 201,
+      body: outcome
+    };
+  } catch (error) {
+    // Handle exclusion constraint violation (overlapping ranges)
+    if (error.code === '23P01') {
+      return {
+        statusCode: 409,
+        body: {
+          error: {
+            code: 'CONFLICT',
+            message: 'Period date range overlaps with existing rent schedule',
+            details: [{
+              field: 'period_daterange',
+              detail: 'No overlapping period_daterange allowed per lease_version'
+            }]
+          }
+        }
+      };
     }
+    throw error;
   }
+}
+
+/**
+ * Validate schedule generation data
+ */
+function validateGenerateData(data) {
+  const errors = [];
   
-  // Type validation
-  if (data.lease_version_id !== undefined) {
+  if (!data.lease_version_id) {
+    errors.push({
+      field: 'lease_version_id',
+      message: 'Lease version ID is required'
+    });
+  } else {
     const leaseVersionId = parseInt(data.lease_version_id, 10);
     if (isNaN(leaseVersionId) || leaseVersionId <= 0) {
       errors.push({
@@ -573,66 +1170,87 @@ function validateRentScheduleData(data, isUpdate = false) {
     }
   }
   
-  // Validate period_daterange format
-  if (data.period_daterange !== undefined) {
-    if (typeof data.period_daterange !== 'string') {
+  if (data.starting_amount === undefined || data.starting_amount === null) {
+    errors.push({
+      field: 'starting_amount',
+      message: 'Starting amount is required'
+    });
+  } else {
+    const amount = parseFloat(data.starting_amount);
+    if (isNaN(amount) || amount < 0) {
       errors.push({
-        field: 'period_daterange',
-        message: 'Period date range must be a string in PostgreSQL daterange format (e.g., "[2024-01-01,2025-01-01)")'
+        field: 'starting_amount',
+        message: 'Starting amount must be a non-negative number'
       });
-    } else {
-      // Basic format validation for daterange
-      const daterangeRegex = /^[\[\(]\d{4}-\d{2}-\d{2},\d{4}-\d{2}-\d{2}[\]\)]$/;
-      if (!daterangeRegex.test(data.period_daterange)) {
-        errors.push({
-          field: 'period_daterange',
-          message: 'Period date range must be in PostgreSQL daterange format (e.g., "[2024-01-01,2025-01-01)")'
-        });
-      }
     }
   }
   
-  // Validate amount
-  if (data.amount !== undefined && data.amount !== null) {
-    const amount = parseFloat(data.amount);
-    if (isNaN(amount) || amount < 0) {
+  if (!data.basis || typeof data.basis !== 'string' || !VALID_BASIS_VALUES.includes(data.basis.toUpperCase())) {
+    errors.push({
+      field: 'basis',
+      message: `Basis must be one of: ${VALID_BASIS_VALUES.join(', ')}`,
+      allowed_values: VALID_BASIS_VALUES
+    });
+  }
+  
+  if (!data.step_type || typeof data.step_type !== 'string' || !STEP_TYPES.includes(data.step_type.toUpperCase())) {
+    errors.push({
+      field: 'step_type',
+      message: `Step type must be one of: ${STEP_TYPES.join(', ')}`,
+      allowed_values: STEP_TYPES
+    });
+  }
+  
+  if (data.step_value === undefined || data.step_value === null || isNaN(parseFloat(data.step_value))) {
+    errors.push({
+      field: 'step_value',
+      message: 'Step value must be a number'
+    });
+  }
+  
+  if (data.period_months !== undefined) {
+    const months = parseInt(data.period_months, 10);
+    if (isNaN(months) || months <= 0) {
       errors.push({
-        field: 'amount',
-        message: 'Amount must be a non-negative number'
+        field: 'period_months',
+        message: 'Period months must be a positive integer'
       });
     }
   }
   
-  // Validate basis enum
-  if (data.basis !== undefined) {
-    if (typeof data.basis !== 'string') {
+  const dateRegex = /^\d{4}-\d{2}-\d{2}$/;
+  ['start_date', 'end_date'].forEach(field => {
+    if (data[field] !== undefined && !dateRegex.test(data[field])) {
       errors.push({
-        field: 'basis',
-        message: 'Basis must be a string'
-      });
-    } else if (!VALID_BASIS_VALUES.includes(data.basis.toUpperCase())) {
-      errors.push({
-        field: 'basis',
-        message: `Basis must be one of: ${VALID_BASIS_VALUES.join(', ')}`,
-        allowed_values: VALID_BASIS_VALUES
+        field,
+        message: `${field} must be in YYYY-MM-DD format`
       });
     }
-  }
+  });
   
   return errors;
 }
 
+/**
+ * Validate rent schedule data
+ */
+function validateRentScheduleData(data, isUpdate = false) {
+  return validateEntity('rent_schedule', data, { partial: isUpdate });
+}
+
 /**
  * Create HTTP response
  */
-function createResponse(statusCode, body, correlationId = null) {
+function createResponse(statusCode, body, correlationId = null, headers = {}) {
   const response = {
     statusCode,
     headers: {
       'Content-Type': 'application/json',
       'Access-Control-Allow-Origin': '*',
       'Access-Control-Allow-Methods': 'GET, POST, PUT, DELETE, OPTIONS',
-      'Access-Control-Allow-Headers': 'Content-Type, Authorization'
+      'Access-Control-Allow-Headers': 'Content-Type, Authorization, If-Match',
+      'Access-Control-Expose-Headers': 'ETag',
+      ...headers
     },
     body: statusCode === 204 ? '' : JSON.stringify(body)
   };
@@ -4,6 +4,41 @@
  */
 
 const db = require('./db');
+const { calculateStraightLine } = require('./calc/straight-line');
+const { calculateCpiResets } = require('./calc/cpi');
+const { calculateOpexReconciliation } = require('./calc/opex-reconciliation');
+const {
+  PERIODS,
+  annualizedRent,
+  optionsAdjustedExpiration,
+  buildExpirationWaterfall
+} = require('./calc/expiration-waterfall');
+const { calculateOccupancy, findSuiteOverlaps, occupancySeries } = require('./calc/occupancy');
+const { GROUP_BY_OPTIONS, buildCashForecast } = require('./calc/cash-forecast');
+const { parseDate, formatDate, addDays, addMonths, daysBetween, monthsBetween } = require('./calc/dates');
+const { EXPORT_FORMATS, resolveExportFormat, createExportResponse } = require('./export');
+const { layoutReport } = require('./export/report-layouts');
+
+// Maximum months in an occupancy series or cash forecast
+const MAX_SERIES_MONTHS = 120;
+
+// Report route segments and handlers, in match order
+const REPORT_ROUTES = [
+  { report: 'expirations', handler: getExpirationsReport },
+  { report: 'expiration-waterfall', handler: getExpirationWaterfallReport },
+  { report: 'rent-roll', handler: getRentRollReport },
+  { report: 'options', handler: getOptionsReport },
+  { report: 'free-rent', handler: getFreeRentReport },
+  { report: 'ti-allowances', handler: getTIAllowancesReport },
+  { report: 'critical-dates', handler: getCriticalDatesReport },
+  { report: 'amendments', handler: getAmendmentsReport },
+  { report: 'opex-summary', handler: getOpExSummaryReport },
+  { report: 'opex-reconciliation', handler: getOpExReconciliationReport },
+  { report: 'straight-line', handler: getStraightLineReport },
+  { report: 'cpi-resets', handler: getCpiResetsReport },
+  { report: 'occupancy', handler: getOccupancyReport },
+  { report: 'cash-forecast', handler: getCashForecastReport }
+];
 
 /**
  * Lambda handler for reports endpoints
@@ -30,26 +65,12 @@ exports.handler = async (event) => {
       }, correlationId);
     }
     
-    let result;
+    const params = queryStringParameters || {};
     
     // Route to appropriate report handler
-    if (path.includes('/expirations')) {
-      result = await getExpirationsReport(queryStringParameters || {});
-    } else if (path.includes('/rent-roll')) {
-      result = await getRentRollReport(queryStringParameters || {});
-    } else if (path.includes('/options')) {
-      result = await getOptionsReport(queryStringParameters || {});
-    } else if (path.includes('/free-rent')) {
-      result = await getFreeRentReport(queryStringParameters || {});
-    } else if (path.includes('/ti-allowances')) {
-      result = await getTIAllowancesReport(queryStringParameters || {});
-    } else if (path.includes('/critical-dates')) {
-      result = await getCriticalDatesReport(queryStringParameters || {});
-    } else if (path.includes('/amendments')) {
-      result = await getAmendmentsReport(queryStringParameters || {});
-    } else if (path.includes('/opex-summary')) {
-      result = await getOpExSummaryReport(queryStringParameters || {});
-    } else {
+    const route = REPORT_ROUTES.find(r => path.includes(`/${r.report}`));
+    
+    if (!route) {
       return createResponse(404, { 
         error: { 
           code: 'NOT_FOUND', 
@@ -58,10 +79,39 @@ exports.handler = async (event) => {
       }, correlationId);
     }
     
+    const format = resolveExportFormat(params, event.headers);
+    
+    if (!format) {
+      return createResponse(400, {
+        error: {
+          code: 'VALIDATION_ERROR',
+          message: 'Invalid format',
+          details: [{ field: 'format', message: `format must be one of: ${EXPORT_FORMATS.join(', ')}` }]
+        }
+      }, correlationId);
+    }
+    
+    let result;
+    
+    if (format === 'json') {
+      result = await route.handler(params);
+    } else {
+      // Exports return the full result set: a null limit runs the query with LIMIT ALL
+      result = await route.handler({ ...params, limit: null, offset: '0' });
+      
+      if (result.statusCode === 200) {
+        result = createExportResponse(format, {
+          ...layoutReport(route.report, result.body),
+          filename: route.report,
+          params
+        });
+      }
+    }
+    
     const duration = Date.now() - startTime;
     db.logger.logResponse(result.statusCode, correlationId, duration);
     
-    return createResponse(result.statusCode, result.body, correlationId);
+    return createResponse(result.statusCode, result.body, correlationId, result.headers);
     
   } catch (error) {
     db.logger.error('Reports API error', error);
@@ -153,7 +203,7 @@ async function getExpirationsReport(params) {
     LIMIT $${paramCount} OFFSET $${paramCount + 1}
   `;
   
-  values.push(parseInt(limit, 10), parseInt(offset, 10));
+  values.push(parseLimit(limit), parseInt(offset, 10));
   const expirations = await db.queryRows(dataQuery, values);
   
   return {
@@ -162,7 +212,7 @@ async function getExpirationsReport(params) {
       data: expirations,
       pagination: {
         total,
-        limit: parseInt(limit, 10),
+        limit: parseLimit(limit),
         offset: parseInt(offset, 10),
         count: expirations.length
       }
@@ -170,15 +220,153 @@ async function getExpirationsReport(params) {
   };
 }
 
+/**
+ * Get expiration waterfall (rollover exposure) report
+ * Expiring RSF and annualized rent per year or quarter across the portfolio, by property
+ * and by state, with an options-adjusted variant assuming renewals are exercised
+ * Query params: as_of, years, period, renewal_months, property_id, state
+ */
+async function getExpirationWaterfallReport(params) {
+  const {
+    as_of,
+    years = '10',
+    period = 'year',
+    renewal_months = '60',
+    property_id,
+    state
+  } = params;
+  
+  const errors = [];
+  
+  if (as_of && !parseDate(as_of)) {
+    errors.push({ field: 'as_of', message: 'Date must be in YYYY-MM-DD format' });
+  }
+  
+  const yearsNum = parseInt(years, 10);
+  if (isNaN(yearsNum) || yearsNum < 1 || yearsNum > 30) {
+    errors.push({ field: 'years', message: 'Years must be an integer between 1 and 30' });
+  }
+  
+  const periodValue = String(period).toLowerCase();
+  if (!PERIODS.includes(periodValue)) {
+    errors.push({ field: 'period', message: `Period must be one of: ${PERIODS.join(', ')}` });
+  }
+  
+  const renewalMonths = parseInt(renewal_months, 10);
+  if (isNaN(renewalMonths) || renewalMonths < 1 || renewalMonths > 240) {
+    errors.push({ field: 'renewal_months', message: 'Renewal months must be an integer between 1 and 240' });
+  }
+  
+  if (errors.length > 0) {
+    return {
+      statusCode: 400,
+      body: {
+        error: {
+          code: 'VALIDATION_ERROR',
+          message: 'Invalid expiration waterfall parameters',
+          details: errors
+        }
+      }
+    };
+  }
+  
+  const asOf = as_of || formatDate(new Date());
+  
+  // In-force leases: current version not yet expired on the as-of date
+  const conditions = ['(le.expiration_date IS NULL OR le.expiration_date >= $1::date)'];
+  const values = [asOf];
+  let paramCount = 2;
+  
+  if (property_id) {
+    conditions.push(`cl.property_id = $${paramCount}`);
+    values.push(parseInt(property_id, 10));
+    paramCount++;
+  }
+  
+  if (state) {
+    conditions.push(`p.state = $${paramCount}`);
+    values.push(state);
+    paramCount++;
+  }
+  
+  const leases = await db.queryRows(`
+    SELECT 
+      cl.lease_id,
+      cl.master_lease_num,
+      cl.lease_version_id,
+      cl.property_id,
+      p.name AS property_name,
+      p.state,
+      cl.premises_rsf,
+      le.expiration_date::text AS expiration_date
+    FROM vw_current_lease cl
+    INNER JOIN vw_lease_expiration le ON cl.lease_id = le.lease_id
+    INNER JOIN property p ON cl.property_id = p.property_id
+    WHERE ${conditions.join(' AND ')}
+    ORDER BY p.name, cl.master_lease_num
+  `, values);
+  
+  const versionIds = leases.map(lease => lease.lease_version_id);
+  const leaseIds = leases.map(lease => lease.lease_id);
+  
+  const rentRows = versionIds.length > 0 ? await db.queryRows(`
+    SELECT 
+      lease_version_id,
+      LOWER(period_daterange)::text AS period_start,
+      UPPER(period_daterange)::text AS period_end,
+      amount,
+      basis
+    FROM rent_schedule
+    WHERE lease_version_id = ANY($1)
+  `, [versionIds]) : [];
+  
+  const optionRows = leaseIds.length > 0 ? await db.queryRows(`
+    SELECT lease_id, option_type, window_start::text AS window_start, window_end::text AS window_end, exercised
+    FROM vw_options_status
+    WHERE lease_id = ANY($1)
+  `, [leaseIds]) : [];
+  
+  const inputs = leases.map(lease => {
+    const adjusted = optionsAdjustedExpiration(
+      lease.expiration_date,
+      optionRows.filter(o => o.lease_id === lease.lease_id),
+      asOf,
+      renewalMonths
+    );
+    return {
+      lease_id: lease.lease_id,
+      property_id: lease.property_id,
+      property_name: lease.property_name,
+      state: lease.state,
+      rsf: lease.premises_rsf || 0,
+      annualized_rent: annualizedRent(rentRows.filter(r => r.lease_version_id === lease.lease_version_id), asOf),
+      expiration_date: lease.expiration_date,
+      options_adjusted_expiration_date: adjusted.expiration_date
+    };
+  });
+  
+  const waterfall = buildExpirationWaterfall(inputs, { asOf, years: yearsNum, period: periodValue });
+  
+  return {
+    statusCode: 200,
+    body: {
+      as_of: asOf,
+      period: periodValue,
+      years: yearsNum,
+      renewal_months: renewalMonths,
+      ...waterfall
+    }
+  };
+}
+
 /**
  * Get rent roll report
- * Query params: date, property_id, format, limit, offset
+ * Query params: date, property_id, limit, offset
  */
 async function getRentRollReport(params) {
   const {
     date,
     property_id,
-    format = 'json',
     limit = '50',
     offset = '0'
   } = params;
@@ -241,33 +429,16 @@ async function getRentRollReport(params) {
     LIMIT $${paramCount} OFFSET $${paramCount + 1}
   `;
   
-  values.push(parseInt(limit, 10), parseInt(offset, 10));
+  values.push(parseLimit(limit), parseInt(offset, 10));
   const rentRoll = await db.queryRows(dataQuery, values);
   
-  // Handle CSV format
-  if (format.toLowerCase() === 'csv') {
-    const csv = convertToCSV(rentRoll, [
-      'lease_id', 'master_lease_num', 'tenant_name', 'property_name',
-      'period_start', 'period_end', 'basis', 'amount', 'monthly_equiv', 'annualized_equiv'
-    ]);
-    
-    return {
-      statusCode: 200,
-      body: csv,
-      headers: {
-        'Content-Type': 'text/csv',
-        'Content-Disposition': 'attachment; filename="rent-roll.csv"'
-      }
-    };
-  }
-  
   return {
     statusCode: 200,
     body: {
       data: rentRoll,
       pagination: {
         total,
-        limit: parseInt(limit, 10),
+        limit: parseLimit(limit),
         offset: parseInt(offset, 10),
         count: rentRoll.length
       }
@@ -343,7 +514,7 @@ async function getOptionsReport(params) {
     LIMIT $${paramCount} OFFSET $${paramCount + 1}
   `;
   
-  values.push(parseInt(limit, 10), parseInt(offset, 10));
+  values.push(parseLimit(limit), parseInt(offset, 10));
   const options = await db.queryRows(dataQuery, values);
   
   return {
@@ -352,7 +523,7 @@ async function getOptionsReport(params) {
       data: options,
       pagination: {
         total,
-        limit: parseInt(limit, 10),
+        limit: parseLimit(limit),
         offset: parseInt(offset, 10),
         count: options.length
       }
@@ -413,7 +584,7 @@ async function getFreeRentReport(params) {
       LIMIT $${paramCount} OFFSET $${paramCount + 1}
     `;
     
-    values.push(parseInt(limit, 10), parseInt(offset, 10));
+    values.push(parseLimit(limit), parseInt(offset, 10));
     const freeRent = await db.queryRows(dataQuery, values);
     
     return {
@@ -422,7 +593,7 @@ async function getFreeRentReport(params) {
         data: freeRent,
         pagination: {
           total,
-          limit: parseInt(limit, 10),
+          limit: parseLimit(limit),
           offset: parseInt(offset, 10),
           count: freeRent.length
         }
@@ -451,7 +622,7 @@ async function getFreeRentReport(params) {
     LIMIT $${paramCount} OFFSET $${paramCount + 1}
   `;
   
-  values.push(parseInt(limit, 10), parseInt(offset, 10));
+  values.push(parseLimit(limit), parseInt(offset, 10));
   const freeRent = await db.queryRows(dataQuery, values);
   
   return {
@@ -460,7 +631,7 @@ async function getFreeRentReport(params) {
       data: freeRent,
       pagination: {
         total,
-        limit: parseInt(limit, 10),
+        limit: parseLimit(limit),
         offset: parseInt(offset, 10),
         count: freeRent.length
       }
@@ -527,7 +698,7 @@ async function getTIAllowancesReport(params) {
     LIMIT $${paramCount} OFFSET $${paramCount + 1}
   `;
   
-  values.push(parseInt(limit, 10), parseInt(offset, 10));
+  values.push(parseLimit(limit), parseInt(offset, 10));
   const tiAllowances = await db.queryRows(dataQuery, values);
   
   return {
@@ -536,7 +707,7 @@ async function getTIAllowancesReport(params) {
       data: tiAllowances,
       pagination: {
         total,
-        limit: parseInt(limit, 10),
+        limit: parseLimit(limit),
         offset: parseInt(offset, 10),
         count: tiAllowances.length
       }
@@ -609,7 +780,7 @@ async function getCriticalDatesReport(params) {
     LIMIT $${paramCount} OFFSET $${paramCount + 1}
   `;
   
-  values.push(parseInt(limit, 10), parseInt(offset, 10));
+  values.push(parseLimit(limit), parseInt(offset, 10));
   const criticalDates = await db.queryRows(dataQuery, values);
   
   return {
@@ -618,7 +789,7 @@ async function getCriticalDatesReport(params) {
       data: criticalDates,
       pagination: {
         total,
-        limit: parseInt(limit, 10),
+        limit: parseLimit(limit),
         offset: parseInt(offset, 10),
         count: criticalDates.length
       }
@@ -671,7 +842,7 @@ async function getAmendmentsReport(params) {
     LIMIT $${paramCount} OFFSET $${paramCount + 1}
   `;
   
-  values.push(parseInt(limit, 10), parseInt(offset, 10));
+  values.push(parseLimit(limit), parseInt(offset, 10));
   const amendments = await db.queryRows(dataQuery, values);
   
   return {
@@ -680,7 +851,7 @@ async function getAmendmentsReport(params) {
       data: amendments,
       pagination: {
         total,
-        limit: parseInt(limit, 10),
+        limit: parseLimit(limit),
         offset: parseInt(offset, 10),
         count: amendments.length
       }
@@ -734,7 +905,7 @@ async function getOpExSummaryReport(params) {
     LIMIT $${paramCount} OFFSET $${paramCount + 1}
   `;
   
-  values.push(parseInt(limit, 10), parseInt(offset, 10));
+  values.push(parseLimit(limit), parseInt(offset, 10));
   const opexSummary = await db.queryRows(dataQuery, values);
   
   return {
@@ -743,7 +914,7 @@ async function getOpExSummaryReport(params) {
       data: opexSummary,
       pagination: {
         total,
-        limit: parseInt(limit, 10),
+        limit: parseLimit(limit),
         offset: parseInt(offset, 10),
         count: opexSummary.length
       }
@@ -752,33 +923,760 @@ async function getOpExSummaryReport(params) {
 }
 
 /**
- * Convert array of objects to CSV format
+ * Get OpEx reconciliation report
+ * Reconciles each current lease's share of actual building expenses for a year
+ * against the estimates billed
+ * Query params: year (required), property_id, lease_id, limit, offset
  */
-function convertToCSV(data, columns) {
-  if (!data || data.length === 0) {
-    return columns.join(',') + '\n';
+async function getOpExReconciliationReport(params) {
+  const {
+    year,
+    property_id,
+    lease_id,
+    limit = '50',
+    offset = '0'
+  } = params;
+  
+  const expenseYear = parseInt(year, 10);
+  if (!year || isNaN(expenseYear) || expenseYear < 1900 || expenseYear > 2100) {
+    return {
+      statusCode: 400,
+      body: {
+        error: {
+          code: 'VALIDATION_ERROR',
+          message: 'Invalid expense year',
+          details: [{ field: 'year', message: 'Year is required and must be between 1900 and 2100' }]
+        }
+      }
+    };
   }
   
-  // Header row
-  const header = columns.join(',');
+  // Build WHERE clause
+  const conditions = ["o.method IN ('BASE_YEAR', 'EXPENSE_STOP', 'NNN')"];
+  const values = [];
+  let paramCount = 1;
   
-  // Data rows
-  const rows = data.map(row => {
-    return columns.map(col => {
-      const value = row[col];
-      if (value === null || value === undefined) {
-        return '';
+  if (property_id) {
+    conditions.push(`cl.property_id = $${paramCount}`);
+    values.push(parseInt(property_id, 10));
+    paramCount++;
+  }
+  
+  if (lease_id) {
+    conditions.push(`cl.lease_id = $${paramCount}`);
+    values.push(parseInt(lease_id, 10));
+    paramCount++;
+  }
+  
+  const whereClause = `WHERE ${conditions.join(' AND ')}`;
+  
+  // Get total count
+  const countQuery = `
+    SELECT COUNT(*) as total
+    FROM vw_current_lease cl
+    INNER JOIN opex_pass_through o ON cl.lease_version_id = o.lease_version_id
+    ${whereClause}
+  `;
+  const countResult = await db.queryOne(countQuery, values);
+  const total = parseInt(countResult.total, 10);
+  
+  // Get paginated pass-throughs for current lease versions
+  const dataQuery = `
+    SELECT 
+      cl.lease_id,
+      cl.master_lease_num,
+      cl.property_id,
+      p.name AS property_name,
+      p.total_rsf,
+      cl.lease_version_id,
+      cl.effective_daterange::text AS effective_daterange,
+      cl.premises_rsf,
+      cl.base_year,
+      o.opex_id,
+      o.method,
+      o.stop_amount,
+      o.gross_up_pct
+    FROM vw_current_lease cl
+    INNER JOIN opex_pass_through o ON cl.lease_version_id = o.lease_version_id
+    INNER JOIN property p ON cl.property_id = p.property_id
+    ${whereClause}
+    ORDER BY p.name, cl.master_lease_num, o.opex_id
+    LIMIT $${paramCount} OFFSET $${paramCount + 1}
+  `;
+  
+  values.push(parseLimit(limit), parseInt(offset, 10));
+  const passThroughs = await db.queryRows(dataQuery, values);
+  
+  const propertyIds = [...new Set(passThroughs.map(pt => pt.property_id))];
+  const years = [...new Set([expenseYear].concat(
+    passThroughs.filter(pt => pt.method === 'BASE_YEAR' && pt.base_year).map(pt => parseInt(pt.base_year, 10))
+  ))];
+  const opexIds = passThroughs.map(pt => pt.opex_id);
+  
+  const opexYears = propertyIds.length > 0 ? await db.queryRows(`
+    SELECT property_opex_year_id, property_id, expense_year, occupancy_pct
+    FROM property_opex_year
+    WHERE property_id = ANY($1) AND expense_year = ANY($2)
+  `, [propertyIds, years]) : [];
+  
+  const expenseRows = opexYears.length > 0 ? await db.queryRows(`
+    SELECT property_opex_year_id, category, amount, is_variable
+    FROM property_opex_expense
+    WHERE property_opex_year_id = ANY($1)
+    ORDER BY category
+  `, [opexYears.map(y => y.property_opex_year_id)]) : [];
+  
+  const estimates = opexIds.length > 0 ? await db.queryRows(`
+    SELECT opex_id, estimated_amount
+    FROM opex_estimate
+    WHERE opex_id = ANY($1) AND expense_year = $2
+  `, [opexIds, expenseYear]) : [];
+  
+  const findActuals = (propertyId, yearValue) => {
+    const opexYear = opexYears.find(y => y.property_id === propertyId && y.expense_year === yearValue);
+    if (!opexYear) {
+      return null;
+    }
+    return {
+      ...opexYear,
+      expenses: expenseRows.filter(e => e.property_opex_year_id === opexYear.property_opex_year_id)
+    };
+  };
+  
+  const reconciliation = passThroughs.map(pt => {
+    const base = {
+      lease_id: pt.lease_id,
+      master_lease_num: pt.master_lease_num,
+      property_name: pt.property_name,
+      lease_version_id: pt.lease_version_id,
+      opex_id: pt.opex_id
+    };
+    
+    const estimate = estimates.find(e => e.opex_id === pt.opex_id);
+    
+    try {
+      const calculation = calculateOpexReconciliation({
+        opex: pt,
+        version: pt,
+        propertyRsf: pt.total_rsf,
+        actuals: findActuals(pt.property_id, expenseYear),
+        baseYearActuals: pt.base_year ? findActuals(pt.property_id, parseInt(pt.base_year, 10)) : null,
+        estimatesPaid: estimate ? estimate.estimated_amount : 0
+      });
+      
+      return {
+        ...base,
+        ...calculation,
+        estimate_recorded: Boolean(estimate)
+      };
+    } catch (error) {
+      return {
+        ...base,
+        method: pt.method,
+        expense_year: expenseYear,
+        error: {
+          code: 'CALCULATION_ERROR',
+          message: error.message
+        }
+      };
+    }
+  });
+  
+  return {
+    statusCode: 200,
+    body: {
+      data: reconciliation,
+      pagination: {
+        total,
+        limit: parseLimit(limit),
+        offset: parseInt(offset, 10),
+        count: reconciliation.length
       }
-      // Escape values containing commas or quotes
-      const stringValue = String(value);
-      if (stringValue.includes(',') || stringValue.includes('"') || stringValue.includes('\n')) {
-        return `"${stringValue.replace(/"/g, '""')}"`;
+    }
+  };
+}
+
+/**
+ * Get straight-line rent report (ASC 842 / GAAP)
+ * Query params: lease_id, lease_version_id, property_id, as_of, summary_only, limit, offset
+ */
+async function getStraightLineReport(params) {
+  const {
+    lease_id,
+    lease_version_id,
+    property_id,
+    as_of,
+    summary_only,
+    limit = '50',
+    offset = '0'
+  } = params;
+  
+  if (as_of && !parseDate(as_of)) {
+    return {
+      statusCode: 400,
+      body: {
+        error: {
+          code: 'VALIDATION_ERROR',
+          message: 'Invalid date format',
+          details: [{ field: 'as_of', message: 'Date must be in YYYY-MM-DD format' }]
+        }
       }
-      return stringValue;
-    }).join(',');
+    };
+  }
+  
+  // Build WHERE clause
+  const conditions = [];
+  const values = [];
+  let paramCount = 1;
+  
+  if (lease_version_id) {
+    // An explicit version may be historical, so don't restrict to is_current
+    conditions.push(`lv.lease_version_id = $${paramCount}`);
+    values.push(parseInt(lease_version_id, 10));
+    paramCount++;
+  } else {
+    conditions.push('lv.is_current = TRUE');
+  }
+  
+  if (lease_id) {
+    conditions.push(`l.lease_id = $${paramCount}`);
+    values.push(parseInt(lease_id, 10));
+    paramCount++;
+  }
+  
+  if (property_id) {
+    conditions.push(`l.property_id = $${paramCount}`);
+    values.push(parseInt(property_id, 10));
+    paramCount++;
+  }
+  
+  const whereClause = `WHERE ${conditions.join(' AND ')}`;
+  
+  // Get total count
+  const countQuery = `
+    SELECT COUNT(*) as total
+    FROM lease_version lv
+    INNER JOIN lease l ON lv.lease_id = l.lease_id
+    ${whereClause}
+  `;
+  const countResult = await db.queryOne(countQuery, values);
+  const total = parseInt(countResult.total, 10);
+  
+  // Get paginated lease versions
+  const dataQuery = `
+    SELECT 
+      l.lease_id,
+      l.master_lease_num,
+      t.legal_name AS tenant_name,
+      p.name AS property_name,
+      lv.lease_version_id,
+      lv.version_num,
+      lv.effective_daterange::text AS effective_daterange,
+      lv.term_months,
+      lv.premises_rsf
+    FROM lease_version lv
+    INNER JOIN lease l ON lv.lease_id = l.lease_id
+    INNER JOIN party t ON l.tenant_id = t.party_id
+    INNER JOIN property p ON l.property_id = p.property_id
+    ${whereClause}
+    ORDER BY p.name, l.master_lease_num, lv.version_num
+    LIMIT $${paramCount} OFFSET $${paramCount + 1}
+  `;
+  
+  values.push(parseLimit(limit), parseInt(offset, 10));
+  const versions = await db.queryRows(dataQuery, values);
+  
+  const versionIds = versions.map(v => v.lease_version_id);
+  
+  const rentRows = versionIds.length > 0 ? await db.queryRows(`
+    SELECT lease_version_id, period_daterange::text AS period_daterange, amount, basis
+    FROM rent_schedule
+    WHERE lease_version_id = ANY($1)
+    ORDER BY lower(period_daterange)
+  `, [versionIds]) : [];
+  
+  const concessionRows = versionIds.length > 0 ? await db.queryRows(`
+    SELECT lease_version_id, kind, value_amount, value_basis, applies_daterange::text AS applies_daterange
+    FROM concession
+    WHERE lease_version_id = ANY($1) AND kind = 'FREE_RENT'
+  `, [versionIds]) : [];
+  
+  const includeSchedule = !(summary_only === 'true' || summary_only === true);
+  
+  const straightLine = versions.map(version => {
+    const base = {
+      lease_id: version.lease_id,
+      master_lease_num: version.master_lease_num,
+      tenant_name: version.tenant_name,
+      property_name: version.property_name,
+      lease_version_id: version.lease_version_id,
+      version_num: version.version_num
+    };
+    
+    try {
+      const calculation = calculateStraightLine(
+        version,
+        rentRows.filter(r => r.lease_version_id === version.lease_version_id),
+        concessionRows.filter(c => c.lease_version_id === version.lease_version_id),
+        { asOf: as_of }
+      );
+      
+      if (!includeSchedule) {
+        delete calculation.schedule;
+      }
+      
+      return { ...base, ...calculation };
+    } catch (error) {
+      return {
+        ...base,
+        error: {
+          code: 'CALCULATION_ERROR',
+          message: error.message
+        }
+      };
+    }
+  });
+  
+  return {
+    statusCode: 200,
+    body: {
+      data: straightLine,
+      pagination: {
+        total,
+        limit: parseLimit(limit),
+        offset: parseInt(offset, 10),
+        count: straightLine.length
+      }
+    }
+  };
+}
+
+/**
+ * Get CPI resets due report
+ * Lists current CPI-escalated leases whose next anniversary reset falls within the window
+ * Query params: as_of, days, property_id, limit, offset
+ */
+async function getCpiResetsReport(params) {
+  const {
+    as_of,
+    days = '90',
+    property_id,
+    limit = '50',
+    offset = '0'
+  } = params;
+  
+  if (as_of && !parseDate(as_of)) {
+    return {
+      statusCode: 400,
+      body: {
+        error: {
+          code: 'VALIDATION_ERROR',
+          message: 'Invalid date format',
+          details: [{ field: 'as_of', message: 'Date must be in YYYY-MM-DD format' }]
+        }
+      }
+    };
+  }
+  
+  const windowDays = parseInt(days, 10);
+  if (isNaN(windowDays) || windowDays < 0) {
+    return {
+      statusCode: 400,
+      body: {
+        error: {
+          code: 'VALIDATION_ERROR',
+          message: 'Invalid window',
+          details: [{ field: 'days', message: 'Days must be a non-negative integer' }]
+        }
+      }
+    };
+  }
+  
+  const asOf = as_of ? parseDate(as_of) : parseDate(formatDate(new Date()));
+  const windowEnd = addDays(asOf, windowDays);
+  
+  const conditions = ['lv.is_current = TRUE', "lv.escalation_method = 'CPI'"];
+  const values = [];
+  
+  if (property_id) {
+    conditions.push('l.property_id = $1');
+    values.push(parseInt(property_id, 10));
+  }
+  
+  const versions = await db.queryRows(`
+    SELECT 
+      l.lease_id,
+      l.master_lease_num,
+      t.legal_name AS tenant_name,
+      p.name AS property_name,
+      lv.lease_version_id,
+      lv.version_num,
+      lv.effective_daterange::text AS effective_daterange,
+      lv.term_months,
+      lv.cpi_series_id,
+      lv.cpi_base_month::text AS cpi_base_month,
+      lv.cpi_floor_pct,
+      lv.cpi_cap_pct,
+      lv.cpi_lag_months
+    FROM lease_version lv
+    INNER JOIN lease l ON lv.lease_id = l.lease_id
+    INNER JOIN party t ON l.tenant_id = t.party_id
+    INNER JOIN property p ON l.property_id = p.property_id
+    WHERE ${conditions.join(' AND ')}
+    ORDER BY p.name, l.master_lease_num
+  `, values);
+  
+  const versionIds = versions.map(v => v.lease_version_id);
+  const seriesIds = [...new Set(versions.map(v => v.cpi_series_id).filter(Boolean))];
+  
+  const rentRows = versionIds.length > 0 ? await db.queryRows(`
+    SELECT rent_id, lease_version_id, period_daterange::text AS period_daterange, amount, basis
+    FROM rent_schedule
+    WHERE lease_version_id = ANY($1)
+    ORDER BY lower(period_daterange)
+  `, [versionIds]) : [];
+  
+  const indexRows = seriesIds.length > 0 ? await db.queryRows(`
+    SELECT series_id, period::text AS period, value
+    FROM cpi_index
+    WHERE series_id = ANY($1)
+    ORDER BY series_id, period
+  `, [seriesIds]) : [];
+  
+  const due = [];
+  for (const version of versions) {
+    const base = {
+      lease_id: version.lease_id,
+      master_lease_num: version.master_lease_num,
+      tenant_name: version.tenant_name,
+      property_name: version.property_name,
+      lease_version_id: version.lease_version_id,
+      cpi_series_id: version.cpi_series_id
+    };
+    
+    let calculation;
+    try {
+      calculation = calculateCpiResets(
+        version,
+        rentRows.filter(r => r.lease_version_id === version.lease_version_id),
+        indexRows,
+        { asOf: formatDate(asOf) }
+      );
+    } catch (error) {
+      due.push({
+        ...base,
+        error: {
+          code: 'CALCULATION_ERROR',
+          message: error.message
+        }
+      });
+      continue;
+    }
+    
+    const next = calculation.next_reset;
+    if (!next || parseDate(next.reset_date) > windowEnd) {
+      continue;
+    }
+    
+    due.push({
+      ...base,
+      next_reset_date: next.reset_date,
+      days_until_reset: daysBetween(asOf, parseDate(next.reset_date)),
+      index_month: next.index_month,
+      index_available: next.index_value !== null,
+      prior_amount: next.prior_amount,
+      proposed_amount: next.adjusted_amount,
+      applied_change_pct: next.applied_change_pct,
+      basis: next.basis,
+      status: next.status
+    });
+  }
+  
+  const limitNum = parseLimit(limit);
+  const offsetNum = parseInt(offset, 10);
+  const page = limitNum === null ? due.slice(offsetNum) : due.slice(offsetNum, offsetNum + limitNum);
+  
+  return {
+    statusCode: 200,
+    body: {
+      data: page,
+      as_of: formatDate(asOf),
+      window_end: formatDate(windowEnd),
+      pagination: {
+        total: due.length,
+        limit: limitNum,
+        offset: offsetNum,
+        count: page.length
+      }
+    }
+  };
+}
+
+/**
+ * Get occupancy report
+ * Leased vs vacant RSF per property and suite on a date, double-booked suites,
+ * overlapping current leases and an optional monthly series (from/to)
+ * Query params: as_of, property_id, state, include_suites, from, to
+ */
+async function getOccupancyReport(params) {
+  const {
+    as_of,
+    property_id,
+    state,
+    include_suites = 'true',
+    from,
+    to
+  } = params;
+  
+  const errors = [];
+  
+  ['as_of', 'from', 'to'].forEach(field => {
+    if (params[field] && !parseDate(params[field])) {
+      errors.push({ field, message: 'Date must be in YYYY-MM-DD format' });
+    }
+  });
+  
+  if ((from && !to) || (!from && to)) {
+    errors.push({ field: from ? 'to' : 'from', message: 'from and to must be given together' });
+  } else if (from && to && parseDate(from) && parseDate(to)) {
+    const months = monthsBetween(parseDate(from), parseDate(to));
+    if (parseDate(from) > parseDate(to)) {
+      errors.push({ field: 'to', message: 'to must be on or after from' });
+    } else if (months >= MAX_SERIES_MONTHS) {
+      errors.push({ field: 'to', message: `Series is limited to ${MAX_SERIES_MONTHS} months` });
+    }
+  }
+  
+  if (errors.length > 0) {
+    return {
+      statusCode: 400,
+      body: {
+        error: {
+          code: 'VALIDATION_ERROR',
+          message: 'Invalid occupancy parameters',
+          details: errors
+        }
+      }
+    };
+  }
+  
+  const asOf = as_of || formatDate(new Date());
+  
+  const conditions = ['active = TRUE'];
+  const values = [];
+  let paramCount = 1;
+  
+  if (property_id) {
+    conditions.push(`property_id = $${paramCount}`);
+    values.push(parseInt(property_id, 10));
+    paramCount++;
+  }
+  
+  if (state) {
+    conditions.push(`state = $${paramCount}`);
+    values.push(state);
+    paramCount++;
+  }
+  
+  const properties = await db.queryRows(`
+    SELECT property_id, name, state, total_rsf
+    FROM property
+    WHERE ${conditions.join(' AND ')}
+    ORDER BY name
+  `, values);
+  
+  const propertyIds = properties.map(p => p.property_id);
+  
+  const suites = propertyIds.length > 0 ? await db.queryRows(`
+    SELECT suite_id, property_id, suite_code, rsf
+    FROM suite
+    WHERE property_id = ANY($1)
+    ORDER BY suite_code
+  `, [propertyIds]) : [];
+  
+  // All versions, so months before an amendment use the version then in effect
+  const versions = propertyIds.length > 0 ? await db.queryRows(`
+    SELECT 
+      lv.lease_version_id,
+      lv.lease_id,
+      lv.version_num,
+      lv.effective_daterange::text AS effective_daterange,
+      lv.suite_id,
+      s.suite_code,
+      lv.premises_rsf,
+      lv.is_current,
+      l.property_id,
+      l.master_lease_num,
+      t.legal_name AS tenant_name
+    FROM lease_version lv
+    INNER JOIN lease l ON lv.lease_id = l.lease_id
+    INNER JOIN party t ON l.tenant_id = t.party_id
+    LEFT JOIN suite s ON lv.suite_id = s.suite_id
+    WHERE l.property_id = ANY($1)
+    ORDER BY l.lease_id, lv.version_num
+  `, [propertyIds]) : [];
+  
+  const input = { properties, suites, versions };
+  const includeSuites = !(include_suites === 'false' || include_suites === false);
+  
+  const occupancy = calculateOccupancy(input, asOf, { includeSuites });
+  
+  const body = {
+    ...occupancy,
+    overlapping_leases: findSuiteOverlaps(versions)
+  };
+  
+  if (from && to) {
+    body.series = occupancySeries(input, from, to);
+  }
+  
+  return {
+    statusCode: 200,
+    body
+  };
+}
+
+/**
+ * Get cash rent forecast report
+ * Monthly rent cash outflows for current lease versions, net of free rent,
+ * grouped by property, tenant, lease or month with totals
+ * Query params: from, to, group_by, property_id, tenant_id
+ */
+async function getCashForecastReport(params) {
+  const {
+    from,
+    to,
+    group_by = 'property',
+    property_id,
+    tenant_id
+  } = params;
+  
+  const errors = [];
+  
+  ['from', 'to'].forEach(field => {
+    if (params[field] && !parseDate(params[field])) {
+      errors.push({ field, message: 'Date must be in YYYY-MM-DD format' });
+    }
   });
   
-  return header + '\n' + rows.join('\n');
+  const groupBy = String(group_by).toLowerCase();
+  if (!GROUP_BY_OPTIONS.includes(groupBy)) {
+    errors.push({ field: 'group_by', message: `group_by must be one of: ${GROUP_BY_OPTIONS.join(', ')}` });
+  }
+  
+  if (errors.length > 0) {
+    return {
+      statusCode: 400,
+      body: {
+        error: {
+          code: 'VALIDATION_ERROR',
+          message: 'Invalid cash forecast parameters',
+          details: errors
+        }
+      }
+    };
+  }
+  
+  // Default horizon: 12 months from the start of the current month
+  const today = parseDate(formatDate(new Date()));
+  const fromDate = from ? parseDate(from) : new Date(Date.UTC(today.getUTCFullYear(), today.getUTCMonth(), 1));
+  const toDate = to ? parseDate(to) : addDays(addMonths(fromDate, 12), -1);
+  
+  if (fromDate > toDate || monthsBetween(fromDate, toDate) >= MAX_SERIES_MONTHS) {
+    return {
+      statusCode: 400,
+      body: {
+        error: {
+          code: 'VALIDATION_ERROR',
+          message: 'Invalid cash forecast parameters',
+          details: [{
+            field: 'to',
+            message: `to must be on or after from and within ${MAX_SERIES_MONTHS} months`
+          }]
+        }
+      }
+    };
+  }
+  
+  const conditions = ['lv.is_current = TRUE'];
+  const values = [];
+  let paramCount = 1;
+  
+  if (property_id) {
+    conditions.push(`l.property_id = $${paramCount}`);
+    values.push(parseInt(property_id, 10));
+    paramCount++;
+  }
+  
+  if (tenant_id) {
+    conditions.push(`l.tenant_id = $${paramCount}`);
+    values.push(parseInt(tenant_id, 10));
+    paramCount++;
+  }
+  
+  const versions = await db.queryRows(`
+    SELECT 
+      l.lease_id,
+      l.master_lease_num,
+      l.property_id,
+      p.name AS property_name,
+      l.tenant_id,
+      t.legal_name AS tenant_name,
+      lv.lease_version_id,
+      lv.effective_daterange::text AS effective_daterange,
+      lv.premises_rsf
+    FROM lease_version lv
+    INNER JOIN lease l ON lv.lease_id = l.lease_id
+    INNER JOIN party t ON l.tenant_id = t.party_id
+    INNER JOIN property p ON l.property_id = p.property_id
+    WHERE ${conditions.join(' AND ')}
+    ORDER BY p.name, l.master_lease_num
+  `, values);
+  
+  const versionIds = versions.map(v => v.lease_version_id);
+  
+  // Only rent overlapping the forecast months affects the forecast; the first
+  // and last months are whole calendar months, not clipped to from and to
+  const horizonStart = new Date(Date.UTC(fromDate.getUTCFullYear(), fromDate.getUTCMonth(), 1));
+  const horizonEnd = addMonths(new Date(Date.UTC(toDate.getUTCFullYear(), toDate.getUTCMonth(), 1)), 1);
+  const rentRows = versionIds.length > 0 ? await db.queryRows(`
+    SELECT lease_version_id, period_daterange::text AS period_daterange, amount, basis
+    FROM rent_schedule
+    WHERE lease_version_id = ANY($1)
+      AND period_daterange && daterange($2::date, $3::date)
+    ORDER BY lower(period_daterange)
+  `, [versionIds, formatDate(horizonStart), formatDate(horizonEnd)]) : [];
+  
+  const concessionRows = versionIds.length > 0 ? await db.queryRows(`
+    SELECT lease_version_id, kind, value_amount, value_basis, applies_daterange::text AS applies_daterange
+    FROM concession
+    WHERE lease_version_id = ANY($1) AND kind = 'FREE_RENT'
+  `, [versionIds]) : [];
+  
+  const forecast = buildCashForecast(versions, rentRows, concessionRows, {
+    from: formatDate(fromDate),
+    to: formatDate(toDate),
+    groupBy
+  });
+  
+  return {
+    statusCode: 200,
+    body: {
+      from: formatDate(fromDate),
+      to: formatDate(toDate),
+      group_by: groupBy,
+      lease_count: versions.length,
+      ...forecast
+    }
+  };
+}
+
+/**
+ * Parse the LIMIT value for a report query
+ * Exports pass a null limit for the full result set (LIMIT NULL is LIMIT ALL).
+ */
+function parseLimit(limit) {
+  return limit === null ? null : parseInt(limit, 10);
 }
 
 /**
@@ -798,6 +1696,16 @@ function createResponse(statusCode, body, correlationId = null, headers = {}) {
     responseHeaders['X-Correlation-ID'] = correlationId;
   }
   
+  // Binary exports (XLSX) are returned base64 encoded for API Gateway
+  if (Buffer.isBuffer(body)) {
+    return {
+      statusCode,
+      headers: responseHeaders,
+      body: body.toString('base64'),
+      isBase64Encoded: true
+    };
+  }
+  
   const response = {
     statusCode,
     headers: responseHeaders,
@@ -0,0 +1,116 @@
+/**
+ * Schema API Lambda Function
+ * Serves the JSON Schema of each entity so client apps can validate forms
+ * with the same rules the API applies
+ */
+
+const db = require('./db');
+const { getSchema, listSchemas } = require('./schemas/registry');
+
+/**
+ * Lambda handler for schema endpoints
+ */
+exports.handler = async (event) => {
+  const correlationId = db.logger.generateCorrelationId();
+  const startTime = Date.now();
+  
+  db.logger.logRequest(event, correlationId);
+  
+  try {
+    // Authorize request based on role and HTTP method
+    db.authorization.authorizeRequest(event);
+    
+    const { httpMethod, pathParameters } = event;
+    
+    if (httpMethod !== 'GET') {
+      return createResponse(405, {
+        error: {
+          code: 'METHOD_NOT_ALLOWED',
+          message: `Method ${httpMethod} not allowed`
+        }
+      }, correlationId);
+    }
+    
+    const entity = pathParameters?.entity;
+    const result = entity ? getEntitySchema(entity) : { statusCode: 200, body: { schemas: listSchemas() } };
+    
+    const duration = Date.now() - startTime;
+    db.logger.logResponse(result.statusCode, correlationId, duration);
+    
+    return createResponse(result.statusCode, result.body, correlationId, result.headers);
+    
+  } catch (error) {
+    db.logger.error('Schema API error', error);
+    
+    // Handle authorization errors specially
+    if (error.code === 'FORBIDDEN') {
+      const duration = Date.now() - startTime;
+      db.logger.logResponse(403, correlationId, duration);
+      return db.authorization.createForbiddenResponse(error.details?.reason || 'Access denied', correlationId);
+    }
+    
+    const errorResponse = db.createErrorResponse(error, correlationId);
+    
+    const duration = Date.now() - startTime;
+    db.logger.logResponse(errorResponse.statusCode, correlationId, duration);
+    
+    return createResponse(errorResponse.statusCode, errorResponse.body, correlationId);
+  }
+};
+
+/**
+ * Get the JSON Schema of one entity
+ */
+function getEntitySchema(entity) {
+  const schema = getSchema(entity);
+  
+  if (!schema) {
+    return {
+      statusCode: 404,
+      body: {
+        error: {
+          code: 'NOT_FOUND',
+          message: 'Schema not found',
+          details: [{
+            field: 'entity',
+            value: entity,
+            allowed_values: listSchemas().map(item => item.entity)
+          }]
+        }
+      }
+    };
+  }
+  
+  return {
+    statusCode: 200,
+    headers: { 'Content-Type': 'application/schema+json' },
+    body: schema
+  };
+}
+
+/**
+ * Create HTTP response
+ */
+function createResponse(statusCode, body, correlationId = null, headers = {}) {
+  const response = {
+    statusCode,
+    headers: {
+      'Content-Type': 'application/json',
+      'Access-Control-Allow-Origin': '*',
+      'Access-Control-Allow-Methods': 'GET, OPTIONS',
+      'Access-Control-Allow-Headers': 'Content-Type, Authorization',
+      ...headers
+    },
+    body: JSON.stringify(body)
+  };
+  
+  if (correlationId) {
+    response.headers['X-Correlation-ID'] = correlationId;
+  }
+  
+  return response;
+}
+
+module.exports = {
+  handler: exports.handler
+};
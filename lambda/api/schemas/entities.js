@@ -0,0 +1,318 @@
+/**
+ * Entity Schemas
+ * JSON Schema (draft 2020-12) for each API entity, served by GET /schemas/{entity}
+ * and used by every handler and batch.js to validate request bodies.
+ *
+ * Enums, lengths and ranges mirror the SQL CHECK constraints and column types
+ * in schema/migrations; the unit tests check each schema against them.
+ * x-table names the table a schema describes.
+ */
+
+const DIALECT = 'https://json-schema.org/draft/2020-12/schema';
+
+function id(title) {
+  return { type: 'integer', minimum: 1, title };
+}
+
+function nullable(schema) {
+  return { ...schema, type: [schema.type, 'null'] };
+}
+
+function date(title) {
+  return { type: 'string', format: 'date', title };
+}
+
+function daterange(title) {
+  return { type: 'string', format: 'daterange', title, examples: ['[2024-01-01,2025-01-01)'] };
+}
+
+function upperEnum(title, values) {
+  return { type: 'string', enum: values, 'x-case-insensitive': true, title };
+}
+
+function notes(title = 'Notes') {
+  return { type: ['string', 'null'], title };
+}
+
+const TIMESTAMPS = {
+  created_at: { type: 'string', format: 'date-time', readOnly: true, title: 'Created at' },
+  updated_at: { type: 'string', format: 'date-time', readOnly: true, title: 'Updated at' }
+};
+
+function entity(name, title, table, definition) {
+  return {
+    $schema: DIALECT,
+    $id: `/schemas/${name}`,
+    title,
+    type: 'object',
+    'x-table': table,
+    ...definition,
+    properties: { ...definition.properties, ...TIMESTAMPS }
+  };
+}
+
+const EXPENSE_YEAR = {
+  type: 'integer',
+  minimum: 1900,
+  maximum: 2100,
+  title: 'Expense year',
+  errorMessage: { range: 'Expense year must be a valid year between 1900 and 2100' }
+};
+
+const ENTITY_SCHEMAS = {
+  property: entity('property', 'Property', 'property', {
+    required: ['name'],
+    properties: {
+      property_id: { ...id('Property ID'), readOnly: true },
+      name: { type: 'string', minLength: 1, maxLength: 255, title: 'Property name' },
+      address: nullable({ type: 'string', maxLength: 500, title: 'Address' }),
+      state: nullable({ type: 'string', maxLength: 100, title: 'State' }),
+      postal_code: nullable({ type: 'string', maxLength: 20, title: 'Postal code' }),
+      country: nullable({ type: 'string', maxLength: 100, title: 'Country', default: 'USA' }),
+      total_rsf: nullable({ type: 'integer', minimum: 0, title: 'Total RSF' }),
+      active: { type: 'boolean', title: 'Active', default: true }
+    }
+  }),
+
+  suite: entity('suite', 'Suite', 'suite', {
+    required: ['property_id', 'suite_code'],
+    properties: {
+      suite_id: { ...id('Suite ID'), readOnly: true },
+      property_id: id('Property ID'),
+      suite_code: { type: 'string', minLength: 1, maxLength: 50, title: 'Suite code' },
+      rsf: nullable({ type: 'integer', minimum: 0, title: 'RSF' })
+    }
+  }),
+
+  party: entity('party', 'Party', 'party', {
+    required: ['legal_name', 'party_type'],
+    properties: {
+      party_id: { ...id('Party ID'), readOnly: true },
+      legal_name: { type: 'string', minLength: 1, maxLength: 500, title: 'Legal name' },
+      party_type: upperEnum('Party type', ['TENANT', 'LANDLORD', 'SUBLANDLORD', 'GUARANTOR']),
+      active: { type: 'boolean', title: 'Active', default: true }
+    }
+  }),
+
+  lease: entity('lease', 'Lease', 'lease', {
+    required: ['property_id', 'landlord_id', 'tenant_id', 'master_lease_num'],
+    properties: {
+      lease_id: { ...id('Lease ID'), readOnly: true },
+      property_id: id('Property ID'),
+      landlord_id: id('Landlord ID'),
+      tenant_id: id('Tenant ID'),
+      master_lease_num: { type: 'string', minLength: 1, maxLength: 100, title: 'Master lease number' },
+      execution_date: nullable(date('Execution date'))
+    }
+  }),
+
+  lease_version: entity('lease_version', 'Lease version', 'lease_version', {
+    description: 'The original lease terms (version 0) or an amendment',
+    required: ['effective_daterange'],
+    properties: {
+      lease_version_id: { ...id('Lease version ID'), readOnly: true },
+      lease_id: { ...id('Lease ID'), readOnly: true },
+      version_num: { type: 'integer', minimum: 0, readOnly: true, title: 'Version number' },
+      effective_daterange: daterange('Effective date range'),
+      suite_id: nullable(id('Suite ID')),
+      premises_rsf: nullable({ type: 'integer', minimum: 0, title: 'Premises RSF' }),
+      term_months: nullable({ type: 'integer', minimum: 1, title: 'Term months' }),
+      base_year: nullable({
+        type: 'integer',
+        minimum: 1900,
+        maximum: 2100,
+        title: 'Base year',
+        errorMessage: { range: 'Base year must be a valid year between 1900 and 2100' }
+      }),
+      escalation_method: nullable(upperEnum('Escalation method', ['CPI', 'FIXED', 'BASE_YEAR', 'NNN', 'OTHER'])),
+      currency_code: {
+        type: 'string',
+        const: 'USD',
+        title: 'Currency code',
+        default: 'USD',
+        errorMessage: 'Currency code must be USD (Phase 1 limitation)'
+      },
+      discount_rate: nullable({
+        type: 'number',
+        minimum: 0,
+        exclusiveMaximum: 100,
+        title: 'Discount rate',
+        description: 'Annual discount rate as a percentage, e.g. 5.25',
+        errorMessage: 'Discount rate must be a percentage between 0 and 100'
+      }),
+      cpi_series_id: nullable({
+        type: 'string',
+        minLength: 1,
+        maxLength: 50,
+        pattern: '\\S',
+        title: 'CPI series ID',
+        errorMessage: 'CPI series ID must be a non-empty string of at most 50 characters'
+      }),
+      cpi_base_month: nullable({
+        type: 'string',
+        format: 'date',
+        pattern: '-01$',
+        title: 'CPI base month',
+        errorMessage: 'CPI base month must be the first day of a month in YYYY-MM-DD format'
+      }),
+      cpi_floor_pct: nullable({
+        type: 'number',
+        exclusiveMinimum: -100,
+        exclusiveMaximum: 100,
+        title: 'CPI floor',
+        errorMessage: 'cpi_floor_pct must be a percentage between -100 and 100'
+      }),
+      cpi_cap_pct: nullable({
+        type: 'number',
+        exclusiveMinimum: -100,
+        exclusiveMaximum: 100,
+        title: 'CPI cap',
+        description: 'Must be greater than or equal to cpi_floor_pct',
+        errorMessage: 'cpi_cap_pct must be a percentage between -100 and 100'
+      }),
+      cpi_lag_months: nullable({ type: 'integer', minimum: 0, maximum: 24, title: 'CPI lag months' }),
+      is_current: { type: 'boolean', readOnly: true, title: 'Current version' },
+      notes: notes()
+    }
+  }),
+
+  rent_schedule: entity('rent_schedule', 'Rent schedule', 'rent_schedule', {
+    required: ['lease_version_id', 'period_daterange', 'amount', 'basis'],
+    properties: {
+      rent_id: { ...id('Rent ID'), readOnly: true },
+      lease_version_id: id('Lease version ID'),
+      period_daterange: daterange('Period date range'),
+      amount: { type: 'number', minimum: 0, title: 'Amount' },
+      basis: upperEnum('Basis', ['MONTH', 'YEAR'])
+    }
+  }),
+
+  opex_pass_through: entity('opex_pass_through', 'OpEx pass-through', 'opex_pass_through', {
+    required: ['lease_version_id', 'method'],
+    properties: {
+      opex_id: { ...id('OpEx ID'), readOnly: true },
+      lease_version_id: id('Lease version ID'),
+      method: upperEnum('Method', ['BASE_YEAR', 'EXPENSE_STOP', 'NNN', 'OTHER']),
+      stop_amount: nullable({ type: 'number', minimum: 0, title: 'Stop amount' }),
+      gross_up_pct: nullable({
+        type: 'number',
+        minimum: 0,
+        maximum: 100,
+        title: 'Gross-up percentage',
+        errorMessage: 'Gross-up percentage must be a number between 0 and 100'
+      }),
+      notes: notes()
+    }
+  }),
+
+  opex_estimate: entity('opex_estimate', 'OpEx estimate', 'opex_estimate', {
+    description: 'Estimated OpEx billed to the tenant for a year (PUT /opex-pass-throughs/{id}/estimates/{year})',
+    required: ['estimated_amount'],
+    properties: {
+      opex_estimate_id: { ...id('OpEx estimate ID'), readOnly: true },
+      opex_id: { ...id('OpEx ID'), readOnly: true },
+      expense_year: { ...EXPENSE_YEAR, readOnly: true },
+      estimated_amount: { type: 'number', minimum: 0, title: 'Estimated amount' }
+    }
+  }),
+
+  property_opex_year: entity('property_opex_year', 'Property OpEx actuals', 'property_opex_year', {
+    description: 'Actual operating expenses of a property for a year (PUT /properties/{id}/opex/{year})',
+    required: ['expenses'],
+    properties: {
+      property_opex_year_id: { ...id('Property OpEx year ID'), readOnly: true },
+      property_id: { ...id('Property ID'), readOnly: true },
+      expense_year: { ...EXPENSE_YEAR, readOnly: true },
+      occupancy_pct: nullable({
+        type: 'number',
+        exclusiveMinimum: 0,
+        maximum: 100,
+        title: 'Occupancy percentage',
+        errorMessage: 'Occupancy percentage must be greater than 0 and at most 100'
+      }),
+      notes: notes(),
+      expenses: {
+        type: 'array',
+        minItems: 1,
+        title: 'Expenses',
+        description: 'One entry per category',
+        items: {
+          type: 'object',
+          'x-table': 'property_opex_expense',
+          required: ['category', 'amount'],
+          properties: {
+            category: upperEnum('Category', [
+              'CAM', 'REAL_ESTATE_TAX', 'INSURANCE', 'UTILITIES', 'JANITORIAL',
+              'REPAIRS_MAINTENANCE', 'SECURITY', 'MANAGEMENT_FEE', 'OTHER'
+            ]),
+            amount: { type: 'number', minimum: 0, title: 'Amount' },
+            is_variable: { type: 'boolean', title: 'is_variable', default: true }
+          }
+        }
+      }
+    }
+  }),
+
+  option: entity('option', 'Option', 'option', {
+    required: ['lease_version_id', 'option_type', 'window_daterange'],
+    properties: {
+      option_id: { ...id('Option ID'), readOnly: true },
+      lease_version_id: id('Lease version ID'),
+      option_type: upperEnum('Option type', ['RENEWAL', 'TERMINATION', 'EXPANSION', 'ROFR', 'OTHER']),
+      window_daterange: daterange('Window date range'),
+      terms: notes('Terms'),
+      exercised: nullable({ type: 'boolean', title: 'Exercised', default: false }),
+      exercised_date: nullable(date('Exercised date'))
+    }
+  }),
+
+  concession: entity('concession', 'Concession', 'concession', {
+    required: ['lease_version_id', 'kind', 'value_amount', 'value_basis'],
+    properties: {
+      concession_id: { ...id('Concession ID'), readOnly: true },
+      lease_version_id: id('Lease version ID'),
+      kind: upperEnum('Kind', ['TI_ALLOWANCE', 'FREE_RENT', 'OTHER']),
+      value_amount: { type: 'number', minimum: 0, title: 'Value amount' },
+      value_basis: upperEnum('Value basis', ['TOTAL', 'PER_SF']),
+      applies_daterange: nullable(daterange('Applies date range')),
+      notes: notes()
+    }
+  }),
+
+  critical_date: entity('critical_date', 'Critical date', 'critical_date', {
+    required: ['lease_id', 'kind', 'date_value'],
+    properties: {
+      crit_id: { ...id('Critical date ID'), readOnly: true },
+      lease_id: id('Lease ID'),
+      kind: upperEnum('Kind', ['COMMENCEMENT', 'RENT_START', 'EXPIRATION', 'NOTICE', 'OTHER']),
+      date_value: date('Date value'),
+      notes: notes()
+    }
+  }),
+
+  doc_link: entity('doc_link', 'Document link', 'doc_link', {
+    required: ['lease_id', 'label', 'external_ref'],
+    properties: {
+      doc_id: { ...id('Document ID'), readOnly: true },
+      lease_id: id('Lease ID'),
+      label: {
+        type: 'string',
+        maxLength: 255,
+        pattern: '\\S',
+        title: 'Label',
+        errorMessage: { pattern: 'Label cannot be empty' }
+      },
+      external_ref: {
+        type: 'string',
+        format: 'external-ref',
+        title: 'External reference',
+        description: 'http(s) URL or ECM identifier',
+        examples: ['https://example.com/doc.pdf', 'ECM-12345', 'DOC_ABC_123']
+      }
+    }
+  })
+};
+
+module.exports = {
+  ENTITY_SCHEMAS
+};
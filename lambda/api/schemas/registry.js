@@ -0,0 +1,85 @@
+/**
+ * Schema Registry
+ * Looks up entity schemas and validates request bodies against them.
+ * Handlers call validateEntity from their validateXData functions and add
+ * any checks that need the database.
+ */
+
+const { ENTITY_SCHEMAS } = require('./entities');
+const { validateSchema } = require('./validator');
+
+function isSet(value) {
+  return value !== undefined && value !== null;
+}
+
+// Checks that span fields, which JSON Schema cannot express. They run after the
+// schema and only when the fields involved passed it.
+const ENTITY_RULES = {
+  lease_version: [
+    {
+      fields: ['cpi_floor_pct', 'cpi_cap_pct'],
+      check: data => !isSet(data.cpi_floor_pct) || !isSet(data.cpi_cap_pct) ||
+        Number(data.cpi_floor_pct) <= Number(data.cpi_cap_pct),
+      error: {
+        field: 'cpi_cap_pct',
+        message: 'CPI cap must be greater than or equal to the CPI floor',
+        rule: 'constraint',
+        constraint: 'chk_cpi_floor_cap'
+      }
+    }
+  ]
+};
+
+/**
+ * Get the JSON Schema of an entity
+ * @param {string} entity - Entity name, e.g. 'rent_schedule'
+ * @returns {Object|null} Schema, or null for an unknown entity
+ */
+function getSchema(entity) {
+  return Object.prototype.hasOwnProperty.call(ENTITY_SCHEMAS, entity) ? ENTITY_SCHEMAS[entity] : null;
+}
+
+/**
+ * List the registered entities
+ * @returns {Array<Object>} { entity, title, $id } per schema
+ */
+function listSchemas() {
+  return Object.entries(ENTITY_SCHEMAS).map(([entity, schema]) => ({
+    entity,
+    title: schema.title,
+    $id: schema.$id
+  }));
+}
+
+/**
+ * Validate a request body against an entity schema
+ * Numeric strings are accepted for numbers and enum values in any case.
+ * @param {string} entity - Entity name
+ * @param {Object} data - Request body
+ * @param {Object} options - { partial: true for updates, which skip required fields }
+ * @returns {Array<Object>} Validation errors ({ field, message, rule })
+ */
+function validateEntity(entity, data, options = {}) {
+  const schema = getSchema(entity);
+  if (!schema) {
+    throw new Error(`Unknown schema entity: ${entity}`);
+  }
+  const errors = validateSchema(schema, data, { coerceTypes: true, partial: Boolean(options.partial) });
+  if (errors.some(error => error.field === 'body')) {
+    return errors;
+  }
+
+  (ENTITY_RULES[entity] || []).forEach(rule => {
+    const failed = errors.some(error => rule.fields.includes(error.field));
+    if (!failed && !rule.check(data)) {
+      errors.push({ ...rule.error });
+    }
+  });
+  return errors;
+}
+
+module.exports = {
+  getSchema,
+  listSchemas,
+  validateEntity
+};
@@ -0,0 +1,266 @@
+/**
+ * JSON Schema Validator
+ * Validates request bodies against the entity schemas in schemas/entities.js.
+ *
+ * Supports the subset of JSON Schema (draft 2020-12) the registry uses: type,
+ * required, properties, items, enum, const, minimum, maximum, exclusiveMinimum,
+ * exclusiveMaximum, minLength, maxLength, minItems, pattern and format (date,
+ * daterange, external-ref). readOnly properties are ignored on input.
+ *
+ * Extensions:
+ * - x-case-insensitive: enum values match regardless of case (stored upper case)
+ * - errorMessage: message override, a string or an object keyed by rule
+ *
+ * Every error has the shape { field, message, rule }, plus allowed_values for
+ * enum errors and examples when the schema provides them.
+ */
+
+const FORMATS = {
+  date: value => /^\d{4}-\d{2}-\d{2}$/.test(value),
+  daterange: value => /^[\[\(]\d{4}-\d{2}-\d{2},\d{4}-\d{2}-\d{2}[\]\)]$/.test(value),
+  // http(s) URL or ECM identifier (alphanumeric with hyphens, underscores and periods)
+  'external-ref': value => isHttpUrl(value) || (/^[A-Za-z0-9][A-Za-z0-9_\-.]*$/.test(value) && value.length <= 255)
+};
+
+const FORMAT_MESSAGES = {
+  date: 'must be in YYYY-MM-DD format',
+  daterange: 'must be in PostgreSQL daterange format (e.g., "[2024-01-01,2025-01-01)")',
+  'external-ref': 'must be a valid URL (http:// or https://) or ECM identifier (alphanumeric with hyphens/underscores)'
+};
+
+const NUMERIC_RULES = ['minimum', 'maximum', 'exclusiveMinimum', 'exclusiveMaximum'];
+
+function isHttpUrl(value) {
+  try {
+    const url = new URL(value);
+    return url.protocol === 'http:' || url.protocol === 'https:';
+  } catch {
+    return false;
+  }
+}
+
+function isObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+function typesOf(schema) {
+  if (schema.type === undefined) {
+    return [];
+  }
+  return Array.isArray(schema.type) ? schema.type : [schema.type];
+}
+
+/**
+ * Check a value against one JSON Schema type
+ * With coerceTypes, numeric strings match integer and number (values read back
+ * from NUMERIC columns and CSV files arrive as strings).
+ */
+function matchesType(type, value, options) {
+  switch (type) {
+    case 'null':
+      return value === null;
+    case 'string':
+      return typeof value === 'string';
+    case 'boolean':
+      return typeof value === 'boolean';
+    case 'integer':
+      return Number.isInteger(value) ||
+        (options.coerceTypes && typeof value === 'string' && /^\s*-?\d+\s*$/.test(value));
+    case 'number':
+      return (typeof value === 'number' && Number.isFinite(value)) ||
+        (options.coerceTypes && typeof value === 'string' && value.trim() !== '' && Number.isFinite(Number(value)));
+    case 'array':
+      return Array.isArray(value);
+    case 'object':
+      return isObject(value);
+    default:
+      return false;
+  }
+}
+
+/**
+ * Find the first rule a (non-missing) value breaks
+ * @returns {string|null} Failed rule name
+ */
+function firstFailedRule(schema, value, options) {
+  const types = typesOf(schema);
+  if (types.length > 0 && !types.some(type => matchesType(type, value, options))) {
+    return 'type';
+  }
+
+  if (typeof value === 'number' || (typeof value === 'string' && (types.includes('integer') || types.includes('number')))) {
+    const number = Number(value);
+    if (schema.minimum !== undefined && number < schema.minimum) return 'minimum';
+    if (schema.exclusiveMinimum !== undefined && number <= schema.exclusiveMinimum) return 'exclusiveMinimum';
+    if (schema.maximum !== undefined && number > schema.maximum) return 'maximum';
+    if (schema.exclusiveMaximum !== undefined && number >= schema.exclusiveMaximum) return 'exclusiveMaximum';
+  }
+
+  if (typeof value === 'string') {
+    if (schema.minLength !== undefined && value.length < schema.minLength) return 'minLength';
+    if (schema.maxLength !== undefined && value.length > schema.maxLength) return 'maxLength';
+    if (schema.pattern !== undefined && !new RegExp(schema.pattern).test(value)) return 'pattern';
+    if (schema.format !== undefined && FORMATS[schema.format] && !FORMATS[schema.format](value)) return 'format';
+  }
+
+  if (Array.isArray(value) && schema.minItems !== undefined && value.length < schema.minItems) {
+    return 'minItems';
+  }
+
+  if (schema.enum !== undefined) {
+    const candidate = schema['x-case-insensitive'] && typeof value === 'string' ? value.toUpperCase() : value;
+    if (!schema.enum.includes(candidate)) return 'enum';
+  }
+
+  if (schema.const !== undefined && value !== schema.const) {
+    return 'const';
+  }
+
+  return null;
+}
+
+/**
+ * Describe the numbers a schema accepts, e.g. "a positive integer"
+ */
+function describeNumber(schema) {
+  const integer = typesOf(schema).includes('integer');
+  const noun = integer ? 'integer' : 'number';
+  const lower = schema.minimum !== undefined ? schema.minimum : schema.exclusiveMinimum;
+  const upper = schema.maximum !== undefined ? schema.maximum : schema.exclusiveMaximum;
+
+  if (lower !== undefined && upper !== undefined) {
+    return `${integer ? 'an' : 'a'} ${noun} between ${lower} and ${upper}`;
+  }
+  if ((integer && schema.minimum === 1) || schema.exclusiveMinimum === 0) {
+    return `a positive ${noun}`;
+  }
+  if (schema.minimum === 0) {
+    return `a non-negative ${noun}`;
+  }
+  return integer ? 'an integer' : 'a number';
+}
+
+function describeType(schema) {
+  const types = typesOf(schema).filter(type => type !== 'null');
+  if (types.includes('integer') || types.includes('number')) {
+    return describeNumber(schema);
+  }
+  const nouns = { string: 'a string', boolean: 'a boolean', array: 'an array', object: 'an object' };
+  return types.map(type => nouns[type] || type).join(' or ');
+}
+
+function defaultMessage(schema, rule) {
+  switch (rule) {
+    case 'required':
+      return 'is required';
+    case 'type':
+      return `must be ${describeType(schema)}`;
+    case 'minimum':
+    case 'maximum':
+    case 'exclusiveMinimum':
+    case 'exclusiveMaximum':
+      return `must be ${describeNumber(schema)}`;
+    case 'minLength':
+      return schema.minLength === 1 ? 'cannot be empty' : `must be at least ${schema.minLength} characters`;
+    case 'maxLength':
+      return `must not exceed ${schema.maxLength} characters`;
+    case 'format':
+      return FORMAT_MESSAGES[schema.format] || `must be a valid ${schema.format}`;
+    case 'minItems':
+      return schema.minItems === 1 ? 'must be a non-empty array' : `must have at least ${schema.minItems} items`;
+    case 'enum':
+      return `must be one of: ${schema.enum.join(', ')}`;
+    case 'const':
+      return `must be ${schema.const}`;
+    default:
+      return 'is invalid';
+  }
+}
+
+function buildError(schema, field, rule, name) {
+  const override = typeof schema.errorMessage === 'string'
+    ? schema.errorMessage
+    : schema.errorMessage && (schema.errorMessage[rule] ||
+        (NUMERIC_RULES.includes(rule) && schema.errorMessage.range));
+  const error = {
+    field,
+    message: override || `${schema.title || name} ${defaultMessage(schema, rule)}`,
+    rule
+  };
+
+  if (rule === 'enum') {
+    error.allowed_values = schema.enum;
+  }
+  if (schema.examples && ['format', 'pattern'].includes(rule)) {
+    error.examples = schema.examples;
+  }
+  return error;
+}
+
+function validateValue(schema, value, field, name, options, errors) {
+  const rule = firstFailedRule(schema, value, options);
+  if (rule) {
+    errors.push(buildError(schema, field, rule, name));
+    return;
+  }
+
+  if (isObject(value) && schema.properties) {
+    validateProperties(schema, value, field, { ...options, partial: false }, errors);
+  }
+  if (Array.isArray(value) && schema.items) {
+    value.forEach((item, index) => {
+      validateValue(schema.items, item, `${field}[${index}]`, name, { ...options, partial: false }, errors);
+    });
+  }
+}
+
+function validateProperties(schema, data, prefix, options, errors) {
+  const required = schema.required || [];
+
+  Object.entries(schema.properties).forEach(([name, property]) => {
+    if (property.readOnly) {
+      return;
+    }
+
+    const field = prefix ? `${prefix}.${name}` : name;
+    const value = data[name];
+
+    if (value === undefined) {
+      if (required.includes(name) && !options.partial) {
+        errors.push(buildError(property, field, 'required', name));
+      }
+      return;
+    }
+
+    if (value === null) {
+      if (!typesOf(property).includes('null')) {
+        errors.push(buildError(property, field, required.includes(name) ? 'required' : 'type', name));
+      }
+      return;
+    }
+
+    validateValue(property, value, field, name, options, errors);
+  });
+}
+
+/**
+ * Validate data against an object schema
+ * @param {Object} schema - JSON Schema with type object
+ * @param {*} data - Value to validate
+ * @param {Object} options - { partial: skip required (updates), coerceTypes: accept numeric strings }
+ * @returns {Array<Object>} Validation errors ({ field, message, rule })
+ */
+function validateSchema(schema, data, options = {}) {
+  if (!isObject(data)) {
+    return [{ field: 'body', message: 'Request body must be a JSON object', rule: 'type' }];
+  }
+
+  const errors = [];
+  validateProperties(schema, data, '', options, errors);
+  return errors;
+}
+
+module.exports = {
+  FORMATS,
+  validateSchema
+};
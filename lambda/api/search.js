@@ -0,0 +1,130 @@
+/**
+ * Search API Lambda Function
+ * Ranked full-text and fuzzy search across parties, properties, suites,
+ * leases and document links
+ */
+
+const db = require('./db');
+const {
+  WORD_SIMILARITY_THRESHOLD,
+  parseSearchParams,
+  buildSearchQuery,
+  toSearchHit
+} = require('./search/query');
+
+/**
+ * Lambda handler for GET /search
+ */
+exports.handler = async (event) => {
+  const correlationId = db.logger.generateCorrelationId();
+  const startTime = Date.now();
+  
+  db.logger.logRequest(event, correlationId);
+  
+  try {
+    // Authorize request based on role and HTTP method
+    db.authorization.authorizeRequest(event);
+    
+    const { httpMethod, queryStringParameters } = event;
+    
+    if (httpMethod !== 'GET') {
+      return createResponse(405, {
+        error: {
+          code: 'METHOD_NOT_ALLOWED',
+          message: `Method ${httpMethod} not allowed`
+        }
+      }, correlationId);
+    }
+    
+    const result = await search(queryStringParameters || {});
+    
+    const duration = Date.now() - startTime;
+    db.logger.logResponse(result.statusCode, correlationId, duration);
+    
+    return createResponse(result.statusCode, result.body, correlationId);
+    
+  } catch (error) {
+    db.logger.error('Search API error', error);
+    
+    // Handle authorization errors specially
+    if (error.code === 'FORBIDDEN') {
+      const duration = Date.now() - startTime;
+      db.logger.logResponse(403, correlationId, duration);
+      return db.authorization.createForbiddenResponse(error.details?.reason || 'Access denied', correlationId);
+    }
+    
+    const errorResponse = db.createErrorResponse(error, correlationId);
+    
+    const duration = Date.now() - startTime;
+    db.logger.logResponse(errorResponse.statusCode, correlationId, duration);
+    
+    return createResponse(errorResponse.statusCode, errorResponse.body, correlationId);
+  }
+};
+
+/**
+ * Search across entity types
+ * Query: q (required), types (comma-separated), limit
+ */
+async function search(params) {
+  const { errors, search: parsed } = parseSearchParams(params);
+  
+  if (errors.length > 0) {
+    return {
+      statusCode: 400,
+      body: {
+        error: {
+          code: 'VALIDATION_ERROR',
+          message: 'Invalid search parameters',
+          details: errors
+        }
+      }
+    };
+  }
+  
+  const { text, values } = buildSearchQuery(parsed);
+  
+  // SET LOCAL lowers the similarity threshold of the <% operator for this
+  // query only, which needs a transaction
+  const rows = await db.withTransaction(async (client) => {
+    await client.query(`SET LOCAL pg_trgm.word_similarity_threshold = ${WORD_SIMILARITY_THRESHOLD}`);
+    const result = await client.query(text, values);
+    return result.rows;
+  });
+  
+  return {
+    statusCode: 200,
+    body: {
+      query: parsed.q,
+      types: parsed.types,
+      data: rows.map(toSearchHit),
+      count: rows.length
+    }
+  };
+}
+
+/**
+ * Create HTTP response
+ */
+function createResponse(statusCode, body, correlationId = null) {
+  const response = {
+    statusCode,
+    headers: {
+      'Content-Type': 'application/json',
+      'Access-Control-Allow-Origin': '*',
+      'Access-Control-Allow-Methods': 'GET, OPTIONS',
+      'Access-Control-Allow-Headers': 'Content-Type, Authorization'
+    },
+    body: JSON.stringify(body)
+  };
+  
+  if (correlationId) {
+    response.headers['X-Correlation-ID'] = correlationId;
+  }
+  
+  return response;
+}
+
+module.exports = {
+  handler: exports.handler
+};
@@ -0,0 +1,215 @@
+/**
+ * Search Query Builder
+ * Builds the ranked cross-entity query behind GET /search (search.js).
+ *
+ * Each searchable type matches its fields two ways:
+ * - full text: every word of the query as a prefix (to_tsquery 'simple', word:*)
+ * - fuzzy: pg_trgm word similarity (<%), which tolerates typos and partial names
+ * The tsvector expressions must match the indexes in V012__create_search_indexes.sql.
+ *
+ * score = (best word similarity + 1 if the full-text query matches) / 2, so
+ * hits matching both ways rank first. Pure functions only.
+ */
+
+const MIN_QUERY_LENGTH = 2;
+const MAX_QUERY_LENGTH = 200;
+const DEFAULT_LIMIT = 20;
+const MAX_LIMIT = 100;
+
+// pg_trgm.word_similarity_threshold for the <% operator (PostgreSQL default: 0.6)
+const WORD_SIMILARITY_THRESHOLD = 0.3;
+
+// Searchable types: FROM clause, hit columns, tsvector expression, searched
+// fields (API name -> column) and the API path of a hit
+const SEARCH_TYPES = {
+  party: {
+    from: 'party p',
+    id: 'p.party_id',
+    title: 'p.legal_name',
+    subtitle: 'p.party_type',
+    document: "to_tsvector('simple', p.legal_name)",
+    fields: { legal_name: 'p.legal_name' },
+    where: 'p.active = TRUE',
+    path: '/parties'
+  },
+  property: {
+    from: 'property pr',
+    id: 'pr.property_id',
+    title: 'pr.name',
+    subtitle: 'pr.address',
+    document: "to_tsvector('simple', pr.name || ' ' || COALESCE(pr.address, ''))",
+    fields: { name: 'pr.name', address: 'pr.address' },
+    where: 'pr.active = TRUE',
+    path: '/properties'
+  },
+  suite: {
+    from: 'suite s JOIN property pr ON pr.property_id = s.property_id',
+    id: 's.suite_id',
+    title: 's.suite_code',
+    subtitle: 'pr.name',
+    document: "to_tsvector('simple', s.suite_code)",
+    fields: { suite_code: 's.suite_code' },
+    path: '/suites'
+  },
+  lease: {
+    from: 'lease l JOIN party t ON t.party_id = l.tenant_id JOIN property pr ON pr.property_id = l.property_id',
+    id: 'l.lease_id',
+    title: 'l.master_lease_num',
+    subtitle: "t.legal_name || ' - ' || pr.name",
+    document: "to_tsvector('simple', l.master_lease_num)",
+    fields: { master_lease_num: 'l.master_lease_num' },
+    path: '/leases'
+  },
+  doc_link: {
+    from: 'doc_link d JOIN lease l ON l.lease_id = d.lease_id',
+    id: 'd.doc_id',
+    title: 'COALESCE(d.label, d.external_ref)',
+    subtitle: 'l.master_lease_num',
+    document: "to_tsvector('simple', COALESCE(d.label, ''))",
+    fields: { label: 'd.label' },
+    path: '/doc-links'
+  }
+};
+
+/**
+ * Split a query into lower-case words (letters and digits)
+ */
+function searchTerms(q) {
+  return q.toLowerCase().match(/[\p{L}\p{N}]+/gu) || [];
+}
+
+/**
+ * Build a prefix tsquery: every word must match the start of a word
+ * The terms only contain letters and digits, so they need no escaping.
+ * @param {string} q - Search text
+ * @returns {string|null} e.g. 'acme:* & corp:*', or null when q has no words
+ */
+function toPrefixTsquery(q) {
+  const terms = searchTerms(q);
+  return terms.length > 0 ? terms.map(term => `${term}:*`).join(' & ') : null;
+}
+
+/**
+ * Validate GET /search query parameters
+ * @param {Object} params - { q, types, limit }
+ * @returns {Object} { errors, search: { q, tsquery, types, limit } }
+ */
+function parseSearchParams(params) {
+  const errors = [];
+  const q = typeof params.q === 'string' ? params.q.trim() : '';
+  const allowedTypes = Object.keys(SEARCH_TYPES);
+
+  if (!q) {
+    errors.push({ field: 'q', message: 'Search text (q) is required', rule: 'required' });
+  } else if (q.length < MIN_QUERY_LENGTH) {
+    errors.push({ field: 'q', message: `Search text must be at least ${MIN_QUERY_LENGTH} characters`, rule: 'minLength' });
+  } else if (q.length > MAX_QUERY_LENGTH) {
+    errors.push({ field: 'q', message: `Search text must not exceed ${MAX_QUERY_LENGTH} characters`, rule: 'maxLength' });
+  } else if (searchTerms(q).length === 0) {
+    errors.push({ field: 'q', message: 'Search text must contain letters or digits', rule: 'pattern' });
+  }
+
+  let types = allowedTypes;
+  if (params.types !== undefined && params.types !== '') {
+    types = [...new Set(String(params.types).split(',').map(type => type.trim()).filter(Boolean))];
+    const unknown = types.filter(type => !allowedTypes.includes(type));
+    if (unknown.length > 0 || types.length === 0) {
+      errors.push({
+        field: 'types',
+        message: `Types must be a comma-separated list of: ${allowedTypes.join(', ')}`,
+        rule: 'enum',
+        allowed_values: allowedTypes
+      });
+    }
+  }
+
+  let limit = DEFAULT_LIMIT;
+  if (params.limit !== undefined) {
+    limit = Number(params.limit);
+    if (!Number.isInteger(limit) || limit < 1 || limit > MAX_LIMIT) {
+      errors.push({
+        field: 'limit',
+        message: `Limit must be an integer between 1 and ${MAX_LIMIT}`,
+        rule: !Number.isInteger(limit) ? 'type' : (limit < 1 ? 'minimum' : 'maximum')
+      });
+    }
+  }
+
+  if (errors.length > 0) {
+    return { errors, search: null };
+  }
+  return { errors, search: { q, tsquery: toPrefixTsquery(q), types, limit } };
+}
+
+/**
+ * SELECT for one type; $1 is the search text and $2 the prefix tsquery
+ */
+function typeSelect(type) {
+  const config = SEARCH_TYPES[type];
+  const fields = Object.entries(config.fields);
+  const similarity = column => `COALESCE(word_similarity($1, ${column}), 0)`;
+  const best = fields.length === 1 ? similarity(fields[0][1]) : `GREATEST(${fields.map(([, column]) => similarity(column)).join(', ')})`;
+  const matchedField = fields.length === 1
+    ? `'${fields[0][0]}'`
+    : `CASE ${fields.slice(0, -1).map(([name, column]) => `WHEN ${similarity(column)} = ${best} THEN '${name}'`).join(' ')} ELSE '${fields[fields.length - 1][0]}' END`;
+  const matches = [`${config.document} @@ to_tsquery('simple', $2)`, ...fields.map(([, column]) => `$1 <% ${column}`)];
+  const conditions = [`(${matches.join(' OR ')})`];
+  if (config.where) {
+    conditions.unshift(config.where);
+  }
+
+  return `
+    SELECT
+      '${type}' AS type,
+      ${config.id} AS id,
+      ${config.title} AS title,
+      ${config.subtitle} AS subtitle,
+      ${matchedField} AS matched_field,
+      ROUND(((${best}) + CASE WHEN ${config.document} @@ to_tsquery('simple', $2) THEN 1 ELSE 0 END)::numeric / 2, 4) AS score
+    FROM ${config.from}
+    WHERE ${conditions.join(' AND ')}`;
+}
+
+/**
+ * Build the ranked search query
+ * @param {Object} search - Parsed search from parseSearchParams
+ * @returns {Object} { text, values }
+ */
+function buildSearchQuery(search) {
+  const selects = search.types.map(typeSelect);
+  return {
+    text: `
+    SELECT type, id, title, subtitle, matched_field, score
+    FROM (${selects.join('\n    UNION ALL')}
+    ) hits
+    ORDER BY score DESC, type, id
+    LIMIT $3`,
+    values: [search.q, search.tsquery, search.limit]
+  };
+}
+
+/**
+ * Shape a result row as an API hit
+ */
+function toSearchHit(row) {
+  return {
+    type: row.type,
+    id: row.id,
+    title: row.title,
+    subtitle: row.subtitle,
+    matched_field: row.matched_field,
+    score: Number(row.score),
+    href: `${SEARCH_TYPES[row.type].path}/${row.id}`
+  };
+}
+
+module.exports = {
+  DEFAULT_LIMIT,
+  MAX_LIMIT,
+  WORD_SIMILARITY_THRESHOLD,
+  SEARCH_TYPES,
+  toPrefixTsquery,
+  parseSearchParams,
+  buildSearchQuery,
+  toSearchHit
+};
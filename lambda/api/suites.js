@@ -4,6 +4,8 @@
  */
 
 const db = require('./db');
+const { validateEntity } = require('./schemas/registry');
+const { LIST_FILTERS, compileFilter, createFilterErrorResponse } = require('./filters');
 
 /**
  * Lambda handler for suite endpoints
@@ -17,8 +19,10 @@ exports.handler = async (event) => {
   try {
     // Authorize request based on role and HTTP method
     const authResult = db.authorization.authorizeRequest(event);
+    const audit = db.audit.createAuditContext(authResult, correlationId);
     
     const { httpMethod, pathParameters, queryStringParameters, body } = event;
+    const ifMatch = db.concurrency.getIfMatch(event.headers);
     const suiteId = pathParameters?.id || pathParameters?.suiteId;
     
     let result;
@@ -33,7 +37,7 @@ exports.handler = async (event) => {
         break;
         
       case 'POST':
-        result = await createSuite(JSON.parse(body || '{}'));
+        result = await createSuite(JSON.parse(body || '{}'), audit);
         break;
         
       case 'PUT':
@@ -45,7 +49,7 @@ exports.handler = async (event) => {
             } 
           }, correlationId);
         }
-        result = await updateSuite(suiteId, JSON.parse(body || '{}'));
+        result = await updateSuite(suiteId, JSON.parse(body || '{}'), audit, ifMatch);
         break;
         
       case 'DELETE':
@@ -57,7 +61,7 @@ exports.handler = async (event) => {
             } 
           }, correlationId);
         }
-        result = await deleteSuite(suiteId);
+        result = await deleteSuite(suiteId, audit, ifMatch);
         break;
         
       default:
@@ -72,7 +76,7 @@ exports.handler = async (event) => {
     const duration = Date.now() - startTime;
     db.logger.logResponse(result.statusCode, correlationId, duration);
     
-    return createResponse(result.statusCode, result.body, correlationId);
+    return createResponse(result.statusCode, result.body, correlationId, result.headers);
     
   } catch (error) {
     db.logger.error('Suite API error', error);
@@ -105,6 +109,7 @@ async function getSuite(suiteId) {
       s.rsf,
       s.created_at,
       s.updated_at,
+      ${db.concurrency.etagColumn('s')},
       p.name as property_name,
       p.address as property_address
     FROM suite s
@@ -129,7 +134,8 @@ async function getSuite(suiteId) {
   
   return {
     statusCode: 200,
-    body: suite
+    headers: db.concurrency.etagHeader('suite', suite, 'suite_id'),
+    body: db.concurrency.omitETagSource(suite)
   };
 }
 
@@ -139,17 +145,18 @@ async function getSuite(suiteId) {
 async function listSuites(params) {
   const {
     property_id,
-    suite_code,
-    sort_by = 'suite_id',
-    sort_order = 'ASC',
-    limit = '50',
-    offset = '0'
+    suite_code
   } = params;
   
-  // Validate sort parameters
-  const allowedSortFields = ['suite_id', 'property_id', 'suite_code', 'rsf', 'created_at'];
-  const sortField = allowedSortFields.includes(sort_by) ? sort_by : 'suite_id';
-  const sortOrder = sort_order.toUpperCase() === 'DESC' ? 'DESC' : 'ASC';
+  // Validate pagination and sort parameters
+  const page = db.pagination.parsePageParams(params, {
+    sortFields: ['suite_id', 'property_id', 'suite_code', 'rsf', 'created_at'],
+    defaultSort: 'suite_id',
+    key: 'suite_id'
+  });
+  if (page.errors.length > 0) {
+    return db.pagination.createPageErrorResponse(page.errors);
+  }
   
   // Build WHERE clause
   const conditions = [];
@@ -168,20 +175,18 @@ async function listSuites(params) {
     paramCount++;
   }
   
-  const whereClause = conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
-  
-  // Get total count
-  const countQuery = `
-    SELECT COUNT(*) as total 
-    FROM suite s
-    ${whereClause}
-  `;
-  const countResult = await db.queryOne(countQuery, values);
-  const total = parseInt(countResult.total, 10);
+  // Filter expression (?filter=)
+  const filter = compileFilter(params.filter, LIST_FILTERS.suites, values.length + 1);
+  if (filter.errors.length > 0) {
+    return createFilterErrorResponse(filter.errors);
+  }
+  conditions.push(...filter.conditions);
+  values.push(...filter.values);
   
   // Get paginated results
-  const dataQuery = `
-    SELECT 
+  const suites = await db.pagination.fetchPage({
+    page,
+    select: `
       s.suite_id,
       s.property_id,
       s.suite_code,
@@ -189,35 +194,25 @@ async function listSuites(params) {
       s.created_at,
       s.updated_at,
       p.name as property_name,
-      p.address as property_address
-    FROM suite s
-    LEFT JOIN property p ON s.property_id = p.property_id
-    ${whereClause}
-    ORDER BY s.${sortField} ${sortOrder}
-    LIMIT $${paramCount} OFFSET $${paramCount + 1}
-  `;
-  
-  values.push(parseInt(limit, 10), parseInt(offset, 10));
-  const suites = await db.queryRows(dataQuery, values);
+      p.address as property_address`,
+    from: `suite s
+      LEFT JOIN property p ON s.property_id = p.property_id`,
+    countFrom: 'suite s',
+    alias: 's',
+    conditions,
+    values
+  });
   
   return {
     statusCode: 200,
-    body: {
-      data: suites,
-      pagination: {
-        total,
-        limit: parseInt(limit, 10),
-        offset: parseInt(offset, 10),
-        count: suites.length
-      }
-    }
+    body: suites
   };
 }
 
 /**
  * Create a new suite
  */
-async function createSuite(data) {
+async function createSuite(data, audit) {
   // Validate required fields
   const errors = await validateSuiteData(data, false);
   if (errors.length > 0) {
@@ -245,7 +240,8 @@ async function createSuite(data) {
       suite_code,
       rsf,
       created_at,
-      updated_at
+      updated_at,
+      ${db.concurrency.etagColumn()}
   `;
   
   const values = [
@@ -254,18 +250,22 @@ async function createSuite(data) {
     data.rsf || null
   ];
   
-  const suite = await db.queryOne(query, values);
+  const suite = await db.audit.withAudit(audit, { entity: 'suite', action: 'CREATE' }, async (client) => {
+    const result = await client.query(query, values);
+    return result.rows[0];
+  });
   
   return {
     statusCode: 201,
-    body: suite
+    headers: db.concurrency.etagHeader('suite', suite, 'suite_id'),
+    body: db.concurrency.omitETagSource(suite)
   };
 }
 
 /**
  * Update an existing suite
  */
-async function updateSuite(suiteId, data) {
+async function updateSuite(suiteId, data, audit, ifMatch) {
   // Check if suite exists
   const existingSuite = await db.queryOne(
     'SELECT suite_id FROM suite WHERE suite_id = $1',
@@ -344,21 +344,26 @@ async function updateSuite(suiteId, data) {
       suite_code,
       rsf,
       created_at,
-      updated_at
+      updated_at,
+      ${db.concurrency.etagColumn()}
   `;
   
-  const suite = await db.queryOne(query, values);
+  const suite = await db.audit.withAudit(audit, { entity: 'suite', action: 'UPDATE', entityId: suiteId, ifMatch }, async (client) => {
+    const result = await client.query(query, values);
+    return result.rows[0];
+  });
   
   return {
     statusCode: 200,
-    body: suite
+    headers: db.concurrency.etagHeader('suite', suite, 'suite_id'),
+    body: db.concurrency.omitETagSource(suite)
   };
 }
 
 /**
  * Delete a suite (hard delete)
  */
-async function deleteSuite(suiteId) {
+async function deleteSuite(suiteId, audit, ifMatch) {
   // Check if suite exists
   const existingSuite = await db.queryOne(
     'SELECT suite_id FROM suite WHERE suite_id = $1',
@@ -389,7 +394,10 @@ async function deleteSuite(suiteId) {
       rsf
   `;
   
-  const suite = await db.queryOne(query, [suiteId]);
+  const suite = await db.audit.withAudit(audit, { entity: 'suite', action: 'DELETE', entityId: suiteId, ifMatch }, async (client) => {
+    const result = await client.query(query, [suiteId]);
+    return result.rows[0];
+  });
   
   return {
     statusCode: 200,
@@ -404,69 +412,20 @@ async function deleteSuite(suiteId) {
  * Validate suite data
  */
 async function validateSuiteData(data, isUpdate = false, suiteId = null) {
-  const errors = [];
-  
-  // Required field validation (only for create)
-  if (!isUpdate) {
-    if (!data.property_id) {
-      errors.push({
-        field: 'property_id',
-        message: 'Property ID is required'
-      });
-    }
+  const errors = validateEntity('suite', data, { partial: isUpdate });
+  
+  // Validate that property exists
+  if (data.property_id !== undefined && data.property_id !== null && !errors.some(error => error.field === 'property_id')) {
+    const property = await db.queryOne(
+      'SELECT property_id FROM property WHERE property_id = $1',
+      [parseInt(data.property_id, 10)]
+    );
     
-    if (!data.suite_code) {
-      errors.push({
-        field: 'suite_code',
-        message: 'Suite code is required'
-      });
-    }
-  }
-  
-  // Type validation
-  if (data.property_id !== undefined) {
-    const propertyId = parseInt(data.property_id, 10);
-    if (isNaN(propertyId) || propertyId <= 0) {
+    if (!property) {
       errors.push({
         field: 'property_id',
-        message: 'Property ID must be a positive integer'
-      });
-    } else {
-      // Validate that property exists
-      const property = await db.queryOne(
-        'SELECT property_id FROM property WHERE property_id = $1',
-        [propertyId]
-      );
-      
-      if (!property) {
-        errors.push({
-          field: 'property_id',
-          message: 'Referenced property does not exist'
-        });
-      }
-    }
-  }
-  
-  if (data.suite_code !== undefined && typeof data.suite_code !== 'string') {
-    errors.push({
-      field: 'suite_code',
-      message: 'Suite code must be a string'
-    });
-  }
-  
-  if (data.suite_code !== undefined && data.suite_code.length > 50) {
-    errors.push({
-      field: 'suite_code',
-      message: 'Suite code must not exceed 50 characters'
-    });
-  }
-  
-  if (data.rsf !== undefined && data.rsf !== null) {
-    const rsf = parseInt(data.rsf, 10);
-    if (isNaN(rsf) || rsf < 0) {
-      errors.push({
-        field: 'rsf',
-        message: 'RSF must be a non-negative integer'
+        message: 'Referenced property does not exist',
+        rule: 'reference'
       });
     }
   }
@@ -504,6 +463,7 @@ async function validateSuiteData(data, isUpdate = false, suiteId = null) {
         errors.push({
           field: 'suite_code',
           message: 'Suite code already exists for this property',
+          rule: 'unique',
           constraint: 'uq_suite_property_code'
         });
       }
@@ -516,14 +476,16 @@ async function validateSuiteData(data, isUpdate = false, suiteId = null) {
 /**
  * Create HTTP response
  */
-function createResponse(statusCode, body, correlationId = null) {
+function createResponse(statusCode, body, correlationId = null, headers = {}) {
   const response = {
     statusCode,
     headers: {
       'Content-Type': 'application/json',
       'Access-Control-Allow-Origin': '*',
       'Access-Control-Allow-Methods': 'GET, POST, PUT, DELETE, OPTIONS',
-      'Access-Control-Allow-Headers': 'Content-Type, Authorization'
+      'Access-Control-Allow-Headers': 'Content-Type, Authorization, If-Match',
+      'Access-Control-Expose-Headers': 'ETag',
+      ...headers
     },
     body: JSON.stringify(body)
   };
@@ -4,7 +4,93 @@
  */
 
 const responseFormatter = require('../response-formatter');
-const { DatabaseError } = require('../db/errors');
+const { DatabaseError, ERROR_CODES, mapDatabaseError } = require('../db/errors');
+const { calculateStraightLine } = require('../calc/straight-line');
+const { calculateLeaseLiability, presentValue } = require('../calc/lease-liability');
+const { generateEscalatedSchedule } = require('../calc/escalation');
+const { calculateCpiResets, applyFloorAndCap } = require('../calc/cpi');
+const { calculateOpexReconciliation, grossUpExpenses } = require('../calc/opex-reconciliation');
+const { annualizedRent, optionsAdjustedExpiration, buildExpirationWaterfall } = require('../calc/expiration-waterfall');
+const { calculateOccupancy, findSuiteOverlaps, occupancySeries } = require('../calc/occupancy');
+const { forecastMonths, buildCashForecast } = require('../calc/cash-forecast');
+const dates = require('../calc/dates');
+const { parseRules, evaluateRules, DEFAULT_RULES } = require('../notifications/rules');
+const { createTransport } = require('../notifications/transports');
+const audit = require('../db/audit');
+const { validateAuditParams } = require('../audit');
+const { diffLeaseVersions, diffChildRows } = require('../versions/diff');
+const { normalizeCollections, clipDaterange, planCarryForward } = require('../versions/carry-forward');
+const { versionCoversDate, resolveVersionAsOf } = require('../versions/history');
+const { resolveExportFormat, describeExport, createExportResponse, normalizeValue } = require('../export');
+const { buildCsv } = require('../export/csv');
+const { buildXlsx, columnLetter } = require('../export/xlsx');
+const { crc32 } = require('../export/zip');
+const { layoutReport } = require('../export/report-layouts');
+const { parseCsv } = require('../imports/csv');
+const { resolveMapping, mapRecord, buildImportEntities } = require('../imports/mapping');
+const { validateJobRequest, toItemError, summarizeJob } = require('../batch/jobs');
+const {
+  BATCH_TYPES,
+  CHILD_ENTITIES,
+  validateLeaseData,
+  validateLeaseVersionData
+} = require('../batch/entities');
+const { ABSTRACT_SECTIONS, parseAbstract, buildAbstract } = require('../abstract/document');
+const { getSchema, listSchemas, validateEntity } = require('../schemas/registry');
+const { buildOpenApiDocument, errorCodesByStatus } = require('../openapi/document');
+const { SEARCH_TYPES, toPrefixTsquery, parseSearchParams, buildSearchQuery, toSearchHit } = require('../search/query');
+const pagination = require('../db/pagination');
+const { parseFilterExpression } = require('../filters/expression');
+const { LIST_FILTERS, TYPE_OPERATORS, compileFilter } = require('../filters');
+const { RESOURCE_FIELDSETS, parseFieldsetParams, applyFieldsets } = require('../fieldsets');
+const concurrency = require('../db/concurrency');
+const reports = require('../reports');
+const connection = require('../db/connection');
+const db = require('../db');
+const rentSchedules = require('../rent-schedules');
+
+// Handlers run against a fake connection; see mockDatabase
+jest.mock('../db/connection', () => ({
+  ...jest.requireActual('../db/connection'),
+  query: jest.fn(),
+  queryRows: jest.fn(),
+  queryOne: jest.fn(),
+  withTransaction: jest.fn()
+}));
+
+/**
+ * Answer handler queries with respond(sql, values), which returns the rows
+ * @returns {Array} Every statement run, as { sql, values }
+ */
+function mockDatabase(respond) {
+  const calls = [];
+  const run = async (sql, values = []) => {
+    calls.push({ sql, values });
+    const rows = (await respond(sql, values)) || [];
+    return { rows, rowCount: rows.length };
+  };
+  
+  connection.query.mockImplementation(run);
+  connection.queryRows.mockImplementation(async (sql, values) => (await run(sql, values)).rows);
+  connection.queryOne.mockImplementation(async (sql, values) => (await run(sql, values)).rows[0] || null);
+  connection.withTransaction.mockImplementation(async (callback) => callback({ query: run }));
+  return calls;
+}
+
+/**
+ * Build an API Gateway event for a handler
+ */
+function apiEvent(httpMethod, path, options = {}) {
+  return {
+    httpMethod,
+    path,
+    pathParameters: options.pathParameters || null,
+    queryStringParameters: options.query || null,
+    headers: options.headers || {},
+    body: options.body ? JSON.stringify(options.body) : null,
+    requestContext: { authorizer: { role: options.role || 'lease_app_rw' } }
+  };
+}
 
 describe('Response Formatter Unit Tests', () => {
   
@@ -337,3 +423,2496 @@ describe('Event Helper Unit Tests', () => {
     expect(event.pathParameters.id).toBe('123');
   });
 });
+
+describe('Date Utility Unit Tests', () => {
+  
+  test('Parses inclusive and exclusive daterange bounds', () => {
+    const range = dates.parseDaterange('[2024-01-01,2024-12-31]');
+    
+    expect(dates.formatDate(range.start)).toBe('2024-01-01');
+    expect(dates.formatDate(range.end)).toBe('2025-01-01');
+  });
+  
+  test('Returns null for invalid daterange', () => {
+    expect(dates.parseDaterange('2024-01-01 to 2025-01-01')).toBeNull();
+    expect(dates.parseDaterange('[2024-02-30,2025-01-01)')).toBeNull();
+  });
+  
+  test('Clamps addMonths to end of month', () => {
+    const result = dates.addMonths(dates.parseDate('2024-01-31'), 1);
+    
+    expect(dates.formatDate(result)).toBe('2024-02-29');
+  });
+  
+  test('Counts months between dates', () => {
+    expect(dates.monthsBetween(dates.parseDate('2024-01-01'), dates.parseDate('2027-01-01'))).toBe(36);
+  });
+});
+
+describe('Straight-Line Rent Unit Tests', () => {
+  
+  const version = {
+    lease_version_id: 1,
+    effective_daterange: '[2024-01-01,2027-01-01)',
+    term_months: 36,
+    premises_rsf: 10000
+  };
+  
+  const escalatingRent = [
+    { period_daterange: '[2024-01-01,2025-01-01)', amount: '10000.00', basis: 'MONTH' },
+    { period_daterange: '[2025-01-01,2026-01-01)', amount: '10300.00', basis: 'MONTH' },
+    { period_daterange: '[2026-01-01,2027-01-01)', amount: '10609.00', basis: 'MONTH' }
+  ];
+  
+  test('Flat rent has no deferred rent', () => {
+    const result = calculateStraightLine(version, [
+      { period_daterange: '[2024-01-01,2027-01-01)', amount: '120000.00', basis: 'YEAR' }
+    ]);
+    
+    expect(result.total_contractual_rent).toBe(360000);
+    expect(result.straight_line_monthly).toBe(10000);
+    expect(result.schedule.every(row => row.deferred_rent_balance === 0)).toBe(true);
+  });
+  
+  test('Escalating rent with free rent spreads net rent evenly', () => {
+    const result = calculateStraightLine(version, escalatingRent, [
+      { kind: 'FREE_RENT', value_amount: null, value_basis: null, applies_daterange: '[2024-01-01,2024-03-01)' }
+    ]);
+    
+    expect(result.total_contractual_rent).toBe(370908);
+    expect(result.total_free_rent).toBe(20000);
+    expect(result.net_rent).toBe(350908);
+    expect(result.schedule.length).toBe(36);
+    expect(result.schedule[0].cash_rent).toBe(0);
+    expect(result.schedule[0].deferred_rent_balance).toBe(result.straight_line_monthly);
+    
+    const recognized = result.schedule.reduce((sum, row) => sum + row.straight_line_rent, 0);
+    expect(dates.roundCurrency(recognized)).toBe(350908);
+    expect(result.schedule[35].deferred_rent_balance).toBe(0);
+  });
+  
+  test('Ignores non free rent concessions', () => {
+    const result = calculateStraightLine(version, escalatingRent, [
+      { kind: 'TI_ALLOWANCE', value_amount: '50000.00', value_basis: 'TOTAL', applies_daterange: null }
+    ]);
+    
+    expect(result.total_free_rent).toBe(0);
+  });
+  
+  test('Nets undated PER_SF free rent as a lump sum', () => {
+    const result = calculateStraightLine(version, escalatingRent, [
+      { kind: 'FREE_RENT', value_amount: '1.50', value_basis: 'PER_SF', applies_daterange: null }
+    ]);
+    
+    expect(result.total_free_rent).toBe(15000);
+    expect(result.schedule[0].cash_rent).toBe(-5000);
+  });
+  
+  test('Derives term from effective date range', () => {
+    const result = calculateStraightLine(
+      { ...version, term_months: null },
+      escalatingRent
+    );
+    
+    expect(result.term_months).toBe(36);
+  });
+  
+  test('Reports deferred balance as of a date', () => {
+    const result = calculateStraightLine(version, escalatingRent, [], { asOf: '2024-06-15' });
+    
+    expect(result.as_of).toBe('2024-06-15');
+    expect(result.deferred_rent_balance_as_of).toBe(result.schedule[5].deferred_rent_balance);
+  });
+  
+  test('Throws without an effective start date', () => {
+    expect(() => calculateStraightLine({ effective_daterange: null }, [])).toThrow();
+  });
+  
+  test('Report rejects an impossible as_of date', async () => {
+    const response = await reports.handler({
+      httpMethod: 'GET',
+      path: '/reports/straight-line',
+      queryStringParameters: { as_of: '2025-02-30' },
+      requestContext: { authorizer: { role: 'analyst_ro' } }
+    });
+    
+    expect(response.statusCode).toBe(400);
+    expect(JSON.parse(response.body).error.details).toEqual([
+      { field: 'as_of', message: 'Date must be in YYYY-MM-DD format' }
+    ]);
+  });
+});
+
+describe('Lease Liability Unit Tests', () => {
+  
+  const version = {
+    lease_version_id: 1,
+    effective_daterange: '[2024-01-01,2025-01-01)',
+    term_months: 12
+  };
+  
+  const flatRent = [
+    { period_daterange: '[2024-01-01,2025-01-01)', amount: '1000.00', basis: 'MONTH' }
+  ];
+  
+  test('Present value with zero rate equals total payments', () => {
+    expect(presentValue([100, 100, 100], 0)).toBe(300);
+  });
+  
+  test('Payments in advance discount less than payments in arrears', () => {
+    const advance = presentValue([100, 100, 100], 0.01, 'ADVANCE');
+    const arrears = presentValue([100, 100, 100], 0.01, 'ARREARS');
+    
+    expect(advance).toBeGreaterThan(arrears);
+  });
+  
+  test('Liability amortizes to zero over the term', () => {
+    const result = calculateLeaseLiability(version, flatRent, [], { discountRate: 6 });
+    
+    expect(result.initial_lease_liability).toBeLessThan(12000);
+    expect(result.schedule.length).toBe(12);
+    expect(result.schedule[11].liability_closing).toBe(0);
+    expect(result.schedule[11].rou_closing).toBe(0);
+    expect(result.total_lease_cost).toBe(12000);
+  });
+  
+  test('Operating lease cost is straight-line', () => {
+    const result = calculateLeaseLiability(version, flatRent, [], { discountRate: 6 });
+    
+    expect(result.schedule.slice(0, 11).every(row => row.lease_cost === 1000)).toBe(true);
+  });
+  
+  test('Finance lease amortizes ROU asset straight-line', () => {
+    const result = calculateLeaseLiability(version, flatRent, [], {
+      discountRate: 6,
+      classification: 'FINANCE'
+    });
+    
+    const amortization = result.schedule[0].rou_amortization;
+    expect(result.schedule.slice(0, 11).every(row => row.rou_amortization === amortization)).toBe(true);
+    expect(result.schedule[0].lease_cost).toBeGreaterThan(result.schedule[10].lease_cost);
+  });
+  
+  test('Initial direct costs and incentives adjust ROU asset', () => {
+    const result = calculateLeaseLiability(version, flatRent, [], {
+      discountRate: 6,
+      initialDirectCosts: 500,
+      leaseIncentives: 200
+    });
+    
+    expect(result.initial_rou_asset).toBe(dates.roundCurrency(result.initial_lease_liability + 300));
+  });
+  
+  test('Rejects invalid discount rate', () => {
+    expect(() => calculateLeaseLiability(version, flatRent, [], { discountRate: 'abc' })).toThrow();
+  });
+});
+
+describe('Rent Escalation Unit Tests', () => {
+  
+  test('Percent steps compound annually', () => {
+    const periods = generateEscalatedSchedule({
+      startDate: '2024-01-01',
+      endDate: '2027-01-01',
+      startingAmount: 1000,
+      basis: 'MONTH',
+      stepType: 'PERCENT',
+      stepValue: 3
+    });
+    
+    expect(periods.map(p => p.period_daterange)).toEqual([
+      '[2024-01-01,2025-01-01)',
+      '[2025-01-01,2026-01-01)',
+      '[2026-01-01,2027-01-01)'
+    ]);
+    expect(periods.map(p => p.amount)).toEqual([1000, 1030, 1060.9]);
+  });
+  
+  test('Per-RSF steps convert to the schedule basis', () => {
+    const periods = generateEscalatedSchedule({
+      startDate: '2024-01-01',
+      endDate: '2026-01-01',
+      startingAmount: 10000,
+      basis: 'MONTH',
+      stepType: 'PER_RSF',
+      stepValue: 1.2,
+      premisesRsf: 5000
+    });
+    
+    expect(periods[1].amount).toBe(10500);
+  });
+  
+  test('Final period is truncated to the end date', () => {
+    const periods = generateEscalatedSchedule({
+      startDate: '2024-01-01',
+      endDate: '2025-07-01',
+      startingAmount: 1000,
+      basis: 'YEAR',
+      stepType: 'PERCENT',
+      stepValue: 2
+    });
+    
+    expect(periods.length).toBe(2);
+    expect(periods[1].period_daterange).toBe('[2025-01-01,2025-07-01)');
+  });
+  
+  test('Requires premises RSF for per-RSF steps', () => {
+    expect(() => generateEscalatedSchedule({
+      startDate: '2024-01-01',
+      endDate: '2025-01-01',
+      startingAmount: 1000,
+      basis: 'MONTH',
+      stepType: 'PER_RSF',
+      stepValue: 1
+    })).toThrow();
+  });
+  
+  test('Replacing existing rent keeps the part of a straddling period outside the window', async () => {
+    let nextRentId = 20;
+    const calls = mockDatabase((sql, values) => {
+      if (sql.includes('FROM lease_version')) {
+        return [{ lease_version_id: 1, effective_daterange: '[2020-01-01,2030-01-01)', premises_rsf: 5000, escalation_method: 'FIXED' }];
+      }
+      if (sql.includes('FROM rent_schedule')) {
+        return [{ rent_id: 7, period_daterange: '[2020-01-01,2030-01-01)', amount: '9000.00', basis: 'MONTH' }];
+      }
+      if (sql.includes('INSERT INTO rent_schedule')) {
+        return [{ rent_id: nextRentId++, lease_version_id: values[0], period_daterange: values[1], amount: values[2], basis: values[3] }];
+      }
+      if (sql.includes('INSERT INTO audit_log')) return [{ audit_id: 1 }];
+      return [];
+    });
+    
+    const response = await rentSchedules.handler(apiEvent('POST', '/rent-schedules/generate', {
+      body: {
+        lease_version_id: 1,
+        start_date: '2025-01-01',
+        end_date: '2026-01-01',
+        starting_amount: 10000,
+        basis: 'MONTH',
+        step_type: 'PERCENT',
+        step_value: 3,
+        replace_existing: true
+      }
+    }));
+    const body = JSON.parse(response.body);
+    
+    expect(response.statusCode).toBe(201);
+    expect(body.periods.map(period => period.period_daterange)).toEqual(['[2025-01-01,2026-01-01)']);
+    expect(body.deleted_rent_ids).toEqual([]);
+    expect(body.trimmed_rent_ids).toEqual([7, 20]);
+    expect(calls.some(call => call.sql.includes('DELETE FROM rent_schedule'))).toBe(false);
+    // 2020-2024 stays on the row, 2026-2029 moves to a new row with the same rent
+    expect(calls.find(call => call.sql.includes('UPDATE rent_schedule')).values).toEqual(['[2020-01-01,2025-01-01)', 7]);
+    expect(calls.find(call => call.sql.includes('INSERT INTO rent_schedule')).values).toEqual([1, '[2026-01-01,2030-01-01)', '9000.00', 'MONTH']);
+  });
+});
+
+describe('CPI Reset Unit Tests', () => {
+  
+  const version = {
+    lease_version_id: 1,
+    effective_daterange: '[2022-01-01,2025-01-01)',
+    term_months: 36,
+    escalation_method: 'CPI',
+    cpi_series_id: 'CUUR0000SA0',
+    cpi_lag_months: 2,
+    cpi_floor_pct: '2.0000',
+    cpi_cap_pct: '5.0000'
+  };
+  
+  const rents = [
+    { rent_id: 7, period_daterange: '[2022-01-01,2025-01-01)', amount: '10000.00', basis: 'MONTH' }
+  ];
+  
+  const index = [
+    { series_id: 'CUUR0000SA0', period: '2021-11-01', value: '277.948' },
+    { series_id: 'CUUR0000SA0', period: '2022-11-01', value: '297.711' },
+    { series_id: 'CUUR0000SA0', period: '2023-11-01', value: '307.051' }
+  ];
+  
+  test('Floor and cap bound the applied change', () => {
+    expect(applyFloorAndCap(7.1, 2, 5)).toBe(5);
+    expect(applyFloorAndCap(0.5, 2, 5)).toBe(2);
+    expect(applyFloorAndCap(3.1, null, null)).toBe(3.1);
+  });
+  
+  test('Resets compound year over year using lagged index months', () => {
+    const result = calculateCpiResets(version, rents, index);
+    
+    expect(result.base_index_month).toBe('2021-11-01');
+    expect(result.resets.length).toBe(2);
+    expect(result.resets[0].index_month).toBe('2022-11-01');
+    expect(result.resets[0].applied_change_pct).toBe(5);
+    expect(result.resets[0].adjusted_amount).toBe(10500);
+    expect(result.resets[1].prior_index_month).toBe('2022-11-01');
+    expect(result.resets[1].adjusted_amount).toBe(10829.41);
+  });
+  
+  test('Proposed periods cover the full term', () => {
+    const result = calculateCpiResets(version, rents, index);
+    
+    expect(result.proposed_periods.map(p => p.period_daterange)).toEqual([
+      '[2022-01-01,2023-01-01)',
+      '[2023-01-01,2024-01-01)',
+      '[2024-01-01,2025-01-01)'
+    ]);
+  });
+  
+  test('Missing index marks the reset and later resets pending', () => {
+    const result = calculateCpiResets(version, rents, index.slice(0, 2));
+    
+    expect(result.resets[0].status).toBe('CALCULATED');
+    expect(result.resets[1].status).toBe('PENDING_INDEX');
+    expect(result.resets[1].adjusted_amount).toBeNull();
+    expect(result.proposed_periods.length).toBe(2);
+  });
+  
+  test('Reset already in the schedule is reported as applied', () => {
+    const applied = [
+      { rent_id: 7, period_daterange: '[2022-01-01,2023-01-01)', amount: '10000.00', basis: 'MONTH' },
+      { rent_id: 8, period_daterange: '[2023-01-01,2024-01-01)', amount: '10500.00', basis: 'MONTH' }
+    ];
+    const result = calculateCpiResets(version, applied, index);
+    
+    expect(result.resets[0].status).toBe('APPLIED');
+    expect(result.resets[0].existing_rent_id).toBe(8);
+  });
+  
+  test('Next reset is selected relative to as-of date', () => {
+    const result = calculateCpiResets(version, rents, index, { asOf: '2023-06-01' });
+    
+    expect(result.next_reset.reset_date).toBe('2024-01-01');
+  });
+  
+  test('Requires a CPI series', () => {
+    expect(() => calculateCpiResets({ ...version, cpi_series_id: null }, rents, index)).toThrow();
+  });
+  
+  // 2023 reset has its index; the 2024 index month is not published yet
+  const respondCpi = (sql, values) => {
+    if (sql.includes('FROM lease_version')) return [version];
+    if (sql.includes('FROM rent_schedule')) return rents;
+    if (sql.includes('FROM cpi_index')) return index.slice(0, 2);
+    if (sql.includes('INSERT INTO rent_schedule')) {
+      return [{ rent_id: 9, lease_version_id: values[0], period_daterange: values[1], amount: values[2], basis: values[3] }];
+    }
+    if (sql.includes('INSERT INTO audit_log')) return [{ audit_id: 1 }];
+    return [];
+  };
+  
+  test('Accepting without reset_dates skips resets still pending an index', async () => {
+    const calls = mockDatabase(respondCpi);
+    
+    const response = await rentSchedules.handler(apiEvent('POST', '/rent-schedules/cpi-resets', {
+      body: { lease_version_id: 1 }
+    }));
+    const body = JSON.parse(response.body);
+    
+    expect(response.statusCode).toBe(201);
+    expect(body.created.map(row => row.period_daterange)).toEqual(['[2023-01-01,2024-01-01)']);
+    expect(calls.filter(call => call.sql.includes('INSERT INTO rent_schedule'))
+      .every(call => call.values[2] !== null)).toBe(true);
+  });
+  
+  test('Accepting an explicit reset date pending an index is rejected', async () => {
+    mockDatabase(respondCpi);
+    
+    const response = await rentSchedules.handler(apiEvent('POST', '/rent-schedules/cpi-resets', {
+      body: { lease_version_id: 1, reset_dates: ['2024-01-01'], dry_run: true }
+    }));
+    
+    expect(response.statusCode).toBe(400);
+    expect(JSON.parse(response.body).error.details[0].value).toBe('2024-01-01');
+  });
+});
+
+describe('OpEx Reconciliation Unit Tests', () => {
+  
+  const version = {
+    premises_rsf: 10000,
+    base_year: 2023,
+    effective_daterange: '[2023-01-01,2028-01-01)'
+  };
+  
+  const actuals = {
+    expense_year: 2024,
+    occupancy_pct: '80.00',
+    expenses: [
+      { category: 'CAM', amount: '400000.00', is_variable: true },
+      { category: 'REAL_ESTATE_TAX', amount: '600000.00', is_variable: false }
+    ]
+  };
+  
+  const baseYearActuals = {
+    expense_year: 2023,
+    occupancy_pct: '95.00',
+    expenses: [
+      { category: 'CAM', amount: '380000.00', is_variable: true },
+      { category: 'REAL_ESTATE_TAX', amount: '580000.00', is_variable: false }
+    ]
+  };
+  
+  test('Grosses up only variable expenses below the gross-up occupancy', () => {
+    const result = grossUpExpenses(actuals.expenses, 80, 95);
+    
+    expect(result.gross_up_factor).toBe(1.1875);
+    expect(result.grossed_up_total).toBe(1075000);
+    expect(grossUpExpenses(actuals.expenses, 97, 95).grossed_up_total).toBe(1000000);
+  });
+  
+  test('NNN recovers the pro-rata share of all expenses', () => {
+    const result = calculateOpexReconciliation({
+      opex: { method: 'NNN', gross_up_pct: null },
+      version,
+      propertyRsf: 100000,
+      actuals,
+      estimatesPaid: '90000.00'
+    });
+    
+    expect(result.pro_rata_share_pct).toBe(10);
+    expect(result.tenant_amount).toBe(100000);
+    expect(result.balance_due).toBe(10000);
+  });
+  
+  test('Base year recovers the share of the increase over the base year', () => {
+    const result = calculateOpexReconciliation({
+      opex: { method: 'BASE_YEAR', gross_up_pct: '95.00' },
+      version,
+      propertyRsf: 100000,
+      actuals,
+      baseYearActuals,
+      estimatesPaid: '5000.00'
+    });
+    
+    expect(result.base_year_expenses).toBe(960000);
+    expect(result.tenant_amount).toBe(11500);
+    expect(result.balance_due).toBe(6500);
+  });
+  
+  test('Expense stop deducts the stop from the tenant share', () => {
+    const result = calculateOpexReconciliation({
+      opex: { method: 'EXPENSE_STOP', stop_amount: '95000.00', gross_up_pct: null },
+      version,
+      propertyRsf: 100000,
+      actuals,
+      estimatesPaid: '8000.00'
+    });
+    
+    expect(result.tenant_amount).toBe(5000);
+    expect(result.balance_due).toBe(-3000);
+  });
+  
+  test('Partial-year leases are prorated', () => {
+    const result = calculateOpexReconciliation({
+      opex: { method: 'NNN' },
+      version: { ...version, effective_daterange: '[2024-07-01,2029-07-01)' },
+      propertyRsf: 100000,
+      actuals
+    });
+    
+    expect(result.occupancy_fraction).toBeCloseTo(184 / 366, 4);
+  });
+  
+  test('Base year method requires base year actuals', () => {
+    expect(() => calculateOpexReconciliation({
+      opex: { method: 'BASE_YEAR' },
+      version,
+      propertyRsf: 100000,
+      actuals
+    })).toThrow();
+  });
+  
+  test('Deleting a pass-through with estimates returns 409 and deletes nothing', async () => {
+    const fs = require('fs');
+    const path = require('path');
+    const migration = fs.readFileSync(path.join(__dirname, '../../../schema/migrations/V008__create_opex_actuals_and_estimates.sql'), 'utf-8');
+    expect(migration).not.toMatch(/ON DELETE CASCADE/);
+    
+    const calls = mockDatabase((sql) => {
+      if (sql.includes('DELETE FROM opex_pass_through')) {
+        throw Object.assign(new Error('update or delete violates foreign key constraint'), {
+          code: '23503',
+          constraint: 'fk_opex_estimate_opex'
+        });
+      }
+      if (sql.includes('to_jsonb(t)')) return [{ row: { opex_id: 3, updated_at: '2025-03-01T10:00:00.5' } }];
+      if (sql.includes('FROM opex_pass_through')) return [{ opex_id: 3 }];
+      return [];
+    });
+    
+    const response = await require('../opex-pass-throughs').handler(apiEvent('DELETE', '/opex-pass-throughs/3', {
+      pathParameters: { id: '3' }
+    }));
+    
+    expect(response.statusCode).toBe(409);
+    expect(JSON.parse(response.body).error).toEqual(expect.objectContaining({
+      code: 'CONFLICT',
+      details: [{ field: 'opex_id', value: '3', dependent: 'opex_estimate' }]
+    }));
+    expect(calls.some(call => call.sql.includes('INSERT INTO audit_log'))).toBe(false);
+  });
+});
+
+describe('Notification Rules Unit Tests', () => {
+  
+  const rules = parseRules(DEFAULT_RULES);
+  
+  const criticalDates = [
+    { crit_id: 1, lease_id: 10, kind: 'NOTICE', date_value: '2025-04-15', master_lease_num: 'L-001' },
+    { crit_id: 2, lease_id: 10, kind: 'EXPIRATION', date_value: '2025-04-15', master_lease_num: 'L-001' },
+    { crit_id: 3, lease_id: 11, kind: 'NOTICE', date_value: '2024-12-31', master_lease_num: 'L-002' }
+  ];
+  
+  const options = [
+    { option_id: 5, lease_id: 10, option_type: 'RENEWAL', window_start: '2025-02-01', exercised: false },
+    { option_id: 6, lease_id: 11, option_type: 'RENEWAL', window_start: '2025-02-01', exercised: true },
+    { option_id: 7, lease_id: 12, option_type: 'TERMINATION', window_start: '2025-02-01', exercised: false }
+  ];
+  
+  test('parseRules sorts thresholds and rejects invalid rules', () => {
+    const parsed = parseRules('[{"rule_id":"r1","source_type":"OPTION","days_before":[30,180,90,30]}]');
+    expect(parsed[0].days_before).toEqual([180, 90, 30]);
+    
+    expect(() => parseRules([])).toThrow();
+    expect(() => parseRules([{ rule_id: 'r1', source_type: 'LEASE', days_before: [30] }])).toThrow();
+    expect(() => parseRules([{ rule_id: 'r1', source_type: 'OPTION', days_before: [] }])).toThrow();
+    expect(() => parseRules([
+      { rule_id: 'r1', source_type: 'OPTION', days_before: [30] },
+      { rule_id: 'r1', source_type: 'CRITICAL_DATE', days_before: [30] }
+    ])).toThrow();
+  });
+  
+  test('Only the closest due threshold is emitted', () => {
+    const reminders = evaluateRules({ rules, criticalDates, options: [], today: '2025-01-15' });
+    
+    expect(reminders).toHaveLength(1);
+    expect(reminders[0].source_id).toBe(1);
+    expect(reminders[0].days_before).toBe(90);
+    expect(reminders[0].days_until).toBe(90);
+    expect(reminders[0].dedupe_key).toBe('notice-critical-date:CRITICAL_DATE:1:2025-04-15:90');
+  });
+  
+  test('Nothing is due before the first threshold', () => {
+    const reminders = evaluateRules({ rules, criticalDates, options: [], today: '2024-10-01' });
+    
+    expect(reminders.map(r => r.source_id)).toEqual([3]);
+    expect(reminders[0].days_before).toBe(180);
+  });
+  
+  test('Past events are skipped', () => {
+    const reminders = evaluateRules({ rules, criticalDates, options: [], today: '2025-01-02' });
+    
+    expect(reminders.map(r => r.source_id)).toEqual([1]);
+  });
+  
+  test('Only unexercised options of the rule type match', () => {
+    const reminders = evaluateRules({ rules, criticalDates: [], options, today: '2025-01-15' });
+    
+    expect(reminders).toHaveLength(1);
+    expect(reminders[0].source_type).toBe('OPTION');
+    expect(reminders[0].source_id).toBe(5);
+    expect(reminders[0].days_before).toBe(30);
+    expect(reminders[0].subject).toContain('RENEWAL option window opens');
+  });
+});
+
+describe('Notification Transports Unit Tests', () => {
+  
+  const fs = require('fs');
+  const os = require('os');
+  const path = require('path');
+  
+  test('File transport appends JSON lines', async () => {
+    const filePath = path.join(os.tmpdir(), `lease-notifications-test-${process.pid}.jsonl`);
+    const transport = createTransport({ type: 'file', filePath });
+    
+    try {
+      const { message_id } = await transport.send({ dedupe_key: 'k1', subject: 'Test', message: 'Body' });
+      await transport.send({ dedupe_key: 'k2', subject: 'Test', message: 'Body' });
+      
+      const lines = fs.readFileSync(filePath, 'utf-8').trim().split('\n').map(line => JSON.parse(line));
+      expect(lines).toHaveLength(2);
+      expect(lines[0].message_id).toBe(message_id);
+      expect(lines[1].dedupe_key).toBe('k2');
+    } finally {
+      fs.rmSync(filePath, { force: true });
+    }
+  });
+  
+  test('Rejects unknown transports and missing configuration', () => {
+    expect(() => createTransport({ type: 'pigeon' })).toThrow();
+    expect(() => createTransport({ type: 'sns' })).toThrow();
+    expect(() => createTransport({ type: 'ses' })).toThrow();
+  });
+});
+
+describe('Audit Trail Unit Tests', () => {
+  
+  // Minimal transaction client that answers snapshot and lease lookups
+  function createFakeClient(rows) {
+    const calls = [];
+    return {
+      calls,
+      async query(sql, params) {
+        calls.push({ sql, params });
+        if (sql.includes('to_jsonb')) {
+          return { rows: rows.snapshot ? [{ row: rows.snapshot }] : [] };
+        }
+        if (sql.includes('FROM lease_version')) {
+          return { rows: [{ lease_id: rows.leaseId }] };
+        }
+        if (sql.includes('INSERT INTO audit_log')) {
+          return { rows: [{ audit_id: 1 }] };
+        }
+        return { rows: [] };
+      }
+    };
+  }
+  
+  const context = audit.createAuditContext(
+    { principal: 'arn:aws:iam::123456789012:role/lease_app_rw', role: 'lease_app_rw' },
+    'corr-1'
+  );
+  
+  test('Records principal, snapshots and lease resolved through the lease version', async () => {
+    const client = createFakeClient({ snapshot: { rent_id: 5, lease_version_id: 3, amount: '2000.00' }, leaseId: 9 });
+    
+    await audit.recordAudit(client, context, {
+      entity: 'rent_schedule',
+      entityId: 5,
+      action: 'UPDATE',
+      before: { rent_id: 5, lease_version_id: 3, amount: '1000.00' }
+    });
+    
+    const insert = client.calls.find(call => call.sql.includes('INSERT INTO audit_log'));
+    expect(insert.params[0]).toBe('arn:aws:iam::123456789012:role/lease_app_rw');
+    expect(insert.params[1]).toBe('lease_app_rw');
+    expect(insert.params[2]).toBe('rent_schedule');
+    expect(insert.params[3]).toBe('5');
+    expect(insert.params[4]).toBe(9);
+    expect(insert.params[5]).toBe('UPDATE');
+    expect(JSON.parse(insert.params[6]).amount).toBe('1000.00');
+    expect(JSON.parse(insert.params[7]).amount).toBe('2000.00');
+    expect(insert.params[8]).toBe('corr-1');
+  });
+  
+  test('Hard deletes have no after snapshot', async () => {
+    const client = createFakeClient({ snapshot: null });
+    
+    await audit.recordAudit(client, context, {
+      entity: 'critical_date',
+      entityId: 4,
+      action: 'DELETE',
+      before: { crit_id: 4, lease_id: 2 }
+    });
+    
+    const insert = client.calls.find(call => call.sql.includes('INSERT INTO audit_log'));
+    expect(insert.params[4]).toBe(2);
+    expect(insert.params[7]).toBeNull();
+  });
+  
+  test('Rejects unknown actions and entities', async () => {
+    const client = createFakeClient({});
+    await expect(audit.recordAudit(client, context, { entity: 'lease', entityId: 1, action: 'MERGE' })).rejects.toThrow();
+    await expect(audit.snapshot(client, 'lease; DROP TABLE lease', 1)).rejects.toThrow();
+  });
+  
+  test('Validates audit query parameters', () => {
+    expect(validateAuditParams({ entity: 'lease', action: 'update', from: '2024-01-01', to: '2024-12-31' })).toEqual([]);
+    
+    const fields = validateAuditParams({ entity: 'widget', action: 'MERGE', from: '2024-13-01', limit: '0' })
+      .map(error => error.field);
+    expect(fields).toEqual(expect.arrayContaining(['entity', 'action', 'from', 'limit']));
+    
+    expect(validateAuditParams({ from: '2024-06-01', to: '2024-01-01' }).map(error => error.field)).toEqual(['to']);
+  });
+});
+
+describe('Lease Version Diff Unit Tests', () => {
+  
+  const fromVersion = {
+    lease_version_id: 3,
+    version_num: 1,
+    effective_daterange: '[2024-01-01,2029-01-01)',
+    suite_id: 4,
+    suite_code: '400',
+    premises_rsf: 10000,
+    term_months: 60,
+    escalation_method: 'FIXED',
+    discount_rate: '5.2500',
+    notes: null
+  };
+  
+  test('Reports changed version fields only', () => {
+    const toVersion = { ...fromVersion, lease_version_id: 7, version_num: 2, premises_rsf: 12500, notes: 'Expansion' };
+    const { fields, summary } = diffLeaseVersions(fromVersion, toVersion);
+    
+    expect(fields).toEqual([
+      { field: 'premises_rsf', from: 10000, to: 12500 },
+      { field: 'notes', from: null, to: 'Expansion' }
+    ]);
+    expect(summary.fields_changed).toBe(2);
+    expect(summary.identical).toBe(false);
+  });
+  
+  test('Matches rent rows on period and reports added, removed and changed rows', () => {
+    const fromRows = [
+      { rent_id: 1, period_daterange: '[2024-01-01,2025-01-01)', amount: '25000.00', basis: 'MONTH' },
+      { rent_id: 2, period_daterange: '[2025-01-01,2026-01-01)', amount: '25750.00', basis: 'MONTH' },
+      { rent_id: 3, period_daterange: '[2026-01-01,2027-01-01)', amount: '26500.00', basis: 'MONTH' }
+    ];
+    const toRows = [
+      { rent_id: 11, period_daterange: '[2025-01-01,2026-01-01)', amount: '25750.00', basis: 'MONTH' },
+      { rent_id: 12, period_daterange: '[2026-01-01,2027-01-01)', amount: '28000.00', basis: 'MONTH' },
+      { rent_id: 13, period_daterange: '[2027-01-01,2028-01-01)', amount: '28840.00', basis: 'MONTH' }
+    ];
+    
+    const result = diffChildRows('rent_schedule', fromRows, toRows);
+    
+    expect(result.unchanged).toBe(1);
+    expect(result.added.map(row => row.rent_id)).toEqual([13]);
+    expect(result.removed.map(row => row.rent_id)).toEqual([1]);
+    expect(result.changed).toEqual([{
+      key: { period_daterange: '[2026-01-01,2027-01-01)' },
+      from_id: 3,
+      to_id: 12,
+      changes: [{ field: 'amount', from: '26500.00', to: '28000.00' }]
+    }]);
+  });
+  
+  test('Options with a moved window are removed and added', () => {
+    const result = diffChildRows(
+      'option',
+      [{ option_id: 1, option_type: 'RENEWAL', window_daterange: '[2028-01-01,2028-07-01)', exercised: false }],
+      [{ option_id: 2, option_type: 'RENEWAL', window_daterange: '[2030-01-01,2030-07-01)', exercised: false }]
+    );
+    
+    expect(result.added).toHaveLength(1);
+    expect(result.removed).toHaveLength(1);
+    expect(result.changed).toHaveLength(0);
+  });
+  
+  test('Identical versions with identical children', () => {
+    const children = {
+      opex_pass_through: [{ opex_id: 1, method: 'NNN', stop_amount: null, gross_up_pct: '95.00', notes: null }]
+    };
+    const { summary, children: childDiff } = diffLeaseVersions(fromVersion, { ...fromVersion }, children, children);
+    
+    expect(summary.identical).toBe(true);
+    expect(childDiff.opex_pass_through.unchanged).toBe(1);
+    expect(childDiff.rent_schedule).toEqual({ added: [], removed: [], changed: [], unchanged: 0 });
+  });
+});
+
+describe('Lease Version Carry-Forward Unit Tests', () => {
+  
+  const children = {
+    rent_schedule: [
+      { rent_id: 1, period_daterange: '[2027-01-01,2028-01-01)', amount: '25000.00', basis: 'MONTH' },
+      { rent_id: 2, period_daterange: '[2028-01-01,2030-01-01)', amount: '26000.00', basis: 'MONTH' },
+      { rent_id: 3, period_daterange: '[2030-01-01,2031-01-01)', amount: '27000.00', basis: 'MONTH' }
+    ],
+    concession: [
+      { concession_id: 9, kind: 'TI_ALLOWANCE', value_amount: '50000.00', value_basis: 'TOTAL', applies_daterange: null, notes: null }
+    ]
+  };
+  
+  test('Normalizes the carry_forward value', () => {
+    expect(normalizeCollections(true)).toEqual(['rent_schedule', 'option', 'concession', 'opex_pass_through']);
+    expect(normalizeCollections(undefined)).toEqual([]);
+    expect(normalizeCollections(['OPTION', 'option'])).toEqual(['option']);
+    expect(normalizeCollections(['critical_date'])).toBeNull();
+    expect(normalizeCollections('rent_schedule')).toBeNull();
+  });
+  
+  test('Clips ranges to the effective range', () => {
+    const effective = dates.parseDaterange('[2029-01-01,2031-01-01)');
+    
+    expect(clipDaterange('[2028-01-01,2030-01-01)', effective)).toEqual({ daterange: '[2029-01-01,2030-01-01)', adjusted: true });
+    expect(clipDaterange('[2029-06-01,2030-01-01)', effective)).toEqual({ daterange: '[2029-06-01,2030-01-01)', adjusted: false });
+    expect(clipDaterange('[2027-01-01,2028-01-01)', effective)).toBeNull();
+    expect(clipDaterange(null, effective)).toEqual({ daterange: null, adjusted: false });
+  });
+  
+  test('Copies rows unchanged without truncation', () => {
+    const plan = planCarryForward(children, {
+      collections: ['rent_schedule', 'concession'],
+      effectiveDaterange: '[2029-01-01,2031-01-01)'
+    });
+    
+    expect(plan.rent_schedule.copy).toHaveLength(3);
+    expect(plan.rent_schedule.copy[0]).toEqual({
+      source_id: 1,
+      values: { period_daterange: '[2027-01-01,2028-01-01)', amount: '25000.00', basis: 'MONTH' },
+      adjusted: false
+    });
+    expect(plan.concession.copy).toHaveLength(1);
+  });
+  
+  test('Truncation clips and skips rows outside the new range', () => {
+    const plan = planCarryForward(children, {
+      collections: ['rent_schedule', 'concession', 'option'],
+      effectiveDaterange: '[2029-01-01,2031-01-01)',
+      truncateDates: true
+    });
+    
+    expect(plan.rent_schedule.copy.map(item => item.values.period_daterange)).toEqual([
+      '[2029-01-01,2030-01-01)',
+      '[2030-01-01,2031-01-01)'
+    ]);
+    expect(plan.rent_schedule.copy.map(item => item.adjusted)).toEqual([true, false]);
+    expect(plan.rent_schedule.skipped.map(item => item.source_id)).toEqual([1]);
+    expect(plan.concession.copy[0].values.applies_daterange).toBeNull();
+    expect(plan.option).toEqual({ copy: [], skipped: [] });
+  });
+});
+
+describe('Lease Version History Unit Tests', () => {
+  
+  const versions = [
+    { lease_version_id: 3, version_num: 1, effective_daterange: '[2024-01-01,2029-01-01)' },
+    { lease_version_id: 7, version_num: 2, effective_daterange: '[2026-01-01,2031-01-01)' },
+    { lease_version_id: 9, version_num: 3, effective_daterange: '[2031-01-01,)' }
+  ];
+  
+  test('Range end is exclusive and unbounded ends are open', () => {
+    expect(versionCoversDate(versions[0], dates.parseDate('2028-12-31'))).toBe(true);
+    expect(versionCoversDate(versions[0], dates.parseDate('2029-01-01'))).toBe(false);
+    expect(versionCoversDate(versions[2], dates.parseDate('2099-01-01'))).toBe(true);
+    expect(versionCoversDate({ effective_daterange: 'empty' }, dates.parseDate('2025-01-01'))).toBe(false);
+  });
+  
+  test('Resolves the single version in effect', () => {
+    const result = resolveVersionAsOf(versions, '2025-06-30');
+    
+    expect(result.version.lease_version_id).toBe(3);
+    expect(result.overlapping).toEqual([]);
+  });
+  
+  test('Highest version number wins when ranges overlap', () => {
+    const result = resolveVersionAsOf(versions, '2027-03-15');
+    
+    expect(result.version.version_num).toBe(2);
+    expect(result.overlapping).toEqual([1]);
+  });
+  
+  test('Returns null before the first version and rejects invalid dates', () => {
+    expect(resolveVersionAsOf(versions, '2023-12-31').version).toBeNull();
+    expect(() => resolveVersionAsOf(versions, '2024-02-30')).toThrow('Invalid as_of date');
+  });
+});
+
+describe('Expiration Waterfall Unit Tests', () => {
+  
+  const leases = [
+    { lease_id: 1, property_id: 1, property_name: 'Downtown Tower', state: 'CA', rsf: 10000, annualized_rent: 300000, expiration_date: '2025-06-30', options_adjusted_expiration_date: '2030-06-30' },
+    { lease_id: 2, property_id: 1, property_name: 'Downtown Tower', state: 'CA', rsf: 5000, annualized_rent: 100000, expiration_date: '2026-03-31', options_adjusted_expiration_date: '2026-03-31' },
+    { lease_id: 3, property_id: 2, property_name: 'Tech Campus', state: 'TX', rsf: 25000, annualized_rent: 600000, expiration_date: '2040-12-31', options_adjusted_expiration_date: '2040-12-31' }
+  ];
+  
+  test('Annualized rent uses the period in place, or the first future period', () => {
+    const rents = [
+      { period_start: '2024-01-01', period_end: '2025-01-01', amount: '10000.00', basis: 'MONTH' },
+      { period_start: '2025-01-01', period_end: '2026-01-01', amount: '126000.00', basis: 'YEAR' }
+    ];
+    
+    expect(annualizedRent(rents, '2024-06-15')).toBe(120000);
+    expect(annualizedRent(rents, '2025-01-01')).toBe(126000);
+    expect(annualizedRent(rents, '2023-06-01')).toBe(120000);
+    expect(annualizedRent([], '2024-06-15')).toBe(0);
+  });
+  
+  test('Options-adjusted expiration stacks open renewal options only', () => {
+    const options = [
+      { option_type: 'RENEWAL', window_end: '2029-07-01', exercised: false },
+      { option_type: 'RENEWAL', window_end: '2034-07-01', exercised: false },
+      { option_type: 'RENEWAL', window_end: '2024-01-01', exercised: false },
+      { option_type: 'RENEWAL', window_end: '2029-07-01', exercised: true },
+      { option_type: 'TERMINATION', window_end: '2029-07-01', exercised: false }
+    ];
+    
+    expect(optionsAdjustedExpiration('2029-12-31', options, '2025-01-01', 60)).toEqual({
+      expiration_date: '2039-12-31',
+      renewals_assumed: 2
+    });
+    expect(optionsAdjustedExpiration(null, options, '2025-01-01', 60)).toEqual({
+      expiration_date: null,
+      renewals_assumed: 0
+    });
+  });
+  
+  test('Buckets annual exposure as a share of the portfolio', () => {
+    const result = buildExpirationWaterfall(leases, { asOf: '2025-01-01', years: 10 });
+    
+    expect(result.portfolio).toEqual({ lease_count: 3, rsf: 40000, annualized_rent: 1000000 });
+    expect(result.base.periods).toHaveLength(10);
+    expect(result.base.periods[0]).toMatchObject({
+      period: '2025',
+      lease_count: 1,
+      rsf: 10000,
+      pct_rsf: 25,
+      pct_rent: 30
+    });
+    expect(result.base.periods[1]).toMatchObject({ period: '2026', cumulative_pct_rsf: 37.5, cumulative_pct_rent: 40 });
+    expect(result.base.beyond_horizon).toMatchObject({ lease_count: 1, rsf: 25000, pct_rsf: 62.5 });
+    expect(result.options_adjusted.periods[0].lease_count).toBe(0);
+    expect(result.options_adjusted.periods[5]).toMatchObject({ period: '2030', rsf: 10000 });
+  });
+  
+  test('Breaks down by property and state with group shares', () => {
+    const result = buildExpirationWaterfall(leases, { asOf: '2025-01-01', years: 2, period: 'quarter' });
+    
+    expect(result.base.periods.map(p => p.period).slice(0, 3)).toEqual(['2025-Q1', '2025-Q2', '2025-Q3']);
+    expect(result.base.periods).toHaveLength(8);
+    expect(result.base.periods[1].rsf).toBe(10000);
+    
+    const downtown = result.by_property.find(p => p.property_id === 1);
+    expect(downtown.totals).toMatchObject({ lease_count: 2, rsf: 15000, pct_of_portfolio_rsf: 37.5, pct_of_portfolio_rent: 40 });
+    expect(downtown.base.periods[1]).toMatchObject({ period: '2025-Q2', pct_rsf: 66.67, pct_rent: 75 });
+    
+    expect(result.by_state.map(s => s.state)).toEqual(['CA', 'TX']);
+  });
+});
+
+describe('Occupancy Unit Tests', () => {
+  
+  const version = (overrides) => ({
+    version_num: 0,
+    is_current: true,
+    property_id: 1,
+    premises_rsf: null,
+    ...overrides
+  });
+  
+  const input = {
+    properties: [
+      { property_id: 1, name: 'Downtown Tower', state: 'CA', total_rsf: 20000 },
+      { property_id: 2, name: 'Tech Campus', state: 'TX', total_rsf: null }
+    ],
+    suites: [
+      { suite_id: 10, property_id: 1, suite_code: '100', rsf: 5000 },
+      { suite_id: 11, property_id: 1, suite_code: '200', rsf: 8000 },
+      { suite_id: 12, property_id: 1, suite_code: '300', rsf: 4000 },
+      { suite_id: 20, property_id: 2, suite_code: 'A', rsf: 6000 }
+    ],
+    versions: [
+      // Lease 1 moves from suite 100 to suite 200 on amendment
+      version({ lease_version_id: 1, lease_id: 1, suite_id: 10, effective_daterange: '[2024-01-01,2029-01-01)', is_current: false }),
+      version({ lease_version_id: 2, lease_id: 1, version_num: 1, suite_id: 11, effective_daterange: '[2025-01-01,2029-01-01)' }),
+      // Lease 2 overlaps lease 1 in suite 200
+      version({ lease_version_id: 3, lease_id: 2, suite_id: 11, effective_daterange: '[2025-06-01,2026-06-01)' }),
+      // Lease 3 has no suite
+      version({ lease_version_id: 4, lease_id: 3, suite_id: null, premises_rsf: 1500, effective_daterange: '[2024-01-01,)' }),
+      version({ lease_version_id: 5, lease_id: 4, property_id: 2, suite_id: 20, effective_daterange: '[2024-07-01,2027-07-01)' })
+    ]
+  };
+  
+  test('Uses the version in effect on the date', () => {
+    const result = calculateOccupancy(input, '2024-08-01');
+    const downtown = result.properties[0];
+    
+    expect(downtown.suites.map(s => s.status)).toEqual(['LEASED', 'VACANT', 'VACANT']);
+    expect(downtown).toMatchObject({ rentable_rsf: 20000, leased_rsf: 6500, vacant_rsf: 13500, occupancy_pct: 32.5, unassigned_leased_rsf: 1500 });
+  });
+  
+  test('Flags double-booked suites and counts their RSF once', () => {
+    const result = calculateOccupancy(input, '2025-07-01');
+    const downtown = result.properties[0];
+    const suite = downtown.suites.find(s => s.suite_id === 11);
+    
+    expect(suite.status).toBe('DOUBLE_BOOKED');
+    expect(suite.leases.map(l => l.lease_id)).toEqual([1, 2]);
+    expect(downtown.leased_rsf).toBe(9500);
+    expect(downtown.double_booked_suites).toBe(1);
+    
+    // Rentable RSF falls back to the sum of suites
+    expect(result.properties[1]).toMatchObject({ rentable_rsf: 6000, leased_rsf: 6000, occupancy_pct: 100 });
+    expect(result.totals).toMatchObject({ rentable_rsf: 26000, leased_rsf: 15500, double_booked_suites: 1 });
+  });
+  
+  test('Finds overlapping current leases on the same suite', () => {
+    const overlaps = findSuiteOverlaps(input.versions);
+    
+    expect(overlaps).toHaveLength(1);
+    expect(overlaps[0]).toMatchObject({ suite_id: 11, overlap_daterange: '[2025-06-01,2026-06-01)' });
+  });
+  
+  test('Builds a monthly series without suite detail', () => {
+    const series = occupancySeries(input, '2025-04-15', '2025-07-01');
+    
+    expect(series.totals.map(p => p.month)).toEqual(['2025-04', '2025-05', '2025-06', '2025-07']);
+    expect(series.totals.map(p => p.double_booked_suites)).toEqual([0, 0, 1, 1]);
+    expect(series.properties[0].series[0]).not.toHaveProperty('suites');
+  });
+});
+
+describe('Cash Rent Forecast Unit Tests', () => {
+  
+  const versions = [
+    { lease_version_id: 1, lease_id: 1, master_lease_num: 'L-1', property_id: 1, property_name: 'Downtown Tower', tenant_id: 5, tenant_name: 'Acme Corp', effective_daterange: '[2025-01-01,2030-01-01)', premises_rsf: 1000 },
+    { lease_version_id: 2, lease_id: 2, master_lease_num: 'L-2', property_id: 2, property_name: 'Tech Campus', tenant_id: 5, tenant_name: 'Acme Corp', effective_daterange: '[2024-01-01,2029-01-01)', premises_rsf: 2000 }
+  ];
+  
+  const rents = [
+    { lease_version_id: 1, period_daterange: '[2025-01-01,2026-01-01)', amount: '10000.00', basis: 'MONTH' },
+    { lease_version_id: 2, period_daterange: '[2024-01-01,2025-02-15)', amount: '120000.00', basis: 'YEAR' }
+  ];
+  
+  const concessions = [
+    { lease_version_id: 1, kind: 'FREE_RENT', value_amount: null, value_basis: null, applies_daterange: '[2025-01-01,2025-02-01)' },
+    { lease_version_id: 1, kind: 'FREE_RENT', value_amount: '2.00', value_basis: 'PER_SF', applies_daterange: null }
+  ];
+  
+  test('Lists calendar months covering the range', () => {
+    expect(forecastMonths('2024-11-15', '2025-02-01').map(m => m.label)).toEqual(['2024-11', '2024-12', '2025-01', '2025-02']);
+  });
+  
+  test('Normalizes basis, prorates partial months and nets free rent', () => {
+    const result = buildCashForecast(versions, rents, concessions, { from: '2025-01-01', to: '2025-03-31', groupBy: 'property' });
+    
+    expect(result.months).toEqual(['2025-01', '2025-02', '2025-03']);
+    
+    const downtown = result.data.find(g => g.property_id === 1);
+    // Free month plus the 2,000 lump sum in the start month
+    expect(downtown.months[0]).toEqual({ month: '2025-01', contractual: 10000, free_rent: 12000, cash: -2000 });
+    expect(downtown.months[1].cash).toBe(10000);
+    
+    const campus = result.data.find(g => g.property_id === 2);
+    // YEAR basis: 10,000 a month, half of February
+    expect(campus.months.map(m => m.cash)).toEqual([10000, 5000, 0]);
+    
+    expect(result.totals.months.map(m => m.cash)).toEqual([8000, 15000, 10000]);
+    expect(result.totals.total).toEqual({ contractual: 45000, free_rent: 12000, cash: 33000 });
+  });
+  
+  test('Groups by tenant or month', () => {
+    const byTenant = buildCashForecast(versions, rents, concessions, { from: '2025-01-01', to: '2025-03-31', groupBy: 'tenant' });
+    expect(byTenant.data).toHaveLength(1);
+    expect(byTenant.data[0]).toMatchObject({ tenant_id: 5, tenant_name: 'Acme Corp', total: { cash: 33000 } });
+    
+    const byMonth = buildCashForecast(versions, rents, concessions, { from: '2025-01-01', to: '2025-03-31', groupBy: 'month' });
+    expect(byMonth.data.map(m => m.month)).toEqual(['2025-01', '2025-02', '2025-03']);
+    
+    expect(() => buildCashForecast(versions, rents, concessions, { from: '2025-01-01', to: '2025-03-31', groupBy: 'state' })).toThrow('Invalid group_by');
+  });
+  
+  test('Report fetches the rent of the whole first and last months', async () => {
+    const stepped = [
+      { lease_version_id: 1, period_daterange: '[2025-01-01,2025-01-15)', amount: '10000.00', basis: 'MONTH' },
+      { lease_version_id: 1, period_daterange: '[2025-01-15,2025-03-20)', amount: '10000.00', basis: 'MONTH' },
+      { lease_version_id: 1, period_daterange: '[2025-03-20,2026-01-01)', amount: '11000.00', basis: 'MONTH' }
+    ];
+    // Return the rent periods overlapping the bound [start, end) range, as PostgreSQL would
+    const calls = mockDatabase((sql, values) => {
+      if (sql.includes('FROM lease_version')) return [versions[0]];
+      if (sql.includes('FROM rent_schedule')) {
+        return stepped.filter(rent => {
+          const [start, end] = rent.period_daterange.slice(1, -1).split(',');
+          return start < values[2] && end > values[1];
+        });
+      }
+      return [];
+    });
+    
+    const response = await reports.handler({
+      httpMethod: 'GET',
+      path: '/reports/cash-forecast',
+      queryStringParameters: { from: '2025-01-15', to: '2025-03-10' },
+      requestContext: { authorizer: { role: 'analyst_ro' } }
+    });
+    const body = JSON.parse(response.body);
+    
+    expect(response.statusCode).toBe(200);
+    expect(calls.find(call => call.sql.includes('FROM rent_schedule')).values.slice(1)).toEqual(['2025-01-01', '2025-04-01']);
+    expect(body.totals.months.map(m => m.cash)).toEqual(
+      buildCashForecast([versions[0]], stepped, [], { from: '2025-01-15', to: '2025-03-10', groupBy: 'property' }).totals.months.map(m => m.cash)
+    );
+    expect(body.totals.months[0].cash).toBe(10000);
+  });
+});
+
+describe('Report Export Unit Tests', () => {
+  
+  const zlib = require('zlib');
+  
+  // Read the entries of a zip archive from its local file headers
+  const readZip = (buffer) => {
+    const entries = {};
+    let offset = 0;
+    while (buffer.readUInt32LE(offset) === 0x04034b50) {
+      const compressedSize = buffer.readUInt32LE(offset + 18);
+      const nameLength = buffer.readUInt16LE(offset + 26);
+      const extraLength = buffer.readUInt16LE(offset + 28);
+      const name = buffer.toString('utf8', offset + 30, offset + 30 + nameLength);
+      const start = offset + 30 + nameLength + extraLength;
+      entries[name] = zlib.inflateRawSync(buffer.subarray(start, start + compressedSize)).toString('utf8');
+      offset = start + compressedSize;
+    }
+    return entries;
+  };
+  
+  const columns = [
+    { key: 'lease_id', label: 'Lease ID', type: 'integer' },
+    { key: 'tenant_name', label: 'Tenant Name', type: 'string' },
+    { key: 'expiration_date', label: 'Expiration Date', type: 'date' },
+    { key: 'amount', label: 'Amount', type: 'currency' },
+    { key: 'exercised', label: 'Exercised', type: 'boolean' }
+  ];
+  
+  const rows = [
+    { lease_id: 1, tenant_name: 'Acme, Inc.', expiration_date: new Date(Date.UTC(2025, 11, 31)), amount: '5000.50', exercised: false },
+    { lease_id: 2, tenant_name: '=HYPERLINK("x")', expiration_date: '2026-06-30', amount: null, exercised: true }
+  ];
+  
+  test('Negotiates the format from the query string or Accept header', () => {
+    expect(resolveExportFormat({}, {})).toBe('json');
+    expect(resolveExportFormat({ format: 'CSV' }, {})).toBe('csv');
+    expect(resolveExportFormat({ format: 'pdf' }, {})).toBeNull();
+    expect(resolveExportFormat({}, { Accept: 'text/csv' })).toBe('csv');
+    expect(resolveExportFormat({}, { accept: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet' })).toBe('xlsx');
+    expect(resolveExportFormat({ format: 'json' }, { accept: 'text/csv' })).toBe('json');
+  });
+  
+  test('Types values and describes the filters applied', () => {
+    expect(normalizeValue('1234.50', 'currency')).toBe(1234.5);
+    expect(normalizeValue('2025-01-31T00:00:00.000Z', 'date')).toEqual(new Date(Date.UTC(2025, 0, 31)));
+    expect(normalizeValue('t', 'boolean')).toBe(true);
+    expect(normalizeValue('', 'integer')).toBeNull();
+    expect(normalizeValue({ a: 1 })).toBe('{"a":1}');
+    
+    const title = describeExport('Rent Roll', { property_id: '1', format: 'csv', limit: '50', date: '2025-01-01' }, new Date(Date.UTC(2025, 0, 15, 9, 30)));
+    expect(title).toBe('Rent Roll | Filters: date=2025-01-01, property_id=1 | Generated 2025-01-15T09:30:00Z');
+    expect(describeExport('Rent Roll', {}, new Date(0))).toContain('Filters: none');
+  });
+  
+  test('Builds CSV with a title row, headers and typed fields', () => {
+    const csv = buildCsv({ columns, rows, title: 'Expirations | Filters: none' });
+    
+    expect(csv.split('\r\n')).toEqual([
+      'Expirations | Filters: none',
+      'Lease ID,Tenant Name,Expiration Date,Amount,Exercised',
+      '1,"Acme, Inc.",2025-12-31,5000.5,false',
+      '2,"\'=HYPERLINK(""x"")",2026-06-30,,true',
+      ''
+    ]);
+  });
+  
+  test('Builds an XLSX workbook with typed cells', () => {
+    expect(crc32(Buffer.from('123456789')).toString(16)).toBe('cbf43926');
+    expect([0, 25, 26, 701, 702].map(columnLetter)).toEqual(['A', 'Z', 'AA', 'ZZ', 'AAA']);
+    
+    const response = createExportResponse('xlsx', { title: 'Expirations', filename: 'expirations', columns, rows, params: {} });
+    expect(response.headers['Content-Disposition']).toBe('attachment; filename="expirations.xlsx"');
+    expect(Buffer.isBuffer(response.body)).toBe(true);
+    
+    const entries = readZip(response.body);
+    expect(Object.keys(entries)).toEqual(expect.arrayContaining(['[Content_Types].xml', 'xl/workbook.xml', 'xl/styles.xml']));
+    
+    const sheet = entries['xl/worksheets/sheet1.xml'];
+    // Title row, header row, then data from row 3
+    expect(sheet).toContain('<c r="A3" s="4"><v>1</v></c>');
+    expect(sheet).toContain('<c r="C3" s="2"><v>46022</v></c>');
+    expect(sheet).toContain('<c r="D3" s="3"><v>5000.5</v></c>');
+    expect(sheet).toContain('<c r="E4" t="b"><v>1</v></c>');
+    expect(sheet).toContain('=HYPERLINK(&quot;x&quot;)');
+    expect(sheet).not.toContain('r="D4"');
+    expect(entries['xl/workbook.xml']).toContain('name="Expirations"');
+  });
+  
+  test('Flattens nested reports into export rows', () => {
+    const forecast = layoutReport('cash-forecast', {
+      group_by: 'tenant',
+      data: [{ tenant_id: 5, tenant_name: 'Acme Corp', months: [{ month: '2025-01', contractual: 100, free_rent: 0, cash: 100 }], total: { contractual: 100, free_rent: 0, cash: 100 } }],
+      totals: { months: [{ month: '2025-01', contractual: 100, free_rent: 0, cash: 100 }], total: { contractual: 100, free_rent: 0, cash: 100 } }
+    });
+    expect(forecast.columns.map(c => c.key)).toEqual(['tenant_id', 'tenant_name', 'month', 'contractual', 'free_rent', 'cash']);
+    expect(forecast.rows.map(r => [r.tenant_name, r.month])).toEqual([
+      ['Acme Corp', '2025-01'], ['Acme Corp', 'Total'], [undefined, '2025-01'], [undefined, 'Total']
+    ]);
+    
+    const straightLine = layoutReport('straight-line', {
+      data: [
+        { lease_id: 1, master_lease_num: 'L-1', lease_version_id: 10, schedule: [{ period: 1, period_start: '2025-01-01' }, { period: 2, period_start: '2025-02-01' }] },
+        { lease_id: 2, master_lease_num: 'L-2', lease_version_id: 20, error: { code: 'CALCULATION_ERROR', message: 'No rent schedule' } }
+      ]
+    });
+    expect(straightLine.columns.map(c => c.key)).toContain('deferred_rent_balance');
+    expect(straightLine.rows).toHaveLength(3);
+    expect(straightLine.rows[1]).toMatchObject({ lease_id: 1, lease_version_id: 10, period: 2 });
+    expect(straightLine.rows[2].error).toBe('No rent schedule');
+    
+    expect(() => layoutReport('unknown', {})).toThrow('No export layout');
+  });
+});
+
+describe('CSV Import Unit Tests', () => {
+  
+  test('Parses quoted fields, embedded line breaks and blank lines', () => {
+    const csv = '\uFEFFProperty,Tenant,Notes\r\n"Tower, North",Acme,"Line 1\nLine ""2"""\r\n\r\nPlaza , Beta ,\n';
+    const { headers, records } = parseCsv(csv);
+    
+    expect(headers).toEqual(['Property', 'Tenant', 'Notes']);
+    expect(records).toEqual([
+      { row: 2, values: { Property: 'Tower, North', Tenant: 'Acme', Notes: 'Line 1\nLine "2"' } },
+      { row: 5, values: { Property: 'Plaza', Tenant: 'Beta', Notes: '' } }
+    ]);
+    
+    expect(() => parseCsv('a,b\n"open,1')).toThrow('Unterminated quoted field');
+  });
+  
+  test('Resolves default and overridden column mappings', () => {
+    const headers = ['Building', 'Landlord', 'Tenant Name', 'Lease #', 'Commencement Date', 'Expiration Date', 'Rent'];
+    
+    const defaults = resolveMapping(headers);
+    expect(defaults.columns).toMatchObject({ property_name: 'Building', tenant_name: 'Tenant Name', monthly_rent: 'Rent', suite_code: null });
+    expect(defaults.errors).toEqual([expect.objectContaining({ field: 'master_lease_num' })]);
+    
+    const mapped = resolveMapping(headers, { master_lease_num: 'Lease #' });
+    expect(mapped.errors).toEqual([]);
+    expect(mapped.columns.master_lease_num).toBe('Lease #');
+    
+    const invalid = resolveMapping(headers, { master_lease_num: 'Contract', tenant: 'Tenant Name' });
+    expect(invalid.errors.map(e => e.field)).toEqual(['mapping.tenant', 'mapping.master_lease_num']);
+  });
+  
+  test('Normalizes a row and builds entity payloads', () => {
+    const { columns } = resolveMapping(['property', 'landlord', 'tenant', 'suite', 'rsf', 'lease_number', 'start_date', 'end_date', 'monthly_rent']);
+    const fields = mapRecord({
+      property: 'Downtown Tower', landlord: 'Tower LLC', tenant: 'Acme Corp', suite: '100', rsf: '1,200',
+      lease_number: 'L-1', start_date: '1/1/2025', end_date: '2030-01-01', monthly_rent: '$5,000.00'
+    }, columns);
+    
+    expect(fields).toMatchObject({ rsf: 1200, start_date: '2025-01-01', monthly_rent: 5000 });
+    expect(fields).not.toHaveProperty('property_address');
+    
+    const entities = buildImportEntities(fields);
+    expect(entities.errors).toEqual([]);
+    expect(entities.property).toEqual({ name: 'Downtown Tower' });
+    expect(entities.suite).toEqual({ suite_code: '100', rsf: 1200 });
+    expect(entities.version).toMatchObject({ effective_daterange: '[2025-01-01,2030-01-01)', term_months: 60, escalation_method: 'FIXED' });
+    expect(entities.rent).toEqual({ period_daterange: '[2025-01-01,2030-01-01)', amount: 5000, basis: 'MONTH' });
+    
+    const inverted = buildImportEntities({ ...fields, end_date: '2024-12-31', monthly_rent: undefined });
+    expect(inverted.errors).toEqual([{ field: 'end_date', message: 'End date must be after start date' }]);
+    expect(inverted.rent).toBeNull();
+  });
+});
+
+describe('Batch Job Unit Tests', () => {
+  
+  test('Validates job submissions', () => {
+    expect(validateJobRequest({ type: 'leases', records: [{}], chunk_size: 50, on_error: 'stop' }, 100)).toEqual([]);
+    
+    const errors = validateJobRequest({ type: 'suites', records: [], chunk_size: 101, on_error: 'skip' }, 100);
+    expect(errors.map(e => e.field)).toEqual(['type', 'records', 'chunk_size', 'on_error']);
+    
+    const tooLarge = validateJobRequest({ type: 'parties', records: new Array(10001).fill({}) }, 100);
+    expect(tooLarge).toEqual([expect.objectContaining({ field: 'records', maximum: 10000 })]);
+    
+    expect(validateJobRequest({ type: 'parties', records: [{}, null] }, 100)[0].message).toBe('Every record must be an object');
+  });
+  
+  test('Separates record failures from job-level failures', async () => {
+    const mapDatabaseError = () => ({ code: 'CONFLICT', message: 'Resource already exists', details: [] });
+    
+    expect(toItemError({ code: 'NOT_FOUND', message: 'Lease not found', details: [{ field: 'lease_id' }] }, mapDatabaseError))
+      .toEqual({ code: 'NOT_FOUND', message: 'Lease not found', details: [{ field: 'lease_id' }] });
+    expect(toItemError(Object.assign(new Error('duplicate key'), { code: '23505' }), mapDatabaseError).code).toBe('CONFLICT');
+    expect(toItemError(Object.assign(new Error('malformed range literal'), { code: '22P02' }), mapDatabaseError))
+      .toEqual({ code: 'VALIDATION_ERROR', message: 'malformed range literal', details: [] });
+    expect(toItemError(Object.assign(new Error('Connection terminated'), { code: '08006' }), mapDatabaseError)).toBeNull();
+    expect(toItemError(new TypeError('boom'), mapDatabaseError)).toBeNull();
+    
+    // Processors reject invalid records before touching the database
+    await expect(BATCH_TYPES.properties(null, {}, {})).rejects.toMatchObject({ code: 'VALIDATION_ERROR', message: 'Invalid property data' });
+    await expect(BATCH_TYPES.parties(null, { legal_name: 'Acme', party_type: 'VENDOR' }, {})).rejects.toMatchObject({ code: 'VALIDATION_ERROR' });
+  });
+  
+  test('Summarizes job progress', () => {
+    const summary = summarizeJob({
+      job_id: 7,
+      batch_type: 'leases',
+      status: 'RUNNING',
+      on_error: 'continue',
+      chunk_size: 100,
+      total_items: 250,
+      next_index: 200,
+      principal: 'loader@example.com',
+      attempts: 1,
+      last_error: 'Connection terminated'
+    }, { SUCCEEDED: 199, FAILED: 1 });
+    
+    expect(summary).toMatchObject({
+      job_id: 7,
+      type: 'leases',
+      total: 250,
+      processed: 200,
+      succeeded: 199,
+      failed: 1,
+      progress_pct: 80,
+      submitted_by: 'loader@example.com'
+    });
+    expect(summary).not.toHaveProperty('records');
+  });
+  
+  // Party job of three records whose second insert violates a unique constraint
+  function runPartyJob(onError) {
+    const calls = mockDatabase((sql, values) => {
+      if (sql.includes('UPDATE batch_job') && sql.includes('RETURNING *')) {
+        return [{
+          job_id: 9,
+          batch_type: 'parties',
+          status: 'RUNNING',
+          on_error: onError,
+          chunk_size: 3,
+          total_items: 3,
+          next_index: 0,
+          attempts: 0,
+          principal: 'loader',
+          role: 'lease_app_rw',
+          records: ['Acme', 'Duplicate', 'Globex'].map(name => ({ legal_name: name, party_type: 'TENANT' }))
+        }];
+      }
+      if (sql.includes('INSERT INTO party')) {
+        if (values[0] === 'Duplicate') {
+          throw Object.assign(new Error('duplicate key value'), { code: '23505' });
+        }
+        return [{ party_id: values[0].length, legal_name: values[0] }];
+      }
+      if (sql.includes('UPDATE batch_job j')) return [{ status: 'COMPLETED_WITH_ERRORS' }];
+      return [];
+    });
+    const batchJobs = require('../batch-jobs');
+    return { calls, run: batchJobs.worker({ job_id: 9 }) };
+  }
+  
+  test('A failed record is rolled back alone and the rest of its chunk is committed', async () => {
+    const { calls, run } = runPartyJob('continue');
+    const { jobs } = await run;
+    
+    expect(jobs).toEqual([{ job_id: 9, status: 'COMPLETED_WITH_ERRORS', next_index: 3 }]);
+    expect(calls.filter(call => call.sql === 'ROLLBACK TO SAVEPOINT batch_job_record')).toHaveLength(1);
+    expect(calls.filter(call => call.sql === 'RELEASE SAVEPOINT batch_job_record')).toHaveLength(2);
+    
+    const items = calls.find(call => call.sql.includes('INSERT INTO batch_job_item'));
+    expect(items.values[1]).toEqual([0, 1, 2]);
+    expect(items.values[2]).toEqual(['SUCCEEDED', 'FAILED', 'SUCCEEDED']);
+    expect(JSON.parse(items.values[4][1]).code).toBe('CONFLICT');
+    
+    const cursor = calls.find(call => call.sql.includes('SET next_index = $2'));
+    expect(cursor.values).toEqual([9, 3]);
+  });
+  
+  test('on_error stop commits the records before a failed record and stops at it', async () => {
+    const { calls, run } = runPartyJob('stop');
+    const { jobs } = await run;
+    
+    expect(jobs).toEqual([{ job_id: 9, status: 'FAILED', next_index: 1 }]);
+    expect(calls.filter(call => call.sql.includes('INSERT INTO party')).map(call => call.values[0])).toEqual(['Acme', 'Duplicate']);
+    
+    const items = calls.find(call => call.sql.includes('INSERT INTO batch_job_item'));
+    expect(items.values[2]).toEqual(['SUCCEEDED', 'FAILED']);
+    
+    const stopped = calls.find(call => call.sql.includes("SET status = 'FAILED'"));
+    expect(stopped.values).toEqual([9, 1, 'Record 1 failed: Resource already exists']);
+  });
+});
+
+describe('Batch Child Entity Unit Tests', () => {
+  
+  // Transaction client with one existing lease version (10) and lease (1)
+  function createBatchClient() {
+    const calls = [];
+    return {
+      calls,
+      async query(sql, params) {
+        calls.push({ sql, params });
+        if (sql.includes('FROM lease_version WHERE')) {
+          return { rows: params[0] === 10 ? [{ lease_version_id: 10, lease_id: 1 }] : [] };
+        }
+        if (sql.includes('INSERT INTO option')) {
+          return { rows: [{ option_id: 7, lease_version_id: params[0] }] };
+        }
+        return { rows: [] };
+      }
+    };
+  }
+  
+  const context = audit.createAuditContext({ principal: 'loader', role: 'lease_app_rw' }, 'corr-2');
+  
+  test('Routes every lease child entity to a batch processor', () => {
+    expect(Object.keys(BATCH_TYPES)).toEqual([
+      'properties', 'parties', 'leases',
+      'rent-schedules', 'options', 'concessions', 'opex-pass-throughs', 'critical-dates', 'doc-links'
+    ]);
+  });
+  
+  test('Creates child records under an existing parent with upper-cased enums and defaults', async () => {
+    const client = createBatchClient();
+    
+    const option = await BATCH_TYPES.options(client, {
+      lease_version_id: 10,
+      option_type: 'renewal',
+      window_daterange: '[2028-01-01,2028-07-01)'
+    }, context);
+    
+    expect(option.option_id).toBe(7);
+    const insert = client.calls.find(call => call.sql.includes('INSERT INTO option'));
+    expect(insert.params).toEqual([10, 'RENEWAL', '[2028-01-01,2028-07-01)', null, false, null]);
+    expect(client.calls.some(call => call.sql.includes('INSERT INTO audit_log'))).toBe(true);
+  });
+  
+  test('Rejects invalid records, missing parents and unknown IDs', async () => {
+    const client = createBatchClient();
+    
+    await expect(BATCH_TYPES.concessions(client, { lease_version_id: 10, kind: 'CASH' }, context))
+      .rejects.toMatchObject({ code: 'VALIDATION_ERROR', message: 'Invalid concession data' });
+    
+    await expect(BATCH_TYPES['rent-schedules'](client, {
+      lease_version_id: 99,
+      period_daterange: '[2024-01-01,2025-01-01)',
+      amount: 1000,
+      basis: 'MONTH'
+    }, context)).rejects.toMatchObject({
+      code: 'INVALID_REFERENCE',
+      message: 'Lease version not found',
+      details: [{ field: 'lease_version_id', value: 99 }]
+    });
+    
+    await expect(BATCH_TYPES['critical-dates'](client, { crit_id: 5, notes: 'Moved' }, context))
+      .rejects.toMatchObject({ code: 'NOT_FOUND', message: 'Critical date not found' });
+  });
+});
+
+describe('Lease Abstract Unit Tests', () => {
+  
+  const validators = {
+    lease: validateLeaseData,
+    version: validateLeaseVersionData,
+    children: Object.fromEntries(ABSTRACT_SECTIONS.map(section => {
+      const config = CHILD_ENTITIES[section.entity];
+      return [section.entity, { validate: config.validate, parentKey: config.parent.key, columns: config.columns }];
+    }))
+  };
+  
+  const document = {
+    lease: { property_id: 1, landlord_id: 2, tenant_id: 3, master_lease_num: 'ML-100', execution_date: '2024-01-01' },
+    version: {
+      effective_daterange: '[2024-01-01,2029-01-01)',
+      premises_rsf: 5000,
+      rent_schedules: [
+        { period_daterange: '[2024-01-01,2025-01-01)', amount: 25000, basis: 'MONTH' },
+        { period_daterange: '[2025-01-01,2026-01-01)', amount: 25750, basis: 'MONTH' }
+      ],
+      opex_pass_throughs: [{ method: 'BASE_YEAR', gross_up_pct: 95 }]
+    },
+    critical_dates: [{ kind: 'EXPIRATION', date_value: '2028-12-31' }],
+    doc_links: [{ label: 'Lease', external_ref: 'https://docs.example.com/leases/ml-100.pdf' }]
+  };
+  
+  test('Extracts the lease, version and child records of a valid abstract', () => {
+    const { errors, abstract } = parseAbstract(document, validators);
+    
+    expect(errors).toEqual([]);
+    expect(abstract.lease.master_lease_num).toBe('ML-100');
+    expect(abstract.version).not.toHaveProperty('rent_schedules');
+    expect(abstract.children.rent_schedules).toHaveLength(2);
+    expect(abstract.children.opex_pass_throughs).toEqual([{ method: 'BASE_YEAR', gross_up_pct: 95 }]);
+    expect(abstract.children.options).toEqual([]);
+    expect(abstract.children.critical_dates).toEqual([{ kind: 'EXPIRATION', date_value: '2028-12-31' }]);
+  });
+  
+  test('Reports errors by their path in the document', () => {
+    expect(parseAbstract({ lease: {} }, validators).errors).toEqual([
+      { field: 'version', message: 'Version is required' }
+    ]);
+    
+    const { errors, abstract } = parseAbstract({
+      ...document,
+      lease: { ...document.lease, tenant_id: undefined },
+      version: {
+        ...document.version,
+        rent_schedules: [document.version.rent_schedules[0], { period_daterange: '[2025-01-01,2026-01-01)', basis: 'MONTH' }],
+        options: 'none'
+      },
+      doc_links: [{ label: 'Lease' }]
+    }, validators);
+    
+    expect(abstract).toBeNull();
+    const fields = errors.map(error => error.field);
+    expect(fields).toContain('lease.tenant_id');
+    expect(fields).toContain('version.rent_schedules[1].amount');
+    expect(fields).toContain('version.options');
+    expect(fields).toContain('doc_links[0].external_ref');
+    expect(fields.some(field => field.endsWith('lease_version_id') || field.endsWith('.lease_id'))).toBe(false);
+  });
+  
+  test('Builds the GET shape, which can be posted back without its generated fields', () => {
+    const built = buildAbstract(
+      { lease_id: 9, ...document.lease, property_name: 'Tower One' },
+      { lease_version_id: 40, version_num: 0, effective_daterange: '[2024-01-01,2029-01-01)', is_current: true },
+      {
+        rent_schedules: [{ rent_id: 1, lease_version_id: 40, period_daterange: '[2024-01-01,2025-01-01)', amount: '25000.00', basis: 'MONTH' }],
+        critical_dates: [{ crit_id: 3, lease_id: 9, kind: 'EXPIRATION', date_value: '2028-12-31', notes: null }]
+      }
+    );
+    
+    expect(Object.keys(built)).toEqual(['lease', 'version', 'critical_dates', 'doc_links']);
+    expect(built.version.rent_schedules[0].rent_id).toBe(1);
+    expect(built.version.concessions).toEqual([]);
+    
+    const { errors, abstract } = parseAbstract(built, validators);
+    expect(errors).toEqual([]);
+    expect(abstract.lease).not.toHaveProperty('lease_id');
+    expect(abstract.version).toEqual({ effective_daterange: '[2024-01-01,2029-01-01)' });
+    expect(abstract.children.rent_schedules).toEqual([
+      { period_daterange: '[2024-01-01,2025-01-01)', amount: '25000.00', basis: 'MONTH' }
+    ]);
+    expect(abstract.children.critical_dates).toEqual([{ kind: 'EXPIRATION', date_value: '2028-12-31', notes: null }]);
+  });
+});
+
+describe('Schema Registry Unit Tests', () => {
+  
+  const fs = require('fs');
+  const path = require('path');
+  
+  // Column types and CHECK constraints by table, read from the migrations
+  function loadTableRules() {
+    const dir = path.join(__dirname, '../../../schema/migrations');
+    const tables = {};
+    fs.readdirSync(dir).filter(file => file.endsWith('.sql')).sort().forEach(file => {
+      const sql = fs.readFileSync(path.join(dir, file), 'utf-8').replace(/--.*$/gm, '');
+      const blocks = sql.match(/(?:CREATE|ALTER) TABLE \w+[\s\S]*?;/g) || [];
+      blocks.forEach(block => {
+        const table = block.match(/TABLE (\w+)/)[1];
+        const rules = tables[table] || (tables[table] = { lengths: {}, enums: {}, consts: {} });
+        for (const [, column, length] of block.matchAll(/(\w+) VARCHAR\((\d+)\)/g)) {
+          rules.lengths[column] = Number(length);
+        }
+        for (const [, column, values] of block.matchAll(/CHECK \((\w+) IN \(([^)]*)\)\s*\)/g)) {
+          rules.enums[column] = values.match(/'[^']*'/g).map(value => value.slice(1, -1));
+        }
+        for (const [, column, value] of block.matchAll(/CHECK \((\w+) = '([^']*)'\)/g)) {
+          rules.consts[column] = value;
+        }
+      });
+    });
+    return tables;
+  }
+  
+  test('Schemas match the CHECK constraints and column types in the migrations', () => {
+    const tables = loadTableRules();
+    const objectSchemas = listSchemas().flatMap(({ entity }) => {
+      const schema = getSchema(entity);
+      const nested = Object.values(schema.properties).filter(property => property.items && property.items['x-table']);
+      return [schema, ...nested.map(property => property.items)];
+    });
+    
+    expect(objectSchemas.length).toBeGreaterThan(listSchemas().length);
+    objectSchemas.forEach(schema => {
+      const rules = tables[schema['x-table']];
+      expect(rules).toBeDefined();
+      
+      Object.entries(rules.enums).forEach(([column, values]) => {
+        expect([schema['x-table'], column, schema.properties[column]?.enum]).toEqual([schema['x-table'], column, values]);
+      });
+      Object.entries(rules.consts).forEach(([column, value]) => {
+        expect(schema.properties[column].const).toBe(value);
+      });
+      Object.entries(schema.properties).forEach(([column, property]) => {
+        if (property.enum) {
+          expect(rules.enums[column]).toEqual(property.enum);
+        }
+        if (property.maxLength !== undefined) {
+          expect(property.maxLength).toBeLessThanOrEqual(rules.lengths[column]);
+        }
+      });
+    });
+  });
+  
+  test('Reports errors as { field, message, rule } with allowed values and examples', () => {
+    expect(validateEntity('concession', {
+      lease_version_id: '12',
+      kind: 'free_rent',
+      value_amount: '-5',
+      value_basis: 'PER_UNIT',
+      applies_daterange: '2024-01-01 to 2024-06-30'
+    })).toEqual([
+      { field: 'value_amount', message: 'Value amount must be a non-negative number', rule: 'minimum' },
+      {
+        field: 'value_basis',
+        message: 'Value basis must be one of: TOTAL, PER_SF',
+        rule: 'enum',
+        allowed_values: ['TOTAL', 'PER_SF']
+      },
+      {
+        field: 'applies_daterange',
+        message: 'Applies date range must be in PostgreSQL daterange format (e.g., "[2024-01-01,2025-01-01)")',
+        rule: 'format',
+        examples: ['[2024-01-01,2025-01-01)']
+      }
+    ]);
+    
+    expect(validateEntity('party', null)).toEqual([
+      { field: 'body', message: 'Request body must be a JSON object', rule: 'type' }
+    ]);
+    expect(validateEntity('property', { name: null })).toEqual([
+      { field: 'name', message: 'Property name is required', rule: 'required' }
+    ]);
+    expect(validateEntity('property_opex_year', { expenses: [{ category: 'CAM', amount: 10 }, { category: 'ROOF' }] })
+      .map(error => [error.field, error.rule])).toEqual([
+      ['expenses[1].category', 'enum'],
+      ['expenses[1].amount', 'required']
+    ]);
+    expect(() => validateEntity('widget', {})).toThrow('Unknown schema entity');
+  });
+  
+  test('Partial updates skip required fields; cross-field rules still apply', () => {
+    expect(validateEntity('lease', { master_lease_num: 'ML-2' }, { partial: true })).toEqual([]);
+    expect(validateEntity('lease', { master_lease_num: 'ML-2' })).toHaveLength(3);
+    expect(validateEntity('suite', { rsf: null }, { partial: true })).toEqual([]);
+    
+    const version = { effective_daterange: '[2024-01-01,2029-01-01)', cpi_floor_pct: 3, cpi_cap_pct: '2.5' };
+    expect(validateEntity('lease_version', version)).toEqual([{
+      field: 'cpi_cap_pct',
+      message: 'CPI cap must be greater than or equal to the CPI floor',
+      rule: 'constraint',
+      constraint: 'chk_cpi_floor_cap'
+    }]);
+    expect(validateEntity('lease_version', { ...version, cpi_cap_pct: 150 })).toEqual([{
+      field: 'cpi_cap_pct',
+      message: 'cpi_cap_pct must be a percentage between -100 and 100',
+      rule: 'exclusiveMaximum'
+    }]);
+    expect(getSchema('lease_version').properties.lease_id.readOnly).toBe(true);
+    expect(validateEntity('lease_version', { ...version, cpi_cap_pct: 5, lease_id: 'ignored' })).toEqual([]);
+  });
+});
+
+describe('OpenAPI Document Unit Tests', () => {
+  
+  const fs = require('fs');
+  const path = require('path');
+  
+  const stack = fs.readFileSync(path.join(__dirname, '../../../infrastructure/lease-database-stack.ts'), 'utf-8');
+  const document = buildOpenApiDocument();
+  
+  // Routes wired in the CDK stack with the Lambda handler behind each
+  function stackRoutes() {
+    const handlers = {};
+    for (const [, name, handler] of stack.matchAll(/const (\w+) = new lambda\.Function\(this, '\w+', \{[^}]*?handler: '([\w.-]+)'/g)) {
+      handlers[name] = handler;
+    }
+    const integrations = {};
+    for (const [, name, fn] of stack.matchAll(/const (\w+) = new apigatewayv2Integrations\.HttpLambdaIntegration\(\s*'\w+',\s*(\w+)\s*\)/g)) {
+      integrations[name] = handlers[fn];
+    }
+    const routes = [];
+    for (const [, routePath, methods, integration] of stack.matchAll(/addRoutes\(\{\s*path: '([^']+)',\s*methods: \[([^\]]*)\],\s*integration: (\w+)/g)) {
+      for (const [, method] of methods.matchAll(/HttpMethod\.(\w+)/g)) {
+        routes.push({ path: routePath, method: method.toLowerCase(), handler: integrations[integration] });
+      }
+    }
+    return routes;
+  }
+  
+  test('Describes every route in the stack with the handler that serves it', () => {
+    const routes = stackRoutes();
+    // Every addRoutes call was parsed (each adds one path)
+    expect(new Set(routes.map(route => route.path)).size).toBe(stack.match(/addRoutes\(/g).length);
+    expect(routes.every(route => route.handler)).toBe(true);
+    
+    const undescribed = routes.filter(route => !document.paths[route.path]?.[route.method]);
+    expect(undescribed).toEqual([]);
+    routes.forEach(route => {
+      expect([route.path, route.method, document.paths[route.path][route.method]['x-handler']])
+        .toEqual([route.path, route.method, route.handler]);
+    });
+    
+    const described = Object.entries(document.paths).flatMap(([routePath, operations]) => (
+      Object.keys(operations).map(method => `${method.toUpperCase()} ${routePath}`)
+    ));
+    expect(described.sort()).toEqual(routes.map(route => `${route.method.toUpperCase()} ${route.path}`).sort());
+  });
+  
+  test('Lists the error codes database failures map to under their status', () => {
+    const codes = errorCodesByStatus();
+    const failures = [
+      ...Object.values(ERROR_CODES).map(pgCode => ({ code: pgCode, message: '' })),
+      { message: 'Query read timeout' }
+    ];
+    failures.forEach(failure => {
+      const mapped = mapDatabaseError(failure);
+      expect([failure, codes[mapped.statusCode] || []]).toEqual([failure, expect.arrayContaining([mapped.code])]);
+    });
+    
+    // DatabaseErrors raised outside mapDatabaseError: the If-Match preconditions
+    const row = { concession_id: 1, updated_at: '2025-01-01T00:00:00' };
+    const raised = [];
+    const capture = (check) => {
+      try {
+        check();
+      } catch (error) {
+        raised.push(error);
+      }
+    };
+    capture(() => concurrency.checkIfMatch('concession', row, 'concession_id', '"stale"'));
+    process.env.REQUIRE_IF_MATCH = 'true';
+    capture(() => concurrency.checkIfMatch('concession', row, 'concession_id', null));
+    delete process.env.REQUIRE_IF_MATCH;
+    
+    expect(raised.map(error => error.statusCode)).toEqual([412, 428]);
+    raised.forEach(error => {
+      expect(error).toBeInstanceOf(DatabaseError);
+      expect(codes[error.statusCode]).toContain(error.code);
+    });
+  });
+  
+  test('Lists the error codes the handlers return under their status', async () => {
+    const codes = errorCodesByStatus();
+    const staleRow = () => [{ row: { updated_at: '2025-01-01T00:00:00' } }];
+    const failing = () => {
+      throw Object.assign(new Error('duplicate key value'), { code: ERROR_CODES.UNIQUE_VIOLATION });
+    };
+    
+    // Requests each route fails on: read-only role, unsupported method, missing
+    // rows, empty and malformed bodies, a constraint violation, stale or missing If-Match
+    const scenarios = [
+      { role: 'analyst_ro', respond: () => [] },
+      { method: 'PATCH', respond: () => [] },
+      { respond: () => [] },
+      { body: '{}', respond: () => [] },
+      { body: '{', respond: () => [] },
+      { body: '{}', respond: failing },
+      { body: '{}', headers: { 'If-Match': '"stale"' }, respond: staleRow },
+      { body: '{}', requireIfMatch: true, respond: staleRow }
+    ];
+    
+    // nlq needs the Bedrock client, which the API package does not install
+    const routes = stackRoutes().filter(route => !route.handler.startsWith('nlq.'));
+    const returned = [];
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    for (const route of routes) {
+      const [file, exported] = route.handler.split('.');
+      const handler = require(`../${file}`)[exported];
+      for (const scenario of scenarios) {
+        mockDatabase(scenario.respond);
+        if (scenario.requireIfMatch) {
+          process.env.REQUIRE_IF_MATCH = 'true';
+        }
+        const response = await handler({
+          ...apiEvent((scenario.method || route.method).toUpperCase(), route.path.replace(/\{\w+\}/g, '1'), {
+            role: scenario.role,
+            headers: scenario.headers
+          }),
+          pathParameters: route.path.includes('{') ? { id: '1', year: '2025', entity: 'lease' } : null,
+          body: scenario.body || null
+        });
+        delete process.env.REQUIRE_IF_MATCH;
+        
+        if (response.statusCode >= 400) {
+          returned.push([route.handler, response.statusCode, JSON.parse(response.body).error.code]);
+        }
+      }
+    }
+    
+    console.error.mockRestore();
+    
+    // Every kind of failure was reached by some route
+    [400, 403, 404, 405, 409, 412, 428].forEach(status => {
+      expect(returned.some(([, returnedStatus]) => returnedStatus === status)).toBe(true);
+    });
+    returned.forEach(([handler, status, code]) => {
+      expect([handler, status, codes[status] || []]).toEqual([handler, status, expect.arrayContaining([code])]);
+    });
+  });
+  
+  test('Uses the entity schemas, role permissions and resolvable references', () => {
+    expect(document.openapi).toBe('3.1.0');
+    expect(document.components.schemas.rent_schedule.properties.basis.enum).toEqual(['MONTH', 'YEAR']);
+    expect(document.components.schemas.rent_schedule).not.toHaveProperty('$id');
+    expect(document.paths['/rent-schedules'].post.requestBody.content['application/json'].schema)
+      .toEqual({ $ref: '#/components/schemas/rent_schedule' });
+    expect(document.paths['/rent-schedules'].post.responses).toHaveProperty('201');
+    expect(document.paths['/reports/rent-roll'].get.responses['200'].content).toHaveProperty('text/csv');
+    
+    expect(document.paths['/leases'].get['x-roles']).toEqual(['lease_app_rw', 'analyst_ro', 'admin_dba']);
+    expect(document.paths['/leases'].post['x-roles']).toEqual(['lease_app_rw', 'admin_dba']);
+    expect(buildOpenApiDocument({ serverUrl: 'https://api.example.com' }).servers).toEqual([{ url: 'https://api.example.com' }]);
+    
+    const refs = JSON.stringify(document).match(/"\$ref":"[^"]*"/g).map(ref => ref.slice(8, -1));
+    const unresolved = [...new Set(refs)].filter(ref => {
+      const [, section, name] = ref.match(/^#\/components\/(\w+)\/(\w+)$/) || [];
+      return !section || !document.components[section][name];
+    });
+    expect(unresolved).toEqual([]);
+  });
+});
+
+describe('Search Query Unit Tests', () => {
+  
+  test('Validates search parameters and defaults to all types', () => {
+    const { errors, search } = parseSearchParams({ q: '  acme corp ' });
+    expect(errors).toEqual([]);
+    expect(search).toEqual({ q: 'acme corp', tsquery: 'acme:* & corp:*', types: Object.keys(SEARCH_TYPES), limit: 20 });
+    
+    expect(parseSearchParams({ q: 'Tower', types: 'property, suite,property', limit: '5' }).search)
+      .toMatchObject({ types: ['property', 'suite'], limit: 5 });
+    
+    expect(parseSearchParams({}).errors).toEqual([{ field: 'q', message: 'Search text (q) is required', rule: 'required' }]);
+    expect(parseSearchParams({ q: '--' }).errors[0].rule).toBe('pattern');
+    const invalid = parseSearchParams({ q: 'a', types: 'tenant', limit: '500' });
+    expect(invalid.search).toBeNull();
+    expect(invalid.errors.map(error => [error.field, error.rule])).toEqual([
+      ['q', 'minLength'],
+      ['types', 'enum'],
+      ['limit', 'maximum']
+    ]);
+  });
+  
+  test('Builds a ranked union with the search text as parameters only', () => {
+    expect(toPrefixTsquery("O'Brien & Sons; DROP TABLE lease")).toBe('o:* & brien:* & sons:* & drop:* & table:* & lease:*');
+    expect(toPrefixTsquery('Café 12B')).toBe('café:* & 12b:*');
+    
+    const { search } = parseSearchParams({ q: "Acme' OR 1=1", types: 'party,property' });
+    const { text, values } = buildSearchQuery(search);
+    expect(values).toEqual(["Acme' OR 1=1", 'acme:* & or:* & 1:* & 1:*', 20]);
+    expect(text).not.toContain('Acme');
+    expect(text.match(/UNION ALL/g)).toHaveLength(1);
+    expect(text).toContain("'party' AS type");
+    expect(text).toContain('$1 <% pr.address');
+    expect(text).not.toContain('suite_code');
+    expect(text).toMatch(/ORDER BY score DESC, type, id\s+LIMIT \$3$/);
+    
+    expect(toSearchHit({ type: 'doc_link', id: 7, title: 'Lease', subtitle: 'ML-1', matched_field: 'label', score: '0.8750' }))
+      .toEqual({ type: 'doc_link', id: 7, title: 'Lease', subtitle: 'ML-1', matched_field: 'label', score: 0.875, href: '/doc-links/7' });
+  });
+  
+  test('Full-text and trigram expressions match the V012 indexes', () => {
+    const fs = require('fs');
+    const path = require('path');
+    const sql = fs.readFileSync(path.join(__dirname, '../../../schema/migrations/V012__create_search_indexes.sql'), 'utf-8')
+      .replace(/\s+/g, ' ');
+    const unaliased = expression => expression.replace(/\b[a-z]+\.(\w+)/g, '$1');
+    
+    Object.values(SEARCH_TYPES).forEach(config => {
+      const table = config.from.split(' ')[0];
+      expect(sql).toContain(`ON ${table} USING GIN (${unaliased(config.document)})`);
+      Object.values(config.fields).forEach(column => {
+        expect(sql).toContain(`ON ${table} USING GIN (${unaliased(column)} gin_trgm_ops)`);
+      });
+    });
+  });
+});
+
+describe('Pagination Unit Tests', () => {
+  const options = { sortFields: ['lease_id', 'execution_date', 'created_at'], defaultSort: 'lease_id', key: 'lease_id' };
+  const row = (leaseId, executionDate) => ({ lease_id: leaseId, [pagination.CURSOR_COLUMN]: executionDate });
+  
+  test('Parses offset and cursor parameters and rejects invalid cursors', () => {
+    expect(pagination.parsePageParams({}, options)).toMatchObject({
+      errors: [], sortField: 'lease_id', sortOrder: 'ASC', limit: 50, offset: 0, cursor: null, includeTotal: true
+    });
+    expect(pagination.parsePageParams({ sort_by: 'tenant_id', limit: '1000', include_total: 'false' }, options))
+      .toMatchObject({ sortField: 'lease_id', limit: 500, includeTotal: false });
+    
+    const token = pagination.encodeCursor({ sortField: 'execution_date', sortOrder: 'DESC', value: '2024-03-01', key: 42, direction: 'after' });
+    expect(token).toMatch(/^[A-Za-z0-9_-]+$/);
+    const page = pagination.parsePageParams({ cursor: token, limit: '25' }, options);
+    expect(page).toMatchObject({ errors: [], sortField: 'execution_date', sortOrder: 'DESC', limit: 25, includeTotal: false });
+    expect(page.cursor).toEqual({ sortField: 'execution_date', sortOrder: 'DESC', value: '2024-03-01', key: 42, direction: 'after' });
+    
+    const tampered = Buffer.from(JSON.stringify({ s: 'tenant_id; DROP TABLE lease', o: 'ASC', v: null, k: 1, d: 'after' })).toString('base64url');
+    [tampered, 'not a cursor', Buffer.from('[]').toString('base64url')].forEach(cursor => {
+      expect(pagination.parsePageParams({ cursor }, options).errors).toEqual([
+        { field: 'cursor', message: 'Cursor is not valid for this list', rule: 'format' }
+      ]);
+    });
+    
+    const conflicting = pagination.parsePageParams({ cursor: token, sort_by: 'lease_id', sort_order: 'desc', offset: '50' }, options);
+    expect(conflicting.errors.map(error => [error.field, error.rule])).toEqual([['cursor', 'conflict'], ['offset', 'conflict']]);
+    expect(pagination.parsePageParams({ limit: '0', offset: '-1', include_total: 'yes' }, options).errors.map(error => [error.field, error.rule]))
+      .toEqual([['limit', 'minimum'], ['offset', 'type'], ['include_total', 'enum']]);
+  });
+  
+  test('Builds keyset conditions that follow the list order, including NULL sort values', () => {
+    const cursor = (sortOrder, direction, value = '2024-03-01') => ({ sortField: 'execution_date', sortOrder, value, key: 42, direction });
+    const condition = (c, sortColumn = 'l.execution_date') => pagination.keysetCondition(sortColumn, 'l.lease_id', c, 3);
+    
+    expect(condition(cursor('ASC', 'after'))).toEqual({
+      text: '(l.execution_date > $3 OR (l.execution_date = $3 AND l.lease_id > $4) OR l.execution_date IS NULL)',
+      values: ['2024-03-01', 42]
+    });
+    expect(condition(cursor('DESC', 'after')).text)
+      .toBe('(l.execution_date < $3 OR (l.execution_date = $3 AND l.lease_id < $4))');
+    expect(condition(cursor('DESC', 'before')).text)
+      .toBe('(l.execution_date > $3 OR (l.execution_date = $3 AND l.lease_id > $4) OR l.execution_date IS NULL)');
+    expect(condition(cursor('ASC', 'after', null))).toEqual({ text: '(l.execution_date IS NULL AND l.lease_id > $3)', values: [42] });
+    expect(condition(cursor('DESC', 'after', null))).toEqual({ text: '(l.execution_date IS NOT NULL OR l.lease_id < $3)', values: [42] });
+    expect(condition(cursor('ASC', 'before'), 'l.lease_id')).toEqual({ text: 'l.lease_id < $3', values: [42] });
+  });
+  
+  test('Builds pages with next and previous cursors and strips the cursor column', () => {
+    const decode = token => pagination.decodeCursor(token, options.sortFields);
+    const first = pagination.parsePageParams({ sort_by: 'execution_date', limit: '2' }, options);
+    const firstPage = pagination.buildPage([row(1, '2024-01-01'), row(2, '2024-02-01'), row(3, null)], first, 3);
+    expect(firstPage.data).toEqual([{ lease_id: 1 }, { lease_id: 2 }]);
+    expect(firstPage.pagination).toMatchObject({ total: 3, limit: 2, offset: 0, count: 2, prev_cursor: null });
+    expect(decode(firstPage.pagination.next_cursor)).toEqual({
+      sortField: 'execution_date', sortOrder: 'ASC', value: '2024-02-01', key: 2, direction: 'after'
+    });
+    
+    const second = pagination.parsePageParams({ cursor: firstPage.pagination.next_cursor, limit: '2' }, options);
+    const lastPage = pagination.buildPage([row(3, null)], second);
+    expect(lastPage.pagination).toEqual({ limit: 2, count: 1, next_cursor: null, prev_cursor: lastPage.pagination.prev_cursor });
+    expect(decode(lastPage.pagination.prev_cursor)).toMatchObject({ value: null, key: 3, direction: 'before' });
+    
+    // A backward page is read in reverse order and returned in list order
+    const back = pagination.parsePageParams({ cursor: lastPage.pagination.prev_cursor, limit: '1' }, options);
+    const backPage = pagination.buildPage([row(2, '2024-02-01'), row(1, '2024-01-01')], back);
+    expect(backPage.data).toEqual([{ lease_id: 2 }]);
+    expect(decode(backPage.pagination.prev_cursor)).toMatchObject({ key: 2, direction: 'before' });
+    expect(decode(backPage.pagination.next_cursor)).toMatchObject({ key: 2, direction: 'after' });
+    expect(pagination.buildPage([row(1, '2024-01-01')], back).pagination.prev_cursor).toBeNull();
+  });
+});
+
+describe('List Filter Unit Tests', () => {
+  test('Parses comparisons, sets, ranges, text and null checks', () => {
+    const { conditions, error } = parseFilterExpression(
+      "execution_date>=2020-01-01 AND state in (CA, NY); premises_rsf NOT BETWEEN 1000 and 5000 and tenant_name contains 'O''Brien, Inc' and label is not null"
+    );
+    expect(error).toBeNull();
+    expect(conditions.map(({ field, operator, values }) => [field, operator, values])).toEqual([
+      ['execution_date', '>=', ['2020-01-01']],
+      ['state', 'in', ['CA', 'NY']],
+      ['premises_rsf', 'not between', ['1000', '5000']],
+      ['tenant_name', 'contains', ["O'Brien, Inc"]],
+      ['label', 'is not null', []]
+    ]);
+    
+    expect(parseFilterExpression('state = CA or state = NY').error).toEqual({ message: "Expected 'and' or ';', found 'or'", position: 11 });
+    expect(parseFilterExpression('amount between 1').error.message).toBe("Expected 'and' between the two values, found end of filter");
+    expect(parseFilterExpression("label = 'open").error.message).toBe('Unterminated quoted value');
+    expect(parseFilterExpression('state in CA').error.message).toBe("Expected '(' after 'in', found 'CA'");
+    expect(parseFilterExpression('lease_id = 1; DROP TABLE lease').error.message).toBe("Expected an operator, found 'TABLE'");
+  });
+  
+  test('Compiles whitelisted fields to parameterised SQL', () => {
+    const { errors, conditions, values } = compileFilter(
+      "execution_date >= 2020-01-01 and state in (CA,NY) and premises_rsf between 10000 and 50000 and tenant_name contains '50%_off' and escalation_method != cpi",
+      LIST_FILTERS.leases,
+      3
+    );
+    expect(errors).toEqual([]);
+    expect(values).toEqual(['2020-01-01', ['CA', 'NY'], 10000, 50000, '%50\\%\\_off%', 'CPI']);
+    expect(conditions[0]).toBe('l.execution_date >= $3');
+    expect(conditions[1]).toBe('(SELECT fp.state FROM property fp WHERE fp.property_id = l.property_id) = ANY($4)');
+    expect(conditions[2]).toMatch(/fv\.is_current = TRUE\) BETWEEN \$5 AND \$6$/);
+    expect(conditions[3]).toMatch(/ILIKE \$7$/);
+    expect(conditions[4]).toMatch(/IS DISTINCT FROM \$8$/);
+    conditions.forEach(condition => expect(condition).not.toMatch(/'|\bCA\b|\bNY\b|50%|\bCPI\b/));
+    
+    expect(compileFilter('', LIST_FILTERS.leases)).toEqual({ errors: [], conditions: [], values: [] });
+    expect(compileFilter('exercised is null and lease_id not in (1,2)', LIST_FILTERS.options).conditions).toEqual([
+      'o.exercised IS NULL',
+      '((SELECT fv.lease_id FROM lease_version fv WHERE fv.lease_version_id = o.lease_version_id) IS NULL OR NOT ((SELECT fv.lease_id FROM lease_version fv WHERE fv.lease_version_id = o.lease_version_id) = ANY($1)))'
+    ]);
+  });
+  
+  test('Rejects unknown fields, unsupported operators and invalid values', () => {
+    const { errors, conditions, values } = compileFilter(
+      'rent > 5 and exercised contains yes and option_type = CALL and window_start < 2025-02-30 and lease_id = abc',
+      LIST_FILTERS.options
+    );
+    expect(conditions).toEqual([]);
+    expect(values).toEqual([]);
+    expect(errors.map(error => [error.field, error.rule])).toEqual([
+      ['filter', 'enum'],
+      ['filter.exercised', 'operator'],
+      ['filter.option_type', 'enum'],
+      ['filter.window_start', 'format'],
+      ['filter.lease_id', 'type']
+    ]);
+    expect(errors[0].allowed_values).toEqual(Object.keys(LIST_FILTERS.options));
+    expect(errors[1].allowed_values).toEqual(TYPE_OPERATORS.boolean);
+    expect(errors[2].allowed_values).toEqual(['RENEWAL', 'TERMINATION', 'EXPANSION', 'ROFR', 'OTHER']);
+    expect(compileFilter('kind = = 1', LIST_FILTERS.concessions).errors).toEqual([
+      { field: 'filter', message: "Expected a value after '=', found '=' at position 7", rule: 'syntax' }
+    ]);
+  });
+  
+  test('Lease expiration_date is the inclusive last day of the term', () => {
+    const { conditions, values } = compileFilter('expiration_date<=2025-12-31', LIST_FILTERS.leases);
+    
+    // A term of [2021-01-01,2026-01-01) expires 2025-12-31 and must match
+    expect(conditions).toEqual([
+      '(SELECT fe.expiration_date FROM vw_lease_expiration fe WHERE fe.lease_id = l.lease_id) <= $1'
+    ]);
+    expect(values).toEqual(['2025-12-31']);
+    
+    const fs = require('fs');
+    const path = require('path');
+    const views = fs.readFileSync(path.join(__dirname, '../../../schema/migrations/V005__create_views.sql'), 'utf-8');
+    const view = views.slice(views.indexOf('CREATE VIEW vw_lease_expiration'), views.indexOf('CREATE VIEW vw_expirations'));
+    expect(view).toContain("UPPER(lv.effective_daterange) - INTERVAL '1 day'");
+  });
+  
+  // Each list handler compiles ?filter= against its own whitelist
+  Object.keys(LIST_FILTERS).forEach(handler => {
+    test(`GET /${handler} filters on its whitelisted fields only`, async () => {
+      const list = require(`../${handler}`);
+      const [name, field] = Object.entries(LIST_FILTERS[handler])[0];
+      const calls = mockDatabase(sql => (sql.includes('COUNT(*)') ? [{ total: '0' }] : []));
+      
+      const response = await list.handler(apiEvent('GET', `/${handler}`, {
+        role: 'analyst_ro',
+        query: { filter: `${name} = 42` }
+      }));
+      expect(response.statusCode).toBe(200);
+      expect(calls.length).toBeGreaterThan(0);
+      calls.forEach(({ sql, values }) => {
+        const [, position] = sql.match(new RegExp(`${field.column.replace(/\./g, '\\.')} = \\$(\\d+)`));
+        expect(values[position - 1]).toBe(42);
+      });
+      
+      // A field another list accepts
+      const outside = Object.values(LIST_FILTERS).flatMap(Object.keys).find(other => !(other in LIST_FILTERS[handler]));
+      mockDatabase(() => []);
+      const rejected = await list.handler(apiEvent('GET', `/${handler}`, {
+        role: 'analyst_ro',
+        query: { filter: `${outside} = 42` }
+      }));
+      expect(rejected.statusCode).toBe(400);
+      expect(JSON.parse(rejected.body).error.details[0]).toEqual(expect.objectContaining({
+        field: 'filter',
+        rule: 'enum',
+        allowed_values: Object.keys(LIST_FILTERS[handler])
+      }));
+    });
+  });
+});
+
+describe('Sparse Fieldset Unit Tests', () => {
+  test('Validates fields and include against the resource', () => {
+    const valid = parseFieldsetParams(
+      { fields: 'master_lease_num, tenant_name,master_lease_num', include: 'rent_schedule,critical_dates' },
+      RESOURCE_FIELDSETS.leases
+    );
+    expect(valid).toEqual({
+      errors: [],
+      fields: ['master_lease_num', 'tenant_name'],
+      include: ['rent_schedule', 'critical_dates']
+    });
+    expect(parseFieldsetParams({}, RESOURCE_FIELDSETS.parties)).toEqual({ errors: [], fields: null, include: [] });
+
+    const invalid = parseFieldsetParams({ fields: 'name,rent', include: 'leases,suites' }, RESOURCE_FIELDSETS.parties);
+    expect(invalid.errors).toEqual([
+      expect.objectContaining({ field: 'fields', message: 'Unknown fields: name, rent', rule: 'enum' }),
+      expect.objectContaining({ field: 'include', message: 'Cannot include: suites', rule: 'enum', allowed_values: ['leases'] })
+    ]);
+  });
+
+  test('Keeps the key and the selected fields', async () => {
+    const property = { property_id: 4, name: 'Tower', state: 'CA', total_rsf: 90000 };
+    const fieldset = parseFieldsetParams({ fields: 'state' }, RESOURCE_FIELDSETS.properties);
+    expect(await applyFieldsets(property, fieldset, RESOURCE_FIELDSETS.properties)).toEqual({ property_id: 4, state: 'CA' });
+
+    // Version collections of a lease with no current version are empty without a query
+    const lease = { lease_id: 1, master_lease_num: 'ML-1', current_version: null };
+    const leaseFieldset = parseFieldsetParams({ fields: 'master_lease_num', include: 'options,opex' }, RESOURCE_FIELDSETS.leases);
+    expect(await applyFieldsets(lease, leaseFieldset, RESOURCE_FIELDSETS.leases)).toEqual({
+      lease_id: 1,
+      master_lease_num: 'ML-1',
+      options: [],
+      opex: []
+    });
+  });
+
+  test('Includes bind the parent as $1 and are listed in OpenAPI', () => {
+    const parameters = buildOpenApiDocument().paths;
+
+    Object.entries(RESOURCE_FIELDSETS).forEach(([handler, resource]) => {
+      expect(resource.fields).toContain(resource.key);
+      Object.values(resource.includes).forEach(relation => {
+        expect(relation.sql).toMatch(/= \$1\b/);
+        expect(relation.sql).not.toMatch(/\$[2-9]/);
+      });
+
+      const names = parameters[`/${handler}/{id}`].get.parameters.map(parameter => parameter.name);
+      expect(names).toEqual(expect.arrayContaining(['fields', 'include']));
+    });
+  });
+
+  // Answer include queries with their collection and anything else with rows()
+  function respondWithIncludes(resource, collections, rows) {
+    return (sql) => {
+      const name = Object.keys(collections).find(include => resource.includes[include].sql === sql);
+      return name ? collections[name] : rows(sql);
+    };
+  }
+
+  function includeCall(calls, resource, name) {
+    return calls.find(call => call.sql === resource.includes[name].sql);
+  }
+
+  test('GET /leases/{id} trims fields and embeds the current version collections', async () => {
+    const resource = RESOURCE_FIELDSETS.leases;
+    const lease = { lease_id: 12, property_id: 5, master_lease_num: 'ML-12', tenant_name: 'Acme', updated_at: new Date('2025-03-01T10:00:00Z') };
+    const rents = [{ rent_id: 1, lease_version_id: 70, amount: '10000.00' }];
+    const criticalDates = [{ crit_id: 3, lease_id: 12, kind: 'EXPIRATION' }];
+    const calls = mockDatabase(respondWithIncludes(resource, { rent_schedule: rents, critical_dates: criticalDates },
+      sql => (sql.includes('FROM lease_version lv') ? [{ lease_version_id: 70, version_num: 2 }] : [lease])));
+
+    const response = await require('../leases').handler(apiEvent('GET', '/leases/12', {
+      role: 'analyst_ro',
+      pathParameters: { id: '12' },
+      query: { fields: 'master_lease_num,current_version', include: 'rent_schedule,critical_dates' }
+    }));
+    const body = JSON.parse(response.body);
+
+    expect(response.statusCode).toBe(200);
+    expect(Object.keys(body).sort()).toEqual(['critical_dates', 'current_version', 'lease_id', 'master_lease_num', 'rent_schedule']);
+    expect(body.rent_schedule).toEqual(rents);
+    expect(body.critical_dates).toEqual(criticalDates);
+    expect(includeCall(calls, resource, 'rent_schedule').values).toEqual([70]);
+    expect(includeCall(calls, resource, 'critical_dates').values).toEqual([12]);
+    expect(includeCall(calls, resource, 'options')).toBeUndefined();
+  });
+
+  test('GET /properties/{id} trims fields and embeds suites', async () => {
+    const resource = RESOURCE_FIELDSETS.properties;
+    const suites = [{ suite_id: 8, property_id: 5, suite_code: '100' }];
+    const calls = mockDatabase(respondWithIncludes(resource, { suites },
+      () => [{ property_id: 5, name: 'Tower One', state: 'CA', total_rsf: 120000 }]));
+
+    const response = await require('../properties').handler(apiEvent('GET', '/properties/5', {
+      role: 'analyst_ro',
+      pathParameters: { id: '5' },
+      query: { fields: 'name', include: 'suites' }
+    }));
+
+    expect(response.statusCode).toBe(200);
+    expect(JSON.parse(response.body)).toEqual({ property_id: 5, name: 'Tower One', suites });
+    expect(includeCall(calls, resource, 'suites').values).toEqual([5]);
+  });
+
+  test('GET /parties/{id} trims fields and embeds leases on either side', async () => {
+    const resource = RESOURCE_FIELDSETS.parties;
+    const leases = [{ lease_id: 12, party_role: 'TENANT' }, { lease_id: 13, party_role: 'LANDLORD' }];
+    const calls = mockDatabase(respondWithIncludes(resource, { leases },
+      () => [{ party_id: 9, legal_name: 'Acme LLC', party_type: 'TENANT', active: true }]));
+
+    const response = await require('../parties').handler(apiEvent('GET', '/parties/9', {
+      role: 'analyst_ro',
+      pathParameters: { id: '9' },
+      query: { fields: 'legal_name', include: 'leases' }
+    }));
+
+    expect(response.statusCode).toBe(200);
+    expect(JSON.parse(response.body)).toEqual({ party_id: 9, legal_name: 'Acme LLC', leases });
+    expect(includeCall(calls, resource, 'leases').values).toEqual([9]);
+  });
+});
+
+describe('Optimistic Concurrency Unit Tests', () => {
+  test('ETags follow updated_at to the microsecond in query rows and audit snapshots alike', () => {
+    const row = { rent_id: 38, updated_at: new Date('2025-03-01T10:00:00.123'), etag_source: '2025-03-01T10:00:00.123400' };
+    const etag = concurrency.computeETag('rent_schedule', 38, row.etag_source);
+
+    expect(etag).toMatch(/^"[0-9a-f]{20}"$/);
+    expect(concurrency.etagHeader('rent_schedule', row, 'rent_id')).toEqual({ ETag: etag });
+    // to_jsonb snapshots drop trailing zeros of the fraction
+    expect(concurrency.computeETag('rent_schedule', '38', '2025-03-01T10:00:00.1234')).toBe(etag);
+    // A second write in the same millisecond still changes the ETag
+    expect(concurrency.computeETag('rent_schedule', 38, '2025-03-01T10:00:00.123401')).not.toBe(etag);
+    expect(concurrency.computeETag('option', 38, row.etag_source)).not.toBe(etag);
+    expect(concurrency.etagHeader('rent_schedule', { rent_id: 38, updated_at: row.updated_at }, 'rent_id')).toEqual({});
+    expect(concurrency.omitETagSource(row)).toEqual({ rent_id: 38, updated_at: row.updated_at });
+    expect(concurrency.etagColumn('rs')).toBe(`to_char(rs.updated_at, 'YYYY-MM-DD"T"HH24:MI:SS.US') AS etag_source`);
+  });
+
+  test('Checks If-Match with strong comparison and 412 / 428 errors', () => {
+    const row = { option_id: 5, updated_at: '2025-03-01T10:00:00.5' };
+    const etag = concurrency.computeETag('option', 5, row.updated_at);
+    const check = (ifMatch, current = row) => () => concurrency.checkIfMatch('option', current, 'option_id', ifMatch);
+
+    expect(concurrency.getIfMatch({ 'if-match': ` ${etag} ` })).toBe(etag);
+    expect(concurrency.getIfMatch({ 'If-Match': '' })).toBeNull();
+    expect(concurrency.getIfMatch(undefined)).toBeNull();
+
+    expect(check(etag)).not.toThrow();
+    expect(check(`"other", ${etag}`)).not.toThrow();
+    expect(check('*')).not.toThrow();
+    expect(check(undefined)).not.toThrow();
+    expect(check(null)).not.toThrow();
+
+    const expectError = (fn, statusCode, code) => {
+      try {
+        fn();
+      } catch (error) {
+        expect(error).toBeInstanceOf(DatabaseError);
+        expect(error.statusCode).toBe(statusCode);
+        expect(error.code).toBe(code);
+        return error;
+      }
+      throw new Error('Expected a precondition error');
+    };
+    const stale = expectError(check('"stale"'), 412, 'PRECONDITION_FAILED');
+    expect(stale.details).toEqual([{ field: 'If-Match', value: '"stale"', current_etag: etag }]);
+    expectError(check(`W/${etag}`), 412, 'PRECONDITION_FAILED');
+    expectError(check('*', null), 412, 'PRECONDITION_FAILED');
+
+    process.env.REQUIRE_IF_MATCH = 'true';
+    try {
+      expectError(check(null), 428, 'PRECONDITION_REQUIRED');
+      expect(check(undefined)).not.toThrow();
+    } finally {
+      delete process.env.REQUIRE_IF_MATCH;
+    }
+  });
+
+  // One concession row whose updated_at advances a microsecond per write, so
+  // successive writes fall within the same millisecond
+  function concessionTable() {
+    const table = {
+      row: { concession_id: 4, lease_version_id: 70, kind: 'FREE_RENT', notes: 'Original', updated_at: '2025-03-01T10:00:00.123456' }
+    };
+    const queryRow = () => ({
+      ...table.row,
+      updated_at: new Date(`${table.row.updated_at.slice(0, 23)}Z`),
+      etag_source: table.row.updated_at
+    });
+    table.respond = (sql, values) => {
+      if (sql.includes('to_jsonb(t)')) return [{ row: { ...table.row } }];
+      if (sql.includes('UPDATE concession')) {
+        const micros = String(Number(table.row.updated_at.slice(20)) + 1).padStart(6, '0');
+        table.row = { ...table.row, notes: values[0], updated_at: `${table.row.updated_at.slice(0, 20)}${micros}` };
+        return [queryRow()];
+      }
+      if (sql.includes('DELETE FROM concession')) return [];
+      if (sql.includes('FROM concession')) return [queryRow()];
+      if (sql.includes('INSERT INTO audit_log')) return [{ audit_id: 1 }];
+      return [];
+    };
+    return table;
+  }
+
+  const concessionEvent = (httpMethod, options = {}) => apiEvent(httpMethod, '/concessions/4', {
+    pathParameters: { id: '4' },
+    ...options
+  });
+
+  test('GET and PUT return the ETag of the row they read or wrote', async () => {
+    const table = concessionTable();
+    mockDatabase(table.respond);
+    const concessions = require('../concessions');
+
+    const read = await concessions.handler(concessionEvent('GET', { role: 'analyst_ro' }));
+    expect(read.statusCode).toBe(200);
+    expect(read.headers.ETag).toMatch(/^"[0-9a-f]{20}"$/);
+    expect(JSON.parse(read.body)).not.toHaveProperty('etag_source');
+
+    const write = await concessions.handler(concessionEvent('PUT', {
+      headers: { 'If-Match': read.headers.ETag },
+      body: { notes: 'Revised' }
+    }));
+    expect(write.statusCode).toBe(200);
+    expect(JSON.parse(write.body).notes).toBe('Revised');
+    expect(write.headers.ETag).not.toBe(read.headers.ETag);
+
+    const reread = await concessions.handler(concessionEvent('GET', { role: 'analyst_ro' }));
+    expect(reread.headers.ETag).toBe(write.headers.ETag);
+  });
+
+  test('A stale If-Match returns 412 and leaves the row unchanged', async () => {
+    const table = concessionTable();
+    mockDatabase(table.respond);
+    const concessions = require('../concessions');
+    const read = await concessions.handler(concessionEvent('GET', { role: 'analyst_ro' }));
+    const first = await concessions.handler(concessionEvent('PUT', {
+      headers: { 'If-Match': read.headers.ETag },
+      body: { notes: 'Revised' }
+    }));
+    expect(first.statusCode).toBe(200);
+
+    // A second client still holding the first ETag
+    const calls = mockDatabase(table.respond);
+    const lost = await concessions.handler(concessionEvent('PUT', {
+      headers: { 'If-Match': read.headers.ETag },
+      body: { notes: 'Lost update' }
+    }));
+    expect(lost.statusCode).toBe(412);
+    expect(JSON.parse(lost.body).error).toEqual(expect.objectContaining({
+      code: 'PRECONDITION_FAILED',
+      details: [{ field: 'If-Match', value: read.headers.ETag, current_etag: first.headers.ETag }]
+    }));
+    const deleted = await concessions.handler(concessionEvent('DELETE', { headers: { 'If-Match': read.headers.ETag } }));
+    expect(deleted.statusCode).toBe(412);
+    expect(table.row.notes).toBe('Revised');
+    expect(calls.some(call => /UPDATE concession|DELETE FROM concession|INSERT INTO audit_log/.test(call.sql))).toBe(false);
+
+    // withAudit checks before the write runs
+    const update = jest.fn();
+    await expect(db.audit.withAudit({ principal: 'tester', role: 'lease_app_rw' }, {
+      entity: 'concession',
+      action: 'UPDATE',
+      entityId: 4,
+      ifMatch: read.headers.ETag
+    }, update)).rejects.toMatchObject({ statusCode: 412, code: 'PRECONDITION_FAILED' });
+    expect(update).not.toHaveBeenCalled();
+  });
+
+  test('A write without If-Match returns 428 when REQUIRE_IF_MATCH is set', async () => {
+    const table = concessionTable();
+    const calls = mockDatabase(table.respond);
+    const concessions = require('../concessions');
+
+    process.env.REQUIRE_IF_MATCH = 'true';
+    try {
+      const response = await concessions.handler(concessionEvent('PUT', { body: { notes: 'Revised' } }));
+      expect(response.statusCode).toBe(428);
+      expect(JSON.parse(response.body).error.code).toBe('PRECONDITION_REQUIRED');
+      expect(table.row.notes).toBe('Original');
+      expect(calls.some(call => call.sql.includes('UPDATE concession'))).toBe(false);
+
+      const read = await concessions.handler(concessionEvent('GET', { role: 'analyst_ro' }));
+      const write = await concessions.handler(concessionEvent('PUT', {
+        headers: { 'If-Match': read.headers.ETag },
+        body: { notes: 'Revised' }
+      }));
+      expect(write.statusCode).toBe(200);
+    } finally {
+      delete process.env.REQUIRE_IF_MATCH;
+    }
+  });
+
+  // Yearly OpEx rows: the PUT is an upsert keyed by year, and each write
+  // advances updated_at a microsecond
+  const OPEX_YEAR_ENDPOINTS = [
+    {
+      name: 'opex-actuals',
+      module: '../properties',
+      entity: 'property_opex_year',
+      key: 'property_opex_year_id',
+      parent: 'FROM property WHERE',
+      path: '/properties/5/opex-actuals/2024',
+      pathParameters: { id: '5', year: '2024' },
+      row: { property_opex_year_id: 21, property_id: 5, expense_year: 2024, occupancy_pct: null, notes: null },
+      body: { expenses: [{ category: 'CAM', amount: 1000 }] }
+    },
+    {
+      name: 'estimates',
+      module: '../opex-pass-throughs',
+      entity: 'opex_estimate',
+      key: 'opex_estimate_id',
+      parent: 'FROM opex_pass_through WHERE',
+      path: '/opex-pass-throughs/3/estimates/2024',
+      pathParameters: { id: '3', year: '2024' },
+      row: { opex_estimate_id: 11, opex_id: 3, expense_year: 2024, estimated_amount: '12000.00' },
+      body: { estimated_amount: 12500 }
+    }
+  ];
+  
+  function opexYearTable(endpoint) {
+    const table = { row: { ...endpoint.row, updated_at: '2025-03-01T10:00:00.123456' }, writes: 0 };
+    const queryRow = () => ({
+      ...table.row,
+      updated_at: new Date(`${table.row.updated_at.slice(0, 23)}Z`),
+      etag_source: table.row.updated_at
+    });
+    table.respond = (sql) => {
+      if (sql.includes('to_jsonb(')) return [{ row: { ...table.row } }];
+      if (sql.includes(`SELECT ${endpoint.key} FROM`)) return [{ [endpoint.key]: table.row[endpoint.key] }];
+      if (sql.includes(`INSERT INTO ${endpoint.entity} `)) {
+        const micros = String(Number(table.row.updated_at.slice(20)) + 1).padStart(6, '0');
+        table.row = { ...table.row, updated_at: `${table.row.updated_at.slice(0, 20)}${micros}` };
+        table.writes++;
+        return [queryRow()];
+      }
+      if (sql.includes(endpoint.parent)) return [{ found: true }];
+      if (sql.includes(`FROM ${endpoint.entity}`)) return [queryRow()];
+      if (sql.includes('INSERT INTO property_opex_expense')) return [{ category: 'CAM', amount: '1000.00', is_variable: true }];
+      if (sql.includes('INSERT INTO audit_log')) return [{ audit_id: 1 }];
+      return [];
+    };
+    return table;
+  }
+  
+  OPEX_YEAR_ENDPOINTS.forEach(endpoint => {
+    test(`GET and PUT of yearly ${endpoint.name} carry the ETag; stale If-Match returns 412, a missing one 428`, async () => {
+      const table = opexYearTable(endpoint);
+      mockDatabase(table.respond);
+      const handler = require(endpoint.module).handler;
+      const event = (httpMethod, options = {}) => apiEvent(httpMethod, endpoint.path, {
+        pathParameters: endpoint.pathParameters,
+        ...options
+      });
+      
+      const read = await handler(event('GET', { role: 'analyst_ro' }));
+      expect(read.statusCode).toBe(200);
+      expect(read.headers.ETag).toMatch(/^"[0-9a-f]{20}"$/);
+      expect(JSON.parse(read.body)).not.toHaveProperty('etag_source');
+      
+      const write = await handler(event('PUT', { headers: { 'If-Match': read.headers.ETag }, body: endpoint.body }));
+      expect(write.statusCode).toBe(200);
+      expect(write.headers.ETag).not.toBe(read.headers.ETag);
+      expect(JSON.parse(write.body)).not.toHaveProperty('etag_source');
+      expect(table.writes).toBe(1);
+      
+      // A second client still holding the first ETag
+      const calls = mockDatabase(table.respond);
+      const lost = await handler(event('PUT', { headers: { 'If-Match': read.headers.ETag }, body: endpoint.body }));
+      expect(lost.statusCode).toBe(412);
+      expect(JSON.parse(lost.body).error.details).toEqual([
+        { field: 'If-Match', value: read.headers.ETag, current_etag: write.headers.ETag }
+      ]);
+      expect(table.writes).toBe(1);
+      expect(calls.some(call => call.sql.includes('INSERT INTO audit_log'))).toBe(false);
+      
+      process.env.REQUIRE_IF_MATCH = 'true';
+      try {
+        const unconditional = await handler(event('PUT', { body: endpoint.body }));
+        expect(unconditional.statusCode).toBe(428);
+        expect(table.writes).toBe(1);
+      } finally {
+        delete process.env.REQUIRE_IF_MATCH;
+      }
+    });
+  });
+  
+  test('An If-Match on a yearly OpEx PUT that would create the year returns 412', async () => {
+    const endpoint = OPEX_YEAR_ENDPOINTS[1];
+    const table = opexYearTable(endpoint);
+    mockDatabase((sql, values) => (sql.includes(`SELECT ${endpoint.key} FROM`) ? [] : table.respond(sql, values)));
+    const opexPassThroughs = require('../opex-pass-throughs');
+    
+    const response = await opexPassThroughs.handler(apiEvent('PUT', endpoint.path, {
+      pathParameters: endpoint.pathParameters,
+      headers: { 'If-Match': '*' },
+      body: endpoint.body
+    }));
+    expect(response.statusCode).toBe(412);
+    expect(table.writes).toBe(0);
+    
+    const created = await opexPassThroughs.handler(apiEvent('PUT', endpoint.path, {
+      pathParameters: endpoint.pathParameters,
+      body: endpoint.body
+    }));
+    expect(created.statusCode).toBe(201);
+    expect(created.headers.ETag).toMatch(/^"[0-9a-f]{20}"$/);
+  });
+  
+  test('Documents ETag and If-Match on the entity operations', () => {
+    const paths = buildOpenApiDocument().paths;
+    const headerNames = operation => (operation.parameters || []).filter(param => param.in === 'header').map(param => param.name);
+    expect(headerNames(paths['/leases/{id}'].put)).toEqual(['If-Match']);
+    expect(headerNames(paths['/options/{id}/exercise'].put)).toEqual(['If-Match']);
+    expect(paths['/suites/{id}'].delete.responses['412']).toEqual({ $ref: '#/components/responses/Error412' });
+    expect(paths['/doc-links/{id}'].get.responses['200'].headers.ETag).toBeDefined();
+    expect(headerNames(paths['/properties/{id}/opex-actuals/{year}'].put)).toEqual(['If-Match']);
+    expect(paths['/opex-pass-throughs/{id}/estimates/{year}'].get.responses['200'].headers.ETag).toBeDefined();
+  });
+});
@@ -0,0 +1,146 @@
+/**
+ * Lease Version Carry-Forward
+ * Plans which child rows of the prior current version are copied to a new
+ * version, optionally clipping their date ranges to the new effective range.
+ * Pure functions only; leases.js runs the inserts inside its transaction.
+ */
+
+const { parseDaterange, formatDaterange } = require('../calc/dates');
+
+const CARRY_FORWARD_COLLECTIONS = ['rent_schedule', 'option', 'concession', 'opex_pass_through'];
+
+// Per collection: primary key, date range column (if any) and copied columns
+const COLLECTION_COLUMNS = {
+  rent_schedule: {
+    idField: 'rent_id',
+    rangeField: 'period_daterange',
+    columns: ['period_daterange', 'amount', 'basis']
+  },
+  option: {
+    idField: 'option_id',
+    rangeField: 'window_daterange',
+    columns: ['option_type', 'window_daterange', 'terms', 'exercised', 'exercised_date']
+  },
+  concession: {
+    idField: 'concession_id',
+    rangeField: 'applies_daterange',
+    columns: ['kind', 'value_amount', 'value_basis', 'applies_daterange', 'notes']
+  },
+  opex_pass_through: {
+    idField: 'opex_id',
+    rangeField: null,
+    columns: ['method', 'stop_amount', 'gross_up_pct', 'notes']
+  }
+};
+
+/**
+ * Normalize the carry_forward request value
+ * @param {boolean|Array<string>} value - true for all collections or a list of collection names
+ * @returns {Array<string>|null} Collections to copy, or null if the value is invalid
+ */
+function normalizeCollections(value) {
+  if (value === undefined || value === null || value === false) {
+    return [];
+  }
+  if (value === true) {
+    return [...CARRY_FORWARD_COLLECTIONS];
+  }
+  if (!Array.isArray(value)) {
+    return null;
+  }
+  const collections = value.map(item => String(item).toLowerCase());
+  if (collections.some(item => !CARRY_FORWARD_COLLECTIONS.includes(item))) {
+    return null;
+  }
+  return [...new Set(collections)];
+}
+
+/**
+ * Clip a daterange to the effective range
+ * @param {string|null} value - Daterange literal
+ * @param {Object} effective - Parsed effective range { start, end }
+ * @returns {Object|null} { daterange, adjusted } or null when the ranges do not overlap
+ */
+function clipDaterange(value, effective) {
+  const range = parseDaterange(value);
+  if (!range) {
+    // No range (e.g., a lump-sum TI allowance) is copied unchanged
+    return { daterange: value, adjusted: false };
+  }
+
+  const later = (a, b) => (!a ? b : !b ? a : (a > b ? a : b));
+  const earlier = (a, b) => (!a ? b : !b ? a : (a < b ? a : b));
+
+  const start = later(range.start, effective.start);
+  const end = earlier(range.end, effective.end);
+
+  if (start && end && start >= end) {
+    return null;
+  }
+
+  const daterange = formatDaterange(start, end);
+  return { daterange, adjusted: daterange !== formatDaterange(range.start, range.end) };
+}
+
+/**
+ * Plan the rows to copy into a new version
+ * @param {Object} children - Rows of the prior version keyed by collection
+ * @param {Object} options - Plan options
+ * @param {Array<string>} options.collections - Collections to copy
+ * @param {string} options.effectiveDaterange - New version's effective_daterange
+ * @param {boolean} options.truncateDates - Clip date ranges to the effective range
+ * @returns {Object} Per collection { copy: [{ source_id, values, adjusted }], skipped: [{ source_id, reason }] }
+ */
+function planCarryForward(children, { collections, effectiveDaterange, truncateDates = false }) {
+  const effective = truncateDates ? parseDaterange(effectiveDaterange) : null;
+  if (truncateDates && !effective) {
+    throw new Error('A valid effective_daterange is required to truncate dates');
+  }
+
+  const plan = {};
+
+  for (const collection of collections) {
+    const config = COLLECTION_COLUMNS[collection];
+    if (!config) {
+      throw new Error(`Unknown carry-forward collection: ${collection}`);
+    }
+
+    const copy = [];
+    const skipped = [];
+
+    for (const row of children[collection] || []) {
+      const values = {};
+      config.columns.forEach(column => {
+        values[column] = row[column] === undefined ? null : row[column];
+      });
+
+      let adjusted = false;
+      if (effective && config.rangeField) {
+        const clipped = clipDaterange(row[config.rangeField], effective);
+        if (!clipped) {
+          skipped.push({
+            source_id: row[config.idField],
+            reason: `${config.rangeField} ${row[config.rangeField]} is outside the new effective range`
+          });
+          continue;
+        }
+        values[config.rangeField] = clipped.daterange;
+        adjusted = clipped.adjusted;
+      }
+
+      copy.push({ source_id: row[config.idField], values, adjusted });
+    }
+
+    plan[collection] = { copy, skipped };
+  }
+
+  return plan;
+}
+
+module.exports = {
+  CARRY_FORWARD_COLLECTIONS,
+  COLLECTION_COLUMNS,
+  normalizeCollections,
+  clipDaterange,
+  planCarryForward
+};
@@ -0,0 +1,195 @@
+/**
+ * Lease Version Diff
+ * Field-level and child-row-level comparison of two lease versions.
+ * Pure functions only; leases.js loads the versions and their child rows.
+ */
+
+const { formatDate } = require('../calc/dates');
+
+// lease_version fields compared between versions
+const VERSION_FIELDS = [
+  'effective_daterange',
+  'suite_id',
+  'suite_code',
+  'premises_rsf',
+  'term_months',
+  'base_year',
+  'escalation_method',
+  'currency_code',
+  'discount_rate',
+  'cpi_series_id',
+  'cpi_base_month',
+  'cpi_floor_pct',
+  'cpi_cap_pct',
+  'cpi_lag_months',
+  'notes'
+];
+
+// Child tables: rows are matched across versions on their natural key
+// and the remaining fields are compared
+const CHILD_TABLES = {
+  rent_schedule: {
+    idField: 'rent_id',
+    keyFields: ['period_daterange'],
+    fields: ['amount', 'basis']
+  },
+  option: {
+    idField: 'option_id',
+    keyFields: ['option_type', 'window_daterange'],
+    fields: ['terms', 'exercised', 'exercised_date']
+  },
+  concession: {
+    idField: 'concession_id',
+    keyFields: ['kind', 'applies_daterange'],
+    fields: ['value_amount', 'value_basis', 'notes']
+  },
+  opex_pass_through: {
+    idField: 'opex_id',
+    keyFields: ['method'],
+    fields: ['stop_amount', 'gross_up_pct', 'notes']
+  }
+};
+
+/**
+ * Normalize a column value for comparison
+ * DATE columns may arrive as Date objects; NUMERIC columns arrive as strings
+ * with the column's fixed scale, so they compare as-is.
+ */
+function normalizeValue(value) {
+  if (value === undefined || value === null) {
+    return null;
+  }
+  if (value instanceof Date) {
+    return formatDate(value);
+  }
+  return value;
+}
+
+/**
+ * Compare the listed fields of two rows
+ * @returns {Array<Object>} Changed fields as { field, from, to }
+ */
+function diffFields(fromRow, toRow, fields) {
+  const changes = [];
+  for (const field of fields) {
+    const fromValue = fromRow ? fromRow[field] : null;
+    const toValue = toRow ? toRow[field] : null;
+    if (normalizeValue(fromValue) !== normalizeValue(toValue)) {
+      changes.push({
+        field,
+        from: fromValue === undefined ? null : fromValue,
+        to: toValue === undefined ? null : toValue
+      });
+    }
+  }
+  return changes;
+}
+
+function rowKey(row, keyFields) {
+  return keyFields.map(field => String(normalizeValue(row[field]))).join('|');
+}
+
+function keyObject(row, keyFields) {
+  const key = {};
+  keyFields.forEach(field => {
+    key[field] = row[field] === undefined ? null : row[field];
+  });
+  return key;
+}
+
+/**
+ * Diff the child rows of one table
+ * Rows sharing a natural key are paired in order; unpaired rows are added or removed.
+ * @returns {Object} { added, removed, changed, unchanged }
+ */
+function diffChildRows(table, fromRows = [], toRows = []) {
+  const config = CHILD_TABLES[table];
+  if (!config) {
+    throw new Error(`Unknown child table: ${table}`);
+  }
+
+  const remaining = new Map();
+  for (const row of fromRows) {
+    const key = rowKey(row, config.keyFields);
+    if (!remaining.has(key)) {
+      remaining.set(key, []);
+    }
+    remaining.get(key).push(row);
+  }
+
+  const added = [];
+  const changed = [];
+  let unchanged = 0;
+
+  for (const toRow of toRows) {
+    const candidates = remaining.get(rowKey(toRow, config.keyFields));
+    const fromRow = candidates && candidates.length > 0 ? candidates.shift() : null;
+
+    if (!fromRow) {
+      added.push(toRow);
+      continue;
+    }
+
+    const changes = diffFields(fromRow, toRow, config.fields);
+    if (changes.length === 0) {
+      unchanged++;
+    } else {
+      changed.push({
+        key: keyObject(toRow, config.keyFields),
+        from_id: fromRow[config.idField],
+        to_id: toRow[config.idField],
+        changes
+      });
+    }
+  }
+
+  const removed = [];
+  for (const rows of remaining.values()) {
+    removed.push(...rows);
+  }
+
+  return { added, removed, changed, unchanged };
+}
+
+/**
+ * Diff two lease versions and their child rows
+ * @param {Object} fromVersion - Earlier lease_version row
+ * @param {Object} toVersion - Later lease_version row
+ * @param {Object} fromChildren - { rent_schedule, option, concession, opex_pass_through } rows of fromVersion
+ * @param {Object} toChildren - Same for toVersion
+ * @returns {Object} { fields, children, summary }
+ */
+function diffLeaseVersions(fromVersion, toVersion, fromChildren = {}, toChildren = {}) {
+  const fields = diffFields(fromVersion, toVersion, VERSION_FIELDS);
+
+  const children = {};
+  const summary = {
+    fields_changed: fields.length,
+    rows_added: 0,
+    rows_removed: 0,
+    rows_changed: 0
+  };
+
+  for (const table of Object.keys(CHILD_TABLES)) {
+    const result = diffChildRows(table, fromChildren[table], toChildren[table]);
+    children[table] = result;
+    summary.rows_added += result.added.length;
+    summary.rows_removed += result.removed.length;
+    summary.rows_changed += result.changed.length;
+  }
+
+  summary.identical = summary.fields_changed === 0 &&
+    summary.rows_added === 0 &&
+    summary.rows_removed === 0 &&
+    summary.rows_changed === 0;
+
+  return { fields, children, summary };
+}
+
+module.exports = {
+  VERSION_FIELDS,
+  CHILD_TABLES,
+  diffFields,
+  diffChildRows,
+  diffLeaseVersions
+};
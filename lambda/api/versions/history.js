@@ -0,0 +1,50 @@
+/**
+ * Lease Version History
+ * Resolves which lease version was in effect on a given date.
+ * Pure functions only; leases.js loads the versions and their child rows.
+ */
+
+const { parseDate, parseDaterange } = require('../calc/dates');
+
+/**
+ * Check whether a version's effective_daterange contains a date
+ * @param {Object} version - lease_version row with effective_daterange as text
+ * @param {Date} date - Date to test
+ * @returns {boolean}
+ */
+function versionCoversDate(version, date) {
+  const range = parseDaterange(version.effective_daterange);
+  if (!range) {
+    return false;
+  }
+  return (!range.start || range.start <= date) && (!range.end || date < range.end);
+}
+
+/**
+ * Resolve the version in effect on a date
+ * An amendment's range may overlap earlier versions; the highest version_num wins.
+ * @param {Array<Object>} versions - lease_version rows of one lease
+ * @param {string} asOf - Date as YYYY-MM-DD
+ * @returns {Object} { version, overlapping } where version is null if none covers the date
+ *   and overlapping lists the version numbers of the other versions that also cover it
+ */
+function resolveVersionAsOf(versions, asOf) {
+  const date = parseDate(asOf);
+  if (!date) {
+    throw new Error(`Invalid as_of date: ${asOf}`);
+  }
+
+  const matching = versions
+    .filter(version => versionCoversDate(version, date))
+    .sort((a, b) => b.version_num - a.version_num);
+
+  return {
+    version: matching[0] || null,
+    overlapping: matching.slice(1).map(version => version.version_num)
+  };
+}
+
+module.exports = {
+  versionCoversDate,
+  resolveVersionAsOf
+};
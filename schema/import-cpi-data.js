@@ -0,0 +1,105 @@
+#!/usr/bin/env node
+
+/**
+ * CPI Index Importer for Office Lease Database
+ * Converts a CSV of CPI index values into SQL that upserts the cpi_index table
+ *
+ * Expected columns (header row required):
+ *   series_id - Index series (e.g., CUUR0000SA0 for CPI-U, U.S. city average)
+ *   period    - Month as YYYY-MM or YYYY-MM-DD (stored as the first of the month)
+ *   value     - Index value
+ *
+ * Usage:
+ *   node schema/import-cpi-data.js <csv-file-path> > cpi-data.sql
+ *
+ * Example:
+ *   node schema/import-cpi-data.js cpi-u.csv > cpi-data.sql
+ *   psql -h localhost -U your_username -d lease_db -f cpi-data.sql
+ */
+
+const fs = require('fs');
+const { parse } = require('csv-parse/sync');
+
+// Check command line arguments
+if (process.argv.length < 3) {
+  console.error('Usage: node import-cpi-data.js <csv-file-path>');
+  console.error('Example: node import-cpi-data.js cpi-u.csv > cpi-data.sql');
+  process.exit(1);
+}
+
+const csvFilePath = process.argv[2];
+
+// Check if file exists
+if (!fs.existsSync(csvFilePath)) {
+  console.error(`Error: File not found: ${csvFilePath}`);
+  process.exit(1);
+}
+
+// Read and parse CSV (progress goes to stderr so stdout stays valid SQL)
+console.error(`Reading CSV file: ${csvFilePath}`);
+const csvContent = fs.readFileSync(csvFilePath, 'utf-8');
+const records = parse(csvContent, {
+  columns: true,
+  skip_empty_lines: true,
+  trim: true
+});
+
+// Helper functions
+function escapeSQL(str) {
+  return `'${String(str).replace(/'/g, "''")}'`;
+}
+
+function formatPeriod(periodStr) {
+  const match = /^(\d{4})-(\d{2})(?:-\d{2})?$/.exec(periodStr || '');
+  if (!match) return null;
+  const month = parseInt(match[2], 10);
+  if (month < 1 || month > 12) return null;
+  return `${match[1]}-${match[2]}-01`;
+}
+
+function formatValue(valueStr) {
+  const num = parseFloat(String(valueStr || '').replace(/,/g, ''));
+  return isNaN(num) || num <= 0 ? null : num;
+}
+
+const rows = [];
+const skipped = [];
+
+records.forEach((record, idx) => {
+  const seriesId = record.series_id;
+  const period = formatPeriod(record.period);
+  const value = formatValue(record.value);
+
+  if (!seriesId || !period || value === null) {
+    // Header is line 1, so data rows start at line 2
+    skipped.push(idx + 2);
+    return;
+  }
+
+  rows.push(`  (${escapeSQL(seriesId)}, '${period}', ${value})`);
+});
+
+console.error(`Found ${records.length} records, ${rows.length} valid`);
+if (skipped.length > 0) {
+  console.error(`Skipped invalid rows at lines: ${skipped.join(', ')}`);
+}
+
+if (rows.length === 0) {
+  console.error('Error: No valid CPI rows to import');
+  process.exit(1);
+}
+
+// Generate SQL
+console.log('-- CPI Index Import');
+console.log('-- Generated:', new Date().toISOString());
+console.log('-- Source:', csvFilePath);
+console.log('-- Rows:', rows.length);
+console.log('');
+console.log('BEGIN;');
+console.log('');
+console.log('INSERT INTO cpi_index (series_id, period, value) VALUES');
+console.log(rows.join(',\n'));
+console.log('ON CONFLICT (series_id, period) DO UPDATE');
+console.log('  SET value = EXCLUDED.value, updated_at = CURRENT_TIMESTAMP;');
+console.log('');
+console.log('COMMIT;');
@@ -0,0 +1,9 @@
+-- V006: Add discount rate (incremental borrowing rate) to lease_version
+-- Used to measure lessee lease liabilities and ROU assets (ASC 842 / IFRS 16)
+
+ALTER TABLE lease_version
+    ADD COLUMN discount_rate NUMERIC(7, 4);
+
+-- Annual rate stored as a percentage (e.g., 5.2500 = 5.25%)
+ALTER TABLE lease_version
+    ADD CONSTRAINT chk_discount_rate CHECK (discount_rate IS NULL OR (discount_rate >= 0 AND discount_rate < 100));
@@ -0,0 +1,31 @@
+-- V007: CPI index store and per-version CPI escalation rule
+-- Supports CPI-based rent resets for leases with escalation_method = 'CPI'
+
+-- CPI Index table: published index values by series and month
+CREATE TABLE cpi_index (
+    cpi_index_id SERIAL PRIMARY KEY,
+    series_id VARCHAR(50) NOT NULL,
+    period DATE NOT NULL,
+    value NUMERIC(12, 4) NOT NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    CONSTRAINT uq_cpi_index_series_period UNIQUE (series_id, period),
+    -- Periods are stored as the first day of the month
+    CONSTRAINT chk_cpi_period_month_start CHECK (EXTRACT(DAY FROM period) = 1),
+    CONSTRAINT chk_cpi_value_positive CHECK (value > 0)
+);
+
+COMMENT ON TABLE cpi_index IS 'Consumer price index values by series (e.g., BLS CUUR0000SA0) and month';
+
+-- CPI rule on lease_version
+ALTER TABLE lease_version
+    ADD COLUMN cpi_series_id VARCHAR(50),
+    ADD COLUMN cpi_base_month DATE,
+    ADD COLUMN cpi_floor_pct NUMERIC(7, 4),
+    ADD COLUMN cpi_cap_pct NUMERIC(7, 4),
+    ADD COLUMN cpi_lag_months INTEGER;
+
+ALTER TABLE lease_version
+    ADD CONSTRAINT chk_cpi_base_month_start CHECK (cpi_base_month IS NULL OR EXTRACT(DAY FROM cpi_base_month) = 1),
+    ADD CONSTRAINT chk_cpi_floor_cap CHECK (cpi_floor_pct IS NULL OR cpi_cap_pct IS NULL OR cpi_floor_pct <= cpi_cap_pct),
+    ADD CONSTRAINT chk_cpi_lag_months CHECK (cpi_lag_months IS NULL OR (cpi_lag_months >= 0 AND cpi_lag_months <= 24));
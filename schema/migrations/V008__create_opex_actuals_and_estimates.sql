@@ -0,0 +1,54 @@
+-- V008: Actual building operating expenses and tenant OpEx estimates
+-- Inputs for annual operating expense reconciliation against opex_pass_through
+
+-- Property OpEx Year table: one row per property and expense year
+CREATE TABLE property_opex_year (
+    property_opex_year_id SERIAL PRIMARY KEY,
+    property_id INTEGER NOT NULL,
+    expense_year INTEGER NOT NULL,
+    -- Average building occupancy for the year, used to gross up variable expenses
+    occupancy_pct NUMERIC(5, 2),
+    notes TEXT,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    CONSTRAINT fk_opex_year_property FOREIGN KEY (property_id) 
+        REFERENCES property(property_id) ON DELETE RESTRICT,
+    CONSTRAINT uq_property_opex_year UNIQUE (property_id, expense_year),
+    CONSTRAINT chk_opex_expense_year CHECK (expense_year BETWEEN 1900 AND 2100),
+    CONSTRAINT chk_opex_occupancy_pct CHECK (occupancy_pct IS NULL OR (occupancy_pct > 0 AND occupancy_pct <= 100))
+);
+
+-- Property OpEx Expense table: actual expenses by category for a property year
+CREATE TABLE property_opex_expense (
+    expense_id SERIAL PRIMARY KEY,
+    property_opex_year_id INTEGER NOT NULL,
+    category VARCHAR(50) NOT NULL,
+    amount NUMERIC(15, 2) NOT NULL,
+    -- Variable expenses scale with occupancy and are grossed up; fixed expenses are not
+    is_variable BOOLEAN NOT NULL DEFAULT TRUE,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    CONSTRAINT fk_opex_expense_year FOREIGN KEY (property_opex_year_id) 
+        REFERENCES property_opex_year(property_opex_year_id) ON DELETE RESTRICT,
+    CONSTRAINT uq_opex_expense_category UNIQUE (property_opex_year_id, category),
+    CONSTRAINT chk_opex_expense_category CHECK (category IN (
+        'CAM', 'REAL_ESTATE_TAX', 'INSURANCE', 'UTILITIES', 'JANITORIAL',
+        'REPAIRS_MAINTENANCE', 'SECURITY', 'MANAGEMENT_FEE', 'OTHER'
+    )),
+    CONSTRAINT chk_opex_expense_amount CHECK (amount >= 0)
+);
+
+-- OpEx Estimate table: estimated OpEx payments billed to the tenant per year
+CREATE TABLE opex_estimate (
+    opex_estimate_id SERIAL PRIMARY KEY,
+    opex_id INTEGER NOT NULL,
+    expense_year INTEGER NOT NULL,
+    estimated_amount NUMERIC(15, 2) NOT NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    CONSTRAINT fk_opex_estimate_opex FOREIGN KEY (opex_id) 
+        REFERENCES opex_pass_through(opex_id) ON DELETE RESTRICT,
+    CONSTRAINT uq_opex_estimate_year UNIQUE (opex_id, expense_year),
+    CONSTRAINT chk_opex_estimate_year CHECK (expense_year BETWEEN 1900 AND 2100),
+    CONSTRAINT chk_opex_estimate_amount CHECK (estimated_amount >= 0)
+);
@@ -0,0 +1,28 @@
+-- V009: Notification log for critical date and option reminders
+-- Deduplicates reminders so each (rule, source record, event date, threshold) is sent once
+
+CREATE TABLE notification_log (
+    notification_id SERIAL PRIMARY KEY,
+    dedupe_key VARCHAR(255) NOT NULL,
+    rule_id VARCHAR(100) NOT NULL,
+    source_type VARCHAR(50) NOT NULL,
+    source_id INTEGER NOT NULL,
+    lease_id INTEGER,
+    event_date DATE NOT NULL,
+    days_before INTEGER NOT NULL,
+    transport VARCHAR(50) NOT NULL,
+    status VARCHAR(20) NOT NULL DEFAULT 'PENDING',
+    message_id VARCHAR(255),
+    error_message TEXT,
+    sent_at TIMESTAMP,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    CONSTRAINT uq_notification_dedupe_key UNIQUE (dedupe_key),
+    CONSTRAINT fk_notification_lease FOREIGN KEY (lease_id) 
+        REFERENCES lease(lease_id) ON DELETE SET NULL,
+    CONSTRAINT chk_notification_source_type CHECK (source_type IN ('CRITICAL_DATE', 'OPTION')),
+    CONSTRAINT chk_notification_status CHECK (status IN ('PENDING', 'SENT', 'FAILED'))
+);
+
+CREATE INDEX idx_notification_log_lease ON notification_log(lease_id);
+CREATE INDEX idx_notification_log_event_date ON notification_log(event_date);
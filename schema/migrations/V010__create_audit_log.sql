@@ -0,0 +1,23 @@
+-- V010: Audit log of every create, update and delete made through the API
+-- Rows are written in the same transaction as the change they record
+
+CREATE TABLE audit_log (
+    audit_id BIGSERIAL PRIMARY KEY,
+    principal VARCHAR(512) NOT NULL,
+    role VARCHAR(50),
+    entity VARCHAR(50) NOT NULL,
+    entity_id VARCHAR(100) NOT NULL,
+    lease_id INTEGER,
+    action VARCHAR(10) NOT NULL,
+    before_data JSONB,
+    after_data JSONB,
+    correlation_id VARCHAR(100),
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    CONSTRAINT chk_audit_action CHECK (action IN ('CREATE', 'UPDATE', 'DELETE'))
+);
+
+-- lease_id is intentionally not a foreign key so history survives lease deletion
+CREATE INDEX idx_audit_log_entity ON audit_log(entity, entity_id);
+CREATE INDEX idx_audit_log_lease ON audit_log(lease_id);
+CREATE INDEX idx_audit_log_principal ON audit_log(principal);
+CREATE INDEX idx_audit_log_created_at ON audit_log(created_at);
@@ -0,0 +1,47 @@
+-- V011: Asynchronous batch jobs for loads larger than the synchronous batch limit
+-- Records are processed in chunks, each in its own transaction; next_index is
+-- advanced in the same transaction as the chunk so a failed run resumes from it
+
+CREATE TABLE batch_job (
+    job_id SERIAL PRIMARY KEY,
+    batch_type VARCHAR(20) NOT NULL,
+    status VARCHAR(30) NOT NULL DEFAULT 'QUEUED',
+    on_error VARCHAR(10) NOT NULL DEFAULT 'continue',
+    chunk_size INTEGER NOT NULL,
+    total_items INTEGER NOT NULL,
+    next_index INTEGER NOT NULL DEFAULT 0,
+    records JSONB NOT NULL,
+    principal VARCHAR(512) NOT NULL,
+    role VARCHAR(50),
+    correlation_id VARCHAR(100),
+    attempts INTEGER NOT NULL DEFAULT 0,
+    last_error TEXT,
+    heartbeat_at TIMESTAMP,
+    started_at TIMESTAMP,
+    completed_at TIMESTAMP,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    CONSTRAINT chk_batch_job_type CHECK (batch_type IN ('properties', 'parties', 'leases')),
+    CONSTRAINT chk_batch_job_status CHECK (status IN ('QUEUED', 'RUNNING', 'SUCCEEDED', 'COMPLETED_WITH_ERRORS', 'FAILED')),
+    CONSTRAINT chk_batch_job_on_error CHECK (on_error IN ('continue', 'stop')),
+    CONSTRAINT chk_batch_job_chunk_size CHECK (chunk_size > 0),
+    CONSTRAINT chk_batch_job_next_index CHECK (next_index BETWEEN 0 AND total_items)
+);
+
+-- One row per processed record; a retried chunk overwrites its earlier results
+CREATE TABLE batch_job_item (
+    job_id INTEGER NOT NULL,
+    item_index INTEGER NOT NULL,
+    status VARCHAR(20) NOT NULL,
+    result JSONB,
+    error JSONB,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    PRIMARY KEY (job_id, item_index),
+    CONSTRAINT fk_batch_job_item_job FOREIGN KEY (job_id)
+        REFERENCES batch_job(job_id) ON DELETE CASCADE,
+    CONSTRAINT chk_batch_job_item_status CHECK (status IN ('SUCCEEDED', 'FAILED'))
+);
+
+CREATE INDEX idx_batch_job_status ON batch_job(status, heartbeat_at);
+CREATE INDEX idx_batch_job_item_status ON batch_job_item(job_id, status);
@@ -0,0 +1,35 @@
+-- V012: Full-text and trigram search indexes for GET /search
+-- The search endpoint matches each field two ways: full-text prefix matching
+-- (tsvector expression indexes) and fuzzy word similarity for partial names
+-- and typos (pg_trgm GIN indexes). The 'simple' text search configuration is
+-- used because the indexed values are names and codes, which should not be stemmed.
+-- The tsvector expressions here must match the ones in lambda/api/search/query.js.
+
+CREATE EXTENSION IF NOT EXISTS pg_trgm;
+
+DO $$
+BEGIN
+    IF NOT EXISTS (SELECT 1 FROM pg_extension WHERE extname = 'pg_trgm') THEN
+        RAISE EXCEPTION 'pg_trgm extension is required but not available';
+    END IF;
+END $$;
+
+-- Full-text indexes
+CREATE INDEX idx_party_legal_name_fts ON party
+    USING GIN (to_tsvector('simple', legal_name));
+CREATE INDEX idx_property_name_address_fts ON property
+    USING GIN (to_tsvector('simple', name || ' ' || COALESCE(address, '')));
+CREATE INDEX idx_suite_code_fts ON suite
+    USING GIN (to_tsvector('simple', suite_code));
+CREATE INDEX idx_lease_master_lease_num_fts ON lease
+    USING GIN (to_tsvector('simple', master_lease_num));
+CREATE INDEX idx_doc_link_label_fts ON doc_link
+    USING GIN (to_tsvector('simple', COALESCE(label, '')));
+
+-- Trigram indexes (support the <% word similarity operator)
+CREATE INDEX idx_party_legal_name_trgm ON party USING GIN (legal_name gin_trgm_ops);
+CREATE INDEX idx_property_name_trgm ON property USING GIN (name gin_trgm_ops);
+CREATE INDEX idx_property_address_trgm ON property USING GIN (address gin_trgm_ops);
+CREATE INDEX idx_suite_code_trgm ON suite USING GIN (suite_code gin_trgm_ops);
+CREATE INDEX idx_lease_master_lease_num_trgm ON lease USING GIN (master_lease_num gin_trgm_ops);
+CREATE INDEX idx_doc_link_label_trgm ON doc_link USING GIN (label gin_trgm_ops);